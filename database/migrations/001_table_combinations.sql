@@ -0,0 +1,9 @@
+-- Mesas combinables: cada mesa declara con qué otras mesas se puede juntar.
+-- El motor de asignación considera combinable un par si cualquiera de las dos
+-- mesas incluye a la otra en su lista.
+ALTER TABLE tables
+  ADD COLUMN IF NOT EXISTS combinable_with uuid[] NOT NULL DEFAULT '{}';
+
+-- Una reserva en mesas combinadas tiene una fila en table_assignments por mesa.
+CREATE INDEX IF NOT EXISTS idx_table_assignments_appointment
+  ON table_assignments (appointment_id);
@@ -0,0 +1,60 @@
+-- Personal reservable (estilistas, barberos, odontólogos...).
+-- Si un negocio tiene personal activo, la disponibilidad se calcula por persona
+-- en lugar del contador global max_appointments_per_slot.
+CREATE TABLE IF NOT EXISTS staff_members (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id uuid NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  email text,
+  phone text,
+  role_label text,
+  color text,
+  display_order integer NOT NULL DEFAULT 0,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_members_restaurant
+  ON staff_members (restaurant_id, is_active);
+
+-- Servicios que puede realizar cada persona.
+-- Una persona sin servicios asignados puede realizar todos.
+CREATE TABLE IF NOT EXISTS staff_services (
+  staff_id uuid NOT NULL REFERENCES staff_members(id) ON DELETE CASCADE,
+  service_id uuid NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  PRIMARY KEY (staff_id, service_id)
+);
+
+-- Horario semanal (hora local del negocio). Varias franjas por día permitidas.
+CREATE TABLE IF NOT EXISTS staff_working_hours (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  staff_id uuid NOT NULL REFERENCES staff_members(id) ON DELETE CASCADE,
+  day_of_week smallint NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+  start_time time NOT NULL,
+  end_time time NOT NULL,
+  CHECK (start_time < end_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_working_hours_staff
+  ON staff_working_hours (staff_id, day_of_week);
+
+-- Ausencias (vacaciones, bajas, formación). Guardadas en UTC.
+CREATE TABLE IF NOT EXISTS staff_time_off (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  staff_id uuid NOT NULL REFERENCES staff_members(id) ON DELETE CASCADE,
+  starts_at timestamptz NOT NULL,
+  ends_at timestamptz NOT NULL,
+  reason text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (starts_at < ends_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_time_off_staff
+  ON staff_time_off (staff_id, starts_at);
+
+ALTER TABLE appointments
+  ADD COLUMN IF NOT EXISTS staff_id uuid REFERENCES staff_members(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_staff
+  ON appointments (staff_id, appointment_time);
@@ -0,0 +1,26 @@
+-- Series de citas/reservas recurrentes (cada N semanas, por número o hasta fecha).
+-- Cada ocurrencia es una fila normal en appointments con series_id y series_index.
+CREATE TABLE IF NOT EXISTS appointment_series (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id uuid NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  customer_id uuid REFERENCES customers(id) ON DELETE SET NULL,
+  interval_weeks smallint NOT NULL DEFAULT 1 CHECK (interval_weeks BETWEEN 1 AND 52),
+  occurrence_count smallint,
+  until_date date,
+  skip_dates date[] NOT NULL DEFAULT '{}',
+  start_date date NOT NULL,
+  local_time time NOT NULL,
+  created_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (occurrence_count IS NOT NULL OR until_date IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_series_restaurant
+  ON appointment_series (restaurant_id);
+
+ALTER TABLE appointments
+  ADD COLUMN IF NOT EXISTS series_id uuid REFERENCES appointment_series(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS series_index smallint;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_series
+  ON appointments (series_id, appointment_time);
@@ -0,0 +1,15 @@
+-- Registro de recordatorios por cita y paso de la política (config.reminders).
+-- La restricción única evita enviar dos veces el mismo paso.
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  appointment_id uuid NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+  step_key text NOT NULL,
+  channel text NOT NULL CHECK (channel IN ('email', 'whatsapp')),
+  status text NOT NULL CHECK (status IN ('sent', 'failed', 'skipped')),
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (appointment_id, step_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_appointment
+  ON appointment_reminders (appointment_id);
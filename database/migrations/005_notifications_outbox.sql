@@ -0,0 +1,26 @@
+-- Outbox de notificaciones: una fila por mensaje (confirmaciones, recordatorios).
+-- El worker las envía y reintenta con backoff exponencial hasta max_attempts.
+CREATE TABLE IF NOT EXISTS notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id uuid NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  appointment_id uuid REFERENCES appointments(id) ON DELETE CASCADE,
+  type text NOT NULL,
+  channel text NOT NULL CHECK (channel IN ('email', 'whatsapp')),
+  recipient text NOT NULL,
+  payload jsonb NOT NULL DEFAULT '{}',
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'sent', 'failed')),
+  attempts smallint NOT NULL DEFAULT 0,
+  max_attempts smallint NOT NULL DEFAULT 5,
+  last_error text,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  sent_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_pending
+  ON notifications (next_attempt_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_notifications_appointment
+  ON notifications (appointment_id, created_at);
@@ -0,0 +1,18 @@
+-- Claves de API por negocio para los agentes (n8n).
+-- Sólo se guarda el hash SHA-256; la clave completa se muestra una vez al crearla o rotarla.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id uuid NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  key_prefix text NOT NULL,
+  key_hash text NOT NULL UNIQUE,
+  scopes text[] NOT NULL DEFAULT '{}',
+  created_by uuid REFERENCES restaurant_users(id) ON DELETE SET NULL,
+  last_used_at timestamptz,
+  rotated_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_restaurant
+  ON api_keys (restaurant_id, created_at);
@@ -0,0 +1,22 @@
+-- Tokens de un solo uso para invitaciones y recuperación de contraseña.
+-- Sólo se guarda el hash SHA-256 del token que va en el email.
+CREATE TABLE IF NOT EXISTS user_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES restaurant_users(id) ON DELETE CASCADE,
+  purpose text NOT NULL CHECK (purpose IN ('invite', 'password_reset')),
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user
+  ON user_tokens (user_id, purpose);
+
+-- Usuarios invitados aún no tienen contraseña
+ALTER TABLE restaurant_users ALTER COLUMN password_hash DROP NOT NULL;
+
+-- Contraseña temporal: obliga a cambiarla en el primer login
+ALTER TABLE restaurant_users
+  ADD COLUMN IF NOT EXISTS must_change_password boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS password_changed_at timestamptz;
@@ -0,0 +1,20 @@
+-- Sesiones del panel: un refresh token rotatorio por dispositivo.
+-- El access token (JWT corto) lleva el id de sesión; revocar la sesión lo invalida al momento.
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES restaurant_users(id) ON DELETE CASCADE,
+  refresh_token_hash text NOT NULL,
+  -- Hash anterior: si alguien lo reutiliza, el token fue robado y se revoca la sesión
+  previous_token_hash text,
+  user_agent text,
+  ip_address text,
+  expires_at timestamptz NOT NULL,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  revoked_reason text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user
+  ON user_sessions (user_id)
+  WHERE revoked_at IS NULL;
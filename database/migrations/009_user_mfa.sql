@@ -0,0 +1,22 @@
+-- Doble factor (TOTP) para usuarios del panel. Obligatorio para is_platform_admin.
+-- totp_secret va cifrado (AES-256-GCM); totp_last_step evita reutilizar un código.
+ALTER TABLE restaurant_users
+  ADD COLUMN IF NOT EXISTS totp_secret text,
+  ADD COLUMN IF NOT EXISTS totp_enabled boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at timestamptz,
+  ADD COLUMN IF NOT EXISTS totp_last_step bigint,
+  ADD COLUMN IF NOT EXISTS mfa_failed_attempts smallint NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS mfa_locked_until timestamptz;
+
+-- Códigos de recuperación de un solo uso (sólo el hash)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES restaurant_users(id) ON DELETE CASCADE,
+  code_hash text NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user
+  ON user_recovery_codes (user_id)
+  WHERE used_at IS NULL;
@@ -0,0 +1,60 @@
+-- Una identidad (restaurant_users) con rol en varios negocios.
+-- restaurant_users.restaurant_id / role / permissions quedan como negocio por defecto (legado);
+-- el acceso real se decide con business_memberships.
+CREATE TABLE IF NOT EXISTS business_memberships (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES restaurant_users(id) ON DELETE CASCADE,
+  restaurant_id uuid NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  role text NOT NULL CHECK (role IN ('ADMIN', 'MANAGER', 'STAFF')),
+  permissions jsonb NOT NULL DEFAULT '{}',
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, restaurant_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_business_memberships_restaurant
+  ON business_memberships (restaurant_id);
+
+-- Negocio activo de cada sesión (cambia con /api/auth/switch-business)
+ALTER TABLE user_sessions
+  ADD COLUMN IF NOT EXISTS active_business_id uuid REFERENCES restaurants(id) ON DELETE SET NULL;
+
+-- Invitaciones: a qué negocio se invita
+ALTER TABLE user_tokens
+  ADD COLUMN IF NOT EXISTS restaurant_id uuid REFERENCES restaurants(id) ON DELETE CASCADE;
+
+-- Filas duplicadas por email: se conserva una identidad (la de SuperAdmin o la más antigua)
+ALTER TABLE restaurant_users
+  ADD COLUMN IF NOT EXISTS merged_into uuid REFERENCES restaurant_users(id) ON DELETE SET NULL;
+
+WITH keepers AS (
+  SELECT DISTINCT ON (lower(email)) lower(email) AS email_key, id AS keeper_id
+  FROM restaurant_users
+  ORDER BY lower(email), is_platform_admin DESC, created_at ASC
+)
+INSERT INTO business_memberships (user_id, restaurant_id, role, permissions, is_active)
+SELECT DISTINCT ON (k.keeper_id, u.restaurant_id)
+  k.keeper_id, u.restaurant_id, u.role, COALESCE(u.permissions, '{}'::jsonb), u.is_active
+FROM restaurant_users u
+JOIN keepers k ON k.email_key = lower(u.email)
+WHERE u.restaurant_id IS NOT NULL
+  AND u.role IN ('ADMIN', 'MANAGER', 'STAFF')
+ORDER BY k.keeper_id, u.restaurant_id, u.is_active DESC, u.created_at ASC
+ON CONFLICT (user_id, restaurant_id) DO NOTHING;
+
+WITH keepers AS (
+  SELECT DISTINCT ON (lower(email)) lower(email) AS email_key, id AS keeper_id
+  FROM restaurant_users
+  ORDER BY lower(email), is_platform_admin DESC, created_at ASC
+)
+UPDATE restaurant_users u
+SET merged_into = k.keeper_id, is_active = false
+FROM keepers k
+WHERE k.email_key = lower(u.email)
+  AND u.id <> k.keeper_id;
+
+-- Desde ahora, un email = una identidad activa
+CREATE UNIQUE INDEX IF NOT EXISTS idx_restaurant_users_email_active
+  ON restaurant_users (lower(email))
+  WHERE merged_into IS NULL;
@@ -0,0 +1,34 @@
+-- Registro de auditoría: quién cambió qué (citas, clientes, configuración, usuarios).
+-- Sólo se insertan filas; el trigger impide modificarlas o borrarlas.
+-- restaurant_id sin FK: el historial sobrevive aunque se borre el negocio o la entidad.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id uuid NOT NULL,
+  actor_type text NOT NULL CHECK (actor_type IN ('user', 'api_key', 'customer', 'system')),
+  actor_id uuid,
+  actor_name text,
+  entity_type text NOT NULL,
+  entity_id uuid NOT NULL,
+  action text NOT NULL,
+  changes jsonb NOT NULL DEFAULT '{}',
+  source text NOT NULL CHECK (source IN ('manual', 'public', 'whatsapp', 'cron')),
+  request_id text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity
+  ON audit_log (restaurant_id, entity_type, entity_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor
+  ON audit_log (restaurant_id, actor_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log es de sólo inserción';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_log_append_only ON audit_log;
+CREATE TRIGGER trg_audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
@@ -0,0 +1,30 @@
+-- Papelera: citas, clientes, servicios y mesas se marcan como eliminadas en vez de borrarse.
+-- El purgado definitivo lo hace el cron según config.trash_retention_days de cada negocio.
+ALTER TABLE appointments
+  ADD COLUMN IF NOT EXISTS deleted_at timestamptz,
+  ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES restaurant_users(id) ON DELETE SET NULL;
+
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS deleted_at timestamptz,
+  ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES restaurant_users(id) ON DELETE SET NULL;
+
+ALTER TABLE services
+  ADD COLUMN IF NOT EXISTS deleted_at timestamptz,
+  ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES restaurant_users(id) ON DELETE SET NULL;
+
+ALTER TABLE tables
+  ADD COLUMN IF NOT EXISTS deleted_at timestamptz,
+  ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES restaurant_users(id) ON DELETE SET NULL;
+
+-- Listados de la papelera y purgado
+CREATE INDEX IF NOT EXISTS idx_appointments_deleted
+  ON appointments (restaurant_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_customers_deleted
+  ON customers (restaurant_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_services_deleted
+  ON services (restaurant_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tables_deleted
+  ON tables (restaurant_id, deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,86 @@
+-- Unificación de la antigua tabla reservations en appointments.
+-- Las reservas de WhatsApp se guardaban en reservations con estados en inglés y nunca
+-- recibían mesa ni aparecían en la sala. Desde ahora todo se escribe en appointments;
+-- reservations queda como copia de sólo lectura hasta confirmar el backfill.
+
+-- Enlace con la reserva original: hace el backfill idempotente
+ALTER TABLE appointments
+  ADD COLUMN IF NOT EXISTS legacy_reservation_id uuid UNIQUE;
+
+-- Las conversaciones del agente apuntan a la cita
+ALTER TABLE ai_conversations
+  ADD COLUMN IF NOT EXISTS appointment_id uuid REFERENCES appointments(id) ON DELETE SET NULL;
+
+-- Backfill: fecha y hora locales del negocio → appointment_time en UTC
+INSERT INTO appointments (
+  restaurant_id,
+  customer_id,
+  table_id,
+  scheduled_date,
+  appointment_time,
+  client_name,
+  client_phone,
+  client_email,
+  service_name,
+  duration_minutes,
+  party_size,
+  notes,
+  status,
+  source,
+  confirmed_at,
+  cancelled_at,
+  created_at,
+  legacy_reservation_id
+)
+SELECT
+  r.restaurant_id,
+  r.customer_id,
+  r.table_id,
+  r.reservation_date,
+  (r.reservation_date + r.reservation_time) AT TIME ZONE COALESCE(b.timezone, 'Europe/Madrid'),
+  c.name,
+  c.phone,
+  c.email,
+  'Reserva de Mesa',
+  90,
+  r.party_size,
+  r.special_requests,
+  CASE r.status
+    WHEN 'pending' THEN 'pendiente'
+    WHEN 'confirmed' THEN 'confirmado'
+    WHEN 'seated' THEN 'en_mesa'
+    WHEN 'completed' THEN 'completada'
+    WHEN 'cancelled' THEN 'cancelada'
+    WHEN 'no_show' THEN 'no_show'
+    ELSE 'pendiente'
+  END,
+  COALESCE(r.source, 'whatsapp'),
+  CASE WHEN r.status = 'confirmed' THEN r.created_at END,
+  CASE WHEN r.status = 'cancelled' THEN r.updated_at END,
+  r.created_at,
+  r.id
+FROM reservations r
+JOIN restaurants b ON b.id = r.restaurant_id
+LEFT JOIN customers c ON c.id = r.customer_id
+ON CONFLICT (legacy_reservation_id) DO NOTHING;
+
+-- Una línea de servicio por cita, como las creadas desde el panel
+INSERT INTO appointment_services (appointment_id, service_name, duration_minutes, price, display_order)
+SELECT a.id, a.service_name, a.duration_minutes, 0, 0
+FROM appointments a
+WHERE a.legacy_reservation_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM appointment_services s WHERE s.appointment_id = a.id);
+
+-- Mesas que ya tenían asignadas
+INSERT INTO table_assignments (appointment_id, table_id, assignment_type)
+SELECT a.id, a.table_id, 'manual'
+FROM appointments a
+WHERE a.legacy_reservation_id IS NOT NULL
+  AND a.table_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM table_assignments t WHERE t.appointment_id = a.id);
+
+UPDATE ai_conversations ac
+SET appointment_id = a.id
+FROM appointments a
+WHERE a.legacy_reservation_id = ac.reservation_id
+  AND ac.appointment_id IS NULL;
@@ -0,0 +1,33 @@
+-- Máquina de estados de las citas:
+-- pendiente → confirmado → en_mesa → completada, más no_show y cancelada (por el cliente o por el negocio).
+-- Cada transición guarda su marca de tiempo.
+ALTER TABLE appointments
+  ADD COLUMN IF NOT EXISTS completed_at timestamptz,
+  ADD COLUMN IF NOT EXISTS no_show_at timestamptz,
+  ADD COLUMN IF NOT EXISTS cancelled_by text CHECK (cancelled_by IN ('customer', 'business')),
+  ADD COLUMN IF NOT EXISTS status_changed_at timestamptz;
+
+-- Antes el check-in dejaba la cita en 'confirmado' con checked_in_at
+UPDATE appointments
+SET status = 'en_mesa'
+WHERE status = 'confirmado'
+  AND checked_in_at IS NOT NULL
+  AND checked_out_at IS NULL;
+
+UPDATE appointments
+SET completed_at = COALESCE(checked_out_at, updated_at)
+WHERE status = 'completada'
+  AND completed_at IS NULL;
+
+-- Sólo estados del modelo (NOT VALID: no revisa filas antiguas con valores sueltos)
+ALTER TABLE appointments
+  DROP CONSTRAINT IF EXISTS appointments_status_check;
+
+ALTER TABLE appointments
+  ADD CONSTRAINT appointments_status_check
+  CHECK (status IN ('pendiente', 'confirmado', 'en_mesa', 'completada', 'no_show', 'cancelada')) NOT VALID;
+
+-- Estadísticas del cliente que mantienen los hooks de transición
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS no_show_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS cancellation_count integer NOT NULL DEFAULT 0;
@@ -0,0 +1,20 @@
+-- Política de no-shows: contadores por cliente (los mantiene el hook de cambio de estado)
+-- La configuración vive en restaurants.config.no_show_policy
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS late_cancel_count integer NOT NULL DEFAULT 0;
+
+-- Cron de no-shows: citas confirmadas sin check-in ya pasadas
+CREATE INDEX IF NOT EXISTS idx_appointments_no_show_candidates
+  ON appointments (restaurant_id, appointment_time)
+  WHERE status = 'confirmado' AND checked_in_at IS NULL AND deleted_at IS NULL;
+
+-- Contadores iniciales a partir del histórico
+UPDATE customers c
+SET no_show_count = sub.no_shows
+FROM (
+  SELECT customer_id, COUNT(*) AS no_shows
+  FROM appointments
+  WHERE status = 'no_show' AND deleted_at IS NULL AND customer_id IS NOT NULL
+  GROUP BY customer_id
+) sub
+WHERE sub.customer_id = c.id;
@@ -0,0 +1,81 @@
+-- Libro de pagos por cita: depósitos, cobros (efectivo, tarjeta, transferencia, online) y devoluciones.
+-- Cada movimiento es una fila; el saldo se calcula sumando. Sólo cambia el estado de los
+-- cobros online pendientes cuando el proveedor confirma (webhook).
+CREATE TABLE IF NOT EXISTS payments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id uuid NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  appointment_id uuid NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+  type text NOT NULL CHECK (type IN ('deposit', 'payment', 'refund')),
+  method text NOT NULL CHECK (method IN ('cash', 'card', 'transfer', 'online')),
+  amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+  currency text NOT NULL DEFAULT 'EUR',
+  status text NOT NULL DEFAULT 'succeeded' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  provider text,
+  provider_ref text UNIQUE,
+  refund_of uuid REFERENCES payments(id) ON DELETE SET NULL,
+  notes text,
+  created_by uuid REFERENCES restaurant_users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_appointment
+  ON payments (appointment_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_payments_business
+  ON payments (restaurant_id, created_at DESC);
+
+-- Depósito por servicio (importe fijo). El depósito por persona va en config.deposit_policy
+ALTER TABLE services
+  ADD COLUMN IF NOT EXISTS deposit_amount numeric(10, 2);
+
+-- Resumen en la cita (lo mantiene paymentService). amount_paid pasa a ser el neto cobrado.
+ALTER TABLE appointments
+  ADD COLUMN IF NOT EXISTS deposit_required numeric(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS payment_status text NOT NULL DEFAULT 'unpaid'
+    CHECK (payment_status IN ('unpaid', 'deposit_paid', 'partially_paid', 'paid', 'refunded')),
+  ADD COLUMN IF NOT EXISTS hold_expires_at timestamptz;
+
+-- Reserva online retenida hasta pagar el depósito
+ALTER TABLE appointments
+  DROP CONSTRAINT IF EXISTS appointments_status_check;
+
+ALTER TABLE appointments
+  ADD CONSTRAINT appointments_status_check
+  CHECK (status IN ('pendiente_pago', 'pendiente', 'confirmado', 'en_mesa', 'completada', 'no_show', 'cancelada')) NOT VALID;
+
+-- Una retención caducada la cancela el sistema
+ALTER TABLE appointments
+  DROP CONSTRAINT IF EXISTS appointments_cancelled_by_check;
+
+ALTER TABLE appointments
+  ADD CONSTRAINT appointments_cancelled_by_check
+  CHECK (cancelled_by IN ('customer', 'business', 'system'));
+
+CREATE INDEX IF NOT EXISTS idx_appointments_hold_expires
+  ON appointments (hold_expires_at)
+  WHERE status = 'pendiente_pago';
+
+-- Los importes sueltos anteriores pasan al libro como cobros en efectivo
+INSERT INTO payments (restaurant_id, appointment_id, type, method, amount, notes, created_at)
+SELECT a.restaurant_id, a.id, 'payment', 'cash', a.amount_paid, 'Importe anterior al libro de pagos', COALESCE(a.updated_at, a.created_at)
+FROM appointments a
+WHERE a.amount_paid > 0
+  AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.appointment_id = a.id);
+
+-- Mismo criterio que paymentService.computeBalance: el total es la suma de precios de
+-- appointment_services; lo que no lo cubre queda como pago parcial
+UPDATE appointments a
+SET payment_status = CASE
+    WHEN a.amount_paid >= COALESCE(t.total, 0) THEN 'paid'
+    ELSE 'partially_paid'
+  END
+FROM (
+  SELECT ap.id, SUM(s.price) AS total
+  FROM appointments ap
+  LEFT JOIN appointment_services s ON s.appointment_id = ap.id
+  WHERE ap.amount_paid > 0
+  GROUP BY ap.id
+) t
+WHERE t.id = a.id
+  AND a.payment_status = 'unpaid';
@@ -0,0 +1,14 @@
+-- Fusión de clientes duplicados ("+34 600…" desde WhatsApp y "600…" desde la web).
+-- El duplicado queda en la papelera apuntando al cliente que sobrevive; las búsquedas
+-- por teléfono lo siguen para no volver a separar el historial.
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS merged_into uuid REFERENCES customers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_customers_merged_into
+  ON customers (merged_into)
+  WHERE merged_into IS NOT NULL;
+
+-- Detección de duplicados por email dentro de cada negocio
+CREATE INDEX IF NOT EXISTS idx_customers_email
+  ON customers (restaurant_id, lower(email))
+  WHERE deleted_at IS NULL AND email IS NOT NULL;
@@ -0,0 +1,64 @@
+-- RGPD: exportación y supresión (anonimización) de los datos de un cliente.
+-- Cada solicitud queda registrada para poder demostrar cuándo y quién la atendió.
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id uuid NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  customer_id uuid REFERENCES customers(id) ON DELETE SET NULL,
+  type text NOT NULL CHECK (type IN ('export', 'erasure')),
+  status text NOT NULL CHECK (status IN ('completed', 'failed')),
+  requested_by uuid REFERENCES restaurant_users(id) ON DELETE SET NULL,
+  reason text,
+  summary jsonb NOT NULL DEFAULT '{}',
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_business
+  ON data_subject_requests (restaurant_id, created_at DESC);
+
+-- Cliente anonimizado: se conserva la fila (y sus estadísticas) sin datos personales
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS anonymized_at timestamptz;
+
+-- El registro de auditoría sigue siendo de sólo inserción, salvo para tachar datos
+-- personales durante una supresión (redact_audit_log activa app.audit_redaction)
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND current_setting('app.audit_redaction', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'audit_log es de sólo inserción';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Sustituye el valor de los campos personales en el historial de las entidades indicadas
+CREATE OR REPLACE FUNCTION redact_audit_log(p_restaurant_id uuid, p_entity_ids uuid[], p_fields text[])
+RETURNS integer AS $$
+DECLARE
+  affected integer;
+BEGIN
+  PERFORM set_config('app.audit_redaction', 'on', true);
+
+  UPDATE audit_log a
+  SET changes = (
+    SELECT COALESCE(jsonb_object_agg(
+      e.key,
+      CASE WHEN e.key = ANY (p_fields)
+        THEN '{"from": "[anonimizado]", "to": "[anonimizado]"}'::jsonb
+        ELSE e.value
+      END
+    ), '{}'::jsonb)
+    FROM jsonb_each(a.changes) e
+  )
+  WHERE a.restaurant_id = p_restaurant_id
+    AND a.entity_id = ANY (p_entity_ids)
+    AND EXISTS (SELECT 1 FROM jsonb_object_keys(a.changes) k WHERE k = ANY (p_fields));
+
+  GET DIAGNOSTICS affected = ROW_COUNT;
+
+  PERFORM set_config('app.audit_redaction', 'off', true);
+
+  RETURN affected;
+END;
+$$ LANGUAGE plpgsql;
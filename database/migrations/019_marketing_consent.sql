@@ -0,0 +1,29 @@
+-- Consentimiento de comunicaciones comerciales por cliente y canal.
+-- Una fila por canal con la última decisión; el historial completo queda en audit_log.
+CREATE TABLE IF NOT EXISTS customer_consents (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id uuid NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  channel text NOT NULL CHECK (channel IN ('email', 'whatsapp', 'sms')),
+  granted boolean NOT NULL,
+  source text NOT NULL CHECK (source IN ('booking_form', 'whatsapp', 'manual', 'unsubscribe_link', 'erasure')),
+  policy_version text,
+  granted_at timestamptz,
+  revoked_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (customer_id, channel)
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_consents_business
+  ON customer_consents (restaurant_id, channel)
+  WHERE granted;
+
+-- Las notificaciones comerciales necesitan saber a qué cliente van;
+-- las que no tienen consentimiento quedan como 'blocked' y no se reintentan
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS customer_id uuid REFERENCES customers(id) ON DELETE SET NULL;
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_status_check;
+ALTER TABLE notifications
+  ADD CONSTRAINT notifications_status_check
+  CHECK (status IN ('pending', 'processing', 'sent', 'failed', 'blocked'));
@@ -0,0 +1,45 @@
+-- Etiquetas libres y fecha de nacimiento para segmentar clientes
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS birth_date date;
+
+CREATE INDEX IF NOT EXISTS idx_customers_tags
+  ON customers USING gin (tags);
+
+-- Segmentos: filtros guardados con reglas (visitas, última visita, gasto, servicio favorito,
+-- no-shows, mes de cumpleaños...). La pertenencia se calcula al consultarlos, nunca se guarda.
+CREATE TABLE IF NOT EXISTS customer_segments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id uuid NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text,
+  rules jsonb NOT NULL DEFAULT '{}',
+  created_by uuid REFERENCES restaurant_users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (restaurant_id, name)
+);
+
+-- Campañas: un envío comercial a los miembros de un segmento en ese momento
+CREATE TABLE IF NOT EXISTS campaigns (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id uuid NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  segment_id uuid REFERENCES customer_segments(id) ON DELETE SET NULL,
+  channel text NOT NULL CHECK (channel IN ('email', 'whatsapp')),
+  subject text,
+  message text NOT NULL,
+  audience_count integer NOT NULL DEFAULT 0,
+  queued_count integer NOT NULL DEFAULT 0,
+  created_by uuid REFERENCES restaurant_users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_business
+  ON campaigns (restaurant_id, created_at DESC);
+
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS campaign_id uuid REFERENCES campaigns(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_campaign
+  ON notifications (campaign_id, status)
+  WHERE campaign_id IS NOT NULL;
@@ -19,6 +19,9 @@ import publicRoutes from './routes/publicRoutes.js';
 import blockedSlotsRoutes from './routes/blockedSlotsRoutes.js';
 import tablesRoutes from './routes/tablesRoutes.js';
 import schedulesRoutes from './routes/schedulesRoutes.js';
+import staffRoutes from './routes/staffRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import { assignRequestId } from './middleware/requestId.js';
 
 
 dotenv.config();
@@ -51,6 +54,8 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
+app.use(assignRequestId);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -89,6 +94,8 @@ app.use('/api/contact', contactRoutes);
 app.use('/api/blocked-slots', blockedSlotsRoutes);
 app.use('/api/tables', tablesRoutes);
 app.use('/api/schedules', schedulesRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Error handler 
 app.use((err, req, res, next) => {
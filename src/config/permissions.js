@@ -0,0 +1,92 @@
+/**
+ * Permisos por usuario de negocio.
+ * business_memberships.permissions (antes restaurant_users.permissions) guarda sólo excepciones sobre el preset del rol:
+ * { view_analytics: false } a un MANAGER le quita las estadísticas y nada más.
+ */
+export const PERMISSIONS = {
+  view_reservations: 'Ver reservas y citas',
+  create_reservations: 'Crear reservas y citas',
+  edit_reservations: 'Modificar reservas, citas, mesas asignadas y lista de espera',
+  delete_reservations: 'Cancelar y eliminar reservas y citas',
+  view_customers: 'Ver clientes',
+  manage_customers: 'Crear y editar clientes',
+  delete_customers: 'Eliminar clientes',
+  export_customers: 'Exportar el listado de clientes',
+  manage_privacy: 'Exportar y anonimizar los datos de un cliente (RGPD)',
+  send_campaigns: 'Enviar promociones a segmentos de clientes',
+  view_analytics: 'Ver estadísticas',
+  view_revenue: 'Ver facturación',
+  manage_payments: 'Registrar cobros y depósitos',
+  refund_payments: 'Hacer devoluciones',
+  manage_services: 'Gestionar servicios',
+  manage_staff: 'Gestionar personal y sus horarios',
+  manage_schedule: 'Gestionar horarios, bloqueos y mesas',
+  manage_settings: 'Modificar la configuración del negocio',
+  manage_users: 'Gestionar usuarios y sus permisos',
+  manage_integrations: 'Gestionar WhatsApp y claves de API',
+  pause_ai: 'Pausar el asistente IA',
+  view_audit_log: 'Ver el registro de auditoría (quién cambió qué)',
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+const grant = (keys) => Object.fromEntries(PERMISSION_KEYS.map(key => [key, keys.includes(key)]));
+
+export const ROLE_PRESETS = {
+  ADMIN: grant(PERMISSION_KEYS),
+  MANAGER: grant([
+    'view_reservations', 'create_reservations', 'edit_reservations', 'delete_reservations',
+    'view_customers', 'manage_customers', 'delete_customers', 'export_customers', 'send_campaigns',
+    'view_analytics', 'view_revenue', 'manage_payments', 'refund_payments',
+    'manage_staff', 'manage_schedule', 'pause_ai',
+  ]),
+  STAFF: grant([
+    'view_reservations', 'create_reservations', 'edit_reservations', 'delete_reservations',
+    'view_customers', 'manage_customers',
+    'view_analytics', 'manage_payments',
+  ]),
+};
+
+/**
+ * Permisos efectivos de un usuario: preset de su rol + excepciones guardadas
+ */
+export function resolvePermissions(user) {
+  const preset = ROLE_PRESETS[user?.role] || grant([]);
+  const overrides = user?.permissions || {};
+
+  return Object.fromEntries(
+    PERMISSION_KEYS.map(key => [key, typeof overrides[key] === 'boolean' ? overrides[key] : preset[key]])
+  );
+}
+
+/**
+ * Valida un objeto de permisos enviado por el panel
+ * @returns {string|null} mensaje de error
+ */
+export function validatePermissions(permissions) {
+  if (typeof permissions !== 'object' || permissions === null || Array.isArray(permissions)) {
+    return 'permissions debe ser un objeto { permiso: true/false }';
+  }
+
+  for (const [key, value] of Object.entries(permissions)) {
+    if (!PERMISSION_KEYS.includes(key)) {
+      return `Permiso desconocido: ${key}`;
+    }
+    if (typeof value !== 'boolean') {
+      return `El valor de ${key} debe ser true o false`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Guarda sólo lo que difiere del preset del rol
+ */
+export function toOverrides(role, permissions) {
+  const preset = ROLE_PRESETS[role] || {};
+
+  return Object.fromEntries(
+    Object.entries(permissions || {}).filter(([key, value]) => preset[key] !== value)
+  );
+}
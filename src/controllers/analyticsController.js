@@ -26,6 +26,7 @@ export async function getOverviewStats(req, res) {
       .from('appointments')
       .select('*', { count: 'exact', head: true })
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', `${today}T00:00:00Z`)
       .lte('scheduled_date', `${today}T23:59:59Z`);
 
@@ -34,6 +35,7 @@ export async function getOverviewStats(req, res) {
       .from('appointments')
       .select('*', { count: 'exact', head: true })
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', startOfWeek.toISOString());
 
     // Citas de este mes
@@ -41,19 +43,22 @@ export async function getOverviewStats(req, res) {
       .from('appointments')
       .select('*', { count: 'exact', head: true })
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', startOfMonth.toISOString());
 
     // Total de clientes
     const { count: totalCustomers } = await supabase
       .from('customers')
       .select('*', { count: 'exact', head: true })
-      .eq('restaurant_id', businessId);
+      .eq('restaurant_id', businessId)
+      .is('deleted_at', null);
 
     // Nuevos clientes este mes
     const { count: newCustomersThisMonth } = await supabase
       .from('customers')
       .select('*', { count: 'exact', head: true })
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('first_visit_at', startOfMonth.toISOString());
 
     // Clientes VIP
@@ -61,6 +66,7 @@ export async function getOverviewStats(req, res) {
       .from('customers')
       .select('*', { count: 'exact', head: true })
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .eq('is_vip', true);
 
     res.json({
@@ -98,6 +104,7 @@ export async function getAppointmentsByStatus(req, res) {
       .from('appointments')
       .select('status')
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', startDate) 
       .lte('scheduled_date', endDate);  
 
@@ -145,6 +152,7 @@ export async function getTopServices(req, res) {
       .from('appointments')
       .select('service_name')
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', startDate) // 
       .lte('scheduled_date', endDate)   // 
       .not('service_name', 'is', null);
@@ -191,6 +199,7 @@ export async function getAppointmentsTimeline(req, res) {
       .from('appointments')
       .select('scheduled_date, status')
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', startDate) 
       .lte('scheduled_date', endDate)   
       .order('scheduled_date', { ascending: true });
@@ -255,6 +264,7 @@ export async function getRevenueStats(req, res) {
         )
       `)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .eq('status', 'completada')
       .gte('scheduled_date', startDate) 
       .lte('scheduled_date', endDate);
@@ -279,8 +289,39 @@ export async function getRevenueStats(req, res) {
       }
     });
 
+    // Cobrado de verdad según el libro de pagos (por fecha del movimiento)
+    const { data: payments, error: paymentsError } = await supabase
+      .from('payments')
+      .select('type, method, amount')
+      .eq('restaurant_id', businessId)
+      .eq('status', 'succeeded')
+      .gte('created_at', `${startDate}T00:00:00`)
+      .lte('created_at', `${endDate}T23:59:59`);
+
+    if (paymentsError) {
+      console.error('Error obteniendo pagos:', paymentsError);
+      return res.status(500).json({ error: 'Error obteniendo datos' });
+    }
+
+    let collectedRevenue = 0;
+    let refunds = 0;
+    const byMethod = {};
+
+    payments.forEach(payment => {
+      const amount = parseFloat(payment.amount) * (payment.type === 'refund' ? -1 : 1);
+
+      if (payment.type === 'refund') {
+        refunds -= amount;
+      }
+      collectedRevenue += amount;
+      byMethod[payment.method] = (byMethod[payment.method] || 0) + amount;
+    });
+
     res.json({
       estimatedRevenue: totalRevenue,
+      collectedRevenue,
+      refunds,
+      byMethod,
       completedAppointments: appointments.length,
       servicesWithPrice,
     });
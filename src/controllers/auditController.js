@@ -0,0 +1,75 @@
+import auditService from '../services/auditService.js';
+
+/**
+ * Registro de auditoría del negocio
+ * GET /api/audit?entityType=appointment&entityId=...&actorId=...&action=...&from=...&to=...&limit=50&offset=0
+ */
+export async function getAuditLog(req, res) {
+  try {
+    const { entityType, entityId, actorId, action, from, to, limit, offset } = req.query;
+
+    const entries = await auditService.list({
+      businessId: req.business.id,
+      entityType,
+      entityId,
+      actorId,
+      action,
+      from,
+      to,
+      limit,
+      offset
+    });
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('[Audit] GET Error:', error);
+    res.status(500).json({ error: 'Error al obtener el registro de auditoría' });
+  }
+}
+
+/**
+ * Historial de una entidad concreta
+ * GET /api/audit/:entityType/:entityId
+ */
+export async function getEntityAuditLog(req, res) {
+  try {
+    const { entityType, entityId } = req.params;
+    const { limit, offset } = req.query;
+
+    const entries = await auditService.list({
+      businessId: req.business.id,
+      entityType,
+      entityId,
+      limit,
+      offset
+    });
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('[Audit] GET entity Error:', error);
+    res.status(500).json({ error: 'Error al obtener el historial' });
+  }
+}
+
+/**
+ * Cambios hechos por un usuario del panel
+ * GET /api/audit/users/:userId
+ */
+export async function getUserAuditLog(req, res) {
+  try {
+    const { userId } = req.params;
+    const { limit, offset } = req.query;
+
+    const entries = await auditService.list({
+      businessId: req.business.id,
+      actorId: userId,
+      limit,
+      offset
+    });
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('[Audit] GET user Error:', error);
+    res.status(500).json({ error: 'Error al obtener la actividad del usuario' });
+  }
+}
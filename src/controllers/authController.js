@@ -1,7 +1,96 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { supabase } from '../config/database.js';
 import { getBusinessTypeConfig } from '../config/businessTypes.js';
+import { resolvePermissions } from '../config/permissions.js';
+import userTokenService, { TOKEN_PURPOSES } from '../services/userTokenService.js';
+import sessionService from '../services/sessionService.js';
+import membershipService from '../services/membershipService.js';
+import mfaService, { MFA_CHALLENGES } from '../services/mfaService.js';
+
+const USER_SELECT = `
+  *,
+  restaurants (
+    id,
+    name,
+    slug,
+    business_type,
+    logo_url,
+    is_active,
+    timezone 
+  )
+`;
+
+/**
+ * Datos del usuario para el frontend (con el negocio activo ya aplicado)
+ */
+function buildUserData(user) {
+  const userData = {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    permissions: resolvePermissions(user),
+    isSuperAdmin: user.is_platform_admin,
+    mustChangePassword: !!user.must_change_password,
+    twoFactorEnabled: !!user.totp_enabled,
+  };
+
+  if (user.restaurants) {
+    const businessConfig = getBusinessTypeConfig(user.restaurants.business_type);
+    
+    userData.business = {
+      id: user.restaurants.id,
+      name: user.restaurants.name,
+      slug: user.restaurants.slug,
+      type: user.restaurants.business_type,
+      logoUrl: user.restaurants.logo_url,
+      // 2. CORRECCIÓN: Pasamos la timezone al frontend (con fallback)
+      timezone: user.restaurants.timezone || 'Europe/Madrid', 
+      ...businessConfig,
+    };
+  }
+
+  return userData;
+}
+
+/**
+ * Abre la sesión y responde con tokens + datos del usuario (login completado).
+ * El negocio activo es el del slug del login si pertenece a él; si no, el de por defecto.
+ */
+async function sendSession(identity, req, res, extra = {}) {
+  const memberships = await membershipService.listForUser(identity.id);
+  const requested = req.body?.slug && memberships.find(m => m.restaurants?.slug === req.body.slug);
+  const active = membershipService.pickActive(memberships, requested?.restaurant_id, identity.restaurant_id);
+
+  if (!active && !identity.is_platform_admin) {
+    return res.status(403).json({ error: 'No tienes acceso a ningún negocio activo' });
+  }
+
+  const user = membershipService.applyToUser(identity, active);
+
+  // Access token corto + refresh token rotatorio (ver sessionService)
+  const { token, refreshToken, expiresIn } = await sessionService.create(user, req);
+
+  res.json({
+    token,
+    refreshToken,
+    expiresIn,
+    user: buildUserData(user),
+    businesses: membershipService.summarize(memberships),
+    ...extra,
+  });
+}
+
+async function loadActiveUser(userId) {
+  const { data: user } = await supabase
+    .from('restaurant_users')
+    .select(USER_SELECT)
+    .eq('id', userId)
+    .eq('is_active', true)
+    .single();
+
+  return user || null;
+}
 
 export async function login(req, res) {
   try {
@@ -13,135 +102,492 @@ export async function login(req, res) {
       return res.status(400).json({ error: 'Email y contraseña son requeridos' });
     }
 
-    // 1. CORRECCIÓN: Agregamos 'timezone' al select
-    let query = supabase
-      .from('restaurant_users')
-      .select(`
-        *,
-        restaurants (
-          id,
-          name,
-          slug,
-          business_type,
-          logo_url,
-          is_active,
-          timezone 
-        )
-      `)
-      .eq('email', email)
+    const { data: users, error: userError } = await membershipService
+      .findIdentityByEmail(email, USER_SELECT)
       .eq('is_active', true);
 
-    const { data: users, error: userError } = await query;
-
     if (userError || !users || users.length === 0) {
       return res.status(401).json({ error: 'Credenciales inválidas' });
     }
 
     const user = users[0];
+
+    // Usuario invitado que aún no ha elegido contraseña
+    if (!user.password_hash) {
+      return res.status(401).json({ error: 'Credenciales inválidas' });
+    }
+
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!isValidPassword) {
       return res.status(401).json({ error: 'Credenciales inválidas' });
     }
 
-    const token = jwt.sign(
-      { 
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-        restaurantId: user.restaurant_id,
-        isSuperAdmin: user.is_platform_admin
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Segundo factor: el token no se emite hasta completar /login/2fa
+    if (user.totp_enabled) {
+      return res.json({
+        mfaRequired: true,
+        challengeToken: mfaService.createChallenge(user, MFA_CHALLENGES.VERIFY)
+      });
+    }
 
-    const userData = {
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      isSuperAdmin: user.is_platform_admin,
-    };
+    if (mfaService.isRequired(user)) {
+      return res.json({
+        mfaSetupRequired: true,
+        challengeToken: mfaService.createChallenge(user, MFA_CHALLENGES.SETUP)
+      });
+    }
+
+    await sendSession(user, req, res);
 
-    if (user.restaurants) {
-      const businessConfig = getBusinessTypeConfig(user.restaurants.business_type);
-      
-      userData.business = {
-        id: user.restaurants.id,
-        name: user.restaurants.name,
-        slug: user.restaurants.slug,
-        type: user.restaurants.business_type,
-        logoUrl: user.restaurants.logo_url,
-        // 2. CORRECCIÓN: Pasamos la timezone al frontend (con fallback)
-        timezone: user.restaurants.timezone || 'Europe/Madrid', 
-        ...businessConfig,
-      };
+  } catch (error) {
+    console.error('💥 Error en login:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+export async function getMe(req, res) {
+  try {
+    // authenticateToken ya trae el usuario con el negocio activo de la sesión
+    res.json({
+      user: buildUserData(req.user),
+      businesses: membershipService.summarize(req.user.memberships || []),
+    });
+
+  } catch (error) {
+    console.error('Error en getMe:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+/**
+ * Cambiar el negocio activo de la sesión (usuarios con varios negocios)
+ * POST /api/auth/switch-business { businessId } o { slug }
+ */
+export async function switchBusiness(req, res) {
+  try {
+    const { businessId, slug } = req.body;
+
+    if (!businessId && !slug) {
+      return res.status(400).json({ error: 'businessId o slug es requerido' });
     }
 
+    const memberships = req.user.memberships || [];
+    const membership = memberships.find(m =>
+      businessId ? m.restaurant_id === businessId : m.restaurants?.slug === slug
+    );
+
+    if (!membership) {
+      return res.status(403).json({ error: 'No tienes acceso a este negocio' });
+    }
+
+    await sessionService.setActiveBusiness(req.sessionId, membership.restaurant_id);
+
+    const user = membershipService.applyToUser(req.user, membership);
+
     res.json({
-      token,
-      user: userData,
+      token: sessionService.signAccessToken(user, req.sessionId),
+      expiresIn: sessionService.getAccessTokenExpiresIn(),
+      user: buildUserData(user),
+      businesses: membershipService.summarize(memberships),
     });
 
   } catch (error) {
-    console.error('💥 Error en login:', error);
+    console.error('Error en switchBusiness:', error);
     res.status(500).json({ error: 'Error en el servidor' });
   }
 }
 
-export async function getMe(req, res) {
+/**
+ * Guarda una contraseña nueva y quita la obligación de cambiarla
+ */
+async function setPassword(userId, password) {
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  const { error } = await supabase
+    .from('restaurant_users')
+    .update({
+      password_hash: passwordHash,
+      must_change_password: false,
+      password_changed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
+// POST /api/auth/forgot-password
+export async function forgotPassword(req, res) {
   try {
-    // El middleware authenticateToken ya trae el usuario básico, 
-    // pero necesitamos refrescar los datos del negocio incluyendo timezone.
-    
-    const { data: userFull, error } = await supabase
-      .from('restaurant_users')
-      .select(`
-        *,
-        restaurants (
-          id,
-          name,
-          slug,
-          business_type,
-          logo_url,
-          is_active,
-          timezone
-        )
-      `)
-      .eq('id', req.user.id)
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'El email es requerido' });
+    }
+
+    const { data: user } = await membershipService
+      .findIdentityByEmail(email, 'id, name, email')
+      .eq('is_active', true)
       .single();
 
-    if (error || !userFull) {
-        return res.status(404).json({error: 'Usuario no encontrado'});
+    if (user) {
+      await userTokenService.sendPasswordReset(user);
+    } else {
+      console.log('🔑 Recuperación solicitada para email desconocido:', email);
     }
 
-    const userData = {
-      id: userFull.id,
-      name: userFull.name,
-      email: userFull.email,
-      role: userFull.role,
-      isSuperAdmin: userFull.is_platform_admin,
-    };
+    // Misma respuesta exista o no el email
+    res.json({ message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña' });
+
+  } catch (error) {
+    console.error('Error en forgotPassword:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/reset-password
+export async function resetPassword(req, res) {
+  try {
+    const { token, password } = req.body;
 
-    if (userFull.restaurants) {
-      const businessConfig = getBusinessTypeConfig(userFull.restaurants.business_type);
-      
-      userData.business = {
-        id: userFull.restaurants.id,
-        name: userFull.restaurants.name,
-        slug: userFull.restaurants.slug,
-        type: userFull.restaurants.business_type,
-        logoUrl: userFull.restaurants.logo_url,
-        timezone: userFull.restaurants.timezone || 'Europe/Madrid',
-        ...businessConfig,
-      };
+    const passwordError = userTokenService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
     }
 
-    res.json({ user: userData });
+    const userId = await userTokenService.consume(token, TOKEN_PURPOSES.PASSWORD_RESET);
+    if (!userId) {
+      return res.status(400).json({ error: 'El enlace no es válido o ha caducado' });
+    }
+
+    await setPassword(userId, password);
+    await sessionService.revokeAll(userId, 'password_reset');
+
+    res.json({ message: 'Contraseña actualizada. Ya puedes iniciar sesión' });
 
   } catch (error) {
-    console.error('Error en getMe:', error);
+    console.error('Error en resetPassword:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// GET /api/auth/invite/:token - Datos de la invitación (sin consumirla)
+export async function getInvite(req, res) {
+  try {
+    const invite = await userTokenService.peek(req.params.token, TOKEN_PURPOSES.INVITE);
+
+    if (!invite) {
+      return res.status(404).json({ error: 'La invitación no es válida o ha caducado' });
+    }
+
+    res.json({
+      invite: {
+        name: invite.restaurant_users?.name,
+        email: invite.restaurant_users?.email,
+        businessName: invite.restaurants?.name,
+        expiresAt: invite.expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en getInvite:', error);
     res.status(500).json({ error: 'Error en el servidor' });
   }
-};
\ No newline at end of file
+}
+
+// POST /api/auth/accept-invite
+export async function acceptInvite(req, res) {
+  try {
+    const { token, password } = req.body;
+
+    const passwordError = userTokenService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const userId = await userTokenService.consume(token, TOKEN_PURPOSES.INVITE);
+    if (!userId) {
+      return res.status(400).json({ error: 'La invitación no es válida o ha caducado' });
+    }
+
+    await setPassword(userId, password);
+
+    res.json({ message: 'Cuenta activada. Ya puedes iniciar sesión' });
+
+  } catch (error) {
+    console.error('Error en acceptInvite:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/change-password
+export async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword) {
+      return res.status(400).json({ error: 'La contraseña actual es requerida' });
+    }
+
+    const passwordError = userTokenService.validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: 'La nueva contraseña debe ser distinta de la actual' });
+    }
+
+    const isValidPassword = req.user.password_hash &&
+      await bcrypt.compare(currentPassword, req.user.password_hash);
+
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'La contraseña actual no es correcta' });
+    }
+
+    await setPassword(req.user.id, newPassword);
+
+    // El resto de dispositivos tendrá que volver a iniciar sesión
+    await sessionService.revokeAll(req.user.id, 'password_change', { exceptSessionId: req.sessionId });
+
+    res.json({ message: 'Contraseña actualizada correctamente' });
+
+  } catch (error) {
+    console.error('Error en changePassword:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/refresh
+export async function refresh(req, res) {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken es requerido' });
+    }
+
+    const session = await sessionService.refresh(refreshToken);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Sesión expirada o revocada' });
+    }
+
+    res.json(session);
+
+  } catch (error) {
+    console.error('Error en refresh:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/logout - Cierra la sesión actual
+export async function logout(req, res) {
+  try {
+    await sessionService.revoke(req.sessionId, 'logout');
+    res.json({ message: 'Sesión cerrada' });
+
+  } catch (error) {
+    console.error('Error en logout:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/logout-all - Cierra la sesión en todos los dispositivos
+export async function logoutAll(req, res) {
+  try {
+    await sessionService.revokeAll(req.user.id, 'logout_all');
+    res.json({ message: 'Sesión cerrada en todos los dispositivos' });
+
+  } catch (error) {
+    console.error('Error en logoutAll:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/login/2fa - Segundo paso del login (código TOTP o de recuperación)
+export async function loginSecondFactor(req, res) {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Introduce el código de tu app o un código de recuperación' });
+    }
+
+    const userId = mfaService.verifyChallenge(challengeToken, MFA_CHALLENGES.VERIFY);
+    const user = userId && await loadActiveUser(userId);
+
+    if (!user || !user.totp_enabled) {
+      return res.status(401).json({ error: 'El inicio de sesión ha caducado. Vuelve a empezar' });
+    }
+
+    const { ok, locked } = await mfaService.verifyLogin(user, { code, recoveryCode });
+
+    if (locked) {
+      return res.status(429).json({ error: 'Demasiados intentos fallidos. Inténtalo más tarde' });
+    }
+
+    if (!ok) {
+      return res.status(401).json({ error: 'Código incorrecto' });
+    }
+
+    await sendSession(user, req, res);
+
+  } catch (error) {
+    console.error('Error en loginSecondFactor:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/login/2fa/setup - Alta obligatoria durante el login (SuperAdmin)
+export async function loginSetupTwoFactor(req, res) {
+  try {
+    const userId = mfaService.verifyChallenge(req.body.challengeToken, MFA_CHALLENGES.SETUP);
+    const user = userId && await loadActiveUser(userId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'El inicio de sesión ha caducado. Vuelve a empezar' });
+    }
+
+    res.json(await mfaService.startEnrollment(user));
+
+  } catch (error) {
+    console.error('Error en loginSetupTwoFactor:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/login/2fa/confirm - Confirma el alta obligatoria y completa el login
+export async function loginConfirmTwoFactor(req, res) {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const userId = mfaService.verifyChallenge(challengeToken, MFA_CHALLENGES.SETUP);
+    const user = userId && await loadActiveUser(userId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'El inicio de sesión ha caducado. Vuelve a empezar' });
+    }
+
+    const recoveryCodes = await mfaService.confirmEnrollment(user, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Código incorrecto' });
+    }
+
+    await sendSession({ ...user, totp_enabled: true }, req, res, { recoveryCodes });
+
+  } catch (error) {
+    console.error('Error en loginConfirmTwoFactor:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/2fa/setup - Empezar el alta del doble factor
+export async function setupTwoFactor(req, res) {
+  try {
+    if (req.user.totp_enabled) {
+      return res.status(400).json({ error: 'El doble factor ya está activado' });
+    }
+
+    res.json(await mfaService.startEnrollment(req.user));
+
+  } catch (error) {
+    console.error('Error en setupTwoFactor:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/2fa/confirm - Activar con el primer código
+export async function confirmTwoFactor(req, res) {
+  try {
+    const recoveryCodes = await mfaService.confirmEnrollment(req.user, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Código incorrecto o alta no iniciada' });
+    }
+
+    // Las sesiones abiertas sin doble factor se cierran
+    await sessionService.revokeAll(req.user.id, 'mfa_enabled', { exceptSessionId: req.sessionId });
+
+    res.json({
+      message: 'Doble factor activado. Guarda los códigos de recuperación: no se volverán a mostrar',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error en confirmTwoFactor:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/2fa/disable
+export async function disableTwoFactor(req, res) {
+  try {
+    const { password, code } = req.body;
+
+    if (mfaService.isRequired(req.user)) {
+      return res.status(403).json({ error: 'El doble factor es obligatorio para tu cuenta' });
+    }
+
+    if (!req.user.totp_enabled) {
+      return res.status(400).json({ error: 'El doble factor no está activado' });
+    }
+
+    const isValidPassword = password && req.user.password_hash &&
+      await bcrypt.compare(password, req.user.password_hash);
+
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'La contraseña no es correcta' });
+    }
+
+    const { ok, locked } = await mfaService.verifyLogin(req.user, { code });
+
+    if (locked) {
+      return res.status(429).json({ error: 'Demasiados intentos fallidos. Inténtalo más tarde' });
+    }
+
+    if (!ok) {
+      return res.status(401).json({ error: 'Código incorrecto' });
+    }
+
+    await mfaService.disable(req.user.id);
+
+    res.json({ message: 'Doble factor desactivado' });
+
+  } catch (error) {
+    console.error('Error en disableTwoFactor:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// POST /api/auth/2fa/recovery-codes - Generar códigos de recuperación nuevos
+export async function regenerateRecoveryCodes(req, res) {
+  try {
+    if (!req.user.totp_enabled) {
+      return res.status(400).json({ error: 'El doble factor no está activado' });
+    }
+
+    const { ok, locked } = await mfaService.verifyLogin(req.user, { code: req.body.code });
+
+    if (locked) {
+      return res.status(429).json({ error: 'Demasiados intentos fallidos. Inténtalo más tarde' });
+    }
+
+    if (!ok) {
+      return res.status(401).json({ error: 'Código incorrecto' });
+    }
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Códigos nuevos generados. Los anteriores ya no sirven',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error en regenerateRecoveryCodes:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
@@ -1,40 +1,135 @@
 import { supabase } from '../config/database.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from '../services/auditService.js';
+import trashService from '../services/trashService.js';
+import noShowPolicyService from '../services/noShowPolicyService.js';
+import customerService, { DEFAULT_MIN_SCORE } from '../services/customerService.js';
+import phoneService from '../services/phoneService.js';
+import consentService, { CONSENT_SOURCES } from '../services/consentService.js';
+import segmentService from '../services/segmentService.js';
 
 // ================================================================
 // GET ALL CUSTOMERS
 // ================================================================
+/**
+ * Filtros comunes del listado y la exportación:
+ * ?search=&is_vip=true&tag=&segment=<id de segmento guardado>&sort_by=
+ * @returns {Promise<object>} { customers } o { status, error }
+ */
+async function findCustomers(req) {
+  const businessId = req.business.id;
+  const { search, is_vip, tag, segment, sort_by = 'name' } = req.query;
+
+  let query = supabase
+    .from('customers')
+    .select('*')
+    .eq('restaurant_id', businessId)
+    .is('deleted_at', null)
+    .order(sort_by, { ascending: true });
+
+  // Filtrar por búsqueda (nombre, teléfono, email)
+  if (search) {
+    query = query.or(`name.ilike.%${search}%,phone.ilike.%${search}%,email.ilike.%${search}%`);
+  }
+
+  // Filtrar por VIP
+  if (is_vip === 'true') {
+    query = query.eq('is_vip', true);
+  }
+
+  // Filtrar por etiqueta
+  if (tag) {
+    query = query.contains('tags', [tag.trim().toLowerCase()]);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error obteniendo clientes:', error);
+    return { status: 500, error: 'Error obteniendo clientes' };
+  }
+
+  if (!segment) return { customers: data };
+
+  // Segmento guardado: sus reglas se evalúan ahora, sobre los clientes actuales
+  const members = await segmentService.getMembers(businessId, segment);
+
+  if (!members) {
+    return { status: 404, error: 'Segmento no encontrado' };
+  }
+
+  const memberIds = new Set(members.map(c => c.id));
+  return { customers: data.filter(customer => memberIds.has(customer.id)) };
+}
+
 export async function getCustomers(req, res) {
   try {
-    const businessId = req.business.id;
-    const { search, is_vip, sort_by = 'name' } = req.query;
+    const result = await findCustomers(req);
 
-    let query = supabase
-      .from('customers')
-      .select('*')
-      .eq('restaurant_id', businessId)
-      .order(sort_by, { ascending: true });
-
-    // Filtrar por búsqueda (nombre, teléfono, email)
-    if (search) {
-      query = query.or(`name.ilike.%${search}%,phone.ilike.%${search}%,email.ilike.%${search}%`);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Filtrar por VIP
-    if (is_vip === 'true') {
-      query = query.eq('is_vip', true);
-    }
+    // Aviso al personal según la política de no-shows del negocio
+    const customers = result.customers.map(customer => ({
+      ...customer,
+      no_show_flag: noShowPolicyService.evaluate(customer, req.business.config).flagged
+    }));
 
-    const { data, error } = await query;
+    res.json({ customers });
 
-    if (error) {
-      console.error('Error obteniendo clientes:', error);
-      return res.status(500).json({ error: 'Error obteniendo clientes' });
+  } catch (error) {
+    console.error('Error en getCustomers:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// ================================================================
+// EXPORTAR CLIENTES (CSV)
+// ================================================================
+const EXPORT_COLUMNS = [
+  ['name', 'Nombre'],
+  ['phone', 'Teléfono'],
+  ['email', 'Email'],
+  ['tags', 'Etiquetas'],
+  ['is_vip', 'VIP'],
+  ['birth_date', 'Fecha de nacimiento'],
+  ['total_visits', 'Visitas'],
+  ['no_show_count', 'No-shows'],
+  ['first_visit_at', 'Primera visita'],
+  ['last_visit_at', 'Última visita'],
+];
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(', ') : typeof value === 'boolean' ? (value ? 'Sí' : 'No') : String(value);
+  return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exporta el listado con los mismos filtros que GET /api/customers (incluido ?segment=)
+ * GET /api/customers/export
+ */
+export async function exportCustomers(req, res) {
+  try {
+    const result = await findCustomers(req);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    res.json({ customers: data });
+    const rows = result.customers
+      .filter(customer => !customer.anonymized_at)
+      .map(customer => EXPORT_COLUMNS.map(([key]) => toCsvValue(customer[key])).join(','));
+
+    const csv = [EXPORT_COLUMNS.map(([, label]) => label).join(','), ...rows].join('\n');
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="clientes-${new Date().toISOString().slice(0, 10)}.csv"`);
+    // BOM para que Excel reconozca los acentos
+    res.send(`\uFEFF${csv}`);
 
   } catch (error) {
-    console.error('Error en getCustomers:', error);
+    console.error('Error en exportCustomers:', error);
     res.status(500).json({ error: 'Error en el servidor' });
   }
 }
@@ -56,6 +151,7 @@ export async function getCustomer(req, res) {
       `)
       .eq('id', customerId)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .single();
 
     if (customerError || !customer) {
@@ -66,8 +162,9 @@ export async function getCustomer(req, res) {
     const { data: appointments, error: appointmentsError } = await supabase
       .from('appointments')
       .select('*')
-      .eq('client_phone', customer.phone)
+      .eq('customer_id', customer.id)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .order('scheduled_date', { ascending: false })
       .limit(10);
 
@@ -82,6 +179,23 @@ export async function getCustomer(req, res) {
   }
 }
 
+/**
+ * Etiquetas y fecha de nacimiento (usadas por los segmentos)
+ * @returns {string|null} mensaje de error
+ */
+function validateSegmentFields({ tags, birth_date }) {
+  if (tags !== undefined && tags !== null) {
+    const { error } = segmentService.normalizeTags(tags);
+    if (error) return error;
+  }
+
+  if (birth_date && (!/^\d{4}-\d{2}-\d{2}$/.test(birth_date) || isNaN(new Date(birth_date)))) {
+    return 'La fecha de nacimiento debe tener el formato YYYY-MM-DD';
+  }
+
+  return null;
+}
+
 // ================================================================
 // CREATE CUSTOMER
 // ================================================================
@@ -94,6 +208,8 @@ export async function createCustomer(req, res) {
       email,
       notes,
       preferences,
+      tags,
+      birthDate,
     } = req.body;
 
     // Validaciones
@@ -103,17 +219,30 @@ export async function createCustomer(req, res) {
       });
     }
 
+    const fieldsError = validateSegmentFields({ tags, birth_date: birthDate });
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    const parsedPhone = phoneService.parse(phone, req.business);
+
+    if (!parsedPhone.success) {
+      return res.status(parsedPhone.status).json(parsedPhone.body);
+    }
+
     // Verificar si ya existe un cliente con ese teléfono
     const { data: existingCustomer } = await supabase
       .from('customers')
-      .select('id')
+      .select('id, deleted_at')
       .eq('restaurant_id', businessId)
-      .eq('phone', phone)
+      .eq('phone', parsedPhone.phone)
       .single();
 
     if (existingCustomer) {
       return res.status(400).json({ 
-        error: 'Ya existe un cliente con ese teléfono' 
+        error: existingCustomer.deleted_at
+          ? 'Ya existe un cliente con ese teléfono en la papelera: restáuralo en lugar de crearlo de nuevo'
+          : 'Ya existe un cliente con ese teléfono' 
       });
     }
 
@@ -123,9 +252,11 @@ export async function createCustomer(req, res) {
       .insert({
         restaurant_id: businessId,
         name,
-        phone,
+        phone: parsedPhone.phone,
         email: email || null,
         notes: notes || null,
+        tags: tags ? segmentService.normalizeTags(tags).tags : [],
+        birth_date: birthDate || null,
         is_vip: false,
         total_visits: 0,
         first_visit_at: new Date().toISOString(),
@@ -169,15 +300,34 @@ export async function updateCustomer(req, res) {
     // Verificar que el cliente pertenezca al negocio
     const { data: customer, error: checkError } = await supabase
       .from('customers')
-      .select('id')
+      .select('*')
       .eq('id', customerId)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .single();
 
     if (checkError || !customer) {
       return res.status(404).json({ error: 'Cliente no encontrado' });
     }
 
+    if (updateData.phone !== undefined) {
+      const parsedPhone = phoneService.parse(updateData.phone, req.business);
+
+      if (!parsedPhone.success) {
+        return res.status(parsedPhone.status).json(parsedPhone.body);
+      }
+      updateData.phone = parsedPhone.phone;
+    }
+
+    const fieldsError = validateSegmentFields(updateData);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    if (updateData.tags !== undefined) {
+      updateData.tags = updateData.tags === null ? [] : segmentService.normalizeTags(updateData.tags).tags;
+    }
+
     // Actualizar cliente
     const { data, error } = await supabase
       .from('customers')
@@ -194,6 +344,15 @@ export async function updateCustomer(req, res) {
       return res.status(500).json({ error: 'Error actualizando cliente' });
     }
 
+    await auditService.record(req, {
+      businessId,
+      entityType: AUDIT_ENTITIES.CUSTOMER,
+      entityId: customerId,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: customer,
+      after: data
+    });
+
     res.json({ customer: data });
 
   } catch (error) {
@@ -213,27 +372,26 @@ export async function deleteCustomer(req, res) {
     // Verificar que el cliente pertenezca al negocio
     const { data: customer, error: checkError } = await supabase
       .from('customers')
-      .select('id')
+      .select('*')
       .eq('id', customerId)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .single();
 
     if (checkError || !customer) {
       return res.status(404).json({ error: 'Cliente no encontrado' });
     }
 
-    // Eliminar cliente (esto puede fallar si tiene citas)
-    const { error } = await supabase
-      .from('customers')
-      .delete()
-      .eq('id', customerId);
+    // A la papelera: sus citas e historial se conservan
+    const [deleted] = await trashService.softDelete('customers', businessId, [customerId], req.user?.id);
 
-    if (error) {
-      console.error('Error eliminando cliente:', error);
-      return res.status(500).json({ 
-        error: 'Error eliminando cliente. Puede tener citas asociadas.' 
-      });
-    }
+    await auditService.record(req, {
+      businessId,
+      entityType: AUDIT_ENTITIES.CUSTOMER,
+      entityId: customerId,
+      action: AUDIT_ACTIONS.DELETE,
+      changes: { deleted_at: { from: null, to: deleted?.deleted_at || null } }
+    });
 
     res.json({ message: 'Cliente eliminado correctamente' });
 
@@ -257,6 +415,7 @@ export async function toggleVipStatus(req, res) {
       .select('is_vip')
       .eq('id', customerId)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .single();
 
     if (getError || !customer) {
@@ -279,6 +438,15 @@ export async function toggleVipStatus(req, res) {
       return res.status(500).json({ error: 'Error actualizando estado VIP' });
     }
 
+    await auditService.record(req, {
+      businessId,
+      entityType: AUDIT_ENTITIES.CUSTOMER,
+      entityId: customerId,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: customer,
+      after: data
+    });
+
     res.json({ customer: data });
 
   } catch (error) {
@@ -298,13 +466,15 @@ export async function getCustomerStats(req, res) {
     const { count: totalCustomers, error: totalError } = await supabase
       .from('customers')
       .select('*', { count: 'exact', head: true })
-      .eq('restaurant_id', businessId);
+      .eq('restaurant_id', businessId)
+      .is('deleted_at', null);
 
     // Clientes VIP
     const { count: vipCustomers, error: vipError } = await supabase
       .from('customers')
       .select('*', { count: 'exact', head: true })
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .eq('is_vip', true);
 
     // Nuevos clientes este mes
@@ -316,6 +486,7 @@ export async function getCustomerStats(req, res) {
       .from('customers')
       .select('*', { count: 'exact', head: true })
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('first_visit_at', startOfMonth.toISOString());
 
     if (totalError || vipError || newError) {
@@ -348,6 +519,7 @@ export async function getCustomerProfile(req, res) {
       .select('*')
       .eq('id', customerId)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .single();
 
     if (customerError || !customer) {
@@ -368,9 +540,10 @@ export async function getCustomerProfile(req, res) {
         notes,
         created_at
       `)
-      .eq('client_phone', customer.phone)
+      .eq('customer_id', customer.id)
       .eq('restaurant_id', businessId)
-      .in('status', ['completada', 'confirmado', 'pendiente'])
+      .is('deleted_at', null)
+      .in('status', ['completada', 'en_mesa', 'confirmado', 'pendiente'])
       .order('scheduled_date', { ascending: false });
 
     if (appointmentsError) {
@@ -417,12 +590,153 @@ export async function getCustomerProfile(req, res) {
           amount: lastVisit.amount_paid
         } : null,
         firstVisit: customer.first_visit_at,
-        lastVisitDate: customer.last_visit_at
-      }
+        lastVisitDate: customer.last_visit_at,
+        noShows: customer.no_show_count || 0,
+        lateCancellations: customer.late_cancel_count || 0
+      },
+      policy: noShowPolicyService.evaluate(customer, req.business.config)
     });
 
   } catch (error) {
     console.error('Error en getCustomerProfile:', error);
     res.status(500).json({ error: 'Error en el servidor' });
   }
-};
\ No newline at end of file
+};
+
+// ================================================================
+// DUPLICADOS
+// ================================================================
+/**
+ * Posibles clientes duplicados (teléfono normalizado, email y nombre parecido)
+ * GET /api/customers/duplicates?customerId=&min_score=50
+ */
+export async function getDuplicateCustomers(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { customerId, min_score } = req.query;
+    const minScore = parseInt(min_score) || DEFAULT_MIN_SCORE;
+
+    const duplicates = await customerService.findDuplicates(businessId, { customerId, minScore });
+
+    if (duplicates === null) {
+      return res.status(404).json({ error: 'Cliente no encontrado' });
+    }
+
+    res.json({ duplicates, minScore });
+
+  } catch (error) {
+    console.error('Error en getDuplicateCustomers:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// ================================================================
+// FUSIONAR CLIENTES
+// ================================================================
+/**
+ * Fusiona duplicados en el cliente indicado
+ * POST /api/customers/:customerId/merge
+ * Body: { duplicateIds: [...] }
+ */
+export async function mergeCustomers(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { customerId } = req.params;
+    const { duplicateIds } = req.body;
+
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ error: 'duplicateIds debe ser una lista de clientes' });
+    }
+
+    const result = await customerService.merge(req, businessId, customerId, duplicateIds);
+
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.json({
+      message: 'Clientes fusionados correctamente',
+      customer: result.customer,
+      moved: result.moved
+    });
+
+  } catch (error) {
+    console.error('Error en mergeCustomers:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+// ================================================================
+// CONSENTIMIENTO DE COMUNICACIONES COMERCIALES
+// ================================================================
+async function findCustomer(businessId, customerId) {
+  const { data } = await supabase
+    .from('customers')
+    .select('id, anonymized_at')
+    .eq('id', customerId)
+    .eq('restaurant_id', businessId)
+    .single();
+
+  return data;
+}
+
+/**
+ * GET /api/customers/:customerId/consents
+ */
+export async function getCustomerConsents(req, res) {
+  try {
+    const customer = await findCustomer(req.business.id, req.params.customerId);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Cliente no encontrado' });
+    }
+
+    res.json({ consents: await consentService.getConsents(customer.id) });
+
+  } catch (error) {
+    console.error('Error en getCustomerConsents:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
+
+/**
+ * Registra el consentimiento que el cliente ha dado en persona o por teléfono
+ * PUT /api/customers/:customerId/consents
+ * Body: { consents: { email: true, whatsapp: false }, policyVersion? }
+ */
+export async function updateCustomerConsents(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { consents, policyVersion } = req.body;
+
+    const parsedConsent = consentService.parseChoices(consents);
+
+    if (parsedConsent.error || !parsedConsent.consents) {
+      return res.status(400).json({ error: parsedConsent.error || 'Indica al menos un canal' });
+    }
+
+    const customer = await findCustomer(businessId, req.params.customerId);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Cliente no encontrado' });
+    }
+
+    if (customer.anonymized_at) {
+      return res.status(409).json({ error: 'El cliente está anonimizado' });
+    }
+
+    await consentService.record(req, {
+      businessId,
+      customerId: customer.id,
+      consents: parsedConsent.consents,
+      source: CONSENT_SOURCES.MANUAL,
+      policyVersion: policyVersion || consentService.getPolicyVersion(req.business.config)
+    });
+
+    res.json({ consents: await consentService.getConsents(customer.id) });
+
+  } catch (error) {
+    console.error('Error en updateCustomerConsents:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
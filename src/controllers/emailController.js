@@ -1,5 +1,7 @@
-import emailService from '../services/emailService.js';
+import notificationService, { NOTIFICATION_TYPES } from '../services/notificationService.js';
 import { supabase } from '../config/database.js';
+import manageBookingService from '../services/manageBookingService.js';
+import reminderService from '../services/reminderService.js';
 
 /**
  * Enviar email de confirmación de cita
@@ -25,6 +27,7 @@ export async function sendConfirmationEmail(req, res) {
           phone,
           address,
           email,
+          slug,
           business_type
         ),
         appointment_services (
@@ -37,6 +40,7 @@ export async function sendConfirmationEmail(req, res) {
         )
       `)
       .eq('id', appointmentId)
+      .is('deleted_at', null)
       .single();
 
     if (error || !appointment) {
@@ -80,13 +84,36 @@ export async function sendConfirmationEmail(req, res) {
       total_duration: appointment.duration_minutes,
       appointment_id: appointment.id,
       is_restaurant: isRestaurant, // ✅ AÑADIR
-      party_size: appointment.party_size // ✅ AÑADIR
+      party_size: appointment.party_size, // ✅ AÑADIR
+      manage_url: manageBookingService.getManageUrl({
+        appointmentId: appointment.id,
+        businessId: appointment.restaurant_id,
+        slug: appointment.restaurants.slug
+      })
     };
 
     console.log('[EmailService] 📧 Datos del email:', JSON.stringify(emailData, null, 2));
 
-    // Enviar email
-    await emailService.sendAppointmentConfirmation(emailData);
+    // Enviar email a través del outbox (si falla, el worker lo reintenta)
+    const notification = await notificationService.enqueue({
+      businessId: appointment.restaurant_id,
+      appointmentId: appointment.id,
+      type: NOTIFICATION_TYPES.APPOINTMENT_CONFIRMATION,
+      channel: 'email',
+      recipient: emailData.customer_email,
+      payload: emailData
+    });
+
+    const result = await notificationService.process(notification);
+
+    if (result?.status !== 'sent') {
+      return res.status(202).json({
+        success: false,
+        message: 'No se pudo enviar ahora; se reintentará automáticamente',
+        notification_id: notification.id,
+        last_error: result?.last_error || null
+      });
+    }
 
     // Actualizar que se envió confirmación
     await supabase
@@ -98,7 +125,8 @@ export async function sendConfirmationEmail(req, res) {
 
     res.json({
       success: true,
-      message: 'Email de confirmación enviado correctamente'
+      message: 'Email de confirmación enviado correctamente',
+      notification_id: notification.id
     });
 
   } catch (error) {
@@ -115,105 +143,18 @@ export async function sendConfirmationEmail(req, res) {
 /**
  * Enviar recordatorios pendientes (cron job)
  * POST /api/emails/send-reminders
+ * Misma lógica que /api/public/cron/run-reminders (política config.reminders de cada negocio)
  */
 export async function sendPendingReminders(req, res) {
   try {
     console.log('[Email] Iniciando envío de recordatorios...');
 
-    // Calcular fecha/hora 24h en el futuro
-    const tomorrow = new Date();
-    tomorrow.setHours(tomorrow.getHours() + 24);
-
-    console.log('[Email] Buscando citas para:', tomorrow);
-
-    // Buscar citas que necesitan recordatorio
-    const { data: appointments, error } = await supabase
-      .from('appointments')
-      .select(`
-        *,
-        customers (
-          name,
-          email,
-          phone
-        ),
-        restaurants (
-          name,
-          phone,
-          address,
-          email,
-          business_type
-        ),
-        appointment_services (
-          service_name,
-          duration_minutes,
-          services (
-            name,
-            duration_minutes
-          )
-        )
-      `)
-      .eq('status', 'confirmado')
-      .is('reminder_sent_at', null)
-      .gte('appointment_time', tomorrow.toISOString())
-      .lte('appointment_time', new Date(tomorrow.getTime() + 2 * 60 * 60 * 1000).toISOString());
-
-    if (error) throw error;
-
-    if (!appointments || appointments.length === 0) {
-      console.log('[Email] No hay citas para recordar');
-      return res.json({ success: true, sent: 0 });
-    }
-
-    console.log(`[Email] Enviando ${appointments.length} recordatorios...`);
-
-    let sent = 0;
-    for (const appointment of appointments) {
-      if (!appointment.customers?.email) continue;
-
-      try {
-        const appointmentTimeObj = new Date(appointment.appointment_time);
-        const timeString = appointmentTimeObj.toLocaleTimeString('es-ES', {
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: false
-        });
-
-        const isRestaurant = appointment.restaurants.business_type === 'restaurant';
-        
-        const services = appointment.appointment_services.map(as => ({
-          name: as.service_name || as.services?.name || 'Servicio',
-          duration_minutes: as.duration_minutes || as.services?.duration_minutes || 60
-        }));
-
-        await emailService.sendAppointmentReminder({
-          customer_email: appointment.customers.email,
-          customer_name: appointment.customers.name,
-          appointment_date: appointment.scheduled_date,
-          appointment_time: timeString,
-          services,
-          business_name: appointment.restaurants.name,
-          business_phone: appointment.restaurants.phone,
-          business_address: appointment.restaurants.address,
-          appointment_id: appointment.id,
-          is_restaurant: isRestaurant,
-          party_size: appointment.party_size
-        });
-
-        await supabase
-          .from('appointments')
-          .update({ reminder_sent_at: new Date().toISOString() })
-          .eq('id', appointment.id);
-
-        sent++;
-      } catch (emailError) {
-        console.error(`[Email] Error enviando recordatorio para ${appointment.id}:`, emailError);
-      }
-    }
+    const { stats } = await reminderService.runReminders();
 
-    res.json({ success: true, sent });
+    res.json({ success: true, ...stats });
 
   } catch (error) {
     console.error('[Email] Error en sendPendingReminders:', error);
     res.status(500).json({ error: 'Error al enviar recordatorios' });
   }
-};
\ No newline at end of file
+};
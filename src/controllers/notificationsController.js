@@ -0,0 +1,89 @@
+import { supabase } from '../config/database.js';
+import notificationService from '../services/notificationService.js';
+
+/**
+ * Notificaciones (outbox) de una cita
+ * GET /api/appointments/:appointmentId/notifications?status=failed
+ */
+export async function getAppointmentNotifications(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { appointmentId } = req.params;
+    const { status } = req.query;
+
+    let query = supabase
+      .from('notifications')
+      .select('id, type, channel, recipient, status, attempts, max_attempts, last_error, next_attempt_at, sent_at, created_at')
+      .eq('restaurant_id', businessId)
+      .eq('appointment_id', appointmentId)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ notifications: data || [] });
+  } catch (error) {
+    console.error('[Outbox] GET Error:', error);
+    res.status(500).json({ error: 'Error al obtener las notificaciones' });
+  }
+}
+
+/**
+ * Reenviar una notificación fallida
+ * POST /api/appointments/:appointmentId/notifications/:notificationId/resend
+ */
+export async function resendNotification(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { appointmentId, notificationId } = req.params;
+
+    const { data: notification, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .eq('id', notificationId)
+      .eq('appointment_id', appointmentId)
+      .eq('restaurant_id', businessId)
+      .single();
+
+    if (error || !notification) {
+      return res.status(404).json({ error: 'Notificación no encontrada' });
+    }
+
+    if (notification.status !== 'failed') {
+      return res.status(400).json({ error: 'Sólo se pueden reenviar notificaciones fallidas' });
+    }
+
+    const result = await notificationService.resend(notification);
+
+    if (result?.status !== 'sent') {
+      return res.status(502).json({
+        error: 'El reenvío ha fallado; se seguirá reintentando automáticamente',
+        notification: result
+      });
+    }
+
+    res.json({ message: 'Notificación reenviada correctamente', notification: result });
+  } catch (error) {
+    console.error('[Outbox] Resend Error:', error);
+    res.status(500).json({ error: 'Error al reenviar la notificación' });
+  }
+}
+
+/**
+ * Cron: procesar la cola de notificaciones pendientes
+ * POST /api/public/cron/process-notifications
+ */
+export async function processNotifications(req, res) {
+  try {
+    const stats = await notificationService.processPending();
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('[Outbox] Cron Error:', error);
+    res.status(500).json({ error: 'Error procesando notificaciones' });
+  }
+}
@@ -0,0 +1,162 @@
+import { supabase } from '../config/database.js';
+import paymentService, { PAYMENT_TYPES } from '../services/paymentService.js';
+import { APPOINTMENT_STATUSES } from '../services/appointmentStatusService.js';
+
+async function loadAppointment(businessId, appointmentId) {
+  const { data } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('id', appointmentId)
+    .eq('restaurant_id', businessId)
+    .is('deleted_at', null)
+    .single();
+
+  return data;
+}
+
+/**
+ * Libro de pagos y saldo de una cita
+ * GET /api/appointments/:appointmentId/payments
+ */
+export async function getAppointmentPayments(req, res) {
+  try {
+    const appointment = await loadAppointment(req.business.id, req.params.appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({ error: 'Cita no encontrada' });
+    }
+
+    const summary = await paymentService.getSummary(appointment);
+
+    res.json(summary);
+  } catch (error) {
+    console.error('[Payments] GET Error:', error);
+    res.status(500).json({ error: 'Error al obtener los pagos' });
+  }
+}
+
+/**
+ * Registrar un cobro o depósito (efectivo, tarjeta o transferencia)
+ * POST /api/appointments/:appointmentId/payments
+ * Body: { type: 'deposit'|'payment', method, amount, notes }
+ */
+export async function createPayment(req, res) {
+  try {
+    const appointment = await loadAppointment(req.business.id, req.params.appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({ error: 'Cita no encontrada' });
+    }
+
+    const { type, method, amount, notes } = req.body;
+    const result = await paymentService.recordPayment(req, appointment, { type, method, amount, notes });
+
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(201).json({ payment: result.payment, summary: result.summary });
+  } catch (error) {
+    console.error('[Payments] Create Error:', error);
+    res.status(500).json({ error: 'Error al registrar el pago' });
+  }
+}
+
+/**
+ * Devolver un cobro (total o parcial)
+ * POST /api/appointments/:appointmentId/payments/:paymentId/refund
+ * Body: { amount?, notes? } — sin amount se devuelve lo que quede
+ */
+export async function refundPayment(req, res) {
+  try {
+    const appointment = await loadAppointment(req.business.id, req.params.appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({ error: 'Cita no encontrada' });
+    }
+
+    const { amount, notes } = req.body || {};
+    const result = await paymentService.refund(req, appointment, req.params.paymentId, { amount, notes });
+
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(201).json({ payment: result.payment, summary: result.summary });
+  } catch (error) {
+    console.error('[Payments] Refund Error:', error);
+    res.status(500).json({ error: 'Error al devolver el pago' });
+  }
+}
+
+/**
+ * Enlace de pago online para lo que quede por cobrar (o el depósito pendiente)
+ * POST /api/appointments/:appointmentId/payments/checkout
+ * Body: { amount? }
+ */
+export async function createCheckout(req, res) {
+  try {
+    const appointment = await loadAppointment(req.business.id, req.params.appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({ error: 'Cita no encontrada' });
+    }
+
+    if ([APPOINTMENT_STATUSES.CANCELLED, APPOINTMENT_STATUSES.NO_SHOW].includes(appointment.status)) {
+      return res.status(400).json({ error: 'No se puede cobrar una cita cancelada o no presentada' });
+    }
+
+    const summary = await paymentService.getSummary(appointment);
+    const pendingDeposit = summary.depositPaid ? 0 : Math.max(0, summary.depositRequired - summary.net);
+    const amount = req.body?.amount !== undefined
+      ? parseFloat(req.body.amount)
+      : (pendingDeposit || summary.balanceDue);
+
+    if (!(amount > 0)) {
+      return res.status(400).json({ error: 'No hay importe pendiente de cobro' });
+    }
+
+    const { payment, checkoutUrl } = await paymentService.startCheckout(req, req.business, appointment, {
+      amount,
+      type: pendingDeposit > 0 ? PAYMENT_TYPES.DEPOSIT : PAYMENT_TYPES.PAYMENT
+    });
+
+    res.status(201).json({ payment, checkout_url: checkoutUrl });
+  } catch (error) {
+    console.error('[Payments] Checkout Error:', error);
+    res.status(500).json({ error: 'Error al crear el enlace de pago' });
+  }
+}
+
+/**
+ * Aviso del proveedor de pagos
+ * POST /api/public/payments/webhook/:provider
+ */
+export async function paymentWebhook(req, res) {
+  try {
+    const result = await paymentService.handleWebhook(req.params.provider, req);
+
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.json({ received: true, duplicate: !!result.duplicate });
+  } catch (error) {
+    console.error('[Payments] Webhook Error:', error);
+    res.status(400).json({ error: 'Aviso de pago no válido' });
+  }
+}
+
+/**
+ * Cron: liberar reservas retenidas cuyo depósito no llegó a tiempo
+ * POST /api/public/cron/release-payment-holds
+ */
+export async function releasePaymentHolds(req, res) {
+  try {
+    const stats = await paymentService.releaseExpiredHolds();
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('[Payments] Cron Error:', error);
+    res.status(500).json({ error: 'Error liberando reservas retenidas' });
+  }
+}
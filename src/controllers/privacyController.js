@@ -0,0 +1,79 @@
+import privacyService from '../services/privacyService.js';
+
+/**
+ * Exportar todos los datos de un cliente (derecho de acceso / portabilidad)
+ * GET /api/customers/:customerId/export?format=json|zip
+ */
+export async function exportCustomerData(req, res) {
+  try {
+    const { customerId } = req.params;
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ error: 'format debe ser json o zip' });
+    }
+
+    const result = await privacyService.exportData(req, req.business.id, customerId);
+
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    const filename = `cliente-${customerId}-${result.bundle.exported_at.slice(0, 10)}`;
+
+    if (format === 'zip') {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+      return res.send(privacyService.toZip(result.bundle));
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(result.bundle);
+  } catch (error) {
+    console.error('[Privacy] Export Error:', error);
+    res.status(500).json({ error: 'Error al exportar los datos del cliente' });
+  }
+}
+
+/**
+ * Suprimir los datos personales de un cliente (anonimización irreversible)
+ * POST /api/customers/:customerId/erase
+ * Body: { confirm: true, reason? }
+ */
+export async function eraseCustomerData(req, res) {
+  try {
+    const { customerId } = req.params;
+    const { confirm, reason } = req.body || {};
+
+    if (confirm !== true) {
+      return res.status(400).json({
+        error: 'La anonimización no se puede deshacer. Envía confirm: true para continuar.'
+      });
+    }
+
+    const result = await privacyService.erase(req, req.business.id, customerId, { reason: reason || null });
+
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.json({ message: 'Datos del cliente anonimizados correctamente', summary: result.summary });
+  } catch (error) {
+    console.error('[Privacy] Erase Error:', error);
+    res.status(500).json({ error: 'Error al anonimizar los datos del cliente' });
+  }
+}
+
+/**
+ * Registro de solicitudes de exportación y supresión
+ * GET /api/customers/privacy-requests
+ */
+export async function getPrivacyRequests(req, res) {
+  try {
+    const requests = await privacyService.listRequests(req.business.id, { limit: req.query.limit });
+    res.json({ requests });
+  } catch (error) {
+    console.error('[Privacy] GET Error:', error);
+    res.status(500).json({ error: 'Error al obtener las solicitudes' });
+  }
+}
@@ -1,5 +1,6 @@
 import { supabase } from '../config/database.js';
-import { tableAssignmentEngine } from '../services/restaurant/tableAssignmentEngine.js';
+import bookingService from '../services/bookingService.js';
+import appointmentStatusService from '../services/appointmentStatusService.js';
 
 /**
  * Obtener todas las reservas/citas
@@ -28,6 +29,7 @@ export async function getReservations(req, res) {
         )
       `)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .order('appointment_time', { ascending: true });
 
     if (date) {
@@ -35,7 +37,7 @@ export async function getReservations(req, res) {
     }
 
     if (status) {
-      query = query.eq('status', status);
+      query = query.eq('status', bookingService.normalizeStatus(status));
     }
 
     const { data: appointments, error } = await query;
@@ -80,6 +82,7 @@ export async function getTodayReservations(req, res) {
         )
       `)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', today)
       .lt('scheduled_date', new Date(Date.now() + 86400000).toISOString().split('T')[0])
       .order('appointment_time', { ascending: true });
@@ -99,6 +102,7 @@ export async function getTodayReservations(req, res) {
 
 /**
  * Crear nueva reserva/cita
+ * Compatibilidad con el formato antiguo de reservas: pasa por el mismo pipeline que createAppointment
  */
 export async function createReservation(req, res) {
   try {
@@ -125,146 +129,52 @@ export async function createReservation(req, res) {
       });
     }
 
-    // Verificar si es restaurante
-    const { data: business } = await supabase
-      .from('restaurants')
-      .select('business_type')
-      .eq('id', businessId)
-      .single();
-
-    const isRestaurant = business?.business_type === 'restaurant';
-
-    let finalCustomerId = customerId;
+    if (!customerId && (!customerName || !customerPhone)) {
+      return res.status(400).json({ 
+        error: 'Nombre y teléfono del cliente son requeridos' 
+      });
+    }
 
-    // Crear o buscar cliente
-    if (!finalCustomerId) {
-      if (!customerName || !customerPhone) {
-        return res.status(400).json({ 
-          error: 'Nombre y teléfono del cliente son requeridos' 
-        });
-      }
+    const business = await bookingService.getBusiness(businessId);
 
-      const { data: existingCustomer } = await supabase
-        .from('customers')
-        .select('id')
-        .eq('restaurant_id', businessId)
-        .eq('phone', customerPhone)
-        .single();
-
-      if (existingCustomer) {
-        finalCustomerId = existingCustomer.id;
-      } else {
-        const { data: newCustomer, error: customerError } = await supabase
-          .from('customers')
-          .insert({
-            restaurant_id: businessId,
-            name: customerName,
-            phone: customerPhone,
-            email: customerEmail,
-            first_visit_at: new Date().toISOString(),
-          })
-          .select()
-          .single();
-
-        if (customerError) {
-          console.error('Error creando cliente:', customerError);
-          return res.status(500).json({ error: 'Error creando cliente' });
-        }
-
-        finalCustomerId = newCustomer.id;
-      }
+    if (!business) {
+      return res.status(500).json({ error: 'Error cargando configuración del negocio' });
     }
 
-    // Asignación automática de mesa (solo para restaurantes)
-    let assignedTableId = tableId;
-    let assignmentReason = null;
-
-    if (isRestaurant && !tableId) {
-      console.log('[Reservation] Asignando mesa automáticamente...');
-      
-      const assignmentResult = await tableAssignmentEngine.findBestTable({
-        restaurantId: businessId,
-        date: reservationDate,
-        time: reservationTime,
-        partySize: parseInt(partySize),
-        duration: 90,
-        preference: tablePreference,
-      });
+    const servicesList = bookingService.buildServicesList({
+      serviceId,
+      serviceName: 'Reserva',
+      durationMinutes: 90
+    }, business.business_type === 'restaurant');
 
-      if (assignmentResult.success) {
-        assignedTableId = assignmentResult.table.id;
-        assignmentReason = assignmentResult.reason;
-        console.log('[Reservation] Mesa asignada:', assignmentReason);
-      } else {
-        console.warn('[Reservation] No se pudo asignar mesa:', assignmentResult.message);
-      }
+    if (!servicesList) {
+      return res.status(400).json({ error: 'Debe seleccionar al menos un servicio' });
     }
 
-    // Crear cita en appointments (no reservations)
-    const appointmentData = {
-      restaurant_id: businessId,
-      customer_id: finalCustomerId,
-      table_id: assignedTableId,
-      service_id: serviceId,
-      scheduled_date: new Date(reservationDate).toISOString(),
-      appointment_time: new Date(`${reservationDate}T${reservationTime}:00Z`).toISOString(),
-      client_name: customerName,
-      client_phone: customerPhone,
-      client_email: customerEmail,
-      service_name: specialRequests || 'Reserva',
-      duration_minutes: 90,
-      party_size: partySize,
-      special_occasion: specialOccasion,
+    const result = await bookingService.create(req, business, {
+      customerId,
+      clientName: customerName,
+      clientPhone: customerPhone,
+      clientEmail: customerEmail,
+      scheduledDate: reservationDate,
+      appointmentTime: reservationTime,
+      servicesList,
       notes: specialRequests,
+      partySize,
+      tableId,
+      tablePreference,
+      specialOccasion,
       status: 'pendiente',
       source,
-      created_by: req.user.id,
-    };
-
-    const { data: appointment, error } = await supabase
-      .from('appointments')
-      .insert(appointmentData)
-      .select(`
-        *,
-        customers (
-          id,
-          name,
-          phone,
-          email,
-          is_vip
-        ),
-        tables (
-          id,
-          table_number,
-          table_type,
-          capacity
-        )
-      `)
-      .single();
-
-    if (error) {
-      console.error('Error creando cita:', error);
-      return res.status(500).json({ error: 'Error creando cita' });
-    }
+    });
 
-    // Crear registro de asignación si hay mesa
-    if (assignedTableId && isRestaurant) {
-      await supabase
-        .from('table_assignments')
-        .insert({
-          appointment_id: appointment.id,
-          table_id: assignedTableId,
-          assigned_by: req.user.id,
-          assignment_type: tableId ? 'manual' : 'automatic',
-        });
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
     }
 
     res.status(201).json({ 
-      reservation: appointment, // Mantener nombre "reservation" para compatibilidad con frontend
-      tableAssignment: assignmentReason ? {
-        tableNumber: appointment.tables?.table_number,
-        reason: assignmentReason,
-      } : null,
+      reservation: result.appointment, // Mantener nombre "reservation" para compatibilidad con frontend
+      tableAssignment: result.tableAssignment,
     });
 
   } catch (error) {
@@ -280,57 +190,34 @@ export async function updateReservationStatus(req, res) {
   try {
     const businessId = req.business.id;
     const { reservationId } = req.params;
-    const { status } = req.body;
 
-    if (!status) {
+    if (!req.body.status) {
       return res.status(400).json({ error: 'Estado es requerido' });
     }
 
-    const validStatuses = ['pendiente', 'confirmado', 'completada', 'cancelada', 'no_show'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Estado inválido' });
-    }
+    // Los clientes antiguos aún envían los estados en inglés (confirmed, cancelled...)
+    const status = bookingService.normalizeStatus(req.body.status);
 
     // Verificar que la cita pertenece al restaurante
     const { data: existing } = await supabase
       .from('appointments')
-      .select('id')
+      .select('*')
       .eq('id', reservationId)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .single();
 
     if (!existing) {
       return res.status(404).json({ error: 'Cita no encontrada' });
     }
 
-    const updateData = { 
-      status,
-      updated_at: new Date().toISOString()
-    };
-
-    // Si se marca como confirmado, guardar timestamp
-    if (status === 'confirmado') {
-      updateData.confirmed_at = new Date().toISOString();
-    }
-
-    // Si se cancela, guardar timestamp
-    if (status === 'cancelada') {
-      updateData.cancelled_at = new Date().toISOString();
-    }
+    const result = await appointmentStatusService.transition(req, existing, status);
 
-    const { data, error } = await supabase
-      .from('appointments')
-      .update(updateData)
-      .eq('id', reservationId)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Error actualizando estado:', error);
-      return res.status(500).json({ error: 'Error actualizando estado' });
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
     }
 
-    res.json({ reservation: data });
+    res.json({ reservation: result.appointment });
 
   } catch (error) {
     console.error('Error en updateReservationStatus:', error);
@@ -350,6 +237,7 @@ export async function getReservationStats(req, res) {
       .from('appointments')
       .select('status, party_size')
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', today);
 
     if (error) {
@@ -409,6 +297,7 @@ export async function getCalendarReservations(req, res) {
         )
       `)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', startDate)
       .lte('scheduled_date', endDate)
       .order('appointment_time', { ascending: true });
@@ -0,0 +1,139 @@
+import segmentService, { SEGMENT_RULES } from '../services/segmentService.js';
+
+/**
+ * Etiquetas en uso, para autocompletar
+ * GET /api/customers/tags
+ */
+export async function getCustomerTags(req, res) {
+  try {
+    res.json({ tags: await segmentService.listTags(req.business.id) });
+  } catch (error) {
+    console.error('[Segments] Tags Error:', error);
+    res.status(500).json({ error: 'Error al obtener las etiquetas' });
+  }
+}
+
+/**
+ * Segmentos guardados con su número de miembros
+ * GET /api/customers/segments
+ */
+export async function getSegments(req, res) {
+  try {
+    const segments = await segmentService.list(req.business.id);
+    res.json({ segments, rules: SEGMENT_RULES });
+  } catch (error) {
+    console.error('[Segments] GET Error:', error);
+    res.status(500).json({ error: 'Error al obtener los segmentos' });
+  }
+}
+
+/**
+ * Prueba unas reglas sin guardarlas
+ * POST /api/customers/segments/preview
+ * Body: { rules }
+ */
+export async function previewSegment(req, res) {
+  try {
+    const { rules } = req.body;
+    const rulesError = segmentService.validateRules(rules);
+
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    const customers = await segmentService.evaluate(req.business.id, rules);
+
+    res.json({ count: customers.length, customers: customers.slice(0, 20) });
+  } catch (error) {
+    console.error('[Segments] Preview Error:', error);
+    res.status(500).json({ error: 'Error al calcular el segmento' });
+  }
+}
+
+/**
+ * POST /api/customers/segments
+ * Body: { name, description?, rules }
+ */
+export async function createSegment(req, res) {
+  try {
+    const result = await segmentService.save(req, req.business.id, null, req.body);
+
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(201).json({ segment: result.segment });
+  } catch (error) {
+    console.error('[Segments] POST Error:', error);
+    res.status(500).json({ error: 'Error al crear el segmento' });
+  }
+}
+
+/**
+ * PATCH /api/customers/segments/:segmentId
+ */
+export async function updateSegment(req, res) {
+  try {
+    const result = await segmentService.save(req, req.business.id, req.params.segmentId, req.body);
+
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.json({ segment: result.segment });
+  } catch (error) {
+    console.error('[Segments] PATCH Error:', error);
+    res.status(500).json({ error: 'Error al actualizar el segmento' });
+  }
+}
+
+/**
+ * DELETE /api/customers/segments/:segmentId
+ */
+export async function deleteSegment(req, res) {
+  try {
+    const deleted = await segmentService.remove(req, req.business.id, req.params.segmentId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Segmento no encontrado' });
+    }
+
+    res.json({ message: 'Segmento eliminado correctamente' });
+  } catch (error) {
+    console.error('[Segments] DELETE Error:', error);
+    res.status(500).json({ error: 'Error al eliminar el segmento' });
+  }
+}
+
+/**
+ * Envía una promoción a los miembros del segmento con consentimiento en el canal
+ * POST /api/customers/segments/:segmentId/campaigns
+ * Body: { channel: 'email'|'whatsapp', subject?, message }
+ */
+export async function sendSegmentCampaign(req, res) {
+  try {
+    const result = await segmentService.sendCampaign(req, req.business, req.params.segmentId, req.body);
+
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(201).json({ campaign: result.campaign, stats: result.stats });
+  } catch (error) {
+    console.error('[Segments] Campaign Error:', error);
+    res.status(500).json({ error: 'Error al enviar la campaña' });
+  }
+}
+
+/**
+ * GET /api/customers/campaigns
+ */
+export async function getCampaigns(req, res) {
+  try {
+    const campaigns = await segmentService.listCampaigns(req.business.id, { limit: req.query.limit });
+    res.json({ campaigns });
+  } catch (error) {
+    console.error('[Segments] Campaigns Error:', error);
+    res.status(500).json({ error: 'Error al obtener las campañas' });
+  }
+}
@@ -1,4 +1,6 @@
 import { supabase } from '../config/database.js';
+import trashService from '../services/trashService.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from '../services/auditService.js';
 
 // GET /api/services - Obtener todos los servicios
 export async function getServices(req, res) {
@@ -9,6 +11,7 @@ export async function getServices(req, res) {
       .from('services')
       .select('*')
       .eq('restaurant_id', restaurantId)
+      .is('deleted_at', null)
       .order('display_order', { ascending: true });
 
     if (error) throw error;
@@ -24,7 +27,7 @@ export async function getServices(req, res) {
 export async function createService(req, res) {
   try {
     const restaurantId = req.user.restaurants.id;
-    const { name, description, price, durationMinutes, category, emoji, displayOrder } = req.body;
+    const { name, description, price, depositAmount, durationMinutes, category, emoji, displayOrder } = req.body;
 
     // Validaciones
     if (!name || !description) {
@@ -38,6 +41,7 @@ export async function createService(req, res) {
         name,
         description,
         price: price || null,
+        deposit_amount: depositAmount || null,
         duration_minutes: durationMinutes || 60,
         category: category || null,
         emoji: emoji || null,
@@ -64,13 +68,14 @@ export async function updateService(req, res) {
   try {
     const restaurantId = req.user.restaurants.id;
     const { serviceId } = req.params;
-    const { name, description, price, durationMinutes, category, emoji, displayOrder, isActive } = req.body;
+    const { name, description, price, depositAmount, durationMinutes, category, emoji, displayOrder, isActive } = req.body;
 
     const updateData = {};
     
     if (name !== undefined) updateData.name = name;
     if (description !== undefined) updateData.description = description;
     if (price !== undefined) updateData.price = price;
+    if (depositAmount !== undefined) updateData.deposit_amount = depositAmount || null;
     if (durationMinutes !== undefined) updateData.duration_minutes = durationMinutes;
     if (category !== undefined) updateData.category = category;
     if (emoji !== undefined) updateData.emoji = emoji;
@@ -84,6 +89,7 @@ export async function updateService(req, res) {
       .update(updateData)
       .eq('id', serviceId)
       .eq('restaurant_id', restaurantId)
+      .is('deleted_at', null)
       .select()
       .single();
 
@@ -105,13 +111,20 @@ export async function deleteService(req, res) {
     const restaurantId = req.user.restaurants.id;
     const { serviceId } = req.params;
 
-    const { error } = await supabase
-      .from('services')
-      .delete()
-      .eq('id', serviceId)
-      .eq('restaurant_id', restaurantId);
+    // A la papelera: las citas y estadísticas que lo usan lo siguen encontrando
+    const [deleted] = await trashService.softDelete('services', restaurantId, [serviceId], req.user.id);
 
-    if (error) throw error;
+    if (!deleted) {
+      return res.status(404).json({ error: 'Servicio no encontrado' });
+    }
+
+    await auditService.record(req, {
+      businessId: restaurantId,
+      entityType: AUDIT_ENTITIES.SERVICE,
+      entityId: serviceId,
+      action: AUDIT_ACTIONS.DELETE,
+      changes: { deleted_at: { from: null, to: deleted.deleted_at } }
+    });
 
     res.json({ message: 'Servicio eliminado correctamente' });
   } catch (error) {
@@ -1,4 +1,40 @@
 import { supabase } from '../config/database.js';
+import reminderService from '../services/reminderService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import userTokenService from '../services/userTokenService.js';
+import sessionService from '../services/sessionService.js';
+import membershipService from '../services/membershipService.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from '../services/auditService.js';
+import trashService from '../services/trashService.js';
+import noShowPolicyService from '../services/noShowPolicyService.js';
+import paymentService from '../services/paymentService.js';
+import phoneService from '../services/phoneService.js';
+import consentService from '../services/consentService.js';
+import {
+  resolvePermissions,
+  validatePermissions,
+  toOverrides
+} from '../config/permissions.js';
+
+/**
+ * Un usuario no puede dar permisos (ni el rol ADMIN) que él mismo no tiene
+ * @returns {string|null} mensaje de error
+ */
+function checkGrantable(editor, role, permissions) {
+  if (editor.is_platform_admin) return null;
+
+  if (role === 'ADMIN' && editor.role !== 'ADMIN') {
+    return 'Sólo un ADMIN puede asignar el rol ADMIN';
+  }
+
+  const own = resolvePermissions(editor);
+  const target = resolvePermissions({ role, permissions });
+  const escalated = Object.keys(target).filter(key => target[key] && !own[key]);
+
+  return escalated.length > 0
+    ? `No puedes conceder permisos que no tienes: ${escalated.join(', ')}`
+    : null;
+}
 
 // GET /api/settings - Obtener configuración del negocio
 export async function getSettings(req, res) {
@@ -78,7 +114,40 @@ export async function updateSettings(req, res) {
     if (whatsappNumber !== undefined) updateData.whatsapp_number = whatsappNumber;
 
     // <--- ¡CORRECCIÓN 3: Guardar el config!
-    if (config !== undefined) updateData.config = config;
+    if (config !== undefined) {
+      const remindersError = reminderService.validatePolicy(config?.reminders);
+      if (remindersError) {
+        return res.status(400).json({ error: remindersError });
+      }
+
+      const retentionError = trashService.validateRetention(config?.trash_retention_days);
+      if (retentionError) {
+        return res.status(400).json({ error: retentionError });
+      }
+
+      const noShowError = noShowPolicyService.validatePolicy(config?.no_show_policy);
+      if (noShowError) {
+        return res.status(400).json({ error: noShowError });
+      }
+
+      const depositError = paymentService.validateDepositPolicy(config?.deposit_policy);
+      if (depositError) {
+        return res.status(400).json({ error: depositError });
+      }
+
+      const phoneCountryError = phoneService.validateCountry(config?.phone_country);
+      if (phoneCountryError) {
+        return res.status(400).json({ error: phoneCountryError });
+      }
+
+      const policyVersionError = consentService.validatePolicyVersion(config?.privacy_policy_version);
+      if (policyVersionError) {
+        return res.status(400).json({ error: policyVersionError });
+      }
+      updateData.config = config;
+    }
+
+    const changedFields = Object.keys(updateData);
 
     updateData.updated_at = new Date().toISOString();
 
@@ -91,6 +160,14 @@ export async function updateSettings(req, res) {
 
     if (error) throw error;
 
+    await auditService.record(req, {
+      businessId: restaurantId,
+      entityType: AUDIT_ENTITIES.SETTINGS,
+      entityId: restaurantId,
+      action: AUDIT_ACTIONS.UPDATE,
+      changes: auditService.diff(req.user.restaurants, data, changedFields)
+    });
+
     res.json({
       message: 'Configuración actualizada correctamente',
       settings: data,
@@ -106,29 +183,47 @@ export async function getBusinessUsers(req, res) {
   try {
     const restaurantId = req.user.restaurants.id;
 
-    const { data: users, error } = await supabase
-      .from('restaurant_users')
-      .select('id, name, email, phone, role, is_active, last_login_at, created_at')
+    const { data: memberships, error } = await supabase
+      .from('business_memberships')
+      .select(`
+        role, permissions, is_active, created_at,
+        restaurant_users ( id, name, email, phone, last_login_at, password_hash )
+      `)
       .eq('restaurant_id', restaurantId)
       .order('created_at', { ascending: false });
 
     if (error) throw error;
 
-    res.json({ users: users || [] });
+    res.json({
+      users: (memberships || []).map(({ restaurant_users: identity, ...membership }) => ({
+        id: identity.id,
+        name: identity.name,
+        email: identity.email,
+        phone: identity.phone,
+        last_login_at: identity.last_login_at,
+        role: membership.role,
+        is_active: membership.is_active,
+        created_at: membership.created_at,
+        permissions: resolvePermissions(membership),
+        invitation_pending: !identity.password_hash
+      }))
+    });
   } catch (error) {
     console.error('Error obteniendo usuarios:', error);
     res.status(500).json({ error: 'Error al obtener usuarios' });
   }
 }
 
-// POST /api/settings/users - Crear nuevo usuario
+// POST /api/settings/users - Añadir un usuario al negocio
+// Si el email ya tiene cuenta (p. ej. gestiona otro negocio) sólo se le da acceso;
+// si no, se crea y se le invita a elegir su contraseña.
 export async function createBusinessUser(req, res) {
   try {
     const restaurantId = req.user.restaurants.id;
-    const { name, email, password, phone, role } = req.body;
+    const { name, email, phone, role, permissions } = req.body;
 
     // Validaciones
-    if (!name || !email || !password || !role) {
+    if (!name || !email || !role) {
       return res.status(400).json({ error: 'Faltan datos requeridos' });
     }
 
@@ -136,39 +231,100 @@ export async function createBusinessUser(req, res) {
       return res.status(400).json({ error: 'Rol inválido' });
     }
 
-    // Hash de contraseña
-    const bcrypt = await import('bcryptjs');
-    const passwordHash = await bcrypt.hash(password, 10);
+    if (permissions !== undefined) {
+      const permissionsError = validatePermissions(permissions);
+      if (permissionsError) {
+        return res.status(400).json({ error: permissionsError });
+      }
+    }
 
-    const { data, error } = await supabase
-      .from('restaurant_users')
-      .insert({
-        restaurant_id: restaurantId,
-        name,
-        email,
-        password_hash: passwordHash,
-        phone,
-        role,
-        is_active: true,
-      })
-      .select()
+    const overrides = toOverrides(role, permissions);
+
+    const grantError = checkGrantable(req.user, role, overrides);
+    if (grantError) {
+      return res.status(403).json({ error: grantError });
+    }
+
+    let { data: identity } = await membershipService
+      .findIdentityByEmail(email, 'id, name, email, phone, password_hash')
       .single();
 
-    if (error) {
-      if (error.code === '23505') { // Unique violation
-        return res.status(409).json({ error: 'El email ya está en uso' });
+    if (identity) {
+      const { data: existing } = await supabase
+        .from('business_memberships')
+        .select('id')
+        .eq('user_id', identity.id)
+        .eq('restaurant_id', restaurantId)
+        .single();
+
+      if (existing) {
+        return res.status(409).json({ error: 'El usuario ya pertenece a este negocio' });
+      }
+    } else {
+      const { data, error } = await supabase
+        .from('restaurant_users')
+        .insert({
+          restaurant_id: restaurantId,
+          name,
+          email: membershipService.normalizeEmail(email),
+          password_hash: null,
+          phone,
+          role,
+          is_active: true,
+        })
+        .select('id, name, email, phone, password_hash')
+        .single();
+
+      if (error) {
+        if (error.code === '23505') { // Unique violation
+          return res.status(409).json({ error: 'El email ya está en uso' });
+        }
+        throw error;
+      }
+
+      identity = data;
+    }
+
+    const membership = await membershipService.add({
+      userId: identity.id,
+      businessId: restaurantId,
+      role,
+      permissions: overrides
+    });
+
+    await auditService.record(req, {
+      businessId: restaurantId,
+      entityType: AUDIT_ENTITIES.USER,
+      entityId: identity.id,
+      action: AUDIT_ACTIONS.CREATE,
+      after: { name: identity.name, email: identity.email, role: membership.role, permissions: membership.permissions }
+    });
+
+    // Con cuenta activa ya puede entrar y elegir este negocio; si no, invitación
+    let invitationSent = false;
+    if (!identity.password_hash) {
+      try {
+        await userTokenService.sendInvite(identity, req.user.restaurants);
+        invitationSent = true;
+      } catch (inviteError) {
+        console.error('Error enviando invitación:', inviteError);
       }
-      throw error;
     }
 
     res.status(201).json({
-      message: 'Usuario creado correctamente',
+      message: identity.password_hash
+        ? 'El usuario ya tenía cuenta: ahora también tiene acceso a este negocio'
+        : invitationSent
+          ? 'Usuario creado. Le hemos enviado una invitación por email'
+          : 'Usuario creado, pero no se pudo enviar la invitación. Reenvíala más tarde',
+      invitationSent,
       user: {
-        id: data.id,
-        name: data.name,
-        email: data.email,
-        phone: data.phone,
-        role: data.role,
+        id: identity.id,
+        name: identity.name,
+        email: identity.email,
+        phone: identity.phone,
+        role: membership.role,
+        permissions: resolvePermissions(membership),
       },
     });
   } catch (error) {
@@ -182,31 +338,108 @@ export async function updateBusinessUser(req, res) {
   try {
     const restaurantId = req.user.restaurants.id;
     const { userId } = req.params;
-    const { name, email, phone, role, isActive } = req.body;
+    const { name, email, phone, role, permissions, isActive } = req.body;
 
-    const updateData = {};
+    const { data: target } = await supabase
+      .from('business_memberships')
+      .select('id, role, permissions, is_active, restaurant_users ( name, email, phone )')
+      .eq('user_id', userId)
+      .eq('restaurant_id', restaurantId)
+      .single();
 
-    if (name !== undefined) updateData.name = name;
-    if (email !== undefined) updateData.email = email;
-    if (phone !== undefined) updateData.phone = phone;
-    if (role !== undefined) updateData.role = role;
-    if (isActive !== undefined) updateData.is_active = isActive;
+    if (!target) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
 
-    updateData.updated_at = new Date().toISOString();
+    // Datos personales: sólo si la cuenta no la comparte con otros negocios
+    const profileData = {};
 
-    const { data, error } = await supabase
-      .from('restaurant_users')
-      .update(updateData)
-      .eq('id', userId)
-      .eq('restaurant_id', restaurantId)
-      .select()
+    if (name !== undefined) profileData.name = name;
+    if (email !== undefined) profileData.email = email;
+    if (phone !== undefined) profileData.phone = phone;
+
+    if (Object.keys(profileData).length > 0 && await membershipService.belongsToOthers(userId, restaurantId)) {
+      return res.status(409).json({ error: 'El usuario pertenece a otros negocios: sólo él puede cambiar sus datos personales' });
+    }
+
+    // Rol, permisos y acceso: propios de este negocio
+    const membershipData = {};
+
+    if (isActive !== undefined) membershipData.is_active = isActive;
+
+    let roleChanged = false;
+
+    if (role !== undefined || permissions !== undefined) {
+      if (role !== undefined && !['ADMIN', 'MANAGER', 'STAFF'].includes(role)) {
+        return res.status(400).json({ error: 'Rol inválido' });
+      }
+
+      if (permissions !== undefined) {
+        const permissionsError = validatePermissions(permissions);
+        if (permissionsError) {
+          return res.status(400).json({ error: permissionsError });
+        }
+      }
+
+      const newRole = role ?? target.role;
+
+      // Al cambiar de rol sin indicar permisos se vuelve al preset del nuevo rol
+      const basePermissions = role !== undefined && role !== target.role ? {} : target.permissions;
+      const merged = { ...resolvePermissions({ role: newRole, permissions: basePermissions }), ...permissions };
+      const overrides = toOverrides(newRole, merged);
+
+      const grantError = checkGrantable(req.user, newRole, overrides);
+      if (grantError) {
+        return res.status(403).json({ error: grantError });
+      }
+
+      membershipData.role = newRole;
+      membershipData.permissions = overrides;
+      roleChanged = newRole !== target.role;
+    }
+
+    if (Object.keys(profileData).length > 0) {
+      const { error } = await supabase
+        .from('restaurant_users')
+        .update({ ...profileData, updated_at: new Date().toISOString() })
+        .eq('id', userId);
+
+      if (error) throw error;
+    }
+
+    const { data: membership, error } = await supabase
+      .from('business_memberships')
+      .update({ ...membershipData, updated_at: new Date().toISOString() })
+      .eq('id', target.id)
+      .select('role, permissions, is_active, restaurant_users ( id, name, email, phone )')
       .single();
 
     if (error) throw error;
 
+    // Desactivado o con otro rol: cerrar sus sesiones abiertas en este negocio
+    if (isActive === false || roleChanged) {
+      await sessionService.revokeAll(userId, isActive === false ? 'user_deactivated' : 'role_changed', {
+        businessId: restaurantId
+      });
+    }
+
+    const { restaurant_users: identity, ...access } = membership;
+
+    await auditService.record(req, {
+      businessId: restaurantId,
+      entityType: AUDIT_ENTITIES.USER,
+      entityId: userId,
+      action: AUDIT_ACTIONS.UPDATE,
+      changes: auditService.diff(
+        { ...target.restaurant_users, ...target },
+        { ...identity, ...access },
+        ['name', 'email', 'phone', 'role', 'permissions', 'is_active']
+      )
+    });
+
     res.json({
       message: 'Usuario actualizado correctamente',
-      user: data,
+      user: { ...identity, ...access, permissions: resolvePermissions(access) },
     });
   } catch (error) {
     console.error('Error actualizando usuario:', error);
@@ -214,7 +447,39 @@ export async function updateBusinessUser(req, res) {
   }
 }
 
-// DELETE /api/settings/users/:userId - Eliminar usuario
+// POST /api/settings/users/:userId/invite - Reenviar invitación
+export async function resendInvitation(req, res) {
+  try {
+    const restaurantId = req.user.restaurants.id;
+    const { userId } = req.params;
+
+    const { data: membership } = await supabase
+      .from('business_memberships')
+      .select('restaurant_users ( id, name, email, password_hash )')
+      .eq('user_id', userId)
+      .eq('restaurant_id', restaurantId)
+      .single();
+
+    const user = membership?.restaurant_users;
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    if (user.password_hash) {
+      return res.status(400).json({ error: 'El usuario ya ha activado su cuenta' });
+    }
+
+    await userTokenService.sendInvite(user, req.user.restaurants);
+
+    res.json({ message: 'Invitación reenviada correctamente' });
+  } catch (error) {
+    console.error('Error reenviando invitación:', error);
+    res.status(500).json({ error: 'Error al reenviar la invitación' });
+  }
+}
+
+// DELETE /api/settings/users/:userId - Quitar el acceso de un usuario al negocio
 export async function deleteBusinessUser(req, res) {
   try {
     const restaurantId = req.user.restaurants.id;
@@ -225,13 +490,36 @@ export async function deleteBusinessUser(req, res) {
       return res.status(400).json({ error: 'No puedes eliminar tu propio usuario' });
     }
 
-    const { error } = await supabase
-      .from('restaurant_users')
+    const { data: removed, error } = await supabase
+      .from('business_memberships')
       .delete()
-      .eq('id', userId)
-      .eq('restaurant_id', restaurantId);
+      .eq('user_id', userId)
+      .eq('restaurant_id', restaurantId)
+      .select('id')
+      .single();
 
-    if (error) throw error;
+    if (error || !removed) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    await sessionService.revokeAll(userId, 'membership_removed', { businessId: restaurantId });
+
+    await auditService.record(req, {
+      businessId: restaurantId,
+      entityType: AUDIT_ENTITIES.USER,
+      entityId: userId,
+      action: AUDIT_ACTIONS.DELETE,
+      changes: {}
+    });
+
+    // La cuenta sólo se borra si ya no pertenece a ningún negocio
+    if (!(await membershipService.belongsToOthers(userId, restaurantId))) {
+      await supabase
+        .from('restaurant_users')
+        .delete()
+        .eq('id', userId)
+        .eq('is_platform_admin', false);
+    }
 
     res.json({ message: 'Usuario eliminado correctamente' });
   } catch (error) {
@@ -310,4 +598,88 @@ export async function updateBusinessHours(req, res) {
     console.error('Error actualizando horarios:', error);
     res.status(500).json({ error: 'Error al actualizar horarios' });
   }
-};
\ No newline at end of file
+};
+
+// GET /api/settings/api-keys - Claves de API del negocio (sin el secreto)
+export async function getApiKeys(req, res) {
+  try {
+    const restaurantId = req.user.restaurants.id;
+    const apiKeys = await apiKeyService.list(restaurantId);
+
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error('Error obteniendo claves de API:', error);
+    res.status(500).json({ error: 'Error al obtener claves de API' });
+  }
+}
+
+// POST /api/settings/api-keys - Crear clave de API (la clave sólo se muestra ahora)
+export async function createApiKey(req, res) {
+  try {
+    const restaurantId = req.user.restaurants.id;
+    const { name, scopes } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'El nombre es requerido' });
+    }
+
+    const scopesError = apiKeyService.validateScopes(scopes);
+    if (scopesError) {
+      return res.status(400).json({ error: scopesError });
+    }
+
+    const { apiKey, key } = await apiKeyService.create({
+      businessId: restaurantId,
+      name,
+      scopes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Clave de API creada. Guárdala ahora: no se volverá a mostrar',
+      apiKey,
+      key
+    });
+  } catch (error) {
+    console.error('Error creando clave de API:', error);
+    res.status(500).json({ error: 'Error al crear clave de API' });
+  }
+}
+
+// POST /api/settings/api-keys/:keyId/rotate - Nuevo secreto, mismos permisos
+export async function rotateApiKey(req, res) {
+  try {
+    const restaurantId = req.user.restaurants.id;
+    const result = await apiKeyService.rotate(restaurantId, req.params.keyId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Clave de API no encontrada o revocada' });
+    }
+
+    res.json({
+      message: 'Clave de API rotada. La anterior ya no es válida',
+      apiKey: result.apiKey,
+      key: result.key
+    });
+  } catch (error) {
+    console.error('Error rotando clave de API:', error);
+    res.status(500).json({ error: 'Error al rotar clave de API' });
+  }
+}
+
+// DELETE /api/settings/api-keys/:keyId - Revocar clave de API
+export async function revokeApiKey(req, res) {
+  try {
+    const restaurantId = req.user.restaurants.id;
+    const apiKey = await apiKeyService.revoke(restaurantId, req.params.keyId);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'Clave de API no encontrada o ya revocada' });
+    }
+
+    res.json({ message: 'Clave de API revocada correctamente', apiKey });
+  } catch (error) {
+    console.error('Error revocando clave de API:', error);
+    res.status(500).json({ error: 'Error al revocar clave de API' });
+  }
+}
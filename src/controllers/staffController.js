@@ -0,0 +1,478 @@
+import { supabase } from '../config/database.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { fromZonedTime } = require('date-fns-tz');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const STAFF_SELECT = `
+  *,
+  staff_services (service_id),
+  staff_working_hours (id, day_of_week, start_time, end_time)
+`;
+
+// ================================================================
+// HELPERS
+// ================================================================
+
+/**
+ * Verifica que la persona pertenece al negocio
+ */
+async function findStaffMember(businessId, staffId) {
+  const { data, error } = await supabase
+    .from('staff_members')
+    .select('id, name')
+    .eq('id', staffId)
+    .eq('restaurant_id', businessId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+}
+
+/**
+ * Valida y normaliza [{ dayOfWeek, startTime, endTime }]
+ * Devuelve { rows } o { error }
+ */
+function parseWorkingHours(staffId, workingHours) {
+  if (!Array.isArray(workingHours)) {
+    return { error: 'workingHours debe ser un array' };
+  }
+
+  const rows = [];
+
+  for (const slot of workingHours) {
+    const dayOfWeek = parseInt(slot.dayOfWeek);
+
+    if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return { error: 'dayOfWeek debe estar entre 0 (domingo) y 6 (sábado)' };
+    }
+
+    if (!TIME_REGEX.test(slot.startTime || '') || !TIME_REGEX.test(slot.endTime || '')) {
+      return { error: 'startTime y endTime deben tener formato HH:MM' };
+    }
+
+    if (slot.startTime >= slot.endTime) {
+      return { error: 'startTime debe ser anterior a endTime' };
+    }
+
+    rows.push({
+      staff_id: staffId,
+      day_of_week: dayOfWeek,
+      start_time: slot.startTime,
+      end_time: slot.endTime,
+    });
+  }
+
+  return { rows };
+}
+
+/**
+ * Sólo se aceptan servicios del propio negocio
+ */
+async function validateServiceIds(businessId, serviceIds) {
+  if (!Array.isArray(serviceIds)) {
+    return 'serviceIds debe ser un array';
+  }
+
+  if (serviceIds.length === 0) return null;
+
+  const { data, error } = await supabase
+    .from('services')
+    .select('id')
+    .eq('restaurant_id', businessId)
+    .is('deleted_at', null)
+    .in('id', serviceIds);
+
+  if (error) throw error;
+
+  if ((data || []).length !== new Set(serviceIds).size) {
+    return 'Alguno de los servicios no existe en este negocio';
+  }
+
+  return null;
+}
+
+async function replaceStaffServices(staffId, serviceIds) {
+  const { error: deleteError } = await supabase
+    .from('staff_services')
+    .delete()
+    .eq('staff_id', staffId);
+
+  if (deleteError) throw deleteError;
+
+  if (serviceIds.length === 0) return;
+
+  const { error } = await supabase
+    .from('staff_services')
+    .insert([...new Set(serviceIds)].map(serviceId => ({ staff_id: staffId, service_id: serviceId })));
+
+  if (error) throw error;
+}
+
+async function replaceWorkingHours(staffId, rows) {
+  const { error: deleteError } = await supabase
+    .from('staff_working_hours')
+    .delete()
+    .eq('staff_id', staffId);
+
+  if (deleteError) throw deleteError;
+
+  if (rows.length === 0) return;
+
+  const { error } = await supabase
+    .from('staff_working_hours')
+    .insert(rows);
+
+  if (error) throw error;
+}
+
+// ================================================================
+// STAFF CRUD
+// ================================================================
+
+/**
+ * Obtener el personal del negocio
+ * GET /api/staff?includeInactive=true
+ */
+export async function getStaff(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { includeInactive } = req.query;
+
+    let query = supabase
+      .from('staff_members')
+      .select(STAFF_SELECT)
+      .eq('restaurant_id', businessId)
+      .order('display_order', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (includeInactive !== 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ staff: data || [] });
+  } catch (error) {
+    console.error('[Staff] GET Error:', error);
+    res.status(500).json({ error: 'Error al obtener el personal' });
+  }
+}
+
+/**
+ * Crear una persona
+ * POST /api/staff
+ * Body: {
+ *   name: 'Laura',
+ *   email, phone, roleLabel: 'Estilista', color: '#f472b6', displayOrder,
+ *   serviceIds: ['uuid', ...],            (opcional, vacío = todos los servicios)
+ *   workingHours: [{ dayOfWeek: 1, startTime: '09:00', endTime: '14:00' }]   (opcional)
+ * }
+ */
+export async function createStaff(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { name, email, phone, roleLabel, color, displayOrder, serviceIds = [], workingHours = [] } = req.body;
+
+    if (!name?.trim()) {
+      return res.status(400).json({ error: 'El nombre es requerido' });
+    }
+
+    const servicesError = await validateServiceIds(businessId, serviceIds);
+    if (servicesError) {
+      return res.status(400).json({ error: servicesError });
+    }
+
+    const hours = parseWorkingHours(null, workingHours);
+    if (hours.error) {
+      return res.status(400).json({ error: hours.error });
+    }
+
+    const { data: staffMember, error } = await supabase
+      .from('staff_members')
+      .insert({
+        restaurant_id: businessId,
+        name: name.trim(),
+        email: email || null,
+        phone: phone || null,
+        role_label: roleLabel || null,
+        color: color || null,
+        display_order: displayOrder || 0,
+        is_active: true,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await replaceStaffServices(staffMember.id, serviceIds);
+    const workingHourRows = hours.rows.map(r => ({ ...r, staff_id: staffMember.id }));
+    await replaceWorkingHours(staffMember.id, workingHourRows);
+
+    console.log(`[Staff] ✅ Persona creada: ${staffMember.name}`);
+
+    res.status(201).json({
+      message: 'Persona creada correctamente',
+      staff: { ...staffMember, service_ids: serviceIds, working_hours: workingHourRows },
+    });
+  } catch (error) {
+    console.error('[Staff] POST Error:', error);
+    res.status(500).json({ error: 'Error al crear la persona' });
+  }
+}
+
+/**
+ * Actualizar datos de una persona
+ * PATCH /api/staff/:staffId
+ */
+export async function updateStaff(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { staffId } = req.params;
+    const { name, email, phone, roleLabel, color, displayOrder, isActive } = req.body;
+
+    const updateData = {};
+
+    if (name !== undefined) {
+      if (!name?.trim()) {
+        return res.status(400).json({ error: 'El nombre no puede estar vacío' });
+      }
+      updateData.name = name.trim();
+    }
+    if (email !== undefined) updateData.email = email;
+    if (phone !== undefined) updateData.phone = phone;
+    if (roleLabel !== undefined) updateData.role_label = roleLabel;
+    if (color !== undefined) updateData.color = color;
+    if (displayOrder !== undefined) updateData.display_order = displayOrder;
+    if (isActive !== undefined) updateData.is_active = isActive;
+
+    updateData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('staff_members')
+      .update(updateData)
+      .eq('id', staffId)
+      .eq('restaurant_id', businessId)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Persona no encontrada' });
+    }
+
+    res.json({
+      message: 'Persona actualizada correctamente',
+      staff: data,
+    });
+  } catch (error) {
+    console.error('[Staff] PATCH Error:', error);
+    res.status(500).json({ error: 'Error al actualizar la persona' });
+  }
+}
+
+/**
+ * Desactivar una persona (soft delete: sus citas pasadas conservan el staff_id)
+ * DELETE /api/staff/:staffId
+ */
+export async function deleteStaff(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { staffId } = req.params;
+
+    const { data, error } = await supabase
+      .from('staff_members')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', staffId)
+      .eq('restaurant_id', businessId)
+      .select('id')
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Persona no encontrada' });
+    }
+
+    res.json({ message: 'Persona desactivada correctamente' });
+  } catch (error) {
+    console.error('[Staff] DELETE Error:', error);
+    res.status(500).json({ error: 'Error al eliminar la persona' });
+  }
+}
+
+// ================================================================
+// SERVICIOS Y HORARIO
+// ================================================================
+
+/**
+ * Reemplazar los servicios que realiza una persona
+ * PUT /api/staff/:staffId/services
+ * Body: { serviceIds: ['uuid', ...] }
+ */
+export async function setStaffServices(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { staffId } = req.params;
+    const { serviceIds } = req.body;
+
+    if (!await findStaffMember(businessId, staffId)) {
+      return res.status(404).json({ error: 'Persona no encontrada' });
+    }
+
+    const servicesError = await validateServiceIds(businessId, serviceIds);
+    if (servicesError) {
+      return res.status(400).json({ error: servicesError });
+    }
+
+    await replaceStaffServices(staffId, serviceIds);
+
+    res.json({ message: 'Servicios actualizados correctamente', service_ids: serviceIds });
+  } catch (error) {
+    console.error('[Staff] PUT services Error:', error);
+    res.status(500).json({ error: 'Error al actualizar los servicios' });
+  }
+}
+
+/**
+ * Reemplazar el horario semanal de una persona
+ * PUT /api/staff/:staffId/working-hours
+ * Body: { workingHours: [{ dayOfWeek: 1, startTime: '09:00', endTime: '14:00' }, ...] }
+ */
+export async function setWorkingHours(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { staffId } = req.params;
+
+    if (!await findStaffMember(businessId, staffId)) {
+      return res.status(404).json({ error: 'Persona no encontrada' });
+    }
+
+    const hours = parseWorkingHours(staffId, req.body.workingHours);
+    if (hours.error) {
+      return res.status(400).json({ error: hours.error });
+    }
+
+    await replaceWorkingHours(staffId, hours.rows);
+
+    res.json({ message: 'Horario actualizado correctamente', working_hours: hours.rows });
+  } catch (error) {
+    console.error('[Staff] PUT working-hours Error:', error);
+    res.status(500).json({ error: 'Error al actualizar el horario' });
+  }
+}
+
+// ================================================================
+// AUSENCIAS
+// ================================================================
+
+/**
+ * Ausencias de una persona
+ * GET /api/staff/:staffId/time-off?from=2025-11-01
+ */
+export async function getTimeOff(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { staffId } = req.params;
+    const { from } = req.query;
+
+    if (!await findStaffMember(businessId, staffId)) {
+      return res.status(404).json({ error: 'Persona no encontrada' });
+    }
+
+    let query = supabase
+      .from('staff_time_off')
+      .select('*')
+      .eq('staff_id', staffId)
+      .order('starts_at', { ascending: true });
+
+    if (from) {
+      query = query.gte('ends_at', new Date(from + 'T00:00:00Z').toISOString());
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ timeOff: data || [] });
+  } catch (error) {
+    console.error('[Staff] GET time-off Error:', error);
+    res.status(500).json({ error: 'Error al obtener las ausencias' });
+  }
+}
+
+/**
+ * Registrar una ausencia (fechas en hora local del negocio)
+ * POST /api/staff/:staffId/time-off
+ * Body: { startsAt: '2025-12-24T00:00:00', endsAt: '2025-12-26T23:59:59', reason: 'Vacaciones' }
+ */
+export async function createTimeOff(req, res) {
+  try {
+    const businessId = req.business.id;
+    const timezone = req.business.timezone || 'Europe/Madrid';
+    const { staffId } = req.params;
+    const { startsAt, endsAt, reason } = req.body;
+
+    if (!startsAt || !endsAt) {
+      return res.status(400).json({ error: 'startsAt y endsAt son requeridos' });
+    }
+
+    if (!await findStaffMember(businessId, staffId)) {
+      return res.status(404).json({ error: 'Persona no encontrada' });
+    }
+
+    const startsAtUTC = fromZonedTime(startsAt, timezone);
+    const endsAtUTC = fromZonedTime(endsAt, timezone);
+
+    if (isNaN(startsAtUTC) || isNaN(endsAtUTC) || startsAtUTC >= endsAtUTC) {
+      return res.status(400).json({ error: 'startsAt debe ser anterior a endsAt' });
+    }
+
+    const { data, error } = await supabase
+      .from('staff_time_off')
+      .insert({
+        staff_id: staffId,
+        starts_at: startsAtUTC.toISOString(),
+        ends_at: endsAtUTC.toISOString(),
+        reason: reason?.trim() || null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ message: 'Ausencia registrada correctamente', timeOff: data });
+  } catch (error) {
+    console.error('[Staff] POST time-off Error:', error);
+    res.status(500).json({ error: 'Error al registrar la ausencia' });
+  }
+}
+
+/**
+ * Eliminar una ausencia
+ * DELETE /api/staff/:staffId/time-off/:timeOffId
+ */
+export async function deleteTimeOff(req, res) {
+  try {
+    const businessId = req.business.id;
+    const { staffId, timeOffId } = req.params;
+
+    if (!await findStaffMember(businessId, staffId)) {
+      return res.status(404).json({ error: 'Persona no encontrada' });
+    }
+
+    const { error } = await supabase
+      .from('staff_time_off')
+      .delete()
+      .eq('id', timeOffId)
+      .eq('staff_id', staffId);
+
+    if (error) throw error;
+
+    res.json({ message: 'Ausencia eliminada correctamente' });
+  } catch (error) {
+    console.error('[Staff] DELETE time-off Error:', error);
+    res.status(500).json({ error: 'Error al eliminar la ausencia' });
+  }
+}
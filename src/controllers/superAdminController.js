@@ -1,6 +1,9 @@
 import bcrypt from 'bcryptjs';
 import { supabase } from '../config/database.js';
 import { getBusinessTypeConfig } from '../config/businessTypes.js';
+import userTokenService from '../services/userTokenService.js';
+import membershipService from '../services/membershipService.js';
+import phoneService from '../services/phoneService.js';
 
 export async function createBusiness(req, res) {
   try {
@@ -13,14 +16,21 @@ export async function createBusiness(req, res) {
       adminName,
     } = req.body;
 
-    // Validaciones
-    if (!businessType || !name || !slug || !adminEmail || !adminPassword || !adminName) {
+    // Validaciones (adminPassword es opcional: sin ella se envía una invitación)
+    if (!businessType || !name || !slug || !adminEmail || !adminName) {
       return res.status(400).json({ 
         error: 'Todos los campos son requeridos',
-        required: ['businessType', 'name', 'slug', 'adminEmail', 'adminPassword', 'adminName']
+        required: ['businessType', 'name', 'slug', 'adminEmail', 'adminName']
       });
     }
 
+    if (adminPassword) {
+      const passwordError = userTokenService.validatePassword(adminPassword);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+    }
+
     // Validar que el tipo de negocio sea válido
     const businessConfig = getBusinessTypeConfig(businessType);
     if (!businessConfig) {
@@ -38,17 +48,11 @@ export async function createBusiness(req, res) {
       return res.status(400).json({ error: 'El slug ya está en uso' });
     }
 
-    // Verificar que el email no exista
-    const { data: existingUser } = await supabase
-      .from('restaurant_users')
-      .select('id')
-      .eq('email', adminEmail)
+    // Si el email ya tiene cuenta (gestiona otro negocio) sólo se le da acceso al nuevo
+    const { data: existingUser } = await membershipService
+      .findIdentityByEmail(adminEmail, 'id, name, email, password_hash')
       .single();
 
-    if (existingUser) {
-      return res.status(400).json({ error: 'El email ya está registrado' });
-    }
-
     // 1. Crear el negocio
     const { data: newBusiness, error: businessError } = await supabase
       .from('restaurants')
@@ -66,39 +70,62 @@ export async function createBusiness(req, res) {
       return res.status(500).json({ error: 'Error creando negocio' });
     }
 
-    // 2. Crear el usuario administrador
-    const hashedPassword = await bcrypt.hash(adminPassword, 10);
-
-    const { data: newUser, error: userError } = await supabase
-      .from('restaurant_users')
-      .insert({
-        restaurant_id: newBusiness.id,
-        email: adminEmail,
-        password_hash: hashedPassword,
-        name: adminName,
-        role: 'ADMIN',
-        is_active: true,
-        permissions: {
-          view_reservations: true,
-          create_reservations: true,
-          edit_reservations: true,
-          delete_reservations: true,
-          view_analytics: true,
-          manage_customers: true,
-          manage_users: true,
-          pause_ai: true,
-        },
-      })
-      .select()
-      .single();
+    // 2. Crear el usuario administrador (o reutilizar su cuenta)
+    // Con contraseña temporal deberá cambiarla en el primer login
+    let newUser = existingUser;
+
+    if (!newUser) {
+      const hashedPassword = adminPassword ? await bcrypt.hash(adminPassword, 10) : null;
+
+      const { data, error: userError } = await supabase
+        .from('restaurant_users')
+        .insert({
+          restaurant_id: newBusiness.id,
+          email: membershipService.normalizeEmail(adminEmail),
+          password_hash: hashedPassword,
+          must_change_password: !!adminPassword,
+          name: adminName,
+          role: 'ADMIN',
+          is_active: true,
+          permissions: {}, // Preset completo del rol ADMIN (ver config/permissions.js)
+        })
+        .select()
+        .single();
+
+      if (userError) {
+        console.error('Error creando usuario:', userError);
+        // Rollback: eliminar el negocio creado
+        await supabase.from('restaurants').delete().eq('id', newBusiness.id);
+        return res.status(500).json({ error: 'Error creando usuario administrador' });
+      }
+
+      newUser = data;
+    }
 
-    if (userError) {
-      console.error('Error creando usuario:', userError);
-      // Rollback: eliminar el negocio creado
+    try {
+      await membershipService.add({ userId: newUser.id, businessId: newBusiness.id, role: 'ADMIN' });
+    } catch (membershipError) {
+      console.error('Error asignando administrador:', membershipError);
+      if (!existingUser) {
+        await supabase.from('restaurant_users').delete().eq('id', newUser.id);
+      }
       await supabase.from('restaurants').delete().eq('id', newBusiness.id);
       return res.status(500).json({ error: 'Error creando usuario administrador' });
     }
 
+    // 3. Invitación para que el administrador elija su contraseña
+    let invitationSent = false;
+    const mustChangePassword = !existingUser && !!adminPassword;
+
+    if (!newUser.password_hash) {
+      try {
+        await userTokenService.sendInvite(newUser, newBusiness);
+        invitationSent = true;
+      } catch (inviteError) {
+        console.error('Error enviando invitación:', inviteError);
+      }
+    }
+
     // Respuesta exitosa
     res.status(201).json({
       message: 'Negocio creado exitosamente',
@@ -113,7 +140,9 @@ export async function createBusiness(req, res) {
         id: newUser.id,
         name: newUser.name,
         email: newUser.email,
-        temporaryPassword: adminPassword, // Para que el SuperAdmin lo pueda enviar al cliente
+        existingAccount: !!existingUser,
+        invitationSent,
+        mustChangePassword,
       },
     });
 
@@ -135,11 +164,14 @@ export async function listBusinesses(req, res) {
         logo_url,
         is_active,
         created_at,
-        restaurant_users (
-          id,
-          name,
-          email,
-          role
+        business_memberships (
+          role,
+          is_active,
+          restaurant_users (
+            id,
+            name,
+            email
+          )
         )
       `)
       .order('created_at', { ascending: false });
@@ -192,4 +224,29 @@ export async function updateBusiness(req, res) {
     console.error('Error en updateBusiness:', error);
     res.status(500).json({ error: 'Error en el servidor' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Normaliza a E.164 los teléfonos ya guardados e informa de colisiones e inválidos
+ * POST /api/superadmin/maintenance/normalize-phones
+ * Body: { businessId?, dryRun? } — con dryRun sólo se genera el informe
+ */
+export async function normalizePhones(req, res) {
+  try {
+    const { businessId = null, dryRun = false } = req.body || {};
+
+    const reports = await phoneService.normalizeAll({ businessId, dryRun: !!dryRun });
+
+    res.json({
+      dryRun: !!dryRun,
+      updated: reports.reduce((sum, r) => sum + r.updated, 0),
+      collisions: reports.reduce((sum, r) => sum + r.collisions.length, 0),
+      invalid: reports.reduce((sum, r) => sum + r.invalid.length, 0),
+      businesses: reports
+    });
+
+  } catch (error) {
+    console.error('Error en normalizePhones:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
@@ -1,5 +1,8 @@
 import { supabase } from '../config/database.js';
 import { tableAssignmentEngine } from '../services/restaurant/tableAssignmentEngine.js';
+import trashService from '../services/trashService.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from '../services/auditService.js';
+import { ACTIVE_STATUSES, APPOINTMENT_STATUSES } from '../services/appointmentStatusService.js';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 const { toZonedTime, format } = require('date-fns-tz');
@@ -25,6 +28,7 @@ export async function getTables(req, res) {
       .from('tables')
       .select('*')
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .order('table_number', { ascending: true });
 
     if (error) {
@@ -58,7 +62,8 @@ export async function createTable(req, res) {
           notes,
           location,
           position_x,
-          position_y
+          position_y,
+          combinable_with
         } = req.body;
     
         if (!table_number || !capacity) {
@@ -70,14 +75,22 @@ export async function createTable(req, res) {
         // Verificar que no exista mesa con ese número
         const { data: existing } = await supabase
           .from('tables')
-          .select('id')
+          .select('id, deleted_at')
           .eq('restaurant_id', businessId)
           .eq('table_number', table_number)
           .single();
     
         if (existing) {
           return res.status(400).json({ 
-            error: `Ya existe una mesa con el número ${table_number}` 
+            error: existing.deleted_at
+              ? `La mesa ${table_number} está en la papelera: restáurala en lugar de crearla de nuevo`
+              : `Ya existe una mesa con el número ${table_number}` 
+          });
+        }
+
+        if (combinable_with !== undefined && !Array.isArray(combinable_with)) {
+          return res.status(400).json({ 
+            error: 'combinable_with debe ser una lista de IDs de mesa' 
           });
         }
     
@@ -96,6 +109,7 @@ export async function createTable(req, res) {
             location,
             position_x,
             position_y,
+            combinable_with: combinable_with || [],
             is_active: true
           })
           .select()
@@ -133,7 +147,8 @@ export async function updateTable(req, res) {
           location,
           position_x,
           position_y,
-          is_active
+          is_active,
+          combinable_with
         } = req.body;
     
         // Verificar que la mesa pertenece al restaurante
@@ -142,6 +157,7 @@ export async function updateTable(req, res) {
           .select('id')
           .eq('id', id)
           .eq('restaurant_id', businessId)
+          .is('deleted_at', null)
           .single();
     
         if (checkError || !existing) {
@@ -161,6 +177,16 @@ export async function updateTable(req, res) {
         if (position_x !== undefined) updateData.position_x = position_x;
         if (position_y !== undefined) updateData.position_y = position_y;
         if (is_active !== undefined) updateData.is_active = is_active;
+
+        // Mesas con las que se puede juntar (para grupos grandes)
+        if (combinable_with !== undefined) {
+          if (!Array.isArray(combinable_with) || combinable_with.includes(id)) {
+            return res.status(400).json({ 
+              error: 'combinable_with debe ser una lista de IDs de otras mesas' 
+            });
+          }
+          updateData.combinable_with = combinable_with;
+        }
     
         const { data: table, error } = await supabase
           .from('tables')
@@ -196,6 +222,7 @@ export async function deleteTable(req, res) {
           .select('id')
           .eq('id', id)
           .eq('restaurant_id', businessId)
+          .is('deleted_at', null)
           .single();
     
         if (checkError || !existing) {
@@ -204,11 +231,12 @@ export async function deleteTable(req, res) {
     
         // Verificar que no tenga reservas futuras
         const { data: futureReservations, error: resError } = await supabase
-          .from('reservations')
+          .from('appointments')
           .select('id')
           .eq('table_id', id)
-          .in('status', ['pending', 'confirmed'])
-          .gte('reservation_date', new Date().toISOString().split('T')[0]);
+          .is('deleted_at', null)
+          .in('status', ['pendiente', 'confirmado'])
+          .gte('scheduled_date', new Date().toISOString().split('T')[0]);
     
         if (resError) {
           console.error('Error verificando reservas:', resError);
@@ -221,16 +249,22 @@ export async function deleteTable(req, res) {
           });
         }
     
-        // Soft delete
-        const { error } = await supabase
-          .from('tables')
-          .update({ is_active: false })
-          .eq('id', id);
-    
-        if (error) {
+        // A la papelera (restaurable desde /api/tables/:id/restore)
+        let deleted;
+        try {
+          [deleted] = await trashService.softDelete('tables', businessId, [id], req.user.id);
+        } catch (error) {
           console.error('Error eliminando mesa:', error);
           return res.status(500).json({ error: 'Error eliminando mesa' });
         }
+
+        await auditService.record(req, {
+          businessId,
+          entityType: AUDIT_ENTITIES.TABLE,
+          entityId: id,
+          action: AUDIT_ACTIONS.DELETE,
+          changes: { deleted_at: { from: null, to: deleted?.deleted_at || null } }
+        });
     
         res.json({ message: 'Mesa eliminada correctamente' });
       } catch (error) {
@@ -271,9 +305,19 @@ export async function assignTable(req, res) {
     });
 
     if (!result.success) {
+      const alternatives = await tableAssignmentEngine.findAlternativeTimes({
+        restaurantId: businessId,
+        date,
+        time,
+        partySize,
+        duration: duration || 90,
+        preference
+      });
+
       return res.status(404).json({ 
         message: result.message,
-        suggestedTimes: result.suggestedTimes || []
+        suggestedTimes: alternatives.map(a => a.time),
+        alternatives
       });
     }
 
@@ -304,7 +348,8 @@ export async function getTableStatus(req, res) {
       .from('tables')
       .select('*')
       .eq('restaurant_id', businessId)
-      .eq('is_active', true);
+      .eq('is_active', true)
+      .is('deleted_at', null);
 
     if (tablesError) throw tablesError;
 
@@ -327,9 +372,10 @@ export async function getTableStatus(req, res) {
         customers (name, phone)
       `)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', date)
       .lte('scheduled_date', date)
-      .in('status', ['pendiente', 'confirmado']);
+      .in('status', ACTIVE_STATUSES);
 
     if (appError) throw appError;
 
@@ -357,7 +403,7 @@ export async function getTableStatus(req, res) {
       return {
         ...table,
         reservations: tableReservations,
-        isOccupied: tableReservations.some(r => r.status === 'confirmado' && appointments.find(a => a.id === r.id)?.checked_in_at),
+        isOccupied: tableReservations.some(r => r.status === APPOINTMENT_STATUSES.CHECKED_IN),
         nextReservation: tableReservations[0] || null
       };
     });
@@ -397,6 +443,7 @@ export async function createTableAssignment(req, res) {
       .from('appointments')
       .select('id, restaurant_id')
       .eq('id', finalAppointmentId)
+      .is('deleted_at', null)
       .single();
 
     if (appError || !appointment || appointment.restaurant_id !== businessId) {
@@ -480,6 +527,7 @@ export async function getOccupancyByShift(req, res) {
       .select('*')
       .eq('restaurant_id', businessId)
       .eq('is_active', true)
+      .is('deleted_at', null)
       .order('table_number', { ascending: true });
 
     if (tablesError) throw tablesError;
@@ -500,9 +548,10 @@ export async function getOccupancyByShift(req, res) {
         customers (name, phone, is_vip)
       `)
       .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
       .gte('scheduled_date', date)
       .lte('scheduled_date', date)
-      .in('status', ['pendiente', 'confirmado']);
+      .in('status', ACTIVE_STATUSES);
 
     if (appError) throw appError;
 
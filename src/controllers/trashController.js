@@ -0,0 +1,62 @@
+import trashService, { TRASH_ENTITIES } from '../services/trashService.js';
+import auditService, { AUDIT_ACTIONS } from '../services/auditService.js';
+
+/**
+ * Papelera de una entidad
+ * GET /api/{appointments|customers|services|tables}/trash
+ * Uso: router.get('/trash', requirePermission(...), getTrash('customers'))
+ */
+export const getTrash = (entity) => async (req, res) => {
+  try {
+    const items = await trashService.list(entity, req.business.id, { limit: req.query.limit });
+
+    res.json({ items, retentionDays: trashService.getRetentionDays(req.business.config) });
+  } catch (error) {
+    console.error(`[Trash] GET ${entity} Error:`, error);
+    res.status(500).json({ error: 'Error al obtener la papelera' });
+  }
+};
+
+/**
+ * Restaurar un elemento de la papelera
+ * POST /api/{appointments|customers|services|tables}/:id/restore
+ */
+export const restoreFromTrash = (entity, param = 'id') => async (req, res) => {
+  try {
+    const businessId = req.business.id;
+    const id = req.params[param];
+
+    const restored = await trashService.restore(entity, businessId, id);
+
+    if (!restored) {
+      return res.status(404).json({ error: 'No está en la papelera' });
+    }
+
+    await auditService.record(req, {
+      businessId,
+      entityType: TRASH_ENTITIES[entity].auditEntity,
+      entityId: id,
+      action: AUDIT_ACTIONS.RESTORE,
+      changes: {}
+    });
+
+    res.json({ message: 'Restaurado correctamente', item: restored });
+  } catch (error) {
+    console.error(`[Trash] Restore ${entity} Error:`, error);
+    res.status(500).json({ error: 'Error al restaurar' });
+  }
+};
+
+/**
+ * Cron: purgar la papelera según la retención de cada negocio
+ * POST /api/public/cron/purge-trash
+ */
+export async function purgeTrash(req, res) {
+  try {
+    const stats = await trashService.purgeAll();
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('[Trash] Cron Error:', error);
+    res.status(500).json({ error: 'Error purgando la papelera' });
+  }
+}
@@ -1,4 +1,7 @@
 import { supabase } from '../config/database.js';
+import trashService from '../services/trashService.js';
+import customerService from '../services/customerService.js';
+import phoneService from '../services/phoneService.js';
 
 export async function getWaitlist(req, res) {
   try {
@@ -68,16 +71,18 @@ export async function addToWaitlist(req, res) {
         });
       }
 
+      const parsedPhone = phoneService.parse(customerPhone, req.business);
+
+      if (!parsedPhone.success) {
+        return res.status(parsedPhone.status).json(parsedPhone.body);
+      }
+
       // Buscar cliente existente
-      const { data: existingCustomer } = await supabase
-        .from('customers')
-        .select('id')
-        .eq('restaurant_id', businessId)
-        .eq('phone', customerPhone)
-        .single();
+      const existingCustomer = await customerService.findByPhone(businessId, parsedPhone.phone);
 
       if (existingCustomer) {
         finalCustomerId = existingCustomer.id;
+        await trashService.restoreIfDeleted('customers', businessId, existingCustomer);
       } else {
         // Crear nuevo cliente
         const { data: newCustomer, error: customerError } = await supabase
@@ -85,7 +90,7 @@ export async function addToWaitlist(req, res) {
           .insert({
             restaurant_id: businessId,
             name: customerName,
-            phone: customerPhone,
+            phone: parsedPhone.phone,
             first_visit_at: new Date().toISOString(),
           })
           .select()
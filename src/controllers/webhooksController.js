@@ -1,4 +1,9 @@
 import { supabase } from '../config/database.js';
+import availabilityService from '../services/availabilityService.js';
+import bookingService from '../services/bookingService.js';
+import customerService from '../services/customerService.js';
+import phoneService from '../services/phoneService.js';
+import consentService, { CONSENT_SOURCES } from '../services/consentService.js';
 
 // ================================================================
 // FUNCIONES HELPER
@@ -106,30 +111,13 @@ function replacePlaceholders(template, values) {
 // ================================================================
 
 /**
- * GET /api/webhooks/n8n/business-config/:businessSlug
+ * GET /api/webhooks/n8n/business-config
  * Obtiene configuración completa del negocio + servicios + prompt template
  */
 export async function getBusinessConfig(req, res) {
   try {
-    const { businessSlug } = req.params;
-
-    console.log('🔍 Obteniendo configuración para:', businessSlug);
-
-    // 1. Obtener negocio
-    const { data: business, error: businessError } = await supabase
-      .from('restaurants')
-      .select('*')
-      .eq('slug', businessSlug)
-      .eq('is_active', true)
-      .single();
-
-    if (businessError || !business) {
-      console.error('❌ Negocio no encontrado:', businessSlug);
-      return res.status(404).json({ 
-        error: 'Negocio no encontrado',
-        slug: businessSlug 
-      });
-    }
+    // 1. Negocio de la clave de API
+    const business = req.business;
 
     console.log('✅ Negocio encontrado:', business.name, '| Tipo:', business.business_type);
 
@@ -139,6 +127,7 @@ export async function getBusinessConfig(req, res) {
       .select('*')
       .eq('restaurant_id', business.id)
       .eq('is_active', true)
+      .is('deleted_at', null)
       .order('display_order', { ascending: true })
       .order('category')
       .order('price');
@@ -254,23 +243,12 @@ Si el cliente quiere agendar, usa: AGENDAR: [servicio] [fecha YYYY-MM-DD] [hora
 }
 
 /**
- * GET /api/webhooks/n8n/business/:businessSlug
+ * GET /api/webhooks/n8n/business
  * Endpoint simplificado (mantener por compatibilidad)
  */
 export async function getBusinessInfo(req, res) {
   try {
-    const { businessSlug } = req.params;
-
-    const { data: business, error } = await supabase
-      .from('restaurants')
-      .select('id, name, slug, business_type, config, max_capacity')
-      .eq('slug', businessSlug)
-      .eq('is_active', true)
-      .single();
-
-    if (error || !business) {
-      return res.status(404).json({ error: 'Negocio no encontrado' });
-    }
+    const business = req.business;
 
     res.json({
       id: business.id,
@@ -289,55 +267,65 @@ export async function getBusinessInfo(req, res) {
 
 /**
  * POST /api/webhooks/n8n/check-availability
- * Verifica disponibilidad para una fecha/hora
+ * Verifica disponibilidad para una fecha (y opcionalmente una hora).
+ * Usa el mismo motor que el panel y la página pública.
  */
 export async function checkAvailability(req, res) {
   try {
-    const { businessSlug, date, time, partySize } = req.body;
+    const { date, time, partySize, durationMinutes, serviceId, staffId } = req.body;
+    const business = req.business;
 
-    if (!businessSlug || !date || !time) {
+    if (!date) {
       return res.status(400).json({ 
-        error: 'businessSlug, date y time son requeridos' 
+        error: 'date es requerido' 
       });
     }
 
-    const { data: business, error: businessError } = await supabase
-      .from('restaurants')
-      .select('id, name, max_capacity')
-      .eq('slug', businessSlug)
-      .eq('is_active', true)
-      .single();
+    // Duración: explícita o la del servicio elegido
+    let duration = durationMinutes;
 
-    if (businessError || !business) {
-      return res.status(404).json({ error: 'Negocio no encontrado' });
+    if (!duration && serviceId) {
+      const { data: service } = await supabase
+        .from('services')
+        .select('duration_minutes')
+        .eq('id', serviceId)
+        .eq('restaurant_id', business.id)
+        .is('deleted_at', null)
+        .single();
+
+      duration = service?.duration_minutes;
     }
 
-    const { data: existingReservations, error: reservationsError } = await supabase
-      .from('reservations')
-      .select('party_size')
-      .eq('restaurant_id', business.id)
-      .eq('reservation_date', date)
-      .eq('reservation_time', time)
-      .in('status', ['confirmed', 'pending', 'seated']);
+    const params = {
+      businessId: business.id,
+      date,
+      durationMinutes: duration,
+      partySize: parseInt(partySize || 2),
+      staffId: staffId || null,
+      serviceIds: [serviceId]
+    };
 
-    if (reservationsError) {
-      console.error('Error verificando disponibilidad:', reservationsError);
-      return res.status(500).json({ error: 'Error verificando disponibilidad' });
-    }
+    // Sin hora: devolver los slots del día
+    if (!time) {
+      const day = await availabilityService.getDaySlots(params);
 
-    const occupiedCapacity = existingReservations.reduce(
-      (sum, r) => sum + (r.party_size || 0), 
-      0
-    );
+      return res.json({
+        ...day,
+        availableSlots: day.slots.filter(s => s.available).map(s => s.time),
+        businessName: business.name
+      });
+    }
 
-    const availableCapacity = business.max_capacity - occupiedCapacity;
-    const isAvailable = availableCapacity >= (partySize || 1);
+    const result = await availabilityService.checkSlot({ ...params, time });
 
     res.json({
-      available: isAvailable,
-      availableCapacity,
-      maxCapacity: business.max_capacity,
-      occupiedCapacity,
+      available: result.available,
+      reason_code: result.reason_code,
+      reason: result.reason,
+      staff_id: result.staff_id || null,
+      staff_name: result.staff_name || null,
+      suggested_times: result.suggested_times,
+      slots: result.slots,
       businessName: business.name
     });
 
@@ -349,92 +337,80 @@ export async function checkAvailability(req, res) {
 
 /**
  * POST /api/webhooks/n8n/reservation
- * Crea reserva desde WhatsApp (N8N)
+ * Crea reserva desde WhatsApp (N8N) con el mismo pipeline que el panel:
+ * la reserva queda en appointments, con mesa asignada y visible en la sala
  */
 export async function createReservationFromWhatsApp(req, res) {
   try {
     const {
-      businessSlug,
       customerName,
       customerPhone,
+      customerEmail,
       reservationDate,
       reservationTime,
       partySize,
+      serviceId,
+      tablePreference,
       specialRequests,
-      conversationId
+      conversationId,
+      marketingConsent
     } = req.body;
 
-    if (!businessSlug || !customerName || !customerPhone || !reservationDate || !reservationTime) {
+    const business = req.business;
+
+    if (!customerName || !customerPhone || !reservationDate || !reservationTime) {
       return res.status(400).json({ 
         error: 'Faltan datos requeridos para crear la reserva' 
       });
     }
 
-    const { data: business, error: businessError } = await supabase
-      .from('restaurants')
-      .select('id, name')
-      .eq('slug', businessSlug)
-      .eq('is_active', true)
-      .single();
+    const parsedConsent = consentService.parseChoices(marketingConsent);
 
-    if (businessError || !business) {
-      return res.status(404).json({ error: 'Negocio no encontrado' });
+    if (parsedConsent.error) {
+      return res.status(400).json({ error: parsedConsent.error });
     }
 
-    let customerId;
-    const { data: existingCustomer } = await supabase
-      .from('customers')
-      .select('id')
-      .eq('restaurant_id', business.id)
-      .eq('phone', customerPhone)
-      .single();
+    const bookingBusiness = await bookingService.getBusiness(business.id);
 
-    if (existingCustomer) {
-      customerId = existingCustomer.id;
-    } else {
-      const { data: newCustomer, error: customerError } = await supabase
-        .from('customers')
-        .insert({
-          restaurant_id: business.id,
-          name: customerName,
-          phone: customerPhone,
-          first_visit_at: new Date().toISOString(),
-        })
-        .select('id')
-        .single();
+    if (!bookingBusiness) {
+      return res.status(500).json({ error: 'Error cargando configuración del negocio' });
+    }
 
-      if (customerError) {
-        console.error('Error creando cliente:', customerError);
-        return res.status(500).json({ error: 'Error creando cliente' });
-      }
+    const servicesList = bookingService.buildServicesList({ serviceId }, bookingBusiness.business_type === 'restaurant');
 
-      customerId = newCustomer.id;
+    if (!servicesList) {
+      return res.status(400).json({ error: 'serviceId es requerido para este negocio' });
     }
 
-    const { data: reservation, error: reservationError } = await supabase
-      .from('reservations')
-      .insert({
-        restaurant_id: business.id,
-        customer_id: customerId,
-        reservation_date: reservationDate,
-        reservation_time: reservationTime,
-        party_size: partySize || 2,
-        special_requests: specialRequests,
-        source: 'whatsapp',
-        status: 'confirmed',
-      })
-      .select(`
-        *,
-        customers (
-          name,
-          phone
-        )
-      `)
-      .single();
+    // El agente reserva en nombre del cliente: se respeta el horario de apertura
+    const result = await bookingService.create(req, bookingBusiness, {
+      clientName: customerName,
+      clientPhone: customerPhone,
+      clientEmail: customerEmail,
+      scheduledDate: reservationDate,
+      appointmentTime: reservationTime,
+      servicesList,
+      notes: specialRequests,
+      partySize: partySize || 2,
+      tablePreference,
+      source: 'whatsapp',
+      enforceSchedule: true
+    });
 
-    if (reservationError) {
-      console.error('Error creando reserva:', reservationError);
-      return res.status(500).json({ error: 'Error creando reserva' });
+    if (!result.success) {
+      return res.status(result.status).json(result.body);
+    }
+
+    const { appointment, tableAssignment } = result;
+
+    if (parsedConsent.consents) {
+      await consentService.record(req, {
+        businessId: business.id,
+        customerId: appointment.customer_id,
+        consents: parsedConsent.consents,
+        source: CONSENT_SOURCES.WHATSAPP,
+        policyVersion: consentService.getPolicyVersion(bookingBusiness.config)
+      });
     }
 
     if (conversationId) {
@@ -442,24 +418,25 @@ export async function createReservationFromWhatsApp(req, res) {
         .from('ai_conversations')
         .insert({
           restaurant_id: business.id,
-          customer_id: customerId,
+          customer_id: appointment.customer_id,
           conversation_id: conversationId,
           platform: 'whatsapp',
           intent: 'booking',
           status: 'completed',
-          reservation_id: reservation.id
+          appointment_id: appointment.id
         });
     }
 
     res.status(201).json({
       success: true,
       reservation: {
-        id: reservation.id,
-        customerName: reservation.customers.name,
-        date: reservation.reservation_date,
-        time: reservation.reservation_time,
-        partySize: reservation.party_size,
-        status: reservation.status
+        id: appointment.id,
+        customerName: appointment.client_name,
+        date: appointment.scheduled_date,
+        time: reservationTime,
+        partySize: appointment.party_size,
+        status: appointment.status,
+        tableNumber: tableAssignment?.tableNumber || null
       },
       message: `Reserva confirmada para ${customerName} el ${reservationDate} a las ${reservationTime}`
     });
@@ -477,7 +454,6 @@ export async function createReservationFromWhatsApp(req, res) {
 export async function saveConversation(req, res) {
   try {
     const {
-      businessSlug,
       customerPhone,
       conversationId,
       messages,
@@ -485,29 +461,32 @@ export async function saveConversation(req, res) {
       status
     } = req.body;
 
-    if (!businessSlug || !customerPhone || !conversationId) {
+    const business = req.business;
+
+    if (!customerPhone || !conversationId) {
       return res.status(400).json({ 
-        error: 'businessSlug, customerPhone y conversationId son requeridos' 
+        error: 'customerPhone y conversationId son requeridos' 
       });
     }
 
-    const { data: business, error: businessError } = await supabase
-      .from('restaurants')
-      .select('id')
-      .eq('slug', businessSlug)
-      .eq('is_active', true)
+    // El upsert es por conversation_id: no permitir pisar la de otro negocio
+    const { data: existing } = await supabase
+      .from('ai_conversations')
+      .select('restaurant_id')
+      .eq('conversation_id', conversationId)
       .single();
 
-    if (businessError || !business) {
-      return res.status(404).json({ error: 'Negocio no encontrado' });
+    if (existing && existing.restaurant_id !== business.id) {
+      return res.status(403).json({ error: 'La conversación pertenece a otro negocio' });
     }
 
-    const { data: customer } = await supabase
-      .from('customers')
-      .select('id')
-      .eq('restaurant_id', business.id)
-      .eq('phone', customerPhone)
-      .single();
+    const parsedPhone = phoneService.parse(customerPhone, business);
+
+    if (!parsedPhone.success) {
+      return res.status(parsedPhone.status).json(parsedPhone.body);
+    }
+
+    const customer = await customerService.findByPhone(business.id, parsedPhone.phone);
 
     const { data, error } = await supabase
       .from('ai_conversations')
@@ -539,4 +518,55 @@ export async function saveConversation(req, res) {
     console.error('Error en saveConversation:', error);
     res.status(500).json({ error: 'Error en el servidor' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * POST /api/webhooks/n8n/consent
+ * El cliente acepta o rechaza promociones durante la conversación
+ * Body: { customerPhone, consents: { whatsapp: true, email: false } }
+ */
+export async function saveConsent(req, res) {
+  try {
+    const { customerPhone, consents } = req.body;
+    const business = req.business;
+
+    if (!customerPhone || !consents) {
+      return res.status(400).json({ error: 'customerPhone y consents son requeridos' });
+    }
+
+    const parsedConsent = consentService.parseChoices(consents);
+
+    if (parsedConsent.error || !parsedConsent.consents) {
+      return res.status(400).json({ error: parsedConsent.error || 'Indica al menos un canal' });
+    }
+
+    const parsedPhone = phoneService.parse(customerPhone, business);
+
+    if (!parsedPhone.success) {
+      return res.status(parsedPhone.status).json(parsedPhone.body);
+    }
+
+    const customer = await customerService.findByPhone(business.id, parsedPhone.phone);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Cliente no encontrado' });
+    }
+
+    await consentService.record(req, {
+      businessId: business.id,
+      customerId: customer.id,
+      consents: parsedConsent.consents,
+      source: CONSENT_SOURCES.WHATSAPP,
+      policyVersion: consentService.getPolicyVersion(business.config)
+    });
+
+    res.json({
+      success: true,
+      consents: await consentService.getConsents(customer.id)
+    });
+
+  } catch (error) {
+    console.error('Error en saveConsent:', error);
+    res.status(500).json({ error: 'Error en el servidor' });
+  }
+}
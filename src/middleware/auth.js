@@ -1,5 +1,14 @@
 import jwt from 'jsonwebtoken';
 import { supabase } from '../config/database.js';
+import { resolvePermissions } from '../config/permissions.js';
+import sessionService from '../services/sessionService.js';
+import membershipService from '../services/membershipService.js';
+
+// Rutas permitidas mientras el usuario tenga una contraseña temporal
+const PASSWORD_CHANGE_PATHS = ['/api/auth/me', '/api/auth/change-password', '/api/auth/logout', '/api/auth/logout-all'];
+
+// Rutas permitidas a un SuperAdmin sin doble factor (sesiones anteriores a hacerlo obligatorio)
+const MFA_SETUP_PATHS = ['/api/auth/me', '/api/auth/2fa/setup', '/api/auth/2fa/confirm', '/api/auth/logout', '/api/auth/logout-all'];
 
 export async function authenticateToken(req, res, next) {
   try {
@@ -18,26 +27,62 @@ export async function authenticateToken(req, res, next) {
      console.log('✅ [Auth] Token decodificado:', decoded);
     
     // Obtener usuario de la BD
-    const { data: user, error } = await supabase
+    const { data: identity, error } = await supabase
       .from('restaurant_users')
       .select('*, restaurants(*)')
       .eq('id', decoded.userId)
       .single();
 
-        console.log('🔍 [Auth] Usuario encontrado:', user ? user.email : 'NULL');
+        console.log('🔍 [Auth] Usuario encontrado:', identity ? identity.email : 'NULL');
 
-    if (error || !user) {
+    if (error || !identity) {
       console.log('❌ [Auth] Usuario no encontrado');
       return res.status(401).json({ error: 'Usuario no encontrado' });
     }
 
-    if (!user.is_active) {
+    if (!identity.is_active) {
        console.log('❌ [Auth] Usuario inactivo');
       return res.status(403).json({ error: 'Usuario inactivo' });
     }
 
+    // Sesión revocada (logout, cambio de contraseña, usuario desactivado...)
+    const session = await sessionService.getActive(decoded.sid, identity.id);
+    if (!session) {
+      console.log('❌ [Auth] Sesión revocada o inexistente');
+      return res.status(401).json({ error: 'Sesión expirada o revocada' });
+    }
+
+    // Negocios del usuario: rol y permisos salen del negocio activo de la sesión
+    const memberships = await membershipService.listForUser(identity.id);
+    const active = membershipService.pickActive(memberships, session.active_business_id, identity.restaurant_id);
+
+    // Sin membresía activa (negocio desactivado, acceso retirado) no vale el rol heredado de restaurant_users
+    if (!active && !identity.is_platform_admin) {
+      console.log('❌ [Auth] Sin acceso a ningún negocio activo');
+      return res.status(403).json({ error: 'No tienes acceso a ningún negocio activo' });
+    }
+
+    const user = { ...membershipService.applyToUser(identity, active), memberships };
+
+    // Contraseña temporal: sólo puede consultar su perfil y cambiarla
+    const path = `${req.baseUrl}${req.path}`;
+    if (user.must_change_password && !PASSWORD_CHANGE_PATHS.includes(path)) {
+      return res.status(403).json({ 
+        error: 'Debes cambiar tu contraseña antes de continuar',
+        code: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
+
+    if (user.is_platform_admin && !user.totp_enabled && !MFA_SETUP_PATHS.includes(path)) {
+      return res.status(403).json({ 
+        error: 'Debes activar el doble factor para continuar',
+        code: 'MFA_SETUP_REQUIRED'
+      });
+    }
+
     // Agregar usuario al request
     req.user = user;
+    req.sessionId = decoded.sid;
       console.log('✅ [Auth] Usuario agregado a req.user');
     next();
   } catch (error) {
@@ -70,6 +115,35 @@ export function requireRole(...allowedRoles) {
   };
 }
 
+/**
+ * Exige permisos concretos (preset del rol + excepciones del usuario).
+ * Uso: router.post('/', requirePermission('create_reservations'), handler)
+ */
+export function requirePermission(...requiredPermissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'No autenticado' });
+    }
+
+    // SuperAdmin puede hacerlo todo
+    if (req.user.is_platform_admin) {
+      return next();
+    }
+
+    const permissions = resolvePermissions(req.user);
+    const missing = requiredPermissions.filter(permission => !permissions[permission]);
+
+    if (missing.length > 0) {
+      return res.status(403).json({ 
+        error: 'No tienes permisos para esta acción',
+        required: missing
+      });
+    }
+
+    next();
+  };
+}
+
 export function requireSuperAdmin(req, res, next) {
   if (!req.user) {
     return res.status(401).json({ error: 'No autenticado' });
@@ -1,9 +1,39 @@
-export const authenticateAgent = (req, res, next) => {
-  const agentKey = req.headers['x-agent-key'];
+import apiKeyService from '../services/apiKeyService.js';
 
-  if (!agentKey || agentKey !== process.env.N8N_SECRET_KEY) {
-    console.warn(`[AuthAgent] ⚠️ Intento de acceso fallido de N8N. Key: ${agentKey}`);
-    return res.status(401).json({ error: 'Acceso no autorizado' });
+/**
+ * Autentica a un agente (n8n) con una clave de API del negocio.
+ * El negocio sale de la clave: si la petición trae un slug distinto, se rechaza.
+ * Uso: router.post('/n8n/reservation', authenticateAgent(API_KEY_SCOPES.CREATE_BOOKINGS), handler)
+ */
+export const authenticateAgent = (...requiredScopes) => async (req, res, next) => {
+  try {
+    const rawKey = req.headers['x-api-key'] || req.headers['x-agent-key'];
+    const auth = await apiKeyService.authenticate(rawKey);
+
+    if (!auth) {
+      console.warn(`[AuthAgent] ⚠️ Clave de API inválida o revocada: ${rawKey ? rawKey.slice(0, 10) + '...' : 'NULL'}`);
+      return res.status(401).json({ error: 'Acceso no autorizado' });
+    }
+
+    const missing = requiredScopes.filter(scope => !auth.apiKey.scopes.includes(scope));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'La clave de API no tiene permisos para esta acción',
+        required: missing
+      });
+    }
+
+    const slug = req.params?.businessSlug || req.body?.businessSlug || req.body?.slug;
+    if (slug && slug !== auth.business.slug) {
+      console.warn(`[AuthAgent] ⚠️ Clave de ${auth.business.slug} usada para ${slug}`);
+      return res.status(403).json({ error: 'No tienes acceso a este negocio' });
+    }
+
+    req.business = auth.business;
+    req.apiKey = auth.apiKey;
+    next();
+  } catch (error) {
+    console.error('[AuthAgent] Error:', error.message);
+    return res.status(500).json({ error: 'Error en autenticación' });
   }
-  next();
-};
\ No newline at end of file
+};
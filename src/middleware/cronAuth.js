@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+
+/**
+ * Protege los endpoints de cron con un secreto compartido (header X-Cron-Secret = CRON_SECRET).
+ * Sin CRON_SECRET configurado se rechaza todo: nunca quedan abiertos por olvido.
+ * Uso: router.post('/cron/purge-trash', authenticateCron, handler)
+ */
+export function authenticateCron(req, res, next) {
+  const expected = process.env.CRON_SECRET;
+  const provided = req.headers['x-cron-secret'];
+
+  if (!expected) {
+    console.error('[Cron] ❌ CRON_SECRET no está configurado: endpoint de cron rechazado');
+    return res.status(401).json({ error: 'Acceso no autorizado' });
+  }
+
+  const valid = typeof provided === 'string'
+    && provided.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+
+  if (!valid) {
+    console.warn(`[Cron] ⚠️ Secreto de cron inválido en ${req.originalUrl || req.url}`);
+    return res.status(401).json({ error: 'Acceso no autorizado' });
+  }
+
+  next();
+}
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+/**
+ * Identificador de cada petición (se respeta el X-Request-Id del proxy si viene).
+ * Se devuelve en la respuesta y queda en el registro de auditoría.
+ */
+export function assignRequestId(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+
+  req.id = typeof incoming === 'string' && /^[\w.-]{1,100}$/.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  res.setHeader('X-Request-Id', req.id);
+  next();
+}
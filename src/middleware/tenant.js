@@ -1,4 +1,5 @@
 import { supabase } from '../config/database.js';
+import membershipService from '../services/membershipService.js';
 
 export async function loadBusinessFromSlug(req, res, next) {
   try {
@@ -51,21 +52,26 @@ export function validateBusinessAccess(req, res, next) {
     return res.status(401).json({ error: 'No autenticado' });
   }
 
-  // SuperAdmin puede acceder a todo
+  // SuperAdmin puede acceder a todo (actúa sobre el negocio pedido)
   if (req.user.is_platform_admin) {
     console.log('✅ [ValidateAccess] SuperAdmin - acceso total');
+    req.user = { ...req.user, restaurant_id: req.business.id, restaurants: req.business };
     return next();
   }
 
-  console.log('🔍 [ValidateAccess] user.restaurant_id:', req.user.restaurant_id);
   console.log('🔍 [ValidateAccess] business.id:', req.business.id);
 
-  // Usuario normal solo puede acceder a su propio negocio
-  if (req.user.restaurant_id !== req.business.id) {
+  // Usuario normal solo puede acceder a los negocios de los que es miembro
+  const membership = (req.user.memberships || []).find(m => m.restaurant_id === req.business.id);
+
+  if (!membership) {
     console.log('❌ [ValidateAccess] No tienes acceso a este negocio');
     return res.status(403).json({ error: 'No tienes acceso a este negocio' });
   }
 
+  // Rol y permisos del negocio pedido (puede no ser el activo de la sesión)
+  req.user = membershipService.applyToUser(req.user, membership);
+
   console.log('✅ [ValidateAccess] Acceso permitido');
   next();
 };
\ No newline at end of file
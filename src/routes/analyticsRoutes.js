@@ -6,7 +6,7 @@ import {
   getAppointmentsTimeline,
   getRevenueStats,
 } from '../controllers/analyticsController.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
 
 const router = express.Router();
@@ -15,6 +15,7 @@ const router = express.Router();
 router.use(authenticateToken);
 router.use(loadBusinessFromSlug);
 router.use(validateBusinessAccess);
+router.use(requirePermission('view_analytics'));
 
 // GET /api/analytics/overview
 router.get('/overview', getOverviewStats);
@@ -29,6 +30,6 @@ router.get('/top-services', getTopServices);
 router.get('/appointments-timeline', getAppointmentsTimeline);
 
 // GET /api/analytics/revenue
-router.get('/revenue', requireRole('ADMIN', 'MANAGER'), getRevenueStats);
+router.get('/revenue', requirePermission('view_revenue'), getRevenueStats);
 
 export default router;
\ No newline at end of file
@@ -12,23 +12,34 @@ import {
   checkInAppointment,   
   checkOutAppointment 
 } from '../controllers/appointmentsController.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  getAppointmentNotifications,
+  resendNotification
+} from '../controllers/notificationsController.js';
+import {
+  getAppointmentPayments,
+  createPayment,
+  refundPayment,
+  createCheckout
+} from '../controllers/paymentsController.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
 import { authenticateAgent } from '../middleware/authAgent.js';
+import { getTrash, restoreFromTrash } from '../controllers/trashController.js';
+import { API_KEY_SCOPES } from '../services/apiKeyService.js';
 
 const router = express.Router();
 
+// Rutas del agente: el negocio sale de la clave de API (x-api-key)
 router.post(
   '/agent/check-availability',
-  loadBusinessFromSlug,   
-  authenticateAgent, 
+  authenticateAgent(API_KEY_SCOPES.CHECK_AVAILABILITY),
   checkAvailability 
 );
 
 router.post(
   '/agent/create',
-  loadBusinessFromSlug,
-  authenticateAgent,
+  authenticateAgent(API_KEY_SCOPES.CREATE_BOOKINGS),
   createAppointment
 );
 
@@ -37,36 +48,60 @@ router.use(loadBusinessFromSlug);
 router.use(validateBusinessAccess);
 
 // GET /api/appointments
-router.get('/', getAppointments);
+router.get('/', requirePermission('view_reservations'), getAppointments);
 
 // GET /api/appointments/today
-router.get('/today', getTodayAppointments);
+router.get('/today', requirePermission('view_reservations'), getTodayAppointments);
 
 // GET /api/appointments/stats
-router.get('/stats', getAppointmentStats);
+router.get('/stats', requirePermission('view_reservations'), getAppointmentStats);
+
+// GET /api/appointments/trash
+router.get('/trash', requirePermission('delete_reservations'), getTrash('appointments'));
 
 // GET /api/appointments/:appointmentId/details
-router.get('/:appointmentId/details', getAppointmentById);
+router.get('/:appointmentId/details', requirePermission('view_reservations'), getAppointmentById);
 
 // POST /api/appointments/check-availability (Usado por el modal del Panel)
-router.post('/check-availability', checkAvailability);
+router.post('/check-availability', requirePermission('view_reservations'), checkAvailability);
 
 // POST /api/appointments (Usado por el modal del Panel)
-router.post('/', requireRole('ADMIN', 'MANAGER', 'STAFF'), createAppointment);
+router.post('/', requirePermission('create_reservations'), createAppointment);
 
 // POST /api/appointments/:appointmentId/check-in
-router.post('/:appointmentId/check-in', requireRole('ADMIN', 'MANAGER', 'STAFF'), checkInAppointment);
+router.post('/:appointmentId/check-in', requirePermission('edit_reservations'), checkInAppointment);
 
 // POST /api/appointments/:appointmentId/check-out
-router.post('/:appointmentId/check-out', requireRole('ADMIN', 'MANAGER', 'STAFF'), checkOutAppointment);
+router.post('/:appointmentId/check-out', requirePermission('edit_reservations'), checkOutAppointment);
 
 // PATCH /api/appointments/:appointmentId/status
-router.patch('/:appointmentId/status', requireRole('ADMIN', 'MANAGER', 'STAFF'), updateAppointmentStatus);
+router.patch('/:appointmentId/status', requirePermission('edit_reservations'), updateAppointmentStatus);
 
 // PATCH /api/appointments/:appointmentId
-router.patch('/:appointmentId', requireRole('ADMIN', 'MANAGER', 'STAFF'), updateAppointment);
+router.patch('/:appointmentId', requirePermission('edit_reservations'), updateAppointment);
+
+// GET /api/appointments/:appointmentId/notifications
+router.get('/:appointmentId/notifications', requirePermission('view_reservations'), getAppointmentNotifications);
+
+// POST /api/appointments/:appointmentId/notifications/:notificationId/resend
+router.post('/:appointmentId/notifications/:notificationId/resend', requirePermission('edit_reservations'), resendNotification);
+
+// GET /api/appointments/:appointmentId/payments
+router.get('/:appointmentId/payments', requirePermission('view_reservations'), getAppointmentPayments);
+
+// POST /api/appointments/:appointmentId/payments
+router.post('/:appointmentId/payments', requirePermission('manage_payments'), createPayment);
+
+// POST /api/appointments/:appointmentId/payments/checkout
+router.post('/:appointmentId/payments/checkout', requirePermission('manage_payments'), createCheckout);
+
+// POST /api/appointments/:appointmentId/payments/:paymentId/refund
+router.post('/:appointmentId/payments/:paymentId/refund', requirePermission('refund_payments'), refundPayment);
+
+// POST /api/appointments/:appointmentId/restore
+router.post('/:appointmentId/restore', requirePermission('delete_reservations'), restoreFromTrash('appointments', 'appointmentId'));
 
-// DELETE /api/appointments/:appointmentId
-router.delete('/:appointmentId', requireRole('ADMIN', 'MANAGER', 'STAFF'), deleteAppointment);
+// DELETE /api/appointments/:appointmentId (a la papelera)
+router.delete('/:appointmentId', requirePermission('delete_reservations'), deleteAppointment);
 
 export default router;
\ No newline at end of file
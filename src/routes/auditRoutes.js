@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getAuditLog,
+  getEntityAuditLog,
+  getUserAuditLog
+} from '../controllers/auditController.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación + acceso al negocio
+router.use(authenticateToken);
+router.use(loadBusinessFromSlug);
+router.use(validateBusinessAccess);
+router.use(requirePermission('view_audit_log'));
+
+// GET /api/audit
+router.get('/', getAuditLog);
+
+// GET /api/audit/users/:userId
+router.get('/users/:userId', getUserAuditLog);
+
+// GET /api/audit/:entityType/:entityId
+router.get('/:entityType/:entityId', getEntityAuditLog);
+
+export default router;
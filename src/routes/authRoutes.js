@@ -1,5 +1,24 @@
 import express from 'express';
-import { login, getMe } from '../controllers/authController.js';
+import {
+  login,
+  getMe,
+  forgotPassword,
+  resetPassword,
+  getInvite,
+  acceptInvite,
+  changePassword,
+  refresh,
+  logout,
+  logoutAll,
+  switchBusiness,
+  loginSecondFactor,
+  loginSetupTwoFactor,
+  loginConfirmTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/authController.js';
 import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -7,7 +26,55 @@ const router = express.Router();
 // POST /api/auth/login
 router.post('/login', login);
 
+// POST /api/auth/login/2fa (segundo paso con challengeToken)
+router.post('/login/2fa', loginSecondFactor);
+
+// POST /api/auth/login/2fa/setup (alta obligatoria durante el login)
+router.post('/login/2fa/setup', loginSetupTwoFactor);
+
+// POST /api/auth/login/2fa/confirm
+router.post('/login/2fa/confirm', loginConfirmTwoFactor);
+
+// POST /api/auth/refresh
+router.post('/refresh', refresh);
+
+// POST /api/auth/logout
+router.post('/logout', authenticateToken, logout);
+
+// POST /api/auth/logout-all
+router.post('/logout-all', authenticateToken, logoutAll);
+
 // GET /api/auth/me
 router.get('/me', authenticateToken, getMe);
 
+// POST /api/auth/switch-business
+router.post('/switch-business', authenticateToken, switchBusiness);
+
+// POST /api/auth/2fa/setup
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+
+// POST /api/auth/2fa/confirm
+router.post('/2fa/confirm', authenticateToken, confirmTwoFactor);
+
+// POST /api/auth/2fa/disable
+router.post('/2fa/disable', authenticateToken, disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes
+router.post('/2fa/recovery-codes', authenticateToken, regenerateRecoveryCodes);
+
+// POST /api/auth/change-password
+router.post('/change-password', authenticateToken, changePassword);
+
+// POST /api/auth/forgot-password
+router.post('/forgot-password', forgotPassword);
+
+// POST /api/auth/reset-password
+router.post('/reset-password', resetPassword);
+
+// GET /api/auth/invite/:token
+router.get('/invite/:token', getInvite);
+
+// POST /api/auth/accept-invite
+router.post('/accept-invite', acceptInvite);
+
 export default router;
\ No newline at end of file
@@ -6,7 +6,7 @@ import {
   deleteBlockedSlot,
   checkBlocked, 
 } from '../controllers/blockedSlotsController.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
 
 const router = express.Router();
@@ -17,18 +17,18 @@ router.use(loadBusinessFromSlug);
 router.use(validateBusinessAccess);
 
 // GET /api/blocked-slots - Obtener todos los bloqueos
-router.get('/', getBlockedSlots);
+router.get('/', requirePermission('view_reservations'), getBlockedSlots);
 
 // POST /api/blocked-slots - Crear nuevo bloqueo (solo ADMIN y MANAGER)
-router.post('/', requireRole('ADMIN', 'MANAGER'), createBlockedSlot);
+router.post('/', requirePermission('manage_schedule'), createBlockedSlot);
 
 // POST /api/blocked-slots/check - Verificar si hay bloqueo en fecha/hora
-router.post('/check', checkBlocked); 
+router.post('/check', requirePermission('view_reservations'), checkBlocked); 
 
 // PATCH /api/blocked-slots/:blockId - Actualizar bloqueo (solo ADMIN y MANAGER)
-router.patch('/:blockId', requireRole('ADMIN', 'MANAGER'), updateBlockedSlot);
+router.patch('/:blockId', requirePermission('manage_schedule'), updateBlockedSlot);
 
 // DELETE /api/blocked-slots/:blockId - Eliminar bloqueo (solo ADMIN y MANAGER)
-router.delete('/:blockId', requireRole('ADMIN', 'MANAGER'), deleteBlockedSlot);
+router.delete('/:blockId', requirePermission('manage_schedule'), deleteBlockedSlot);
 
 export default router;
\ No newline at end of file
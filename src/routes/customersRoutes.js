@@ -7,10 +7,27 @@ import {
   deleteCustomer,
   toggleVipStatus,
   getCustomerStats,
-  getCustomerProfile, 
+  getCustomerProfile,
+  getDuplicateCustomers,
+  mergeCustomers,
+  getCustomerConsents,
+  updateCustomerConsents,
+  exportCustomers,
 } from '../controllers/customersController.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
+import { getTrash, restoreFromTrash } from '../controllers/trashController.js';
+import { exportCustomerData, eraseCustomerData, getPrivacyRequests } from '../controllers/privacyController.js';
+import {
+  getCustomerTags,
+  getSegments,
+  previewSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  sendSegmentCampaign,
+  getCampaigns
+} from '../controllers/segmentsController.js';
 
 const router = express.Router();
 
@@ -18,6 +35,7 @@ const router = express.Router();
 router.use(authenticateToken);
 router.use(loadBusinessFromSlug);
 router.use(validateBusinessAccess);
+router.use(requirePermission('view_customers'));
 
 // GET /api/customers
 router.get('/', getCustomers);
@@ -25,22 +43,76 @@ router.get('/', getCustomers);
 // GET /api/customers/stats
 router.get('/stats', getCustomerStats);
 
+// GET /api/customers/export?segment=&tag=&search=&is_vip= (CSV)
+router.get('/export', requirePermission('export_customers'), exportCustomers);
+
+// GET /api/customers/tags
+router.get('/tags', getCustomerTags);
+
+// GET /api/customers/segments
+router.get('/segments', getSegments);
+
+// POST /api/customers/segments/preview
+router.post('/segments/preview', previewSegment);
+
+// POST /api/customers/segments
+router.post('/segments', requirePermission('manage_customers'), createSegment);
+
+// PATCH /api/customers/segments/:segmentId
+router.patch('/segments/:segmentId', requirePermission('manage_customers'), updateSegment);
+
+// DELETE /api/customers/segments/:segmentId
+router.delete('/segments/:segmentId', requirePermission('manage_customers'), deleteSegment);
+
+// POST /api/customers/segments/:segmentId/campaigns
+router.post('/segments/:segmentId/campaigns', requirePermission('send_campaigns'), sendSegmentCampaign);
+
+// GET /api/customers/campaigns
+router.get('/campaigns', requirePermission('send_campaigns'), getCampaigns);
+
+// GET /api/customers/duplicates
+router.get('/duplicates', requirePermission('manage_customers'), getDuplicateCustomers);
+
+// GET /api/customers/privacy-requests
+router.get('/privacy-requests', requirePermission('manage_privacy'), getPrivacyRequests);
+
+// GET /api/customers/trash
+router.get('/trash', requirePermission('delete_customers'), getTrash('customers'));
+
 // GET /api/customers/:customerId/profile
 router.get('/:customerId/profile', getCustomerProfile);
 
+// GET /api/customers/:customerId/export
+router.get('/:customerId/export', requirePermission('manage_privacy'), exportCustomerData);
+
+// POST /api/customers/:customerId/erase (RGPD: anonimización irreversible)
+router.post('/:customerId/erase', requirePermission('manage_privacy'), eraseCustomerData);
+
 // GET /api/customers/:customerId
 router.get('/:customerId', getCustomer);
 
 // POST /api/customers
-router.post('/', requireRole('ADMIN', 'MANAGER', 'STAFF'), createCustomer);
+router.post('/', requirePermission('manage_customers'), createCustomer);
 
 // PATCH /api/customers/:customerId
-router.patch('/:customerId', requireRole('ADMIN', 'MANAGER', 'STAFF'), updateCustomer);
+router.patch('/:customerId', requirePermission('manage_customers'), updateCustomer);
+
+// POST /api/customers/:customerId/merge (los duplicados van a la papelera)
+router.post('/:customerId/merge', requirePermission('delete_customers'), mergeCustomers);
+
+// GET /api/customers/:customerId/consents
+router.get('/:customerId/consents', getCustomerConsents);
+
+// PUT /api/customers/:customerId/consents
+router.put('/:customerId/consents', requirePermission('manage_customers'), updateCustomerConsents);
 
 // PATCH /api/customers/:customerId/vip
-router.patch('/:customerId/vip', requireRole('ADMIN', 'MANAGER'), toggleVipStatus);
+router.patch('/:customerId/vip', requirePermission('manage_customers'), toggleVipStatus);
+
+// POST /api/customers/:customerId/restore
+router.post('/:customerId/restore', requirePermission('delete_customers'), restoreFromTrash('customers', 'customerId'));
 
-// DELETE /api/customers/:customerId
-router.delete('/:customerId', requireRole('ADMIN', 'MANAGER'), deleteCustomer);
+// DELETE /api/customers/:customerId (a la papelera)
+router.delete('/:customerId', requirePermission('delete_customers'), deleteCustomer);
 
 export default router;
\ No newline at end of file
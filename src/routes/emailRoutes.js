@@ -4,14 +4,14 @@ import {
   sendPendingReminders
 } from '../controllers/emailController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { authenticateCron } from '../middleware/cronAuth.js';
 
 const router = express.Router();
 
 // Enviar confirmación de cita (no requiere autenticación)
 router.post('/send-confirmation/:appointmentId', sendConfirmationEmail);
 
-// Enviar recordatorios pendientes (cron job - sin auth para permitir servicios externos)
-// TODO: Agregar API key secret para proteger este endpoint
-router.post('/send-reminders', sendPendingReminders);
+// Enviar recordatorios pendientes (cron job, header X-Cron-Secret)
+router.post('/send-reminders', authenticateCron, sendPendingReminders);
 
 export default router;
\ No newline at end of file
@@ -2,16 +2,47 @@ import express from 'express';
 import { supabase } from '../config/database.js';
 import { sendConfirmationEmail } from '../controllers/emailController.js';
 import { createRequire } from 'module';
-import { sendBatchReminders } from '../controllers/appointmentsController.js';
+import { sendBatchReminders, markNoShows } from '../controllers/appointmentsController.js';
+import { processNotifications } from '../controllers/notificationsController.js';
+import { purgeTrash } from '../controllers/trashController.js';
+import { paymentWebhook, releasePaymentHolds } from '../controllers/paymentsController.js';
+import trashService from '../services/trashService.js';
+import availabilityService, { UNAVAILABLE_REASONS } from '../services/availabilityService.js';
+import manageBookingService from '../services/manageBookingService.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from '../services/auditService.js';
+import appointmentStatusService, { APPOINTMENT_STATUSES, CANCELLED_BY } from '../services/appointmentStatusService.js';
+import noShowPolicyService from '../services/noShowPolicyService.js';
+import paymentService from '../services/paymentService.js';
+import customerService from '../services/customerService.js';
+import phoneService from '../services/phoneService.js';
+import { authenticateCron } from '../middleware/cronAuth.js';
+import consentService, { CONSENT_SOURCES } from '../services/consentService.js';
 
 const require = createRequire(import.meta.url);
-const { fromZonedTime, toZonedTime } = require('date-fns-tz');
+const { fromZonedTime, formatInTimeZone } = require('date-fns-tz');
 
 const router = express.Router();
 
 
+// Los cron se autentican con el header X-Cron-Secret (CRON_SECRET)
+
 // POST /api/public/cron/run-reminders
-router.post('/cron/run-reminders', sendBatchReminders);
+router.post('/cron/run-reminders', authenticateCron, sendBatchReminders);
+
+// POST /api/public/cron/process-notifications
+router.post('/cron/process-notifications', authenticateCron, processNotifications);
+
+// POST /api/public/cron/purge-trash
+router.post('/cron/purge-trash', authenticateCron, purgeTrash);
+
+// POST /api/public/cron/mark-no-shows
+router.post('/cron/mark-no-shows', authenticateCron, markNoShows);
+
+// POST /api/public/cron/release-payment-holds
+router.post('/cron/release-payment-holds', authenticateCron, releasePaymentHolds);
+
+// POST /api/public/payments/webhook/:provider
+router.post('/payments/webhook/:provider', paymentWebhook);
 
 // GET /api/public/:businessSlug/services
 router.get('/:businessSlug/services', async (req, res) => {
@@ -35,6 +66,7 @@ router.get('/:businessSlug/services', async (req, res) => {
       .select('*')
       .eq('restaurant_id', restaurant.id)
       .eq('is_active', true)
+      .is('deleted_at', null)
       .order('display_order', { ascending: true });
 
     if (servicesError) {
@@ -56,7 +88,7 @@ router.get('/:businessSlug/info', async (req, res) => {
     // Obtener restaurant por slug
     const { data: restaurant, error: restaurantError } = await supabase
       .from('restaurants')
-      .select('id, name, slug, phone, email, address, logo_url, description, business_hours, business_type')
+      .select('id, name, slug, phone, email, address, logo_url, description, business_hours, business_type, config')
       .eq('slug', businessSlug)
       .single();
 
@@ -64,7 +96,10 @@ router.get('/:businessSlug/info', async (req, res) => {
       return res.status(404).json({ error: 'Negocio no encontrado' });
     }
 
-    res.json({ business: restaurant });
+    const { config, ...business } = restaurant;
+
+    // El formulario envía la versión de la política que muestra junto a las casillas de consentimiento
+    res.json({ business: { ...business, privacy_policy_version: consentService.getPolicyVersion(config) } });
   } catch (error) {
     console.error('Error obteniendo info del negocio:', error);
     res.status(500).json({ error: 'Error al obtener información del negocio' });
@@ -75,19 +110,17 @@ router.get('/:businessSlug/info', async (req, res) => {
 router.post('/:businessSlug/check-availability', async (req, res) => {
   try {
     const { businessSlug } = req.params;
-    const { date, serviceId, durationMinutes, partySize } = req.body;
+    const { date, serviceId, services, durationMinutes, partySize, staffId } = req.body;
 
-    console.log('[Availability] Checking for:', { 
-      businessSlug, 
-      date, 
-      durationMinutes,
-      partySize 
-    });
+    console.log('[Availability] Checking for:', { businessSlug, date, durationMinutes, partySize, staffId });
+
+    if (!date) {
+      return res.status(400).json({ error: 'La fecha es requerida' });
+    }
 
-    // Obtener restaurant CON business_type
     const { data: restaurant, error: restaurantError } = await supabase
       .from('restaurants')
-      .select('id, timezone, config, business_type')
+      .select('id, business_type')
       .eq('slug', businessSlug)
       .single();
 
@@ -95,304 +128,25 @@ router.post('/:businessSlug/check-availability', async (req, res) => {
       return res.status(404).json({ error: 'Negocio no encontrado' });
     }
 
-    const timezone = restaurant.timezone || 'Europe/Madrid';
-    const isRestaurant = restaurant.business_type === 'restaurant';
-
-    console.log('[Availability] Business type:', restaurant.business_type);
-    console.log('[Availability] Is restaurant:', isRestaurant);
-
-    // ✅ OBTENER BLOQUEOS DEL DÍA (COMÚN PARA AMBOS)
-    const dayStartUTC = fromZonedTime(new Date(date + 'T00:00:00'), timezone);
-    const dayEndUTC = fromZonedTime(new Date(date + 'T23:59:59'), timezone);
-
-    const { data: dayBlocks, error: blocksError } = await supabase
-      .from('blocked_slots')
-      .select('blocked_from, blocked_until, reason, block_type')
-      .eq('restaurant_id', restaurant.id)
-      .eq('is_active', true)
-      .is('table_id', null)  // Solo bloqueos generales
-      .or(`and(blocked_from.lte.${dayEndUTC.toISOString()},blocked_until.gte.${dayStartUTC.toISOString()})`);
-
-    if (blocksError) {
-      console.error('[Availability] Error getting blocks:', blocksError);
+    if (restaurant.business_type === 'restaurant' && !partySize) {
+      return res.status(400).json({ error: 'partySize es requerido para restaurantes' });
     }
 
-    const blockedRanges = (dayBlocks || []).map(block => ({
-      start: toZonedTime(new Date(block.blocked_from), timezone),
-      end: toZonedTime(new Date(block.blocked_until), timezone),
-      reason: block.reason,
-      type: block.block_type
-    }));
-
-    console.log('[Availability] Blocked ranges:', blockedRanges.length);
-
-    // ========================================
-    // RESTAURANTES: Validar mesas disponibles
-    // ========================================
-    if (isRestaurant) {
-      console.log('[Availability] 🍽️ Modo restaurante activado');
-
-      if (!partySize) {
-        return res.status(400).json({ 
-          error: 'partySize es requerido para restaurantes' 
-        });
-      }
-
-      const finalPartySize = parseInt(partySize);
-      console.log(`[Availability] Verificando para ${finalPartySize} personas`);
-
-      // Obtener config de turnos
-      let businessConfig = {};
-      if (typeof restaurant.config === 'string') {
-        try { 
-          businessConfig = JSON.parse(restaurant.config); 
-        } catch (e) {
-          console.error('[Availability] Error parsing config:', e);
-        }
-      } else {
-        businessConfig = restaurant.config || {};
-      }
-
-      const shiftsConfig = businessConfig.shifts;
-
-      if (!shiftsConfig) {
-        console.log('[Availability] ⚠️ No hay turnos configurados');
-        return res.json({ availableSlots: [] });
-      }
-
-      // Importar motor de asignación
-      const { tableAssignmentEngine } = await import('../services/restaurant/tableAssignmentEngine.js');
-
-      let availableSlots = [];
-      const SLOT_INTERVAL = 15;
-
-      // Generar todos los slots posibles de los turnos
-      const possibleSlots = [];
-
-      for (const [shiftKey, shift] of Object.entries(shiftsConfig)) {
-        const isEnabled = shift.enabled === true || shift.enabled === 'true';
-
-        if (!isEnabled) {
-          console.log(`[Availability] Turno ${shiftKey} deshabilitado`);
-          continue;
-        }
-
-        console.log(`[Availability] ✅ Turno ${shiftKey} habilitado: ${shift.start} - ${shift.end}`);
-
-        const [startHour, startMinute] = shift.start.split(':').map(Number);
-        const [endHour, endMinute] = shift.end.split(':').map(Number);
-
-        let currentTime = new Date(date);
-        currentTime.setHours(startHour, startMinute, 0, 0);
-
-        const endTime = new Date(date);
-        endTime.setHours(endHour, endMinute, 0, 0);
-
-        while (currentTime < endTime) {
-          const serviceEndTime = new Date(currentTime.getTime() + durationMinutes * 60000);
-
-          if (serviceEndTime <= endTime) {
-            const hours = currentTime.getHours();
-            const minutes = currentTime.getMinutes();
-            const timeString = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-            possibleSlots.push(timeString);
-          }
-
-          currentTime = new Date(currentTime.getTime() + SLOT_INTERVAL * 60000);
-        }
-      }
-
-      console.log(`[Availability] Slots posibles generados: ${possibleSlots.length}`);
-
-      // ✅ FILTRAR SLOTS BLOQUEADOS PRIMERO
-      const unblockedSlots = possibleSlots.filter(slot => {
-        const [hours, minutes] = slot.split(':').map(Number);
-        const slotTime = new Date(date);
-        slotTime.setHours(hours, minutes, 0, 0);
-
-        const isBlocked = blockedRanges.some(block => {
-          const slotEndTime = new Date(slotTime.getTime() + durationMinutes * 60000);
-          return (
-            (slotTime >= block.start && slotTime < block.end) ||
-            (slotEndTime > block.start && slotEndTime <= block.end) ||
-            (slotTime <= block.start && slotEndTime >= block.end)
-          );
-        });
-
-        if (isBlocked) {
-          console.log(`[Availability] 🚫 ${slot} - Bloqueado`);
-        }
-
-        return !isBlocked;
-      });
-
-      console.log(`[Availability] Slots NO bloqueados: ${unblockedSlots.length}/${possibleSlots.length}`);
-
-      // ✅ VERIFICAR DISPONIBILIDAD DE MESAS SOLO EN SLOTS NO BLOQUEADOS
-      for (const timeSlot of unblockedSlots) {
-        try {
-          const result = await tableAssignmentEngine.findBestTable({
-            restaurantId: restaurant.id,
-            date,
-            time: timeSlot,
-            partySize: finalPartySize,
-            duration: durationMinutes || 90,
-            preference: null
-          });
-
-          if (result.success) {
-            availableSlots.push(timeSlot);
-            console.log(`[Availability] ✅ ${timeSlot} - Mesa disponible`);
-          } else {
-            console.log(`[Availability] ❌ ${timeSlot} - ${result.message}`);
-          }
-        } catch (error) {
-          console.error(`[Availability] ⚠️ Error verificando slot ${timeSlot}:`, error.message);
-        }
-      }
-
-      console.log(`[Availability] 🎯 Resultado final: ${availableSlots.length}/${possibleSlots.length} slots disponibles`);
-      return res.json({ availableSlots });
-    }
-
-    // ========================================
-    // BEAUTY/OTROS: Lógica de capacidad
-    // ========================================
-    console.log('[Availability] ✂️ Modo beauty/otros activado');
-
-    const requestedDateObj = new Date(date + 'T00:00:00');
-    const dayOfWeek = requestedDateObj.getDay();
-
-    let maxCapacity = 1;
-    if (restaurant.config && typeof restaurant.config === 'object') {
-      maxCapacity = restaurant.config.max_appointments_per_slot || 1;
-    } else if (typeof restaurant.config === 'string') {
-      try {
-        const configParsed = JSON.parse(restaurant.config);
-        maxCapacity = configParsed.max_appointments_per_slot || 1;
-      } catch (e) {
-        console.warn('[Availability] Error parsing config:', e);
-      }
-    }
-
-    console.log('[Availability] Max capacity from config:', maxCapacity);
-
-    const { data: availabilityRules, error: rulesError } = await supabase
-      .from('availability_rules')
-      .select('*')
-      .eq('restaurant_id', restaurant.id)
-      .or(`specific_date.eq.${date},and(day_of_week.eq.${dayOfWeek},specific_date.is.null)`)
-      .order('priority', { ascending: false });
-
-    if (rulesError || !availabilityRules || availabilityRules.length === 0) {
-      console.log('[Availability] No rules found');
-      return res.json({ availableSlots: [] });
-    }
-
-    const rule = availabilityRules[0];
-
-    if (rule.is_closed) {
-      console.log('[Availability] Business closed');
-      return res.json({ availableSlots: [] });
-    }
-
-    const [openHour, openMinute] = rule.open_time.split(':').map(Number);
-    const [closeHour, closeMinute] = rule.close_time.split(':').map(Number);
-
-    const openTimeLocal = new Date(date);
-    openTimeLocal.setHours(openHour, openMinute, 0, 0);
-
-    const closeTimeLocal = new Date(date);
-    closeTimeLocal.setHours(closeHour, closeMinute, 0, 0);
-
-    console.log('[Availability] Business hours:', {
-      open: `${openHour}:${openMinute}`,
-      close: `${closeHour}:${closeMinute}`
-    });
-
-    const { data: appointments, error: appointmentsError } = await supabase
-      .from('appointments')
-      .select('appointment_time, duration_minutes')
-      .eq('restaurant_id', restaurant.id)
-      .gte('appointment_time', dayStartUTC.toISOString())
-      .lte('appointment_time', dayEndUTC.toISOString())
-      .in('status', ['confirmado', 'pendiente']);
-
-    if (appointmentsError) {
-      console.error('[Availability] Error getting appointments:', appointmentsError);
-    }
-
-    console.log('[Availability] Found appointments:', appointments?.length || 0);
-
-    const busyBlocks = (appointments || []).map(apt => {
-      const startUTC = new Date(apt.appointment_time);
-      const startLocal = toZonedTime(startUTC, timezone);
-      const endLocal = new Date(startLocal.getTime() + (apt.duration_minutes || 60) * 60000);
-      return { start: startLocal, end: endLocal };
+    // ✅ MOTOR COMPARTIDO (mismas reglas que el panel y N8N)
+    const day = await availabilityService.getDaySlots({
+      businessId: restaurant.id,
+      date,
+      durationMinutes,
+      partySize: parseInt(partySize || 2),
+      staffId: staffId || null,
+      serviceIds: services?.length ? services.map(s => s.id) : [serviceId]
     });
 
-    const availableSlots = [];
-    const SLOT_INTERVAL = 15;
-
-    let currentTime = new Date(openTimeLocal);
-
-    while (currentTime < closeTimeLocal) {
-      const serviceEndTime = new Date(currentTime.getTime() + durationMinutes * 60000);
-
-      if (serviceEndTime > closeTimeLocal) {
-        break;
-      }
-
-      // ✅ VALIDAR BLOQUEOS (YA ESTABA CORRECTO PARA BEAUTY)
-      const isInBlockedRange = blockedRanges.some(block => {
-        return (
-          (currentTime >= block.start && currentTime < block.end) ||
-          (serviceEndTime > block.start && serviceEndTime <= block.end) ||
-          (currentTime <= block.start && serviceEndTime >= block.end)
-        );
-      });
-
-      if (isInBlockedRange) {
-        currentTime = new Date(currentTime.getTime() + SLOT_INTERVAL * 60000);
-        continue;
-      }
-
-      let isSlotAvailable = true;
-      let maxConcurrentFound = 0;
-
-      for (let minute = 0; minute < durationMinutes; minute++) {
-        const checkTime = new Date(currentTime.getTime() + minute * 60000);
-
-        const activeAppointments = busyBlocks.filter(block => {
-          return checkTime >= block.start && checkTime < block.end;
-        }).length;
-
-        if (activeAppointments > maxConcurrentFound) {
-          maxConcurrentFound = activeAppointments;
-        }
+    const availableSlots = day.slots.filter(s => s.available).map(s => s.time);
 
-        if (activeAppointments >= maxCapacity) {
-          isSlotAvailable = false;
-        }
-      }
-
-      const hours = currentTime.getHours();
-      const minutes = currentTime.getMinutes();
-      const timeString = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-
-      if (!isSlotAvailable) {
-        console.log(`[Availability] Slot ${timeString} BLOCKED - max concurrent: ${maxConcurrentFound}/${maxCapacity}`);
-      }
-
-      if (isSlotAvailable) {
-        availableSlots.push(timeString);
-      }
-
-      currentTime = new Date(currentTime.getTime() + SLOT_INTERVAL * 60000);
-    }
+    console.log(`[Availability] Available slots: ${availableSlots.length}/${day.slots.length}`);
 
-    console.log('[Availability] Available slots:', availableSlots.length);
-    return res.json({ availableSlots });
+    return res.json({ availableSlots, ...day });
 
   } catch (error) {
     console.error('[Availability] Error:', error);
@@ -415,7 +169,10 @@ router.post('/:businessSlug/appointments', async (req, res) => {
       appointmentTime,
       services,
       notes,
-      partySize
+      partySize,
+      staffId,
+      marketingConsent,
+      policyVersion
     } = req.body;
 
     console.log('📥 Datos recibidos:', { clientName, scheduledDate, appointmentTime, services, partySize });
@@ -423,7 +180,7 @@ router.post('/:businessSlug/appointments', async (req, res) => {
     // Obtener restaurant con timezone y business_type
     const { data: restaurant, error: restaurantError } = await supabase
       .from('restaurants')
-      .select('id, timezone, name, phone, email, address, business_type')
+      .select('id, timezone, name, phone, email, address, business_type, config')
       .eq('slug', businessSlug)
       .single();
 
@@ -431,6 +188,34 @@ router.post('/:businessSlug/appointments', async (req, res) => {
       return res.status(404).json({ error: 'Negocio no encontrado' });
     }
 
+    // ✅ TELÉFONO EN E.164 (país del negocio)
+    const parsedPhone = phoneService.parse(clientPhone, restaurant);
+
+    if (!parsedPhone.success) {
+      return res.status(parsedPhone.status).json(parsedPhone.body);
+    }
+
+    const phone = parsedPhone.phone;
+
+    // ✅ CONSENTIMIENTO COMERCIAL (opcional): { email: true, whatsapp: false, sms: false }
+    const parsedConsent = consentService.parseChoices(marketingConsent);
+
+    if (parsedConsent.error) {
+      return res.status(400).json({ error: parsedConsent.error });
+    }
+
+    // ✅ POLÍTICA DE NO-SHOWS DEL NEGOCIO (config.no_show_policy)
+    const existingCustomer = await customerService.findByPhone(restaurant.id, phone);
+
+    const customerPolicy = noShowPolicyService.evaluate(existingCustomer, restaurant.config);
+
+    if (customerPolicy.blockOnline) {
+      return res.status(403).json({
+        error: `No es posible reservar online. Contacta con ${restaurant.name}${restaurant.phone ? ` al ${restaurant.phone}` : ''}`,
+        reason_code: 'NO_SHOW_POLICY'
+      });
+    }
+
     const restaurantId = restaurant.id;
     const timezone = restaurant.timezone || 'Europe/Madrid';
     const isRestaurant = restaurant.business_type === 'restaurant';
@@ -449,17 +234,119 @@ router.post('/:businessSlug/appointments', async (req, res) => {
     console.log('  - Local:', localDateTimeString);
     console.log('  - UTC:', appointmentDateTimeUTC.toISOString());
 
+    const servicesList = services && services.length > 0
+      ? services
+      : [{ id: serviceId, name: serviceName, duration_minutes: durationMinutes }];
+
+    const totalDuration = servicesList.reduce((sum, s) => sum + (s.duration_minutes || 60), 0);
+
+    console.log('📋 Servicios a guardar:', servicesList);
+    console.log('📋 Duración total:', totalDuration);
+
+    // ✅ VALIDAR DISPONIBILIDAD CON EL MOTOR COMPARTIDO
+    // (horario, bloqueos y capacidad; la mesa concreta la decide el motor de mesas)
+    const slotCheck = await availabilityService.checkSlot({
+      businessId: restaurantId,
+      date: scheduledDate,
+      time: appointmentTime,
+      durationMinutes: totalDuration,
+      partySize: parseInt(partySize || 2),
+      staffId: staffId || null,
+      serviceIds: servicesList.map(s => s.id)
+    });
+
+    if (!slotCheck.available && slotCheck.reason_code !== UNAVAILABLE_REASONS.NO_TABLE) {
+      return res.status(409).json({
+        error: 'Este horario ya no está disponible.',
+        reason_code: slotCheck.reason_code,
+        reason: slotCheck.reason,
+        suggested_times: slotCheck.suggested_times
+      });
+    }
+
+    // ✅ ASIGNACIÓN DE MESA (SOLO RESTAURANTES)
+    // Se resuelve antes de crear el cliente: sin mesa no hay reserva (409 + alternativas)
+    let assignedTableId = null;
+    let assignedTables = [];
+    let assignmentReason = null;
+
+    if (isRestaurant) {
+      const finalPartySize = parseInt(partySize, 10);
+
+      if (isNaN(finalPartySize) || finalPartySize < 1) {
+        return res.status(400).json({ error: 'partySize es requerido para restaurantes' });
+      }
+
+      const { tableAssignmentEngine } = await import('../services/restaurant/tableAssignmentEngine.js');
+
+      const assignmentResult = await tableAssignmentEngine.findBestTable({
+        restaurantId,
+        date: scheduledDate,
+        time: appointmentTime,
+        partySize: finalPartySize,
+        duration: totalDuration,
+        preference: null
+      });
+
+      if (!assignmentResult.success) {
+        console.warn('⚠️ No se pudo asignar mesa:', assignmentResult.message);
+
+        const alternatives = await tableAssignmentEngine.findAlternativeTimes({
+          restaurantId,
+          date: scheduledDate,
+          time: appointmentTime,
+          partySize: finalPartySize,
+          duration: totalDuration
+        });
+
+        return res.status(409).json({
+          error: 'No hay mesas disponibles en ese horario',
+          reason: assignmentResult.message,
+          suggested_times: alternatives.map(a => a.time),
+          alternatives
+        });
+      }
+
+      assignedTableId = assignmentResult.table.id;
+      assignedTables = assignmentResult.tables || [assignmentResult.table];
+      assignmentReason = assignmentResult.reason;
+      console.log(`✅ Mesa asignada: ${assignmentReason}`);
+    }
+
+    // ✅ DEPÓSITO (services.deposit_amount + config.deposit_policy)
+    // Con depósito la reserva queda retenida (pendiente_pago) hasta que llegue el pago o caduque.
+    // El depósito ya cubre la garantía, así que no se pide además la confirmación por no-shows.
+    const depositRequired = await paymentService.getRequiredDeposit(restaurant, {
+      serviceIds: servicesList.map(s => s.id),
+      partySize: parseInt(partySize) || null
+    });
+
+    // Sin cobro online no se retiene nada: la reserva quedaría bloqueando el hueco hasta caducar
+    if (depositRequired > 0 && !paymentService.isCheckoutAvailable()) {
+      console.error(`[Payments] ❌ Depósito de ${depositRequired} exigido sin proveedor de pagos disponible (${process.env.PAYMENT_PROVIDER || 'fake'})`);
+      return res.status(503).json({
+        error: 'Los pagos online no están disponibles en este momento. Contacta con el negocio para reservar.'
+      });
+    }
+
+    const holdExpiresAt = depositRequired > 0
+      ? new Date(Date.now() + paymentService.getDepositPolicy(restaurant.config).hold_minutes * 60000).toISOString()
+      : null;
+
+    let initialStatus = APPOINTMENT_STATUSES.CONFIRMED;
+    if (depositRequired > 0) {
+      initialStatus = APPOINTMENT_STATUSES.PENDING_PAYMENT;
+    } else if (customerPolicy.requireConfirmation) {
+      // Con demasiados no-shows la reserva queda pendiente de que el negocio la confirme
+      initialStatus = APPOINTMENT_STATUSES.PENDING;
+    }
+
     // Crear o buscar cliente
     let customerId;
-    const { data: existingCustomer } = await supabase
-      .from('customers')
-      .select('id')
-      .eq('phone', clientPhone)
-      .eq('restaurant_id', restaurantId)
-      .single();
 
     if (existingCustomer) {
       customerId = existingCustomer.id;
+      await trashService.restoreIfDeleted('customers', restaurantId, existingCustomer);
 
       if (clientEmail) {
         await supabase
@@ -473,7 +360,7 @@ router.post('/:businessSlug/appointments', async (req, res) => {
         .insert({
           restaurant_id: restaurantId,
           name: clientName,
-          phone: clientPhone,
+          phone,
           email: clientEmail,
         })
         .select()
@@ -483,74 +370,14 @@ router.post('/:businessSlug/appointments', async (req, res) => {
       customerId = newCustomer.id;
     }
 
-    const servicesList = services && services.length > 0
-      ? services
-      : [{ id: serviceId, name: serviceName, duration_minutes: durationMinutes }];
-
-    const totalDuration = servicesList.reduce((sum, s) => sum + (s.duration_minutes || 60), 0);
-
-    console.log('📋 Servicios a guardar:', servicesList);
-    console.log('📋 Duración total:', totalDuration);
-
-    // ✅ ASIGNACIÓN DE MESA (SOLO RESTAURANTES)
-    let assignedTableId = null;
-    let assignmentReason = null;
-
-    console.log('🔍 Verificación asignación:');
-    console.log('  - isRestaurant:', isRestaurant);
-    console.log('  - partySize:', partySize);
-    console.log('  - Tipo partySize:', typeof partySize);
-
-    if (isRestaurant && partySize) {
-      console.log('✅ Entrando a bloque de asignación...');
-      
-      const finalPartySize = parseInt(partySize, 10);
-      console.log('🍽️ partySize parseado:', finalPartySize);
-
-      if (isNaN(finalPartySize) || finalPartySize < 1) {
-        console.error('❌ partySize inválido:', partySize);
-      } else {
-        try {
-          console.log('🍽️ Importando tableAssignmentEngine...');
-          const { tableAssignmentEngine } = await import('../services/restaurant/tableAssignmentEngine.js');
-          console.log('✅ tableAssignmentEngine importado');
-
-          console.log('🍽️ Llamando findBestTable con:', {
-            restaurantId,
-            date: scheduledDate,
-            time: appointmentTime,
-            partySize: finalPartySize,
-            duration: totalDuration,
-            preference: null
-          });
-
-          const assignmentResult = await tableAssignmentEngine.findBestTable({
-            restaurantId,
-            date: scheduledDate,
-            time: appointmentTime,
-            partySize: finalPartySize,
-            duration: totalDuration,
-            preference: null
-          });
-
-          console.log('🍽️ Resultado completo:', JSON.stringify(assignmentResult, null, 2));
-
-          if (assignmentResult.success) {
-            assignedTableId = assignmentResult.table.id;
-            assignmentReason = assignmentResult.reason;
-            console.log(`✅ Mesa asignada exitosamente: ${assignmentResult.table.table_number} (ID: ${assignedTableId})`);
-          } else {
-            console.warn('⚠️ No se pudo asignar mesa:', assignmentResult.message);
-          }
-        } catch (engineError) {
-          console.error('❌ ERROR en tableAssignmentEngine:', engineError);
-          console.error('❌ Stack:', engineError.stack);
-        }
-      }
-    } else {
-      console.log('❌ NO entrando a asignación porque:');
-      console.log('  - isRestaurant:', isRestaurant);
-      console.log('  - partySize:', partySize);
+    if (parsedConsent.consents) {
+      await consentService.record(req, {
+        businessId: restaurantId,
+        customerId,
+        consents: parsedConsent.consents,
+        source: CONSENT_SOURCES.BOOKING_FORM,
+        policyVersion: policyVersion || consentService.getPolicyVersion(restaurant.config)
+      });
     }
 
     console.log('📍 assignedTableId final antes de crear cita:', assignedTableId);
@@ -562,15 +389,18 @@ router.post('/:businessSlug/appointments', async (req, res) => {
         restaurant_id: restaurantId,
         customer_id: customerId,
         table_id: assignedTableId,
+        staff_id: slotCheck.staff_id || null,
         service_id: servicesList[0].id || serviceId,
         service_name: servicesList[0].name || serviceName,
         duration_minutes: totalDuration,
         scheduled_date: scheduledDate,
         appointment_time: appointmentDateTimeUTC.toISOString(),
         client_name: clientName,
-        client_phone: clientPhone,
+        client_phone: phone,
         client_email: clientEmail,
-        status: 'confirmado',
+        status: initialStatus,
+        deposit_required: depositRequired,
+        hold_expires_at: holdExpiresAt,
         notes: notes ? `${notes}\n\n[Agendado desde enlace público]` : '[Agendado desde enlace público]',
         party_size: isRestaurant ? parseInt(partySize) : null,
         source: 'web'
@@ -581,18 +411,26 @@ router.post('/:businessSlug/appointments', async (req, res) => {
     if (appointmentError) throw appointmentError;
 
     console.log('✅ Cita creada:', appointment.id);
+
+    await auditService.record(req, {
+      businessId: restaurantId,
+      entityType: AUDIT_ENTITIES.APPOINTMENT,
+      entityId: appointment.id,
+      action: AUDIT_ACTIONS.CREATE,
+      after: appointment
+    });
     console.log('✅ Con table_id:', appointment.table_id);
 
     // ✅ CREAR REGISTRO DE ASIGNACIÓN DE MESA
     if (assignedTableId && isRestaurant) {
       const { error: assignmentError } = await supabase
         .from('table_assignments')
-        .insert({
+        .insert(assignedTables.map(table => ({
           appointment_id: appointment.id,
-          table_id: assignedTableId,
+          table_id: table.id,
           assigned_by: null,
           assignment_type: 'automatic',
-        });
+        })));
 
       if (assignmentError) {
         console.error('❌ Error creando table_assignment:', assignmentError);
@@ -621,18 +459,33 @@ router.post('/:businessSlug/appointments', async (req, res) => {
       console.log(`✅ ${appointmentServicesData.length} servicio(s) guardado(s)`);
     }
 
-    // ✅ ENVIAR EMAIL
-    try {
-      const mockReq = { params: { appointmentId: appointment.id } };
-      const mockRes = {
-        status: (code) => ({ json: (data) => console.log(`📧 Email response ${code}:`, data) }),
-        json: (data) => console.log('📧 Email enviado:', data)
+    // ✅ PAGO DEL DEPÓSITO (la confirmación se envía cuando llegue el pago)
+    let payment = null;
+
+    if (depositRequired > 0) {
+      const checkout = await paymentService.startCheckout(req, restaurant, appointment, { amount: depositRequired });
+      payment = {
+        amount: depositRequired,
+        currency: checkout.payment.currency,
+        checkout_url: checkout.checkoutUrl,
+        expires_at: holdExpiresAt
       };
+    }
 
-      await sendConfirmationEmail(mockReq, mockRes);
-      console.log('✅ Email de confirmación enviado');
-    } catch (emailError) {
-      console.error('❌ Error enviando email:', emailError);
+    // ✅ ENVIAR EMAIL
+    if (!payment) {
+      try {
+        const mockReq = { params: { appointmentId: appointment.id } };
+        const mockRes = {
+          status: (code) => ({ json: (data) => console.log(`📧 Email response ${code}:`, data) }),
+          json: (data) => console.log('📧 Email enviado:', data)
+        };
+
+        await sendConfirmationEmail(mockReq, mockRes);
+        console.log('✅ Email de confirmación enviado');
+      } catch (emailError) {
+        console.error('❌ Error enviando email:', emailError);
+      }
     }
 
     res.status(201).json({
@@ -649,8 +502,16 @@ router.post('/:businessSlug/appointments', async (req, res) => {
         time: appointmentTime,
         status: appointment.status,
         party_size: appointment.party_size,
-        table_id: assignedTableId
-      }
+        table_id: assignedTableId,
+        staff_id: appointment.staff_id,
+        staff_name: slotCheck.staff_name || null
+      },
+      payment,
+      manage_url: manageBookingService.getManageUrl({
+        appointmentId: appointment.id,
+        businessId: restaurantId,
+        slug: businessSlug
+      })
     });
   } catch (error) {
     console.error('❌ Error creando cita:', error);
@@ -658,4 +519,331 @@ router.post('/:businessSlug/appointments', async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// ================================================================
+// GESTIÓN DE CITA POR EL CLIENTE (enlace firmado de los emails)
+// ================================================================
+
+const MODIFIABLE_STATUSES = [APPOINTMENT_STATUSES.PENDING_PAYMENT, APPOINTMENT_STATUSES.PENDING, APPOINTMENT_STATUSES.CONFIRMED];
+
+/**
+ * Valida token + slug y carga la cita con su negocio.
+ * Devuelve { status, error } si algo no cuadra.
+ */
+async function loadManagedAppointment(businessSlug, token) {
+  const payload = manageBookingService.verifyToken(token);
+
+  if (!payload) {
+    return { status: 401, error: 'El enlace no es válido o ha caducado' };
+  }
+
+  const { data: business, error: businessError } = await supabase
+    .from('restaurants')
+    .select('id, name, slug, phone, timezone, config, business_type')
+    .eq('slug', businessSlug)
+    .single();
+
+  if (businessError || !business || business.id !== payload.businessId) {
+    return { status: 404, error: 'Negocio no encontrado' };
+  }
+
+  const { data: appointment, error } = await supabase
+    .from('appointments')
+    .select(`
+      id, restaurant_id, status, scheduled_date, appointment_time, duration_minutes, table_id, cancelled_at,
+      client_name, service_name, service_id, party_size, staff_id,
+      appointment_services ( service_id, service_name, duration_minutes )
+    `)
+    .eq('id', payload.appointmentId)
+    .eq('restaurant_id', business.id)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !appointment) {
+    return { status: 404, error: 'Cita no encontrada' };
+  }
+
+  if (manageBookingService.isExpired(appointment.appointment_time)) {
+    return { status: 401, error: 'El enlace no es válido o ha caducado' };
+  }
+
+  return { business, appointment };
+}
+
+function formatManagedAppointment(appointment, business) {
+  const timezone = business.timezone || 'Europe/Madrid';
+  const policy = manageBookingService.canModify(appointment.appointment_time, business.config);
+
+  return {
+    id: appointment.id,
+    status: appointment.status,
+    date: formatInTimeZone(new Date(appointment.appointment_time), timezone, 'yyyy-MM-dd'),
+    time: formatInTimeZone(new Date(appointment.appointment_time), timezone, 'HH:mm'),
+    duration_minutes: appointment.duration_minutes,
+    client_name: appointment.client_name,
+    services: (appointment.appointment_services || []).map(s => s.service_name),
+    party_size: appointment.party_size,
+    can_modify: policy.allowed && MODIFIABLE_STATUSES.includes(appointment.status),
+    cancellation_cutoff_hours: policy.cutoffHours,
+    modify_deadline: policy.deadline,
+    business: { name: business.name, phone: business.phone }
+  };
+}
+
+/**
+ * Comprueba estado y antelación mínima antes de cancelar o mover
+ */
+function checkModifiable(appointment, business) {
+  if (!MODIFIABLE_STATUSES.includes(appointment.status)) {
+    return 'Esta cita ya no se puede modificar';
+  }
+
+  const policy = manageBookingService.canModify(appointment.appointment_time, business.config);
+
+  if (!policy.allowed) {
+    return `Los cambios deben hacerse con al menos ${policy.cutoffHours}h de antelación. Contacta con ${business.name}${business.phone ? ` al ${business.phone}` : ''}`;
+  }
+
+  return null;
+}
+
+// GET /api/public/:businessSlug/manage/:token
+router.get('/:businessSlug/manage/:token', async (req, res) => {
+  try {
+    const { businessSlug, token } = req.params;
+    const result = await loadManagedAppointment(businessSlug, token);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ appointment: formatManagedAppointment(result.appointment, result.business) });
+  } catch (error) {
+    console.error('[Manage] Error obteniendo cita:', error);
+    res.status(500).json({ error: 'Error al obtener la cita' });
+  }
+});
+
+// POST /api/public/:businessSlug/manage/:token/cancel
+router.post('/:businessSlug/manage/:token/cancel', async (req, res) => {
+  try {
+    const { businessSlug, token } = req.params;
+    const result = await loadManagedAppointment(businessSlug, token);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { appointment, business } = result;
+    const notModifiable = checkModifiable(appointment, business);
+
+    if (notModifiable) {
+      return res.status(403).json({ error: notModifiable });
+    }
+
+    const cancelled = await appointmentStatusService.transition(req, appointment, APPOINTMENT_STATUSES.CANCELLED, {
+      cancelledBy: CANCELLED_BY.CUSTOMER
+    });
+
+    if (!cancelled.success) {
+      return res.status(cancelled.status).json(cancelled.body);
+    }
+
+    const updated = cancelled.appointment;
+
+    console.log(`[Manage] ❌ Cita ${appointment.id} cancelada por el cliente`);
+
+    res.json({
+      message: 'Cita cancelada correctamente',
+      appointment: formatManagedAppointment({ ...appointment, ...updated }, business)
+    });
+  } catch (error) {
+    console.error('[Manage] Error cancelando cita:', error);
+    res.status(500).json({ error: 'Error al cancelar la cita' });
+  }
+});
+
+// POST /api/public/:businessSlug/manage/:token/reschedule
+// Body: { date: 'YYYY-MM-DD', time: 'HH:MM' }
+router.post('/:businessSlug/manage/:token/reschedule', async (req, res) => {
+  try {
+    const { businessSlug, token } = req.params;
+    const { date, time } = req.body;
+
+    if (!date || !time) {
+      return res.status(400).json({ error: 'Fecha y hora son requeridas' });
+    }
+
+    const result = await loadManagedAppointment(businessSlug, token);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { appointment, business } = result;
+    const notModifiable = checkModifiable(appointment, business);
+
+    if (notModifiable) {
+      return res.status(403).json({ error: notModifiable });
+    }
+
+    // ✅ MOTOR COMPARTIDO: la propia cita no ocupa su hueco
+    const slotParams = {
+      businessId: business.id,
+      date,
+      time,
+      durationMinutes: appointment.duration_minutes,
+      partySize: appointment.party_size || 2,
+      serviceIds: (appointment.appointment_services || []).map(s => s.service_id),
+      excludeAppointmentId: appointment.id
+    };
+
+    // Preferimos la misma persona; si no puede, cualquiera cualificada
+    let slotCheck = await availabilityService.checkSlot({ ...slotParams, staffId: appointment.staff_id });
+
+    if (!slotCheck.available && slotCheck.reason_code === UNAVAILABLE_REASONS.STAFF_UNAVAILABLE) {
+      slotCheck = await availabilityService.checkSlot(slotParams);
+    }
+
+    if (!slotCheck.available) {
+      return res.status(409).json({
+        error: 'Este horario no está disponible.',
+        reason_code: slotCheck.reason_code,
+        reason: slotCheck.reason,
+        suggested_times: slotCheck.suggested_times
+      });
+    }
+
+    const timezone = business.timezone || 'Europe/Madrid';
+    const newTimeUTC = fromZonedTime(`${date}T${time}:00`, timezone);
+    const tableIds = slotCheck.table_ids || [];
+
+    const { data: updated, error } = await supabase
+      .from('appointments')
+      .update({
+        scheduled_date: date,
+        appointment_time: newTimeUTC.toISOString(),
+        staff_id: slotCheck.staff_id || null,
+        table_id: tableIds[0] || null,
+        reminder_sent_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', appointment.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Los recordatorios se recalculan para la nueva hora
+    await supabase.from('appointment_reminders').delete().eq('appointment_id', appointment.id);
+
+    // Reasignar mesas (restaurantes)
+    if (business.business_type === 'restaurant') {
+      await supabase.from('table_assignments').delete().eq('appointment_id', appointment.id);
+
+      if (tableIds.length > 0) {
+        await supabase.from('table_assignments').insert(
+          tableIds.map(tableId => ({
+            appointment_id: appointment.id,
+            table_id: tableId,
+            assignment_type: 'automatic'
+          }))
+        );
+      }
+    }
+
+    await auditService.record(req, {
+      businessId: business.id,
+      entityType: AUDIT_ENTITIES.APPOINTMENT,
+      entityId: appointment.id,
+      action: AUDIT_ACTIONS.UPDATE,
+      changes: auditService.diff(appointment, updated, ['scheduled_date', 'appointment_time', 'staff_id', 'table_id'])
+    });
+
+    console.log(`[Manage] 🔄 Cita ${appointment.id} movida a ${date} ${time}`);
+
+    res.json({
+      message: 'Cita modificada correctamente',
+      appointment: formatManagedAppointment({ ...appointment, ...updated }, business),
+      // El enlace anterior sigue valiendo (caduca con la hora actual de la cita); éste es equivalente
+      manage_url: manageBookingService.getManageUrl({
+        appointmentId: appointment.id,
+        businessId: business.id,
+        slug: business.slug
+      })
+    });
+  } catch (error) {
+    console.error('[Manage] Error moviendo cita:', error);
+    res.status(500).json({ error: 'Error al modificar la cita' });
+  }
+});
+
+// ================================================================
+// BAJA DE COMUNICACIONES COMERCIALES (enlace firmado de los emails y WhatsApp)
+// ================================================================
+
+async function loadUnsubscribe(businessSlug, token) {
+  const payload = consentService.verifyUnsubscribeToken(token);
+
+  if (!payload) {
+    return { status: 401, error: 'El enlace no es válido' };
+  }
+
+  const { data: business } = await supabase
+    .from('restaurants')
+    .select('id, name')
+    .eq('slug', businessSlug)
+    .single();
+
+  if (!business || business.id !== payload.businessId) {
+    return { status: 404, error: 'Negocio no encontrado' };
+  }
+
+  return { business, ...payload };
+}
+
+// GET /api/public/:businessSlug/unsubscribe/:token
+// Sólo consulta: los filtros de correo abren los enlaces y no deben dar de baja a nadie
+router.get('/:businessSlug/unsubscribe/:token', async (req, res) => {
+  try {
+    const { businessSlug, token } = req.params;
+    const result = await loadUnsubscribe(businessSlug, token);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const consents = await consentService.getConsents(result.customerId);
+
+    res.json({
+      business: { name: result.business.name },
+      channel: result.channel,
+      consents: consents.map(({ channel, granted }) => ({ channel, granted }))
+    });
+  } catch (error) {
+    console.error('[Unsubscribe] Error obteniendo consentimientos:', error);
+    res.status(500).json({ error: 'Error al obtener tus preferencias' });
+  }
+});
+
+// POST /api/public/:businessSlug/unsubscribe/:token
+router.post('/:businessSlug/unsubscribe/:token', async (req, res) => {
+  try {
+    const { businessSlug, token } = req.params;
+    const result = await loadUnsubscribe(businessSlug, token);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await consentService.unsubscribe(req, result);
+
+    console.log(`[Unsubscribe] 📭 Cliente ${result.customerId} dado de baja (${result.channel})`);
+
+    res.json({ message: `Ya no recibirás promociones de ${result.business.name}` });
+  } catch (error) {
+    console.error('[Unsubscribe] Error dando de baja:', error);
+    res.status(500).json({ error: 'Error al procesar la baja' });
+  }
+});
+
+export default router;
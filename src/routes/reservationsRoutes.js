@@ -7,7 +7,7 @@ import {
   getReservationStats,
   getCalendarReservations,
 } from '../controllers/reservationsController.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
 
 const router = express.Router();
@@ -16,6 +16,7 @@ const router = express.Router();
 router.use(authenticateToken);
 router.use(loadBusinessFromSlug);
 router.use(validateBusinessAccess);
+router.use(requirePermission('view_reservations'));
 
 // GET /api/reservations
 router.get('/', getReservations);
@@ -30,10 +31,10 @@ router.get('/stats', getReservationStats);
 router.get('/calendar', getCalendarReservations);
 
 // POST /api/reservations
-router.post('/', requireRole('ADMIN', 'MANAGER', 'STAFF'), createReservation);
+router.post('/', requirePermission('create_reservations'), createReservation);
 
 // PATCH /api/reservations/:reservationId/status
-router.patch('/:reservationId/status', requireRole('ADMIN', 'MANAGER', 'STAFF'), updateReservationStatus);
+router.patch('/:reservationId/status', requirePermission('edit_reservations'), updateReservationStatus);
  
 
 export default router;
\ No newline at end of file
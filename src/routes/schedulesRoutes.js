@@ -4,7 +4,7 @@ import {
   updateSchedulesConfig,
   checkRestaurantOpen,
 } from '../controllers/schedulesController.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
 
 const router = express.Router();
@@ -17,7 +17,7 @@ router.use(validateBusinessAccess);
 router.get('/', getSchedulesConfig);
 
 // PUT /api/schedules
-router.put('/', requireRole('ADMIN', 'MANAGER'), updateSchedulesConfig);
+router.put('/', requirePermission('manage_schedule'), updateSchedulesConfig);
 
 // GET /api/schedules/check-open?date=2025-01-01&time=14:00
 router.get('/check-open', checkRestaurantOpen);
@@ -5,8 +5,9 @@ import {
   updateService,
   deleteService,
 } from '../controllers/servicesController.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
+import { getTrash, restoreFromTrash } from '../controllers/trashController.js';
 
 const router = express.Router();
 
@@ -18,13 +19,19 @@ router.use(validateBusinessAccess);
 // GET /api/services - Todos pueden ver servicios
 router.get('/', getServices);
 
+// GET /api/services/trash - Servicios eliminados
+router.get('/trash', requirePermission('manage_services'), getTrash('services'));
+
+// POST /api/services/:serviceId/restore
+router.post('/:serviceId/restore', requirePermission('manage_services'), restoreFromTrash('services', 'serviceId'));
+
 // POST /api/services - Solo ADMIN puede crear
-router.post('/', requireRole('ADMIN'), createService);
+router.post('/', requirePermission('manage_services'), createService);
 
 // PATCH /api/services/:serviceId - Solo ADMIN puede actualizar
-router.patch('/:serviceId', requireRole('ADMIN'), updateService);
+router.patch('/:serviceId', requirePermission('manage_services'), updateService);
 
-// DELETE /api/services/:serviceId - Solo ADMIN puede eliminar
-router.delete('/:serviceId', requireRole('ADMIN'), deleteService);
+// DELETE /api/services/:serviceId - Solo ADMIN puede eliminar (a la papelera)
+router.delete('/:serviceId', requirePermission('manage_services'), deleteService);
 
 export default router;
\ No newline at end of file
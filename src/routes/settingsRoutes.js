@@ -6,10 +6,15 @@ import {
   createBusinessUser,
   updateBusinessUser,
   deleteBusinessUser,
+  resendInvitation,
   getBusinessHours,      
   updateBusinessHours, 
+  getApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
 } from '../controllers/settingsController.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
 
 const router = express.Router();
@@ -19,31 +24,43 @@ router.use(authenticateToken);
 router.use(loadBusinessFromSlug);
 router.use(validateBusinessAccess);
 
-// Solo ADMIN puede acceder a settings
-router.use(requireRole('ADMIN'));
-
 // GET /api/settings
-router.get('/', getSettings);
+router.get('/', requirePermission('manage_settings'), getSettings);
 
 // PATCH /api/settings
-router.patch('/', updateSettings);
+router.patch('/', requirePermission('manage_settings'), updateSettings);
 
 // GET /api/settings/users
-router.get('/users', getBusinessUsers);
+router.get('/users', requirePermission('manage_users'), getBusinessUsers);
 
 // POST /api/settings/users
-router.post('/users', createBusinessUser);
+router.post('/users', requirePermission('manage_users'), createBusinessUser);
 
 // PATCH /api/settings/users/:userId
-router.patch('/users/:userId', updateBusinessUser);
+router.patch('/users/:userId', requirePermission('manage_users'), updateBusinessUser);
+
+// POST /api/settings/users/:userId/invite
+router.post('/users/:userId/invite', requirePermission('manage_users'), resendInvitation);
 
 // DELETE /api/settings/users/:userId
-router.delete('/users/:userId', deleteBusinessUser);
+router.delete('/users/:userId', requirePermission('manage_users'), deleteBusinessUser);
 
 // GET /api/settings/hours
-router.get('/hours', getBusinessHours);
+router.get('/hours', requirePermission('manage_settings'), getBusinessHours);
 
 // POST /api/settings/hours
-router.post('/hours', updateBusinessHours);
+router.post('/hours', requirePermission('manage_settings'), updateBusinessHours);
+
+// GET /api/settings/api-keys
+router.get('/api-keys', requirePermission('manage_integrations'), getApiKeys);
+
+// POST /api/settings/api-keys
+router.post('/api-keys', requirePermission('manage_integrations'), createApiKey);
+
+// POST /api/settings/api-keys/:keyId/rotate
+router.post('/api-keys/:keyId/rotate', requirePermission('manage_integrations'), rotateApiKey);
+
+// DELETE /api/settings/api-keys/:keyId
+router.delete('/api-keys/:keyId', requirePermission('manage_integrations'), revokeApiKey);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,50 @@
+import express from 'express';
+import {
+  getStaff,
+  createStaff,
+  updateStaff,
+  deleteStaff,
+  setStaffServices,
+  setWorkingHours,
+  getTimeOff,
+  createTimeOff,
+  deleteTimeOff,
+} from '../controllers/staffController.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
+
+const router = express.Router();
+
+// Aplicar autenticación y tenant a todas las rutas
+router.use(authenticateToken);
+router.use(loadBusinessFromSlug);
+router.use(validateBusinessAccess);
+
+// GET /api/staff - Todos pueden ver el personal
+router.get('/', getStaff);
+
+// POST /api/staff - Crear persona (solo ADMIN y MANAGER)
+router.post('/', requirePermission('manage_staff'), createStaff);
+
+// PATCH /api/staff/:staffId - Actualizar persona
+router.patch('/:staffId', requirePermission('manage_staff'), updateStaff);
+
+// DELETE /api/staff/:staffId - Desactivar persona
+router.delete('/:staffId', requirePermission('manage_staff'), deleteStaff);
+
+// PUT /api/staff/:staffId/services - Servicios que realiza
+router.put('/:staffId/services', requirePermission('manage_staff'), setStaffServices);
+
+// PUT /api/staff/:staffId/working-hours - Horario semanal
+router.put('/:staffId/working-hours', requirePermission('manage_staff'), setWorkingHours);
+
+// GET /api/staff/:staffId/time-off - Ausencias
+router.get('/:staffId/time-off', getTimeOff);
+
+// POST /api/staff/:staffId/time-off - Registrar ausencia
+router.post('/:staffId/time-off', requirePermission('manage_staff'), createTimeOff);
+
+// DELETE /api/staff/:staffId/time-off/:timeOffId - Eliminar ausencia
+router.delete('/:staffId/time-off/:timeOffId', requirePermission('manage_staff'), deleteTimeOff);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { createBusiness, listBusinesses, updateBusiness } from '../controllers/superAdminController.js';
+import { createBusiness, listBusinesses, updateBusiness, normalizePhones } from '../controllers/superAdminController.js';
 import { authenticateToken, requireSuperAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -17,4 +17,7 @@ router.get('/businesses', listBusinesses);
 // PATCH /api/superadmin/businesses/:businessId
 router.patch('/businesses/:businessId', updateBusiness);
 
+// POST /api/superadmin/maintenance/normalize-phones
+router.post('/maintenance/normalize-phones', normalizePhones);
+
 export default router;
\ No newline at end of file
@@ -9,8 +9,9 @@ import {
   createTableAssignment,
   getOccupancyByShift  // 🆕 NUEVO
 } from '../controllers/tablesController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { validateBusinessAccess, loadBusinessFromSlug } from '../middleware/tenant.js';
+import { getTrash, restoreFromTrash } from '../controllers/trashController.js';
 
 const router = express.Router();
 
@@ -22,59 +23,73 @@ router.use(validateBusinessAccess);
 /**
  * @route   GET /api/tables
  * @desc    Get all tables for the restaurant
- * @access  Private (Admin, Manager, Staff)
+ * @access  Private (view_reservations)
  */
-router.get('/', getTables);
+router.get('/', requirePermission('view_reservations'), getTables);
 
 /**
  * @route   POST /api/tables
  * @desc    Create a new table
- * @access  Private (Admin, Manager)
+ * @access  Private (manage_schedule)
  */
-router.post('/', createTable);
+router.post('/', requirePermission('manage_schedule'), createTable);
 
 /**
  * @route   PUT /api/tables/:id
  * @desc    Update a table
- * @access  Private (Admin, Manager)
+ * @access  Private (manage_schedule)
  */
-router.put('/:id', updateTable);
+router.put('/:id', requirePermission('manage_schedule'), updateTable);
 
 /**
  * @route   DELETE /api/tables/:id
- * @desc    Delete a table (soft delete)
- * @access  Private (Admin)
+ * @desc    Delete a table (soft delete, goes to the trash)
+ * @access  Private (manage_schedule)
  */
-router.delete('/:id', deleteTable);
+router.delete('/:id', requirePermission('manage_schedule'), deleteTable);
+
+/**
+ * @route   GET /api/tables/trash
+ * @desc    Deleted tables pending purge
+ * @access  Private (manage_schedule)
+ */
+router.get('/trash', requirePermission('manage_schedule'), getTrash('tables'));
+
+/**
+ * @route   POST /api/tables/:id/restore
+ * @desc    Restore a deleted table
+ * @access  Private (manage_schedule)
+ */
+router.post('/:id/restore', requirePermission('manage_schedule'), restoreFromTrash('tables'));
 
 /**
  * @route   POST /api/tables/assign
  * @desc    Automatically assign a table
- * @access  Private (Admin, Manager, Staff)
+ * @access  Private (edit_reservations)
  */
-router.post('/assign', assignTable);
+router.post('/assign', requirePermission('edit_reservations'), assignTable);
 
 /**
  * @route   GET /api/tables/status
  * @desc    Get table status for a specific day
- * @access  Private (Admin, Manager, Staff)
+ * @access  Private (view_reservations)
  */
-router.get('/status', getTableStatus);
+router.get('/status', requirePermission('view_reservations'), getTableStatus);
 
 /**
  * @route   GET /api/tables/occupancy
  * @desc    Get table occupancy by shift (all day, lunch, dinner)
  * @query   date - Date in YYYY-MM-DD format
- * @access  Private (Admin, Manager, Staff)
+ * @access  Private (view_reservations)
  * @example GET /api/tables/occupancy?date=2025-01-18
  */
-router.get('/occupancy', getOccupancyByShift);
+router.get('/occupancy', requirePermission('view_reservations'), getOccupancyByShift);
 
 /**
  * @route   POST /api/tables/assignments
  * @desc    Create manual table assignment
- * @access  Private (Admin, Manager, Staff)
+ * @access  Private (edit_reservations)
  */
-router.post('/assignments', createTableAssignment);
+router.post('/assignments', requirePermission('edit_reservations'), createTableAssignment);
 
 export default router;
\ No newline at end of file
@@ -5,7 +5,7 @@ import {
   updateWaitlistStatus,
   getWaitlistStats,
 } from '../controllers/waitlistController.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { loadBusinessFromSlug, validateBusinessAccess } from '../middleware/tenant.js';
 
 const router = express.Router();
@@ -13,6 +13,7 @@ const router = express.Router();
 router.use(authenticateToken);
 router.use(loadBusinessFromSlug);
 router.use(validateBusinessAccess);
+router.use(requirePermission('view_reservations'));
 
 // GET /api/waitlist
 router.get('/', getWaitlist);
@@ -21,9 +22,9 @@ router.get('/', getWaitlist);
 router.get('/stats', getWaitlistStats);
 
 // POST /api/waitlist
-router.post('/', requireRole('ADMIN', 'MANAGER', 'STAFF'), addToWaitlist);
+router.post('/', requirePermission('create_reservations'), addToWaitlist);
 
 // PATCH /api/waitlist/:entryId/status
-router.patch('/:entryId/status', requireRole('ADMIN', 'MANAGER', 'STAFF'), updateWaitlistStatus);
+router.patch('/:entryId/status', requirePermission('edit_reservations'), updateWaitlistStatus);
 
 export default router;
\ No newline at end of file
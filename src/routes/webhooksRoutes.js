@@ -4,34 +4,43 @@ import {
   getBusinessInfo,
   checkAvailability,
   createReservationFromWhatsApp,
-  saveConversation
+  saveConversation,
+  saveConsent
 } from '../controllers/webhooksController.js';
+import { authenticateAgent } from '../middleware/authAgent.js';
+import { API_KEY_SCOPES } from '../services/apiKeyService.js';
 
 const router = express.Router();
 
 // ================================================================
-// RUTAS PÚBLICAS (NO REQUIEREN JWT)
-// Estas rutas son llamadas por N8N, no por el frontend
+// RUTAS DE AGENTE (NO REQUIEREN JWT)
+// Estas rutas son llamadas por N8N, no por el frontend.
+// Se autentican con la clave de API del negocio (header x-api-key);
+// el slug en la URL es opcional y sólo se admite si coincide con la clave.
 // ================================================================
 
 // ⭐ NUEVO: Endpoint principal para obtener config completa
-// GET /api/webhooks/n8n/business-config/:businessSlug
-router.get('/n8n/business-config/:businessSlug', getBusinessConfig);
+// GET /api/webhooks/n8n/business-config
+router.get(['/n8n/business-config', '/n8n/business-config/:businessSlug'], authenticateAgent(API_KEY_SCOPES.READ_CONFIG), getBusinessConfig);
 
 // Endpoint simplificado (compatibilidad)
-// GET /api/webhooks/n8n/business/:businessSlug
-router.get('/n8n/business/:businessSlug', getBusinessInfo);
+// GET /api/webhooks/n8n/business
+router.get(['/n8n/business', '/n8n/business/:businessSlug'], authenticateAgent(API_KEY_SCOPES.READ_CONFIG), getBusinessInfo);
 
 // Verificar disponibilidad
 // POST /api/webhooks/n8n/check-availability
-router.post('/n8n/check-availability', checkAvailability);
+router.post('/n8n/check-availability', authenticateAgent(API_KEY_SCOPES.CHECK_AVAILABILITY), checkAvailability);
 
 // Crear reserva desde WhatsApp
 // POST /api/webhooks/n8n/reservation
-router.post('/n8n/reservation', createReservationFromWhatsApp);
+router.post('/n8n/reservation', authenticateAgent(API_KEY_SCOPES.CREATE_BOOKINGS), createReservationFromWhatsApp);
 
 // Guardar conversación
 // POST /api/webhooks/n8n/conversation
-router.post('/n8n/conversation', saveConversation);
+router.post('/n8n/conversation', authenticateAgent(API_KEY_SCOPES.WRITE_CONVERSATIONS), saveConversation);
+
+// Consentimiento de promociones dado por WhatsApp
+// POST /api/webhooks/n8n/consent
+router.post('/n8n/consent', authenticateAgent(API_KEY_SCOPES.WRITE_CONSENTS), saveConsent);
 
 export default router;
\ No newline at end of file
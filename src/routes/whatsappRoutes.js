@@ -6,7 +6,7 @@ import {
   disconnectWhatsApp,
   deleteWhatsAppInstance
 } from '../controllers/whatsappController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -24,6 +24,8 @@ router.use((req, res, next) => {
   next();
 });
 
+router.use(requirePermission('manage_integrations'));
+
 // Inicializar conexión (obtener QR)
 router.post('/initialize', initializeWhatsApp);
 
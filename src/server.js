@@ -1,5 +1,6 @@
 import app from './app.js'; 
 import dotenv from 'dotenv';
+import notificationService from './services/notificationService.js';
 
 dotenv.config();
 
@@ -8,4 +9,9 @@ const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`💇 Rutas services: /api/services`);
   console.log(`🚀 Backend multi-tenant corriendo en http://localhost:${PORT}`);
+
+  // Worker del outbox de notificaciones (desactivable si se usa el cron HTTP)
+  if (process.env.NOTIFICATIONS_WORKER !== 'off') {
+    notificationService.startWorker(parseInt(process.env.NOTIFICATIONS_WORKER_INTERVAL_MS) || 60000);
+  }
 });
\ No newline at end of file
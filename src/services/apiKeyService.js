@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { supabase } from '../config/database.js';
+
+export const API_KEY_SCOPES = {
+  READ_CONFIG: 'config:read',
+  CHECK_AVAILABILITY: 'availability:read',
+  CREATE_BOOKINGS: 'bookings:write',
+  WRITE_CONVERSATIONS: 'conversations:write',
+  WRITE_CONSENTS: 'consents:write',
+};
+
+const KEY_PREFIX = 'apk_';
+const PUBLIC_COLUMNS = 'id, name, key_prefix, scopes, last_used_at, rotated_at, revoked_at, created_at';
+
+/**
+ * Claves de API por negocio. El negocio se deduce de la clave,
+ * nunca del slug que envía el agente.
+ */
+class ApiKeyService {
+
+  generateKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  hashKey(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+  }
+
+  /**
+   * @returns {string|null} mensaje de error
+   */
+  validateScopes(scopes) {
+    const valid = Object.values(API_KEY_SCOPES);
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return 'scopes debe ser un array con al menos un permiso';
+    }
+
+    const unknown = scopes.filter(s => !valid.includes(s));
+    if (unknown.length > 0) {
+      return `Permisos desconocidos: ${unknown.join(', ')}. Válidos: ${valid.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  async list(businessId) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select(PUBLIC_COLUMNS)
+      .eq('restaurant_id', businessId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * @returns {{ apiKey: object, key: string }} la clave en claro sólo se devuelve aquí
+   */
+  async create({ businessId, name, scopes, createdBy = null }) {
+    const key = this.generateKey();
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        restaurant_id: businessId,
+        name,
+        scopes: [...new Set(scopes)],
+        key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+        key_hash: this.hashKey(key),
+        created_by: createdBy
+      })
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return { apiKey: data, key };
+  }
+
+  /**
+   * Sustituye el secreto manteniendo nombre y permisos; la clave anterior deja de funcionar
+   */
+  async rotate(businessId, keyId) {
+    const key = this.generateKey();
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({
+        key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+        key_hash: this.hashKey(key),
+        rotated_at: new Date().toISOString()
+      })
+      .eq('id', keyId)
+      .eq('restaurant_id', businessId)
+      .is('revoked_at', null)
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error || !data) return null;
+    return { apiKey: data, key };
+  }
+
+  async revoke(businessId, keyId) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('restaurant_id', businessId)
+      .is('revoked_at', null)
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error || !data) return null;
+    return data;
+  }
+
+  /**
+   * Resuelve una clave en claro a su registro y negocio
+   * @returns {{ apiKey: object, business: object } | null}
+   */
+  async authenticate(rawKey) {
+    if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) return null;
+
+    const { data: apiKey } = await supabase
+      .from('api_keys')
+      .select('id, restaurant_id, name, scopes, revoked_at, restaurants(*)')
+      .eq('key_hash', this.hashKey(rawKey))
+      .single();
+
+    if (!apiKey || apiKey.revoked_at || !apiKey.restaurants?.is_active) return null;
+
+    // No bloquea la petición
+    supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', apiKey.id)
+      .then(() => {}, () => {});
+
+    const { restaurants: business, ...key } = apiKey;
+    return { apiKey: key, business };
+  }
+
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,327 @@
+import { supabase } from '../config/database.js';
+import notificationService, { NOTIFICATION_TYPES } from './notificationService.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from './auditService.js';
+import noShowPolicyService from './noShowPolicyService.js';
+
+export const APPOINTMENT_STATUSES = {
+  PENDING_PAYMENT: 'pendiente_pago',
+  PENDING: 'pendiente',
+  CONFIRMED: 'confirmado',
+  CHECKED_IN: 'en_mesa',
+  COMPLETED: 'completada',
+  NO_SHOW: 'no_show',
+  CANCELLED: 'cancelada',
+};
+
+// Quién canceló (appointments.cancelled_by)
+export const CANCELLED_BY = {
+  CUSTOMER: 'customer',
+  BUSINESS: 'business',
+  SYSTEM: 'system',
+};
+
+const S = APPOINTMENT_STATUSES;
+
+// Citas que aún ocupan hueco, mesa o personal
+export const ACTIVE_STATUSES = [S.PENDING_PAYMENT, S.PENDING, S.CONFIRMED, S.CHECKED_IN];
+
+// Transiciones permitidas. completada, no_show y cancelada son finales.
+const TRANSITIONS = {
+  [S.PENDING_PAYMENT]: [S.CONFIRMED, S.CANCELLED],
+  [S.PENDING]: [S.CONFIRMED, S.CANCELLED, S.NO_SHOW],
+  [S.CONFIRMED]: [S.CHECKED_IN, S.COMPLETED, S.CANCELLED, S.NO_SHOW],
+  [S.CHECKED_IN]: [S.COMPLETED],
+  [S.COMPLETED]: [],
+  [S.NO_SHOW]: [],
+  [S.CANCELLED]: [],
+};
+
+// Marca de tiempo que se guarda al entrar en cada estado
+const TIMESTAMP_FIELDS = {
+  [S.CONFIRMED]: 'confirmed_at',
+  [S.CHECKED_IN]: 'checked_in_at',
+  [S.COMPLETED]: 'completed_at',
+  [S.NO_SHOW]: 'no_show_at',
+  [S.CANCELLED]: 'cancelled_at',
+};
+
+// Al entrar en estos estados la mesa queda libre
+const RELEASES_TABLE = [S.COMPLETED, S.NO_SHOW, S.CANCELLED];
+
+/**
+ * Modelo de estados de una cita: transiciones válidas, marcas de tiempo y hooks.
+ * Todo cambio de estado (panel, check-in/out, enlace del cliente, compatibilidad
+ * /api/reservations) pasa por transition().
+ */
+class AppointmentStatusService {
+
+  constructor() {
+    this.hooks = {};
+
+    this.on(RELEASES_TABLE, (ctx) => this.releaseTables(ctx));
+    this.on([S.COMPLETED, S.NO_SHOW, S.CANCELLED], (ctx) => this.refreshCustomerStats(ctx));
+    this.on(S.CANCELLED, (ctx) => this.notifyCancellation(ctx));
+  }
+
+  isValidStatus(status) {
+    return Object.values(S).includes(status);
+  }
+
+  getAllowedTransitions(from) {
+    return TRANSITIONS[from] || [];
+  }
+
+  canTransition(from, to) {
+    return this.getAllowedTransitions(from).includes(to);
+  }
+
+  /**
+   * Registra un hook que se ejecuta tras entrar en el estado (o estados) indicado.
+   * handler({ req, appointment, previous }) — los errores se registran y no deshacen el cambio.
+   */
+  on(statuses, handler) {
+    for (const status of [].concat(statuses)) {
+      if (!this.hooks[status]) this.hooks[status] = [];
+      this.hooks[status].push(handler);
+    }
+  }
+
+  /**
+   * Campos a actualizar al pasar a `to`
+   */
+  buildUpdate(to, { cancelledBy = null, now = new Date() } = {}) {
+    const timestamp = now.toISOString();
+    const update = {
+      status: to,
+      status_changed_at: timestamp,
+      updated_at: timestamp,
+    };
+
+    if (TIMESTAMP_FIELDS[to]) update[TIMESTAMP_FIELDS[to]] = timestamp;
+    if (to === S.CANCELLED) update.cancelled_by = cancelledBy || CANCELLED_BY.BUSINESS;
+
+    return update;
+  }
+
+  /**
+   * Cambia el estado de una cita ya cargada (select('*')).
+   * @param {object} options cancelledBy, extra (campos adicionales, p. ej. checked_out_at)
+   * @returns {Promise<object>} { success: true, appointment }
+   *   o { success: false, status, body } para responder tal cual (409 si la transición no es válida)
+   */
+  async transition(req, appointment, to, { cancelledBy = null, extra = {} } = {}) {
+    const from = appointment.status;
+
+    if (!this.isValidStatus(to)) {
+      return {
+        success: false,
+        status: 400,
+        body: { error: 'Estado inválido', validStatuses: Object.values(S) }
+      };
+    }
+
+    if (!this.canTransition(from, to)) {
+      return {
+        success: false,
+        status: 409,
+        body: {
+          error: `No se puede pasar una cita de "${from}" a "${to}"`,
+          from,
+          to,
+          allowed: this.getAllowedTransitions(from)
+        }
+      };
+    }
+
+    const update = { ...this.buildUpdate(to, { cancelledBy }), ...extra };
+
+    // Sólo si nadie la cambió entretanto
+    const { data, error } = await supabase
+      .from('appointments')
+      .update(update)
+      .eq('id', appointment.id)
+      .eq('status', from)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return {
+        success: false,
+        status: 409,
+        body: { error: 'La cita ha cambiado de estado mientras tanto. Recarga e inténtalo de nuevo.' }
+      };
+    }
+
+    console.log(`[Status] ${appointment.id}: ${from} → ${to}`);
+
+    await auditService.record(req, {
+      businessId: appointment.restaurant_id,
+      entityType: AUDIT_ENTITIES.APPOINTMENT,
+      entityId: appointment.id,
+      action: AUDIT_ACTIONS.STATUS_CHANGE,
+      changes: auditService.diff(appointment, data, Object.keys(update))
+    });
+
+    await this.runHooks(to, { req, appointment: data, previous: appointment });
+
+    return { success: true, appointment: data };
+  }
+
+  async runHooks(status, ctx) {
+    for (const hook of this.hooks[status] || []) {
+      try {
+        await hook(ctx);
+      } catch (error) {
+        console.error(`[Status] ⚠️ Hook de "${status}" falló (cita ${ctx.appointment.id}):`, error.message);
+      }
+    }
+  }
+
+  // ================================================================
+  // NO-SHOWS AUTOMÁTICOS (cron)
+  // ================================================================
+
+  /**
+   * Marca como no_show las citas confirmadas sin check-in cuyo fin + margen
+   * (config.no_show_policy.grace_minutes) ya pasó. Sin req: actor sistema/cron.
+   */
+  async markNoShows(now = new Date()) {
+    const { data: businesses, error } = await supabase
+      .from('restaurants')
+      .select('id, name, config')
+      .eq('is_active', true);
+
+    if (error) throw error;
+
+    const stats = { marked: 0, skipped: 0 };
+
+    for (const business of businesses || []) {
+      const result = await this.markBusinessNoShows(business, now);
+      stats.marked += result.marked;
+      stats.skipped += result.skipped;
+    }
+
+    return stats;
+  }
+
+  async markBusinessNoShows(business, now = new Date()) {
+    const result = { marked: 0, skipped: 0 };
+
+    const { data: appointments, error } = await supabase
+      .from('appointments')
+      .select('*')
+      .eq('restaurant_id', business.id)
+      .eq('status', S.CONFIRMED)
+      .is('checked_in_at', null)
+      .is('deleted_at', null)
+      .lt('appointment_time', now.toISOString());
+
+    if (error) throw error;
+
+    for (const appointment of appointments || []) {
+      if (!noShowPolicyService.isOverdue(appointment, business.config, now)) continue;
+
+      const transition = await this.transition(null, appointment, S.NO_SHOW);
+      result[transition.success ? 'marked' : 'skipped']++;
+    }
+
+    if (result.marked > 0) {
+      console.log(`[Status] 👻 ${business.name}: ${result.marked} cita(s) marcadas como no-show`);
+    }
+
+    return result;
+  }
+
+  // ================================================================
+  // HOOKS
+  // ================================================================
+
+  async releaseTables({ appointment }) {
+    await supabase
+      .from('table_assignments')
+      .update({ is_active: false })
+      .eq('appointment_id', appointment.id);
+  }
+
+  /**
+   * Recalcula visitas, no-shows y cancelaciones (y cuántas fueron tardías) a partir de sus citas
+   */
+  async refreshCustomerStats({ appointment }) {
+    if (!appointment.customer_id) return;
+
+    const { data: business } = await supabase
+      .from('restaurants')
+      .select('config')
+      .eq('id', appointment.restaurant_id)
+      .single();
+
+    const { data, error } = await supabase
+      .from('appointments')
+      .select('status, appointment_time, cancelled_at, cancelled_by')
+      .eq('customer_id', appointment.customer_id)
+      .eq('restaurant_id', appointment.restaurant_id)
+      .is('deleted_at', null)
+      .in('status', [S.COMPLETED, S.NO_SHOW, S.CANCELLED]);
+
+    if (error) throw error;
+
+    const rows = data || [];
+    const completed = rows.filter(a => a.status === S.COMPLETED);
+    const lastVisit = completed.map(a => a.appointment_time).sort().pop() || null;
+
+    const stats = {
+      total_visits: completed.length,
+      no_show_count: rows.filter(a => a.status === S.NO_SHOW).length,
+      cancellation_count: rows.filter(a => a.status === S.CANCELLED).length,
+      late_cancel_count: rows.filter(a => noShowPolicyService.isLateCancellation(a, business?.config)).length,
+      updated_at: new Date().toISOString()
+    };
+
+    if (lastVisit) stats.last_visit_at = lastVisit;
+
+    await supabase
+      .from('customers')
+      .update(stats)
+      .eq('id', appointment.customer_id);
+  }
+
+  /**
+   * Avisa al cliente por email (outbox) de que su cita se ha cancelado
+   */
+  async notifyCancellation({ appointment }) {
+    if (!appointment.client_email) return;
+
+    const { data: business } = await supabase
+      .from('restaurants')
+      .select('name, phone, address, email, timezone')
+      .eq('id', appointment.restaurant_id)
+      .single();
+
+    await notificationService.enqueueAndSend({
+      businessId: appointment.restaurant_id,
+      appointmentId: appointment.id,
+      type: NOTIFICATION_TYPES.APPOINTMENT_CANCELLATION,
+      channel: 'email',
+      recipient: appointment.client_email,
+      payload: {
+        customer_email: appointment.client_email,
+        customer_name: appointment.client_name,
+        appointment_date: appointment.scheduled_date,
+        appointment_time: new Date(appointment.appointment_time).toLocaleTimeString('es-ES', {
+          hour: '2-digit',
+          minute: '2-digit',
+          timeZone: business?.timezone || 'Europe/Madrid'
+        }),
+        service_name: appointment.service_name,
+        cancelled_by: appointment.cancelled_by,
+        business_name: business?.name,
+        business_phone: business?.phone,
+        business_address: business?.address,
+        appointment_id: appointment.id
+      }
+    });
+  }
+
+}
+
+export default new AppointmentStatusService();
@@ -0,0 +1,162 @@
+import { supabase } from '../config/database.js';
+
+export const AUDIT_SOURCES = {
+  MANUAL: 'manual',
+  PUBLIC: 'public',
+  WHATSAPP: 'whatsapp',
+  CRON: 'cron',
+};
+
+export const AUDIT_ENTITIES = {
+  APPOINTMENT: 'appointment',
+  CUSTOMER: 'customer',
+  SETTINGS: 'settings',
+  USER: 'user',
+  SERVICE: 'service',
+  TABLE: 'table',
+  SEGMENT: 'segment',
+  CAMPAIGN: 'campaign',
+};
+
+export const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  STATUS_CHANGE: 'status_change',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  PURGE: 'purge',
+  MERGE: 'merge',
+  ANONYMIZE: 'anonymize',
+};
+
+// Campos que no aportan al historial o que no deben quedar registrados
+const IGNORED_FIELDS = ['updated_at', 'password_hash', 'totp_secret'];
+
+const MAX_LIMIT = 200;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Registro de auditoría (tabla audit_log, sólo inserción).
+ * Cada fila guarda quién (actor), dónde (negocio), qué (entidad + acción),
+ * el diff antes/después, el origen y el id de la petición.
+ */
+class AuditService {
+
+  /**
+   * Diff { campo: { from, to } } entre dos versiones de una fila.
+   * Los objetos (config) se comparan por dentro: 'config.reminders.steps'.
+   * @param {string[]} [fields] limitar a estos campos
+   */
+  diff(before, after, fields = null, prefix = '') {
+    const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const changes = {};
+
+    for (const key of keys) {
+      if (IGNORED_FIELDS.includes(key)) continue;
+
+      const from = before?.[key] ?? null;
+      const to = after?.[key] ?? null;
+
+      if (isPlainObject(from) && isPlainObject(to)) {
+        Object.assign(changes, this.diff(from, to, null, `${prefix}${key}.`));
+      } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[`${prefix}${key}`] = { from, to };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Quién hace la petición: usuario del panel, clave de API del agente o el sistema
+   */
+  getActor(req) {
+    if (req?.user) {
+      return { actor_type: 'user', actor_id: req.user.id, actor_name: req.user.name || req.user.email };
+    }
+    if (req?.apiKey) {
+      return { actor_type: 'api_key', actor_id: req.apiKey.id, actor_name: req.apiKey.name };
+    }
+    if (req) {
+      return { actor_type: 'customer', actor_id: null, actor_name: null };
+    }
+    return { actor_type: 'system', actor_id: null, actor_name: null };
+  }
+
+  getSource(req) {
+    if (req?.user) return AUDIT_SOURCES.MANUAL;
+    if (req?.apiKey) return AUDIT_SOURCES.WHATSAPP;
+    if (req) return AUDIT_SOURCES.PUBLIC;
+    return AUDIT_SOURCES.CRON;
+  }
+
+  /**
+   * Construye la fila. Devuelve null si una actualización no cambió nada.
+   */
+  buildEntry(req, { businessId, entityType, entityId, action, before = null, after = null, changes = null, source = null, actor = null }) {
+    const diff = changes || this.diff(before, after);
+
+    if (action === AUDIT_ACTIONS.UPDATE && Object.keys(diff).length === 0) return null;
+
+    return {
+      restaurant_id: businessId,
+      ...(actor || this.getActor(req)),
+      entity_type: entityType,
+      entity_id: entityId,
+      action,
+      changes: diff,
+      source: source || this.getSource(req),
+      request_id: req?.id || null,
+    };
+  }
+
+  /**
+   * Registra un cambio. Sin req se considera un proceso del sistema (cron).
+   * Un fallo al auditar no deshace ni bloquea la operación: se registra en el log.
+   */
+  async record(req, entry) {
+    return this.recordMany(req, [entry]);
+  }
+
+  async recordMany(req, entries) {
+    const rows = entries.map(entry => this.buildEntry(req, entry)).filter(Boolean);
+    if (rows.length === 0) return;
+
+    const { error } = await supabase.from('audit_log').insert(rows);
+
+    if (error) {
+      console.error(`[Audit] Error registrando ${rows[0].entity_type}/${rows[0].action}:`, error.message);
+    }
+  }
+
+  /**
+   * Historial filtrado por entidad y/o usuario, del más reciente al más antiguo
+   */
+  async list({ businessId, entityType, entityId, actorId, action, from, to, limit = 50, offset = 0 }) {
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_LIMIT);
+    const start = parseInt(offset) || 0;
+
+    let query = supabase
+      .from('audit_log')
+      .select('id, actor_type, actor_id, actor_name, entity_type, entity_id, action, changes, source, request_id, created_at')
+      .eq('restaurant_id', businessId)
+      .order('created_at', { ascending: false })
+      .range(start, start + pageSize - 1);
+
+    if (entityType) query = query.eq('entity_type', entityType);
+    if (entityId) query = query.eq('entity_id', entityId);
+    if (actorId) query = query.eq('actor_id', actorId);
+    if (action) query = query.eq('action', action);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+}
+
+export default new AuditService();
@@ -0,0 +1,461 @@
+import { supabase } from '../config/database.js';
+import { tableAssignmentEngine } from './restaurant/tableAssignmentEngine.js';
+import { createRequire } from 'module';
+import { ACTIVE_STATUSES } from './appointmentStatusService.js';
+
+const require = createRequire(import.meta.url);
+const { addMinutes } = require('date-fns');
+const { fromZonedTime } = require('date-fns-tz');
+
+const SLOT_INTERVAL_MINUTES = 15;
+const MAX_SUGGESTIONS = 3;
+const DAY_NAMES = ['domingos', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábados'];
+
+// Códigos de motivo para slots no disponibles
+export const UNAVAILABLE_REASONS = {
+  CLOSED: 'closed',
+  OUTSIDE_HOURS: 'outside_hours',
+  PAST: 'past',
+  BLOCKED: 'blocked',
+  CAPACITY_FULL: 'capacity_full',
+  NO_TABLE: 'no_table',
+  STAFF_UNAVAILABLE: 'staff_unavailable',
+  NO_STAFF: 'no_staff',
+};
+
+const toMinutes = (t) => {
+  const [h, m] = t.split(':').map(Number);
+  return h * 60 + (m || 0);
+};
+
+const toTimeStr = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+function parseConfig(config) {
+  if (typeof config === 'string') {
+    try { return JSON.parse(config); } catch (e) { return {}; }
+  }
+  return config || {};
+}
+
+/**
+ * Motor de disponibilidad compartido por el panel, la página pública y N8N.
+ * Todas las rutas calculan los slots con las mismas reglas:
+ * horario (availability_rules + turnos), bloqueos, capacidad o mesas.
+ */
+class AvailabilityService {
+
+  /**
+   * Carga todo lo necesario para evaluar un día de un negocio.
+   * excludeAppointmentId: cita que se está moviendo (no ocupa su propio hueco)
+   */
+  async loadDayContext({ businessId, date, excludeAppointmentId = null }) {
+    const { data: business, error: businessError } = await supabase
+      .from('restaurants')
+      .select('id, timezone, config, business_type')
+      .eq('id', businessId)
+      .single();
+
+    if (businessError || !business) {
+      throw new Error('Negocio no encontrado');
+    }
+
+    const timezone = business.timezone || 'Europe/Madrid';
+    const config = parseConfig(business.config);
+    const isRestaurant = business.business_type === 'restaurant';
+
+    // 1. Regla de horario del día (fecha específica > día de la semana)
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+    const { data: rules, error: rulesError } = await supabase
+      .from('availability_rules')
+      .select('open_time, close_time, is_closed, priority, specific_date')
+      .eq('restaurant_id', businessId)
+      .or(`specific_date.eq.${date},and(day_of_week.eq.${dayOfWeek},specific_date.is.null)`)
+      .order('priority', { ascending: false });
+
+    if (rulesError) throw rulesError;
+
+    const rule = (rules || []).sort((a, b) =>
+      (b.specific_date ? 1 : 0) - (a.specific_date ? 1 : 0) || (b.priority || 0) - (a.priority || 0)
+    )[0] || null;
+
+    // 2. Bloqueos generales que tocan el día (los de mesa los gestiona el motor de mesas)
+    const dayStartUTC = fromZonedTime(`${date}T00:00:00`, timezone);
+    const dayEndUTC = fromZonedTime(`${date}T23:59:59`, timezone);
+
+    const { data: blocks, error: blocksError } = await supabase
+      .from('blocked_slots')
+      .select('blocked_from, blocked_until, reason, block_type')
+      .eq('restaurant_id', businessId)
+      .eq('is_active', true)
+      .is('table_id', null)
+      .lte('blocked_from', dayEndUTC.toISOString())
+      .gte('blocked_until', dayStartUTC.toISOString());
+
+    if (blocksError) throw blocksError;
+
+    // 3. Ocupación: mesas para restaurantes, personal (o citas concurrentes) para el resto
+    let tableContext = null;
+    let appointments = [];
+    let staff = [];
+
+    if (isRestaurant) {
+      tableContext = await tableAssignmentEngine.loadDayContext({ restaurantId: businessId, date });
+
+      if (excludeAppointmentId && tableContext.success) {
+        tableContext.existingReservations = tableContext.existingReservations
+          .filter(r => r.appointment_id !== excludeAppointmentId);
+      }
+    } else {
+      const { data, error } = await supabase
+        .from('appointments')
+        .select('id, appointment_time, duration_minutes, staff_id')
+        .eq('restaurant_id', businessId)
+        .is('deleted_at', null)
+        .gte('appointment_time', dayStartUTC.toISOString())
+        .lte('appointment_time', dayEndUTC.toISOString())
+        .in('status', ACTIVE_STATUSES);
+
+      if (error) throw error;
+      appointments = (data || []).filter(apt => apt.id !== excludeAppointmentId);
+
+      staff = await this.loadDayStaff({ businessId, dayOfWeek, dayStartUTC, dayEndUTC });
+    }
+
+    return {
+      business,
+      date,
+      dayOfWeek,
+      timezone,
+      config,
+      isRestaurant,
+      rule,
+      windows: this.getOpeningWindows({ isRestaurant, config, rule }),
+      blocks: (blocks || []).map(b => ({
+        start: new Date(b.blocked_from),
+        end: new Date(b.blocked_until),
+        reason: b.reason,
+        type: b.block_type
+      })),
+      appointments,
+      staff,
+      tableContext,
+      maxCapacity: parseInt(config.max_appointments_per_slot) || 1
+    };
+  }
+
+  /**
+   * Personal activo con sus servicios, su horario de ese día y sus ausencias
+   */
+  async loadDayStaff({ businessId, dayOfWeek, dayStartUTC, dayEndUTC }) {
+    const { data: members, error } = await supabase
+      .from('staff_members')
+      .select('id, name, display_order, staff_services (service_id), staff_working_hours (day_of_week, start_time, end_time)')
+      .eq('restaurant_id', businessId)
+      .eq('is_active', true)
+      .order('display_order', { ascending: true });
+
+    if (error) throw error;
+    if (!members || members.length === 0) return [];
+
+    const { data: timeOff, error: timeOffError } = await supabase
+      .from('staff_time_off')
+      .select('staff_id, starts_at, ends_at')
+      .in('staff_id', members.map(m => m.id))
+      .lte('starts_at', dayEndUTC.toISOString())
+      .gte('ends_at', dayStartUTC.toISOString());
+
+    if (timeOffError) throw timeOffError;
+
+    return members.map(member => ({
+      id: member.id,
+      name: member.name,
+      serviceIds: (member.staff_services || []).map(s => s.service_id),
+      hours: (member.staff_working_hours || [])
+        .filter(h => h.day_of_week === dayOfWeek)
+        .map(h => ({ start: toMinutes(h.start_time), end: toMinutes(h.end_time) })),
+      timeOff: (timeOff || [])
+        .filter(t => t.staff_id === member.id)
+        .map(t => ({ start: new Date(t.starts_at), end: new Date(t.ends_at) }))
+    }));
+  }
+
+  /**
+   * Franjas de apertura del día en minutos locales.
+   * Restaurantes: turnos de config.shifts (o config.schedules) recortados por la regla del día.
+   * Resto de negocios: apertura/cierre de la regla del día (sin regla = cerrado).
+   */
+  getOpeningWindows({ isRestaurant, config, rule }) {
+    if (rule?.is_closed) return [];
+
+    const ruleWindow = rule?.open_time && rule?.close_time
+      ? { start: toMinutes(rule.open_time), end: toMinutes(rule.close_time), label: 'Horario general' }
+      : null;
+
+    if (!isRestaurant) {
+      return ruleWindow ? [ruleWindow] : [];
+    }
+
+    const isEnabled = (shift) => shift?.enabled === true || shift?.enabled === 'true';
+
+    let shiftWindows = [];
+    if (config.shifts) {
+      shiftWindows = Object.entries(config.shifts)
+        .filter(([, shift]) => isEnabled(shift) && shift.start && shift.end)
+        .map(([key, shift]) => ({ start: toMinutes(shift.start), end: toMinutes(shift.end), label: shift.label || key }));
+    } else if (config.schedules) {
+      shiftWindows = Object.entries(config.schedules)
+        .filter(([, shift]) => isEnabled(shift) && shift.start_time && shift.end_time)
+        .map(([key, shift]) => ({ start: toMinutes(shift.start_time), end: toMinutes(shift.end_time), label: key }));
+    }
+
+    if (shiftWindows.length === 0) {
+      return ruleWindow ? [ruleWindow] : [];
+    }
+
+    if (!ruleWindow) return shiftWindows;
+
+    // Intersección turnos ∩ horario del día
+    return shiftWindows
+      .map(w => ({ ...w, start: Math.max(w.start, ruleWindow.start), end: Math.min(w.end, ruleWindow.end) }))
+      .filter(w => w.start < w.end);
+  }
+
+  /**
+   * Evalúa una hora concreta contra el contexto del día.
+   * Con enforceSchedule=false (altas desde el panel) sólo se comprueba la ocupación.
+   */
+  async evaluateTime(context, time, { durationMinutes, partySize = 2, staffId = null, serviceIds = [], preference = null, enforceSchedule = true }) {
+    const { date, timezone, windows, blocks } = context;
+    const startMinutes = toMinutes(time);
+    const endMinutes = startMinutes + durationMinutes;
+
+    const unavailable = (code, reason) => ({ time, available: false, reason_code: code, reason });
+
+    const slotStartUTC = fromZonedTime(`${date}T${time}:00`, timezone);
+    const slotEndUTC = addMinutes(slotStartUTC, durationMinutes);
+
+    if (enforceSchedule) {
+      // 1. Horario
+      if (windows.length === 0) {
+        const reason = context.rule?.is_closed || !context.isRestaurant
+          ? `Cerrado los ${DAY_NAMES[context.dayOfWeek]}`
+          : 'No hay turnos de servicio configurados para este día';
+        return unavailable(UNAVAILABLE_REASONS.CLOSED, reason);
+      }
+
+      const window = windows.find(w => startMinutes >= w.start && endMinutes <= w.end);
+
+      if (!window) {
+        const startsInside = windows.find(w => startMinutes >= w.start && startMinutes < w.end);
+        const reason = startsInside
+          ? `La cita dura ${durationMinutes} min y terminaría después del cierre (${toTimeStr(startsInside.end)})`
+          : `Fuera de horario. Horario: ${windows.map(w => `${toTimeStr(w.start)} - ${toTimeStr(w.end)}`).join(', ')}`;
+        return unavailable(UNAVAILABLE_REASONS.OUTSIDE_HOURS, reason);
+      }
+
+      // 2. Horas ya pasadas
+      if (slotStartUTC <= new Date()) {
+        return unavailable(UNAVAILABLE_REASONS.PAST, 'Esta hora ya ha pasado');
+      }
+
+      // 3. Bloqueos generales
+      const block = blocks.find(b => slotStartUTC < b.end && slotEndUTC > b.start);
+      if (block) {
+        return unavailable(UNAVAILABLE_REASONS.BLOCKED, block.reason || 'Horario bloqueado por el negocio');
+      }
+    }
+
+    // 4a. Restaurantes: debe existir mesa o combinación libre
+    if (context.isRestaurant) {
+      if (!context.tableContext?.success) {
+        return unavailable(UNAVAILABLE_REASONS.NO_TABLE, context.tableContext?.message || 'No hay mesas disponibles');
+      }
+
+      const result = await tableAssignmentEngine.evaluateSlot(context.tableContext, {
+        date,
+        time,
+        partySize,
+        duration: durationMinutes,
+        preference
+      });
+
+      if (!result.success) {
+        return unavailable(UNAVAILABLE_REASONS.NO_TABLE, 'No hay mesas disponibles para este número de personas en este horario');
+      }
+
+      return {
+        time,
+        available: true,
+        reason_code: null,
+        reason: null,
+        table_ids: result.tables.map(t => t.id),
+        table_numbers: result.tables.map(t => t.table_number)
+      };
+    }
+
+    // 4b. Negocios con personal: la persona elegida o la primera libre y cualificada
+    if (context.staff?.length > 0) {
+      return this.evaluateStaff(context, time, { slotStartUTC, slotEndUTC, startMinutes, endMinutes, staffId, serviceIds });
+    }
+
+    // 4c. Sin personal configurado: citas simultáneas contra max_appointments_per_slot (barrido cada 5 min)
+    const busyBlocks = context.appointments.map(apt => {
+      const start = new Date(apt.appointment_time);
+      return { start, end: addMinutes(start, apt.duration_minutes || 60), id: apt.id };
+    });
+
+    for (let minute = 0; minute < durationMinutes; minute += 5) {
+      const checkTime = addMinutes(slotStartUTC, minute);
+      const active = busyBlocks.filter(b => checkTime >= b.start && checkTime < b.end);
+
+      if (active.length >= context.maxCapacity) {
+        return {
+          ...unavailable(UNAVAILABLE_REASONS.CAPACITY_FULL, 'No hay personal disponible en ese horario'),
+          conflicting_appointment_id: active[0].id
+        };
+      }
+    }
+
+    return { time, available: true, reason_code: null, reason: null };
+  }
+
+  /**
+   * Elige persona para un slot: trabaja a esa hora, no está ausente, no tiene otra cita
+   * y realiza todos los servicios pedidos (sin servicios asignados = realiza todos).
+   * Las citas antiguas sin staff_id ocupan a cualquiera de las personas libres.
+   */
+  evaluateStaff(context, time, { slotStartUTC, slotEndUTC, startMinutes, endMinutes, staffId, serviceIds }) {
+    const unavailable = (code, reason) => ({ time, available: false, reason_code: code, reason });
+    const overlaps = (start, end) => slotStartUTC < end && slotEndUTC > start;
+
+    const requested = (serviceIds || []).filter(Boolean);
+    const isQualified = (member) =>
+      member.serviceIds.length === 0 || requested.every(id => member.serviceIds.includes(id));
+
+    const isFree = (member) =>
+      member.hours.some(h => startMinutes >= h.start && endMinutes <= h.end) &&
+      !member.timeOff.some(t => overlaps(t.start, t.end)) &&
+      !context.appointments.some(apt => {
+        if (apt.staff_id !== member.id) return false;
+        const start = new Date(apt.appointment_time);
+        return overlaps(start, addMinutes(start, apt.duration_minutes || 60));
+      });
+
+    const unassignedBusy = context.appointments.filter(apt => {
+      if (apt.staff_id) return false;
+      const start = new Date(apt.appointment_time);
+      return overlaps(start, addMinutes(start, apt.duration_minutes || 60));
+    }).length;
+
+    if (staffId) {
+      const member = context.staff.find(m => m.id === staffId);
+
+      if (!member) {
+        return unavailable(UNAVAILABLE_REASONS.STAFF_UNAVAILABLE, 'La persona seleccionada no está disponible');
+      }
+      if (!isQualified(member)) {
+        return unavailable(UNAVAILABLE_REASONS.STAFF_UNAVAILABLE, `${member.name} no realiza este servicio`);
+      }
+
+      const freeQualified = context.staff.filter(m => isQualified(m) && isFree(m));
+
+      if (!isFree(member) || freeQualified.length <= unassignedBusy) {
+        return unavailable(UNAVAILABLE_REASONS.STAFF_UNAVAILABLE, `${member.name} no está disponible en ese horario`);
+      }
+
+      return { time, available: true, reason_code: null, reason: null, staff_id: member.id, staff_name: member.name };
+    }
+
+    const freeQualified = context.staff.filter(m => isQualified(m) && isFree(m));
+
+    if (freeQualified.length <= unassignedBusy) {
+      return unavailable(UNAVAILABLE_REASONS.NO_STAFF, 'No hay personal disponible en ese horario');
+    }
+
+    const chosen = freeQualified[0];
+    return { time, available: true, reason_code: null, reason: null, staff_id: chosen.id, staff_name: chosen.name };
+  }
+
+  /**
+   * Lista de slots del día con motivo para cada slot no disponible
+   */
+  async getDaySlots({ businessId, date, durationMinutes, partySize, staffId = null, serviceIds = [], context = null }) {
+    const dayContext = context || await this.loadDayContext({ businessId, date });
+    const duration = parseInt(durationMinutes) || this.getDefaultDuration(dayContext);
+
+    const slots = [];
+
+    for (const window of dayContext.windows) {
+      for (let minutes = window.start; minutes + duration <= window.end; minutes += SLOT_INTERVAL_MINUTES) {
+        slots.push(await this.evaluateTime(dayContext, toTimeStr(minutes), { durationMinutes: duration, partySize, staffId, serviceIds }));
+      }
+    }
+
+    slots.sort((a, b) => a.time.localeCompare(b.time));
+
+    return {
+      date,
+      timezone: dayContext.timezone,
+      duration_minutes: duration,
+      is_closed: dayContext.windows.length === 0,
+      opening_windows: dayContext.windows.map(w => ({ label: w.label, start: toTimeStr(w.start), end: toTimeStr(w.end) })),
+      slots
+    };
+  }
+
+  /**
+   * Verifica una hora concreta y sugiere las horas libres más cercanas
+   */
+  async checkSlot({ businessId, date, time, durationMinutes, partySize, staffId = null, serviceIds = [], excludeAppointmentId = null }) {
+    const context = await this.loadDayContext({ businessId, date, excludeAppointmentId });
+    const duration = parseInt(durationMinutes) || this.getDefaultDuration(context);
+
+    const result = await this.evaluateTime(context, time, { durationMinutes: duration, partySize, staffId, serviceIds });
+    const day = await this.getDaySlots({ businessId, date, durationMinutes: duration, partySize, staffId, serviceIds, context });
+
+    const requestedMinutes = toMinutes(time);
+    const suggestedTimes = result.available
+      ? []
+      : day.slots
+        .filter(s => s.available)
+        .sort((a, b) => Math.abs(toMinutes(a.time) - requestedMinutes) - Math.abs(toMinutes(b.time) - requestedMinutes))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(s => s.time)
+        .sort();
+
+    return {
+      ...result,
+      is_within_business_hours: ![UNAVAILABLE_REASONS.CLOSED, UNAVAILABLE_REASONS.OUTSIDE_HOURS].includes(result.reason_code),
+      suggested_times: suggestedTimes,
+      slots: day.slots
+    };
+  }
+
+  /**
+   * Evalúa una hora sin calcular el resto del día (altas de citas)
+   */
+  async evaluate({ businessId, date, time, durationMinutes, partySize, staffId = null, serviceIds = [], preference = null, enforceSchedule = true }) {
+    const context = await this.loadDayContext({ businessId, date });
+    const duration = parseInt(durationMinutes) || this.getDefaultDuration(context);
+
+    return this.evaluateTime(context, time, { durationMinutes: duration, partySize, staffId, serviceIds, preference, enforceSchedule });
+  }
+
+  /**
+   * Duración por defecto: turno del restaurante (90) o 60 min para citas
+   */
+  getDefaultDuration(context) {
+    if (!context.isRestaurant) return 60;
+
+    const shiftDuration = Object.values(context.config.shifts || {})
+      .map(s => parseInt(s.duration))
+      .find(d => d > 0);
+
+    return shiftDuration || 90;
+  }
+
+}
+
+export default new AvailabilityService();
@@ -0,0 +1,416 @@
+import { supabase } from '../config/database.js';
+import { createRequire } from 'module';
+import notificationService, { NOTIFICATION_TYPES } from './notificationService.js';
+import availabilityService from './availabilityService.js';
+import manageBookingService from './manageBookingService.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from './auditService.js';
+import trashService from './trashService.js';
+import customerService from './customerService.js';
+import phoneService from './phoneService.js';
+
+const require = createRequire(import.meta.url);
+const { fromZonedTime } = require('date-fns-tz');
+
+// Estados de la antigua tabla reservations → estados de appointments
+export const LEGACY_RESERVATION_STATUSES = {
+  pending: 'pendiente',
+  confirmed: 'confirmado',
+  seated: 'en_mesa',
+  completed: 'completada',
+  cancelled: 'cancelada',
+  no_show: 'no_show',
+};
+
+// Campos que el panel puede modificar con PUT /api/appointments/:appointmentId.
+// El resto tiene su propio camino: estado y sus marcas de tiempo (máquina de estados),
+// pagos (paymentService) y papelera (trashService).
+export const EDITABLE_APPOINTMENT_FIELDS = [
+  'client_name',
+  'client_phone',
+  'client_email',
+  'notes',
+  'special_occasion',
+  'party_size',
+  'table_id',
+  'staff_id',
+  'service_id',
+  'service_name',
+  'duration_minutes',
+  'scheduled_date',
+  'appointment_time',
+];
+
+/**
+ * Pipeline único de creación de citas: disponibilidad, mesa, cliente, cita,
+ * servicios, auditoría y confirmación. Lo usan el panel (createAppointment),
+ * la capa de compatibilidad /api/reservations y el agente de WhatsApp.
+ */
+class BookingService {
+
+  normalizeStatus(status) {
+    return LEGACY_RESERVATION_STATUSES[status] || status;
+  }
+
+  /**
+   * Se queda sólo con los campos editables de una petición de modificación
+   * @returns {{ fields: object, ignored: string[] }}
+   */
+  pickEditableFields(body) {
+    const fields = {};
+    const ignored = [];
+
+    for (const [key, value] of Object.entries(body || {})) {
+      if (EDITABLE_APPOINTMENT_FIELDS.includes(key)) fields[key] = value;
+      else ignored.push(key);
+    }
+
+    return { fields, ignored };
+  }
+
+  /**
+   * Datos del negocio que necesitan la cita y el email de confirmación
+   */
+  async getBusiness(businessId) {
+    const { data, error } = await supabase
+      .from('restaurants')
+      .select('name, slug, phone, address, email, timezone, config, business_type')
+      .eq('id', businessId)
+      .single();
+
+    if (error) console.error('Error cargando negocio:', error);
+    return data || null;
+  }
+
+  /**
+   * Servicios de la cita. Un restaurante sin servicios reserva mesa.
+   * @returns {object[]|null} null si un negocio de servicios no eligió ninguno
+   */
+  buildServicesList({ services, serviceId, serviceName, durationMinutes }, isRestaurant) {
+    if (services && services.length > 0) return services;
+    if (serviceId) return [{ serviceId, serviceName, durationMinutes }];
+    if (!isRestaurant) return null;
+
+    return [{
+      serviceName: 'Reserva de Mesa',
+      durationMinutes: durationMinutes || 90,
+      price: 0
+    }];
+  }
+
+  /**
+   * Busca el cliente por teléfono (sacándolo de la papelera si hace falta, o el
+   * superviviente si se fusionó) o lo crea
+   */
+  async findOrCreateCustomer(restaurantId, { clientName, clientPhone, clientEmail }) {
+    const existingCustomer = await customerService.findByPhone(restaurantId, clientPhone);
+
+    if (existingCustomer) {
+      await trashService.restoreIfDeleted('customers', restaurantId, existingCustomer);
+
+      if (clientEmail || clientName !== existingCustomer.name) {
+        await supabase.from('customers').update({
+          email: clientEmail || existingCustomer.email,
+          name: clientName,
+          updated_at: new Date().toISOString()
+        }).eq('id', existingCustomer.id);
+      }
+
+      return existingCustomer.id;
+    }
+
+    const { data: newCustomer, error: createError } = await supabase
+      .from('customers')
+      .insert({
+        restaurant_id: restaurantId,
+        name: clientName,
+        phone: clientPhone,
+        email: clientEmail || null,
+      })
+      .select()
+      .single();
+
+    if (createError) throw createError;
+    return newCustomer.id;
+  }
+
+  /**
+   * Crea una cita. Las series recurrentes la llaman una vez por ocurrencia (seriesId, seriesIndex)
+   * con sendConfirmation=false y envían después una única confirmación con todas las fechas.
+   * @param {object} req petición (actor de la auditoría y created_by)
+   * @param {object} business negocio con name, slug, phone, address, email, timezone y business_type
+   * @returns {Promise<object>} { success: true, appointment, tableAssignment }
+   *   o { success: false, status, body } para responder tal cual (409 sin hueco o sin mesa)
+   */
+  async create(req, business, {
+    customerId = null,
+    clientName,
+    clientPhone,
+    clientEmail,
+    scheduledDate,
+    appointmentTime,
+    servicesList,
+    notes,
+    partySize,
+    tableId = null,
+    tablePreference,
+    staffId,
+    specialOccasion,
+    status = 'confirmado',
+    source = 'manual',
+    enforceSchedule = false,
+    seriesId = null,
+    seriesIndex = null,
+    sendConfirmation = true
+  }) {
+    const restaurantId = req.business.id;
+    const timezone = business.timezone || 'Europe/Madrid';
+    const isRestaurant = business.business_type === 'restaurant';
+    const totalDuration = servicesList.reduce((sum, s) => sum + (s.durationMinutes || 60), 0);
+    const finalPartySize = isRestaurant ? parseInt(partySize || 2) : null;
+
+    // Teléfono en E.164 (un cliente ya existente trae el suyo)
+    if (!customerId) {
+      const parsedPhone = phoneService.parse(clientPhone, business);
+      if (!parsedPhone.success) return parsedPhone;
+      clientPhone = parsedPhone.phone;
+    }
+
+    const appointmentDateTime = fromZonedTime(`${scheduledDate}T${appointmentTime.padEnd(8, ':00')}`, timezone);
+
+    console.log('Saving appointment_time (UTC):', appointmentDateTime.toISOString());
+
+    // DISPONIBILIDAD (personal elegido o primero libre y cualificado; sin personal, capacidad global)
+    let assignedStaffId = null;
+
+    if (!isRestaurant) {
+      const availabilityCheck = await availabilityService.evaluate({
+        businessId: restaurantId,
+        date: scheduledDate,
+        time: appointmentTime,
+        durationMinutes: totalDuration,
+        staffId: staffId || null,
+        serviceIds: servicesList.map(s => s.serviceId),
+        enforceSchedule
+      });
+
+      if (!availabilityCheck.available) {
+        return {
+          success: false,
+          status: 409,
+          body: {
+            error: 'Este horario ya no está disponible.',
+            reason_code: availabilityCheck.reason_code,
+            reason: availabilityCheck.reason
+          }
+        };
+      }
+
+      assignedStaffId = availabilityCheck.staff_id || null;
+    }
+
+    // ASIGNACIÓN DE MESA (solo restaurante; una mesa elegida a mano no pasa por el motor)
+    // Se resuelve antes de tocar clientes: si no hay mesa devolvemos 409 con alternativas
+    let assignedTables = [];
+    let assignmentReason = null;
+
+    if (isRestaurant && tableId) {
+      const { data: table } = await supabase
+        .from('tables')
+        .select('id, table_number, table_type')
+        .eq('id', tableId)
+        .eq('restaurant_id', restaurantId)
+        .is('deleted_at', null)
+        .single();
+
+      if (!table) {
+        return { success: false, status: 404, body: { error: 'Mesa no encontrada' } };
+      }
+
+      assignedTables = [table];
+    } else if (isRestaurant) {
+      const { tableAssignmentEngine } = await import('./restaurant/tableAssignmentEngine.js');
+
+      const assignmentResult = await tableAssignmentEngine.findBestTable({
+        restaurantId,
+        date: scheduledDate,
+        time: appointmentTime,
+        partySize: finalPartySize,
+        duration: totalDuration,
+        preference: tablePreference,
+      });
+
+      if (!assignmentResult.success) {
+        const alternatives = await tableAssignmentEngine.findAlternativeTimes({
+          restaurantId,
+          date: scheduledDate,
+          time: appointmentTime,
+          partySize: finalPartySize,
+          duration: totalDuration,
+          preference: tablePreference,
+        });
+
+        return {
+          success: false,
+          status: 409,
+          body: {
+            error: 'No hay mesas disponibles en ese horario.',
+            reason: assignmentResult.message,
+            suggested_times: alternatives.map(a => a.time),
+            alternatives
+          }
+        };
+      }
+
+      assignedTables = assignmentResult.tables || [assignmentResult.table];
+      assignmentReason = assignmentResult.reason;
+    }
+
+    // CLIENTE (uno ya existente o buscar/crear por teléfono)
+    let customer = { name: clientName, phone: clientPhone, email: clientEmail };
+
+    if (customerId) {
+      const { data: existing } = await supabase
+        .from('customers')
+        .select('id, name, phone, email, deleted_at')
+        .eq('id', customerId)
+        .eq('restaurant_id', restaurantId)
+        .single();
+
+      if (!existing) {
+        return { success: false, status: 404, body: { error: 'Cliente no encontrado' } };
+      }
+
+      await trashService.restoreIfDeleted('customers', restaurantId, existing);
+      customer = existing;
+    } else {
+      customerId = await this.findOrCreateCustomer(restaurantId, { clientName, clientPhone, clientEmail });
+    }
+
+    // CREAR CITA
+    const { data: appointment, error: appointmentError } = await supabase
+      .from('appointments')
+      .insert({
+        restaurant_id: restaurantId,
+        customer_id: customerId,
+        table_id: assignedTables[0]?.id || null,
+        staff_id: assignedStaffId,
+        series_id: seriesId,
+        series_index: seriesIndex,
+        scheduled_date: scheduledDate,
+        appointment_time: appointmentDateTime.toISOString(),
+        client_name: customer.name,
+        client_phone: customer.phone,
+        client_email: customer.email || null,
+        service_name: servicesList[0].serviceName || 'Reserva',
+        service_id: servicesList[0].serviceId || null,
+        duration_minutes: totalDuration,
+        notes: notes || null,
+        special_occasion: specialOccasion || null,
+        status,
+        source,
+        created_by: req.user?.id || null,
+        party_size: finalPartySize
+      })
+      .select()
+      .single();
+
+    if (appointmentError) throw appointmentError;
+
+    // SERVICIOS
+    await supabase.from('appointment_services').insert(
+      servicesList.map((service, index) => ({
+        appointment_id: appointment.id,
+        service_id: service.serviceId || null,
+        service_name: service.serviceName,
+        duration_minutes: service.durationMinutes || 60,
+        price: service.price || 0,
+        display_order: index,
+      }))
+    );
+
+    await auditService.record(req, {
+      businessId: restaurantId,
+      entityType: AUDIT_ENTITIES.APPOINTMENT,
+      entityId: appointment.id,
+      action: AUDIT_ACTIONS.CREATE,
+      after: appointment
+    });
+
+    // ASIGNACIÓN DE MESA (una fila por mesa si es combinación)
+    if (assignedTables.length > 0) {
+      await supabase.from('table_assignments').insert(
+        assignedTables.map(table => ({
+          appointment_id: appointment.id,
+          table_id: table.id,
+          assigned_by: req.user?.id || null,
+          assignment_type: tableId ? 'manual' : 'automatic',
+        }))
+      );
+    }
+
+    // Una serie recurrente la envía después, una sola vez (sendConfirmation=false)
+    if (sendConfirmation && customer.email) {
+      await this.sendConfirmation(business, appointment, { appointmentTime, servicesList, totalDuration });
+    } else if (sendConfirmation) {
+      console.log('[Email] No se envía email (cliente sin email registrado)');
+    }
+
+    return {
+      success: true,
+      appointment,
+      tableAssignment: assignedTables.length > 0 ? {
+        tableNumber: assignedTables[0].table_number,
+        tableType: assignedTables[0].table_type,
+        tableNumbers: assignedTables.map(t => t.table_number),
+        isCombination: assignedTables.length > 1,
+        reason: assignmentReason,
+      } : null
+    };
+  }
+
+  /**
+   * Confirmación por email vía outbox: primer intento inmediato, reintentos en el worker.
+   * Un fallo al encolar no deshace la cita.
+   */
+  async sendConfirmation(business, appointment, { appointmentTime, servicesList, totalDuration, seriesDates = null }) {
+    console.log(`[Email] Preparando confirmación para: ${appointment.client_email}`);
+
+    try {
+      await notificationService.enqueueAndSend({
+        businessId: appointment.restaurant_id,
+        appointmentId: appointment.id,
+        type: NOTIFICATION_TYPES.APPOINTMENT_CONFIRMATION,
+        channel: 'email',
+        recipient: appointment.client_email,
+        payload: {
+          customer_email: appointment.client_email,
+          customer_name: appointment.client_name,
+          appointment_date: appointment.scheduled_date,
+          appointment_time: appointmentTime,
+          services: servicesList.map(s => ({
+            name: s.serviceName,
+            duration_minutes: s.durationMinutes
+          })),
+          business_name: business.name,
+          business_phone: business.phone,
+          business_address: business.address,
+          business_email: business.email,
+          total_duration: totalDuration,
+          appointment_id: appointment.id,
+          series_dates: seriesDates,
+          // El enlace de gestión es de una sola cita: en una serie se remite al teléfono del negocio
+          manage_url: seriesDates ? null : manageBookingService.getManageUrl({
+            appointmentId: appointment.id,
+            businessId: appointment.restaurant_id,
+            slug: business.slug
+          })
+        }
+      });
+    } catch (outboxError) {
+      console.error(`[Email] ⚠️ No se pudo encolar la confirmación (cita ${appointment.id} ya creada):`, outboxError);
+    }
+  }
+
+}
+
+export default new BookingService();
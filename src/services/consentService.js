@@ -0,0 +1,292 @@
+import jwt from 'jsonwebtoken';
+import { supabase } from '../config/database.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from './auditService.js';
+import manageBookingService from './manageBookingService.js';
+
+export const CONSENT_CHANNELS = {
+  EMAIL: 'email',
+  WHATSAPP: 'whatsapp',
+  SMS: 'sms',
+};
+
+export const CONSENT_SOURCES = {
+  BOOKING_FORM: 'booking_form',
+  WHATSAPP: 'whatsapp',
+  MANUAL: 'manual',
+  UNSUBSCRIBE_LINK: 'unsubscribe_link',
+  ERASURE: 'erasure',
+};
+
+// Versión de la política si el negocio no ha configurado config.privacy_policy_version
+export const DEFAULT_POLICY_VERSION = '1';
+
+const TOKEN_PURPOSE = 'unsubscribe';
+const ALL_CHANNELS = 'all';
+
+/**
+ * Consentimiento de comunicaciones comerciales por canal (email, WhatsApp, SMS).
+ * Los mensajes transaccionales (confirmaciones, recordatorios, cancelaciones) no lo necesitan;
+ * las promociones sólo salen hacia clientes que lo han dado y no lo han retirado.
+ */
+class ConsentService {
+
+  getPolicyVersion(config) {
+    return config?.privacy_policy_version || DEFAULT_POLICY_VERSION;
+  }
+
+  /**
+   * Valida config.privacy_policy_version antes de guardarla
+   * @returns {string|null} mensaje de error
+   */
+  validatePolicyVersion(version) {
+    if (version === undefined || version === null) return null;
+
+    if (typeof version !== 'string' || !version.trim() || version.length > 32) {
+      return 'privacy_policy_version debe ser un texto de hasta 32 caracteres (p. ej. "2024-05")';
+    }
+    return null;
+  }
+
+  /**
+   * Normaliza lo que llega de un formulario o del agente: { email: true, whatsapp: false }
+   * @returns {{ consents: object|null, error: string|null }}
+   */
+  parseChoices(choices) {
+    if (choices === undefined || choices === null) return { consents: null, error: null };
+
+    const valid = Object.values(CONSENT_CHANNELS);
+
+    if (typeof choices !== 'object' || Array.isArray(choices)) {
+      return { consents: null, error: `El consentimiento debe indicar cada canal: { ${valid.map(c => `${c}: true|false`).join(', ')} }` };
+    }
+
+    const unknown = Object.keys(choices).filter(channel => !valid.includes(channel));
+    if (unknown.length > 0) {
+      return { consents: null, error: `Canales desconocidos: ${unknown.join(', ')}. Válidos: ${valid.join(', ')}` };
+    }
+
+    const notBoolean = Object.entries(choices).find(([, granted]) => typeof granted !== 'boolean');
+    if (notBoolean) {
+      return { consents: null, error: `El consentimiento de ${notBoolean[0]} debe ser true o false` };
+    }
+
+    return { consents: Object.keys(choices).length > 0 ? choices : null, error: null };
+  }
+
+  /**
+   * Estado por canal de un cliente. Los canales sin fila aparecen como no concedidos.
+   */
+  async getConsents(customerId) {
+    const { data, error } = await supabase
+      .from('customer_consents')
+      .select('channel, granted, source, policy_version, granted_at, revoked_at, updated_at')
+      .eq('customer_id', customerId);
+
+    if (error) throw error;
+
+    const byChannel = Object.fromEntries((data || []).map(row => [row.channel, row]));
+
+    return Object.values(CONSENT_CHANNELS).map(channel => byChannel[channel] || {
+      channel,
+      granted: false,
+      source: null,
+      policy_version: null,
+      granted_at: null,
+      revoked_at: null,
+      updated_at: null
+    });
+  }
+
+  /**
+   * Guarda la decisión del cliente para uno o varios canales y la deja en el historial.
+   * Los canales cuya decisión no cambia no se tocan (se conserva la fecha original).
+   * @param {object} consents { email: true, whatsapp: false, ... }
+   * @returns {Promise<Array>} filas modificadas
+   */
+  async record(req, { businessId, customerId, consents, source, policyVersion = null }) {
+    const channels = Object.keys(consents || {});
+    if (channels.length === 0) return [];
+
+    const { data: existing, error } = await supabase
+      .from('customer_consents')
+      .select('*')
+      .eq('customer_id', customerId)
+      .in('channel', channels);
+
+    if (error) throw error;
+
+    const now = new Date().toISOString();
+    const rows = [];
+    const changes = {};
+
+    for (const channel of channels) {
+      const granted = consents[channel];
+      const previous = (existing || []).find(row => row.channel === channel);
+
+      if (previous && previous.granted === granted) continue;
+
+      rows.push({
+        restaurant_id: businessId,
+        customer_id: customerId,
+        channel,
+        granted,
+        source,
+        policy_version: granted ? policyVersion : previous?.policy_version || null,
+        granted_at: granted ? now : previous?.granted_at || null,
+        revoked_at: granted ? null : now,
+        updated_at: now
+      });
+
+      changes[`consent_${channel}`] = {
+        from: previous ? { granted: previous.granted, source: previous.source, policy_version: previous.policy_version } : null,
+        to: { granted, source, policy_version: granted ? policyVersion : null }
+      };
+    }
+
+    if (rows.length === 0) return [];
+
+    const { data: saved, error: upsertError } = await supabase
+      .from('customer_consents')
+      .upsert(rows, { onConflict: 'customer_id,channel' })
+      .select();
+
+    if (upsertError) throw upsertError;
+
+    await auditService.record(req, {
+      businessId,
+      entityType: AUDIT_ENTITIES.CUSTOMER,
+      entityId: customerId,
+      action: AUDIT_ACTIONS.UPDATE,
+      changes
+    });
+
+    console.log(`[Consent] ✍️ Cliente ${customerId} (${source}):`, Object.fromEntries(rows.map(r => [r.channel, r.granted])));
+
+    return saved || rows;
+  }
+
+  /**
+   * Retira el consentimiento de todos los canales concedidos
+   */
+  async revokeAll(req, { businessId, customerId, source }) {
+    const current = await this.getConsents(customerId);
+    const consents = Object.fromEntries(current.filter(c => c.granted).map(c => [c.channel, false]));
+
+    return this.record(req, { businessId, customerId, consents, source });
+  }
+
+  /**
+   * ¿Se puede enviar este mensaje? Sólo se comprueba para los comerciales.
+   * @returns {Promise<{ allowed: boolean, reason?: string }>}
+   */
+  async canSend({ customerId, channel, marketing }) {
+    if (!marketing) return { allowed: true };
+
+    if (!customerId) {
+      return { allowed: false, reason: 'Mensaje comercial sin cliente asociado' };
+    }
+
+    const { data } = await supabase
+      .from('customer_consents')
+      .select('granted')
+      .eq('customer_id', customerId)
+      .eq('channel', channel)
+      .single();
+
+    if (!data?.granted) {
+      return { allowed: false, reason: `El cliente no ha dado su consentimiento para recibir promociones por ${channel}` };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Al fusionar clientes, por cada canal vale la decisión más reciente
+   */
+  async mergeInto(survivorId, duplicateIds) {
+    const { data: rows, error } = await supabase
+      .from('customer_consents')
+      .select('id, customer_id, channel, updated_at')
+      .in('customer_id', [survivorId, ...duplicateIds]);
+
+    if (error) throw error;
+
+    for (const channel of Object.values(CONSENT_CHANNELS)) {
+      const latest = (rows || [])
+        .filter(row => row.channel === channel)
+        .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))[0];
+
+      if (!latest || latest.customer_id === survivorId) continue;
+
+      await supabase
+        .from('customer_consents')
+        .delete()
+        .eq('customer_id', survivorId)
+        .eq('channel', channel);
+
+      await supabase
+        .from('customer_consents')
+        .update({ customer_id: survivorId })
+        .eq('id', latest.id);
+    }
+  }
+
+  // ================================================================
+  // ENLACE DE BAJA
+  // ================================================================
+
+  /**
+   * Token firmado sin caducidad: un enlace de baja tiene que funcionar siempre
+   * @param {string} channel canal concreto o 'all'
+   */
+  createUnsubscribeToken({ customerId, businessId, channel = ALL_CHANNELS }) {
+    return jwt.sign(
+      { sub: customerId, bid: businessId, ch: channel, purpose: TOKEN_PURPOSE },
+      manageBookingService.getSecret()
+    );
+  }
+
+  /**
+   * @returns {{ customerId: string, businessId: string, channel: string } | null}
+   */
+  verifyUnsubscribeToken(token) {
+    try {
+      const payload = jwt.verify(token, manageBookingService.getSecret());
+      if (payload.purpose !== TOKEN_PURPOSE) return null;
+      return { customerId: payload.sub, businessId: payload.bid, channel: payload.ch };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * URL de la página pública de baja, para el pie de los mensajes comerciales
+   */
+  getUnsubscribeUrl({ customerId, businessId, slug, channel = ALL_CHANNELS }) {
+    if (!slug || !manageBookingService.getSecret()) return null;
+
+    const baseUrl = process.env.BOOKING_URL || 'https://book.agentpaul.es';
+    const token = this.createUnsubscribeToken({ customerId, businessId, channel });
+
+    return `${baseUrl}/${slug}/unsubscribe?token=${token}`;
+  }
+
+  /**
+   * Da de baja al cliente del canal del enlace (o de todos)
+   */
+  async unsubscribe(req, { customerId, businessId, channel }) {
+    if (channel === ALL_CHANNELS) {
+      return this.revokeAll(req, { businessId, customerId, source: CONSENT_SOURCES.UNSUBSCRIBE_LINK });
+    }
+
+    return this.record(req, {
+      businessId,
+      customerId,
+      consents: { [channel]: false },
+      source: CONSENT_SOURCES.UNSUBSCRIBE_LINK
+    });
+  }
+
+}
+
+export default new ConsentService();
@@ -0,0 +1,354 @@
+import { supabase } from '../config/database.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from './auditService.js';
+import appointmentStatusService from './appointmentStatusService.js';
+import trashService from './trashService.js';
+import consentService from './consentService.js';
+
+// Tablas cuyas filas pasan al cliente que sobrevive a una fusión.
+// Los pagos cuelgan de la cita (payments.appointment_id), así que se mueven con ella.
+const MERGED_TABLES = ['appointments', 'appointment_series', 'waitlist', 'ai_conversations'];
+
+// Peso de cada coincidencia en la puntuación (0-100)
+const SCORE_WEIGHTS = {
+  phone: 50,
+  email: 50,
+  name: 30
+};
+
+export const DEFAULT_MIN_SCORE = 50;
+
+// Por debajo de esta similitud el nombre no suma
+const MIN_NAME_SIMILARITY = 0.6;
+
+// Los móviles españoles tienen 9 cifras: "+34 600 11 22 33", "0034600112233" y "600112233" son el mismo
+const PHONE_KEY_DIGITS = 9;
+
+const bigrams = (value) => {
+  const grams = [];
+  for (let i = 0; i < value.length - 1; i++) grams.push(value.slice(i, i + 2));
+  return grams;
+};
+
+/**
+ * Clientes: búsqueda por teléfono, detección de duplicados y fusión.
+ */
+class CustomerService {
+
+  // ================================================================
+  // NORMALIZACIÓN
+  // ================================================================
+
+  phoneKey(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 6 ? digits.slice(-PHONE_KEY_DIGITS) : null;
+  }
+
+  emailKey(email) {
+    const value = String(email || '').trim().toLowerCase();
+    return value.includes('@') ? value : null;
+  }
+
+  nameKey(name) {
+    return String(name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9ñ ]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .sort()
+      .join(' ');
+  }
+
+  /**
+   * Similitud de nombres (coeficiente de Dice sobre bigramas), de 0 a 1.
+   * Ignora tildes, mayúsculas y el orden de las palabras.
+   */
+  nameSimilarity(a, b) {
+    const x = this.nameKey(a);
+    const y = this.nameKey(b);
+
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+
+    const gramsX = bigrams(x);
+    const gramsY = bigrams(y);
+    const pool = [...gramsY];
+    let matches = 0;
+
+    for (const gram of gramsX) {
+      const index = pool.indexOf(gram);
+      if (index !== -1) {
+        matches++;
+        pool.splice(index, 1);
+      }
+    }
+
+    return (2 * matches) / (gramsX.length + gramsY.length);
+  }
+
+  /**
+   * Puntuación de que dos clientes sean la misma persona
+   * @returns {{ score: number, reasons: string[] }}
+   */
+  score(a, b) {
+    const reasons = [];
+    let score = 0;
+
+    const phoneA = this.phoneKey(a.phone);
+    if (phoneA && phoneA === this.phoneKey(b.phone)) {
+      score += SCORE_WEIGHTS.phone;
+      reasons.push('phone');
+    }
+
+    const emailA = this.emailKey(a.email);
+    if (emailA && emailA === this.emailKey(b.email)) {
+      score += SCORE_WEIGHTS.email;
+      reasons.push('email');
+    }
+
+    const similarity = this.nameSimilarity(a.name, b.name);
+    if (similarity >= MIN_NAME_SIMILARITY) {
+      score += Math.round(SCORE_WEIGHTS.name * similarity);
+      reasons.push('name');
+    }
+
+    return { score: Math.min(score, 100), reasons };
+  }
+
+  // ================================================================
+  // BÚSQUEDA
+  // ================================================================
+
+  /**
+   * Cliente por teléfono, incluidos los de la papelera.
+   * Si se fusionó con otro, devuelve el que sobrevivió.
+   */
+  async findByPhone(businessId, phone) {
+    const { data: customer } = await supabase
+      .from('customers')
+      .select('*')
+      .eq('restaurant_id', businessId)
+      .eq('phone', phone)
+      .single();
+
+    if (!customer?.merged_into) return customer || null;
+
+    const { data: survivor } = await supabase
+      .from('customers')
+      .select('*')
+      .eq('id', customer.merged_into)
+      .eq('restaurant_id', businessId)
+      .single();
+
+    return survivor || customer;
+  }
+
+  // ================================================================
+  // DUPLICADOS
+  // ================================================================
+
+  /**
+   * Posibles duplicados del negocio, de más a menos probable.
+   * Sin customerId sólo se comparan clientes que comparten teléfono, email o nombre normalizado
+   * (compararlos todos contra todos no escala); con customerId se compara ese cliente con todos.
+   * @returns {Promise<object[]>} [{ score, reasons, customers: [a, b] }]
+   */
+  async findDuplicates(businessId, { customerId = null, minScore = DEFAULT_MIN_SCORE } = {}) {
+    const { data, error } = await supabase
+      .from('customers')
+      .select('id, name, phone, email, is_vip, total_visits, no_show_count, last_visit_at, created_at')
+      .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
+      .is('anonymized_at', null);
+
+    if (error) throw error;
+
+    const customers = data || [];
+    let pairs = [];
+
+    if (customerId) {
+      const target = customers.find(c => c.id === customerId);
+      if (!target) return null;
+
+      pairs = customers.filter(c => c.id !== customerId).map(c => [target, c]);
+    } else {
+      const seen = new Set();
+      const buckets = {};
+
+      for (const customer of customers) {
+        const keys = [
+          this.phoneKey(customer.phone) && `phone:${this.phoneKey(customer.phone)}`,
+          this.emailKey(customer.email) && `email:${this.emailKey(customer.email)}`,
+          this.nameKey(customer.name) && `name:${this.nameKey(customer.name)}`
+        ].filter(Boolean);
+
+        for (const key of keys) {
+          if (!buckets[key]) buckets[key] = [];
+          buckets[key].push(customer);
+        }
+      }
+
+      for (const bucket of Object.values(buckets)) {
+        for (let i = 0; i < bucket.length; i++) {
+          for (let j = i + 1; j < bucket.length; j++) {
+            const pairKey = [bucket[i].id, bucket[j].id].sort().join(':');
+            if (seen.has(pairKey)) continue;
+
+            seen.add(pairKey);
+            pairs.push([bucket[i], bucket[j]]);
+          }
+        }
+      }
+    }
+
+    return pairs
+      .map(([a, b]) => ({ ...this.score(a, b), customers: [a, b] }))
+      .filter(candidate => candidate.score >= minScore)
+      .sort((x, y) => y.score - x.score);
+  }
+
+  // ================================================================
+  // FUSIÓN
+  // ================================================================
+
+  /**
+   * Campos del superviviente tras absorber a los duplicados: se conservan sus datos,
+   * se rellenan los vacíos y se juntan notas, VIP y primera visita.
+   */
+  buildMergedFields(survivor, duplicates) {
+    const fields = {};
+
+    for (const key of ['email', 'name', 'birth_date']) {
+      if (!survivor[key]) {
+        const source = duplicates.find(d => d[key]);
+        if (source) fields[key] = source[key];
+      }
+    }
+
+    const notes = [survivor.notes, ...duplicates.map(d => d.notes)].filter(Boolean);
+    const uniqueNotes = [...new Set(notes)];
+    if (uniqueNotes.length > 1) fields.notes = uniqueNotes.join('\n\n');
+
+    if (!survivor.is_vip && duplicates.some(d => d.is_vip)) fields.is_vip = true;
+
+    const tags = [...new Set([survivor, ...duplicates].flatMap(c => c.tags || []))];
+    if (tags.length > (survivor.tags || []).length) fields.tags = tags;
+
+    const firstVisits = [survivor, ...duplicates].map(c => c.first_visit_at).filter(Boolean).sort();
+    if (firstVisits[0] && firstVisits[0] !== survivor.first_visit_at) fields.first_visit_at = firstVisits[0];
+
+    return fields;
+  }
+
+  /**
+   * Fusiona duplicados en un cliente: mueve citas, series, lista de espera, conversaciones
+   * (y con las citas, sus pagos), recalcula estadísticas y manda los duplicados a la papelera
+   * con merged_into apuntando al superviviente.
+   * @returns {Promise<object>} { success: true, customer, moved } o { success: false, status, body }
+   */
+  async merge(req, businessId, survivorId, duplicateIds = []) {
+    const ids = [...new Set(duplicateIds)].filter(id => id !== survivorId);
+
+    if (ids.length === 0) {
+      return { success: false, status: 400, body: { error: 'Indica al menos un cliente distinto para fusionar' } };
+    }
+
+    const { data: rows, error } = await supabase
+      .from('customers')
+      .select('*')
+      .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
+      .in('id', [survivorId, ...ids]);
+
+    if (error) throw error;
+
+    const survivor = (rows || []).find(c => c.id === survivorId);
+    const duplicates = (rows || []).filter(c => ids.includes(c.id));
+
+    if (!survivor || duplicates.length !== ids.length) {
+      return { success: false, status: 404, body: { error: 'Cliente no encontrado' } };
+    }
+
+    const moved = {};
+
+    for (const table of MERGED_TABLES) {
+      const { data, error: moveError } = await supabase
+        .from(table)
+        .update({ customer_id: survivorId })
+        .eq('restaurant_id', businessId)
+        .in('customer_id', ids)
+        .select('id');
+
+      if (moveError) throw moveError;
+      moved[table] = (data || []).length;
+    }
+
+    // Preferencias: sólo si el superviviente no tiene
+    const { data: preferences } = await supabase
+      .from('customer_preferences')
+      .select('customer_id')
+      .eq('customer_id', survivorId);
+
+    if (!preferences?.length) {
+      await supabase
+        .from('customer_preferences')
+        .update({ customer_id: survivorId })
+        .eq('customer_id', duplicates[0].id);
+    }
+
+    await consentService.mergeInto(survivorId, ids);
+
+    const fields = this.buildMergedFields(survivor, duplicates);
+    const now = new Date().toISOString();
+
+    await trashService.softDelete('customers', businessId, ids, req.user?.id);
+
+    await supabase
+      .from('customers')
+      .update({ merged_into: survivorId, updated_at: now })
+      .eq('restaurant_id', businessId)
+      .in('id', ids);
+
+    // Visitas, no-shows y cancelaciones salen de las citas ya movidas
+    await appointmentStatusService.refreshCustomerStats({
+      appointment: { customer_id: survivorId, restaurant_id: businessId }
+    });
+
+    const { data: customer, error: updateError } = await supabase
+      .from('customers')
+      .update({ ...fields, updated_at: now })
+      .eq('id', survivorId)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    console.log(`[Customers] 🔗 ${ids.length} duplicado(s) fusionado(s) en ${survivorId}:`, moved);
+
+    await auditService.recordMany(req, [
+      {
+        businessId,
+        entityType: AUDIT_ENTITIES.CUSTOMER,
+        entityId: survivorId,
+        action: AUDIT_ACTIONS.MERGE,
+        changes: {
+          ...auditService.diff(survivor, customer),
+          merged_from: { from: null, to: ids }
+        }
+      },
+      ...ids.map(id => ({
+        businessId,
+        entityType: AUDIT_ENTITIES.CUSTOMER,
+        entityId: id,
+        action: AUDIT_ACTIONS.MERGE,
+        changes: { merged_into: { from: null, to: survivorId } }
+      }))
+    ]);
+
+    return { success: true, customer, moved };
+  }
+
+}
+
+export default new CustomerService();
@@ -31,16 +31,23 @@ class EmailService {
         total_duration,
         appointment_id,
         is_restaurant = false, // ✅ NUEVO
-        party_size = null      // ✅ NUEVO
+        party_size = null,     // ✅ NUEVO
+        manage_url = null,     // Enlace firmado para cancelar/reprogramar
+        series_dates = null    // Serie recurrente: una sola confirmación con todas las fechas
       } = appointmentData;
 
-      const formattedDate = new Date(appointment_date).toLocaleDateString('es-ES', {
+      const formatDate = (date) => new Date(date).toLocaleDateString('es-ES', {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
         day: 'numeric'
       });
 
+      const isSeries = Array.isArray(series_dates) && series_dates.length > 1;
+      const formattedDate = isSeries
+        ? series_dates.map(date => `• ${formatDate(date)}`).join('\n')
+        : formatDate(appointment_date);
+
       // ✅ SERVICIOS DINÁMICOS
       const servicesList = services.map(s =>
         `• ${s.name}${!is_restaurant ? ` (${s.duration_minutes} min)` : ''}`
@@ -60,11 +67,13 @@ class EmailService {
         text: `
 Hola ${customer_name},
 
-Tu ${bookingWordLower} ha sido confirmada.
+${isSeries
+  ? `Tus ${series_dates.length} ${bookingWordLower}s han sido confirmadas.`
+  : `Tu ${bookingWordLower} ha sido confirmada.`}
 
 📅 DETALLES:
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Fecha: ${formattedDate}
+${isSeries ? `Fechas:\n${formattedDate}` : `Fecha: ${formattedDate}`}
 Hora: ${appointment_time}
 ${is_restaurant ? `Personas: ${party_size}` : `Duración: ${total_duration} minutos`}
 
@@ -80,7 +89,9 @@ ${business_address}
 
 Importante:
 * Te enviaremos un recordatorio 24 horas antes de tu ${bookingWordLower}
-* Si necesitas cancelar o reprogramar, comunícate al ${business_phone}
+* ${manage_url
+  ? `Si necesitas cancelar o reprogramar, hazlo aquí: ${manage_url}`
+  : `Si necesitas cancelar o reprogramar, comunícate al ${business_phone}`}
 
 ¡Te esperamos!
 
@@ -112,8 +123,8 @@ ID de ${bookingWordLower}: ${appointment_id}
         
         <table style="width: 100%; border-collapse: collapse;">
           <tr>
-            <td style="padding: 10px 0; color: #666; width: 120px;"><strong>Fecha:</strong></td>
-            <td style="padding: 10px 0; color: #333;">${formattedDate}</td>
+            <td style="padding: 10px 0; color: #666; width: 120px; vertical-align: top;"><strong>${isSeries ? 'Fechas:' : 'Fecha:'}</strong></td>
+            <td style="padding: 10px 0; color: #333; white-space: pre-line;">${formattedDate}</td>
           </tr>
           <tr>
             <td style="padding: 10px 0; color: #666;"><strong>Hora:</strong></td>
@@ -152,7 +163,9 @@ ID de ${bookingWordLower}: ${appointment_id}
         <h3 style="color: #721c24; margin-top: 0; font-size: 16px;">⚠️ Importante:</h3>
         <ul style="margin: 10px 0; padding-left: 20px; color: #721c24;">
           <li>Te enviaremos un recordatorio 24 horas antes de tu ${bookingWordLower}</li>
-          <li>Si necesitas cancelar o reprogramar, comunícate al ${business_phone}</li>
+          <li>${manage_url
+            ? `Si necesitas cancelar o reprogramar, <a href="${manage_url}" style="color: #721c24;">gestiona tu ${bookingWordLower} aquí</a>`
+            : `Si necesitas cancelar o reprogramar, comunícate al ${business_phone}`}</li>
         </ul>
       </div>
       
@@ -183,7 +196,7 @@ ID de ${bookingWordLower}: ${appointment_id}
   }
 
   /**
-   * Enviar recordatorio de cita (24h antes)
+   * Enviar recordatorio de cita (según la política de recordatorios del negocio)
    */
   async sendAppointmentReminder(appointmentData) {
     try {
@@ -196,7 +209,9 @@ ID de ${bookingWordLower}: ${appointment_id}
         business_name,
         business_phone,
         business_address,
-        appointment_id
+        appointment_id,
+        manage_url = null,
+        when_label = 'mañana' // 'hoy', 'mañana' o 'el viernes 12 de diciembre'
       } = appointmentData;
 
       const formattedDate = new Date(appointment_date).toLocaleDateString('es-ES', {
@@ -214,11 +229,11 @@ ID de ${bookingWordLower}: ${appointment_id}
           email: FROM_EMAIL,
           name: business_name || FROM_NAME
         },
-        subject: `🔔 Recordatorio: Tu cita mañana en ${business_name}`,
+        subject: `🔔 Recordatorio: Tu cita ${when_label} en ${business_name}`,
         text: `
 Hola ${customer_name},
 
-Este es un recordatorio de tu cita programada para mañana.
+Este es un recordatorio de tu cita programada para ${when_label}.
 
 📅 DETALLES:
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -235,7 +250,9 @@ ${business_address}
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-Si necesitas cancelar o reprogramar, comunícate lo antes posible al ${business_phone}
+${manage_url
+  ? `Si necesitas cancelar o reprogramar: ${manage_url}`
+  : `Si necesitas cancelar o reprogramar, comunícate lo antes posible al ${business_phone}`}
 
 ¡Te esperamos!
 
@@ -260,14 +277,14 @@ ${business_name}
   <div class="container">
     <div class="header">
       <h1>🔔 Recordatorio de Cita</h1>
-      <p>Tu cita es mañana</p>
+      <p>Tu cita es ${when_label}</p>
     </div>
     
     <div class="content">
       <p>Hola <strong>${customer_name}</strong>,</p>
       
       <div class="highlight">
-        <h2 style="margin-top: 0; color: #f5576c;">⏰ Tu cita es mañana</h2>
+        <h2 style="margin-top: 0; color: #f5576c;">⏰ Tu cita es ${when_label}</h2>
         <p style="font-size: 18px; margin: 15px 0;">
           <strong>${formattedDate}</strong><br>
           <strong style="font-size: 24px; color: #f5576c;">${appointment_time}</strong>
@@ -289,7 +306,9 @@ ${business_name}
       
       <div style="background: #ffebee; padding: 15px; border-radius: 5px; text-align: center;">
         <p><strong>¿Necesitas cancelar o reprogramar?</strong><br>
-        Comunícate lo antes posible al ${business_phone}</p>
+        ${manage_url
+          ? `<a href="${manage_url}" style="color: #f5576c;">Gestiona tu cita aquí</a>`
+          : `Comunícate lo antes posible al ${business_phone}`}</p>
       </div>
       
       <div style="text-align: center; margin-top: 30px;">
@@ -317,6 +336,334 @@ ${business_name}
       throw error;
     }
   }
+
+  /**
+   * Aviso de cita cancelada (por el cliente desde su enlace o por el negocio)
+   */
+  async sendAppointmentCancellation(appointmentData) {
+    try {
+      const {
+        customer_email,
+        customer_name,
+        appointment_date,
+        appointment_time,
+        service_name,
+        cancelled_by,
+        business_name,
+        business_phone,
+        appointment_id
+      } = appointmentData;
+
+      const formattedDate = new Date(appointment_date).toLocaleDateString('es-ES', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+
+      const reasons = {
+        customer: 'Hemos registrado la cancelación que solicitaste.',
+        system: 'No recibimos el pago del depósito a tiempo, así que la reserva se ha liberado.'
+      };
+      const reason = reasons[cancelled_by] || `${business_name} ha tenido que cancelar tu cita. Disculpa las molestias.`;
+
+      const msg = {
+        to: customer_email,
+        from: {
+          email: FROM_EMAIL,
+          name: business_name || FROM_NAME
+        },
+        subject: `❌ Cita cancelada en ${business_name}`,
+        text: `
+Hola ${customer_name},
+
+${reason}
+
+📅 CITA CANCELADA:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+Fecha: ${formattedDate}
+Hora: ${appointment_time}
+${service_name ? `Servicio: ${service_name}` : ''}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Si quieres reservar de nuevo, contacta con nosotros al ${business_phone}.
+
+${business_name}
+        `,
+        html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #6c757d; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+    .card { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+    .footer { text-align: center; color: #666; font-size: 12px; margin-top: 20px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>❌ Cita cancelada</h1>
+    </div>
+    <div class="content">
+      <p>Hola <strong>${customer_name}</strong>,</p>
+      <p>${reason}</p>
+      <div class="card">
+        <p style="margin: 5px 0;"><strong>${formattedDate}</strong> a las <strong>${appointment_time}</strong></p>
+        ${service_name ? `<p style="margin: 5px 0;">${service_name}</p>` : ''}
+      </div>
+      <p>Si quieres reservar de nuevo, contacta con nosotros al ${business_phone}.</p>
+      <div class="footer">
+        <p>${business_name}</p>
+        <p>ID de cita: ${appointment_id}</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+        `
+      };
+
+      await sgMail.send(msg);
+      console.log(`[Email] Aviso de cancelación enviado a: ${customer_email}`);
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('[Email] Error enviando aviso de cancelación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enviar una promoción. Es comunicación comercial: el outbox sólo la entrega
+   * si el cliente ha dado su consentimiento, y siempre lleva el enlace de baja.
+   */
+  async sendPromotion(promotionData) {
+    try {
+      const {
+        customer_email,
+        customer_name,
+        business_name,
+        subject,
+        message,
+        unsubscribe_url
+      } = promotionData;
+
+      if (!unsubscribe_url) {
+        throw new Error('Una promoción no se puede enviar sin enlace de baja');
+      }
+
+      const msg = {
+        to: customer_email,
+        from: {
+          email: FROM_EMAIL,
+          name: business_name || FROM_NAME
+        },
+        subject,
+        headers: {
+          'List-Unsubscribe': `<${unsubscribe_url}>`
+        },
+        text: `
+Hola ${customer_name},
+
+${message}
+
+${business_name}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+Recibes este email porque aceptaste recibir novedades de ${business_name}.
+Para darte de baja: ${unsubscribe_url}
+        `,
+        html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+    .footer { text-align: center; color: #666; font-size: 12px; margin-top: 20px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${business_name}</h1>
+    </div>
+    <div class="content">
+      <p>Hola <strong>${customer_name}</strong>,</p>
+      <p style="white-space: pre-line;">${message}</p>
+      <div class="footer">
+        <p>Recibes este email porque aceptaste recibir novedades de ${business_name}.</p>
+        <p><a href="${unsubscribe_url}">Darme de baja</a></p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+        `
+      };
+
+      await sgMail.send(msg);
+      console.log(`[Email] Promoción enviada a: ${customer_email}`);
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('[Email] Error enviando promoción:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invitación a un usuario del panel para que elija su contraseña
+   */
+  async sendUserInvitation({ email, name, business_name, token, expires_days = 7 }) {
+    try {
+      const url = `${FRONTEND_URL}/invite?token=${token}`;
+
+      const msg = {
+        to: email,
+        from: {
+          email: FROM_EMAIL,
+          name: FROM_NAME
+        },
+        subject: `Te han invitado al panel de ${business_name}`,
+        text: `
+Hola ${name},
+
+Te han dado acceso al panel de ${business_name}.
+
+Para activar tu cuenta, elige tu contraseña aquí:
+${url}
+
+El enlace caduca en ${expires_days} días y sólo se puede usar una vez.
+
+${FROM_NAME}
+        `,
+        html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+    .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; border-radius: 5px; text-decoration: none; }
+    .footer { text-align: center; color: #666; font-size: 12px; margin-top: 20px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>👋 Bienvenido a ${business_name}</h1>
+    </div>
+    <div class="content">
+      <p>Hola <strong>${name}</strong>,</p>
+      <p>Te han dado acceso al panel de <strong>${business_name}</strong>. Para activar tu cuenta, elige tu contraseña:</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${url}" class="button">Activar mi cuenta</a>
+      </p>
+      <div class="footer">
+        <p>El enlace caduca en ${expires_days} días y sólo se puede usar una vez.</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+        `
+      };
+
+      await sgMail.send(msg);
+      console.log(`[Email] Invitación enviada a: ${email}`);
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('[Email] Error enviando invitación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enlace para restablecer la contraseña
+   */
+  async sendPasswordReset({ email, name, token, expires_minutes = 60 }) {
+    try {
+      const url = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+      const msg = {
+        to: email,
+        from: {
+          email: FROM_EMAIL,
+          name: FROM_NAME
+        },
+        subject: '🔑 Restablece tu contraseña',
+        text: `
+Hola ${name},
+
+Hemos recibido una solicitud para restablecer tu contraseña.
+
+Elige una nueva aquí:
+${url}
+
+El enlace caduca en ${expires_minutes} minutos y sólo se puede usar una vez.
+Si no lo has pedido tú, ignora este email: tu contraseña no cambiará.
+
+${FROM_NAME}
+        `,
+        html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .content { background: #f9f9f9; padding: 30px; border-radius: 10px; }
+    .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; border-radius: 5px; text-decoration: none; }
+    .footer { text-align: center; color: #666; font-size: 12px; margin-top: 20px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="content">
+      <h2>🔑 Restablece tu contraseña</h2>
+      <p>Hola <strong>${name}</strong>,</p>
+      <p>Hemos recibido una solicitud para restablecer tu contraseña.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${url}" class="button">Elegir nueva contraseña</a>
+      </p>
+      <div class="footer">
+        <p>El enlace caduca en ${expires_minutes} minutos y sólo se puede usar una vez.</p>
+        <p>Si no lo has pedido tú, ignora este email: tu contraseña no cambiará.</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+        `
+      };
+
+      await sgMail.send(msg);
+      console.log(`[Email] Recuperación de contraseña enviada a: ${email}`);
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('[Email] Error enviando recuperación de contraseña:', error);
+      throw error;
+    }
+  }
 }
 
 export default new EmailService();
\ No newline at end of file
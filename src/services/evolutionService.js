@@ -283,6 +283,33 @@ async setWebhook(businessSlug, retries = 3) {
     }
   }
 
+  /**
+   * Enviar mensaje de texto desde la instancia del negocio
+   */
+  async sendTextMessage(instanceName, phone, text) {
+    try {
+      const number = String(phone).replace(/[^\d]/g, '');
+
+      await axios.post(
+        `${EVOLUTION_API_URL}/message/sendText/${instanceName}`,
+        { number, text },
+        {
+          headers: {
+            'apikey': EVOLUTION_API_KEY,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log(`[Evolution] Mensaje enviado desde ${instanceName} a ${number}`);
+      return { success: true };
+
+    } catch (error) {
+      console.error('[Evolution] Error enviando mensaje:', error.response?.data || error.message);
+      throw new Error('No se pudo enviar el mensaje de WhatsApp');
+    }
+  }
+
 };
 
 export default new EvolutionService();
\ No newline at end of file
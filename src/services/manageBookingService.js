@@ -0,0 +1,79 @@
+import jwt from 'jsonwebtoken';
+
+const TOKEN_PURPOSE = 'manage_booking';
+const DEFAULT_CUTOFF_HOURS = 24;
+
+/**
+ * Enlaces firmados para que el cliente consulte, cancele o mueva su cita
+ * sin iniciar sesión. El enlace deja de valer a la hora de la cita, comprobada
+ * contra la cita actual al usarlo (no al firmarlo): así sobrevive a un cambio de hora.
+ */
+class ManageBookingService {
+
+  getSecret() {
+    return process.env.MANAGE_LINK_SECRET || process.env.JWT_SECRET;
+  }
+
+  createToken({ appointmentId, businessId }) {
+    return jwt.sign(
+      { sub: appointmentId, bid: businessId, purpose: TOKEN_PURPOSE },
+      this.getSecret()
+    );
+  }
+
+  /**
+   * Sólo comprueba firma y propósito. Los enlaces antiguos llevan exp con la hora
+   * original de la cita; se ignora y manda isExpired() sobre la hora actual.
+   * @returns {{ appointmentId: string, businessId: string } | null}
+   */
+  verifyToken(token) {
+    try {
+      const payload = jwt.verify(token, this.getSecret(), { ignoreExpiration: true });
+      if (payload.purpose !== TOKEN_PURPOSE) return null;
+      return { appointmentId: payload.sub, businessId: payload.bid };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * URL de la página pública de gestión, lista para los emails
+   */
+  getManageUrl({ appointmentId, businessId, slug }) {
+    if (!slug || !this.getSecret()) return null;
+
+    const baseUrl = process.env.BOOKING_URL || 'https://book.agentpaul.es';
+    const token = this.createToken({ appointmentId, businessId });
+
+    return `${baseUrl}/${slug}/manage?token=${token}`;
+  }
+
+  /**
+   * El enlace caduca cuando llega la hora (actual) de la cita
+   */
+  isExpired(appointmentTime) {
+    return new Date(appointmentTime) <= new Date();
+  }
+
+  /**
+   * Horas mínimas de antelación para cancelar o mover (config.cancellation_cutoff_hours)
+   */
+  getCutoffHours(config) {
+    const hours = parseFloat(config?.cancellation_cutoff_hours);
+    return isNaN(hours) || hours < 0 ? DEFAULT_CUTOFF_HOURS : hours;
+  }
+
+  canModify(appointmentTime, config) {
+    const cutoffHours = this.getCutoffHours(config);
+    const deadline = new Date(new Date(appointmentTime).getTime() - cutoffHours * 60 * 60 * 1000);
+
+    return {
+      allowed: new Date() < deadline,
+      cutoffHours,
+      deadline: deadline.toISOString()
+    };
+  }
+
+}
+
+export default new ManageBookingService();
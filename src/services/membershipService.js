@@ -0,0 +1,122 @@
+import { supabase } from '../config/database.js';
+
+/**
+ * Pertenencia de un usuario (identidad) a varios negocios, cada uno con su rol y permisos.
+ * Tras elegir el negocio, el resto del backend sigue leyendo req.user.role,
+ * req.user.permissions, req.user.restaurant_id y req.user.restaurants.
+ */
+class MembershipService {
+
+  /**
+   * Negocios activos del usuario con el negocio embebido
+   */
+  async listForUser(userId) {
+    const { data, error } = await supabase
+      .from('business_memberships')
+      .select('id, restaurant_id, role, permissions, restaurants(*)')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return (data || []).filter(m => m.restaurants?.is_active);
+  }
+
+  /**
+   * Elige el negocio activo: el pedido, si pertenece; si no, el de por defecto o el primero
+   */
+  pickActive(memberships, ...preferredBusinessIds) {
+    for (const businessId of preferredBusinessIds) {
+      const match = businessId && memberships.find(m => m.restaurant_id === businessId);
+      if (match) return match;
+    }
+    return memberships[0] || null;
+  }
+
+  /**
+   * Copia rol, permisos y negocio de la membresía sobre el usuario
+   */
+  applyToUser(user, membership) {
+    if (!membership) return user;
+
+    return {
+      ...user,
+      restaurant_id: membership.restaurant_id,
+      restaurants: membership.restaurants,
+      role: membership.role,
+      permissions: membership.permissions,
+      membership_id: membership.id
+    };
+  }
+
+  /**
+   * Lista corta para el selector de negocio del panel
+   */
+  summarize(memberships) {
+    return memberships.map(m => ({
+      id: m.restaurant_id,
+      name: m.restaurants?.name,
+      slug: m.restaurants?.slug,
+      type: m.restaurants?.business_type,
+      logoUrl: m.restaurants?.logo_url,
+      role: m.role
+    }));
+  }
+
+  normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  /**
+   * Identidad de un email sin distinguir mayúsculas (como el índice único sobre lower(email)).
+   * Las filas fusionadas (merged_into) no son identidades: sólo queda la que las absorbió.
+   * Devuelve la consulta para que quien llama añada filtros o .single()
+   */
+  findIdentityByEmail(email, select) {
+    // ilike sin comodines: se escapan % y _ para comparar el email literal
+    const pattern = this.normalizeEmail(email).replace(/[\\%_]/g, '\\$&');
+
+    return supabase
+      .from('restaurant_users')
+      .select(select)
+      .ilike('email', pattern)
+      .is('merged_into', null);
+  }
+
+  async add({ userId, businessId, role, permissions = {} }) {
+    const { data, error } = await supabase
+      .from('business_memberships')
+      .upsert({
+        user_id: userId,
+        restaurant_id: businessId,
+        role,
+        permissions,
+        is_active: true,
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'user_id,restaurant_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * ¿Pertenece también a otros negocios? (entonces sus datos personales no son de este negocio)
+   */
+  async belongsToOthers(userId, businessId) {
+    const { data } = await supabase
+      .from('business_memberships')
+      .select('restaurant_id')
+      .eq('user_id', userId)
+      .neq('restaurant_id', businessId);
+
+    return (data || []).length > 0;
+  }
+
+}
+
+export default new MembershipService();
@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { supabase } from '../config/database.js';
+
+export const MFA_CHALLENGES = {
+  VERIFY: 'mfa_verify', // Tiene 2FA: falta el código
+  SETUP: 'mfa_setup',   // Es obligatorio y aún no lo ha configurado
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODES_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+/**
+ * Doble factor TOTP (RFC 6238) compatible con Google Authenticator, 1Password, etc.
+ */
+class MfaService {
+
+  // ================================================================
+  // TOTP
+  // ================================================================
+
+  base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) throw new Error('Secreto base32 inválido');
+      bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  getStep(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+  }
+
+  generateCode(secret, step = this.getStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  /**
+   * Acepta el paso actual ±1 (desfase de reloj) y nunca uno ya usado
+   * @returns {number|null} paso que coincide
+   */
+  verifyCode(secret, code, { lastStep = null, time = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const current = this.getStep(time);
+
+    for (const step of [current - 1, current, current + 1]) {
+      if (lastStep !== null && step <= lastStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  getOtpauthUrl(secret, email) {
+    const issuer = process.env.MFA_ISSUER || 'Agent Paul';
+    const label = encodeURIComponent(`${issuer}:${email}`);
+
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  }
+
+  // ================================================================
+  // CIFRADO DEL SECRETO
+  // ================================================================
+
+  getEncryptionKey() {
+    return crypto.createHash('sha256')
+      .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+      .digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // ================================================================
+  // RETO DE LOGIN
+  // ================================================================
+
+  isRequired(user) {
+    return !!user.is_platform_admin;
+  }
+
+  /**
+   * Token corto que sólo sirve para completar el segundo paso del login
+   */
+  createChallenge(user, purpose) {
+    return jwt.sign({ sub: user.id, purpose }, process.env.JWT_SECRET, { expiresIn: '5m' });
+  }
+
+  /**
+   * @returns {string|null} id del usuario
+   */
+  verifyChallenge(token, purpose) {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      return payload.purpose === purpose ? payload.sub : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ================================================================
+  // ALTA, VERIFICACIÓN Y CÓDIGOS DE RECUPERACIÓN
+  // ================================================================
+
+  /**
+   * Genera un secreto pendiente de confirmar (no activa el 2FA todavía)
+   */
+  async startEnrollment(user) {
+    if (user.totp_enabled) {
+      throw new Error('El doble factor ya está activado');
+    }
+
+    const secret = this.generateSecret();
+
+    const { error } = await supabase
+      .from('restaurant_users')
+      .update({ totp_secret: this.encryptSecret(secret), totp_last_step: null })
+      .eq('id', user.id);
+
+    if (error) throw error;
+
+    return { secret, otpauthUrl: this.getOtpauthUrl(secret, user.email) };
+  }
+
+  /**
+   * Confirma el alta con un primer código válido
+   * @returns {Promise<string[]|null>} códigos de recuperación, o null si el código no es válido
+   */
+  async confirmEnrollment(user, code) {
+    if (!user.totp_secret || user.totp_enabled) return null;
+
+    const step = this.verifyCode(this.decryptSecret(user.totp_secret), code);
+    if (step === null) return null;
+
+    const { error } = await supabase
+      .from('restaurant_users')
+      .update({
+        totp_enabled: true,
+        totp_enabled_at: new Date().toISOString(),
+        totp_last_step: step,
+        mfa_failed_attempts: 0,
+        mfa_locked_until: null
+      })
+      .eq('id', user.id);
+
+    if (error) throw error;
+
+    return this.regenerateRecoveryCodes(user.id);
+  }
+
+  async disable(userId) {
+    await supabase.from('user_recovery_codes').delete().eq('user_id', userId);
+
+    const { error } = await supabase
+      .from('restaurant_users')
+      .update({ totp_secret: null, totp_enabled: false, totp_enabled_at: null, totp_last_step: null })
+      .eq('id', userId);
+
+    if (error) throw error;
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256')
+      .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+      .digest('hex');
+  }
+
+  /**
+   * Sustituye todos los códigos de recuperación
+   * @returns {Promise<string[]>} códigos en claro (se muestran una sola vez)
+   */
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await supabase.from('user_recovery_codes').delete().eq('user_id', userId);
+
+    const { error } = await supabase
+      .from('user_recovery_codes')
+      .insert(codes.map(code => ({ user_id: userId, code_hash: this.hashRecoveryCode(code) })));
+
+    if (error) throw error;
+    return codes;
+  }
+
+  /**
+   * Segundo paso del login: código TOTP o código de recuperación.
+   * Tras MAX_FAILED_ATTEMPTS fallos bloquea el 2FA del usuario LOCK_MINUTES minutos.
+   * @returns {Promise<{ ok: boolean, locked?: boolean }>}
+   */
+  async verifyLogin(user, { code, recoveryCode }) {
+    if (user.mfa_locked_until && new Date(user.mfa_locked_until) > new Date()) {
+      return { ok: false, locked: true };
+    }
+
+    let ok = false;
+    let lastStep = user.totp_last_step;
+
+    if (recoveryCode) {
+      const { data: used } = await supabase
+        .from('user_recovery_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', user.id)
+        .eq('code_hash', this.hashRecoveryCode(recoveryCode))
+        .is('used_at', null)
+        .select('id')
+        .single();
+
+      ok = !!used;
+    } else if (user.totp_secret) {
+      const step = this.verifyCode(this.decryptSecret(user.totp_secret), code, {
+        lastStep: user.totp_last_step ?? null
+      });
+      ok = step !== null;
+      if (ok) lastStep = step;
+    }
+
+    const failedAttempts = ok ? 0 : (user.mfa_failed_attempts || 0) + 1;
+    const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+
+    await supabase
+      .from('restaurant_users')
+      .update({
+        totp_last_step: lastStep,
+        mfa_failed_attempts: locked ? 0 : failedAttempts,
+        mfa_locked_until: locked ? new Date(Date.now() + LOCK_MINUTES * 60000).toISOString() : null
+      })
+      .eq('id', user.id);
+
+    if (locked) {
+      console.warn(`[MFA] ⚠️ Usuario ${user.id} bloqueado ${LOCK_MINUTES} min por códigos fallidos`);
+    }
+
+    return { ok, locked };
+  }
+
+}
+
+export default new MfaService();
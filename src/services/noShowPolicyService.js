@@ -0,0 +1,113 @@
+import manageBookingService from './manageBookingService.js';
+
+// Política por defecto: se marca no_show 30 min después del fin sin check-in y sólo se avisa al personal
+const DEFAULT_POLICY = {
+  grace_minutes: 30,
+  late_cancel_hours: null,
+  require_confirmation_after: null,
+  block_online_after: null,
+  flag_after: 1
+};
+
+const THRESHOLDS = ['require_confirmation_after', 'block_online_after', 'flag_after'];
+
+const toPositive = (value) => {
+  const n = parseFloat(value);
+  return isNaN(n) || n < 0 ? null : n;
+};
+
+/**
+ * No-shows y cancelaciones tardías por cliente, según config.no_show_policy de cada negocio:
+ * {
+ *   grace_minutes: 30,               // tras el fin de una cita confirmada sin check-in → no_show
+ *   late_cancel_hours: 24,           // cancelar con menos antelación cuenta como tardía (por defecto, cancellation_cutoff_hours)
+ *   require_confirmation_after: 2,   // N no-shows: las reservas online quedan pendientes de confirmar
+ *   block_online_after: 3,           // N no-shows: no puede reservar por la página pública
+ *   flag_after: 1                    // N no-shows: aviso al personal
+ * }
+ * Los umbrales a null desactivan la acción.
+ */
+class NoShowPolicyService {
+
+  getPolicy(config) {
+    const policy = config?.no_show_policy || {};
+
+    const normalized = {
+      grace_minutes: toPositive(policy.grace_minutes) ?? DEFAULT_POLICY.grace_minutes,
+      late_cancel_hours: toPositive(policy.late_cancel_hours) ?? manageBookingService.getCutoffHours(config)
+    };
+
+    for (const key of THRESHOLDS) {
+      normalized[key] = key in policy ? toPositive(policy[key]) : DEFAULT_POLICY[key];
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Valida la política antes de guardarla en config
+   * @returns {string|null} mensaje de error
+   */
+  validatePolicy(policy) {
+    if (!policy) return null;
+
+    for (const key of ['grace_minutes', 'late_cancel_hours']) {
+      if (policy[key] !== undefined && policy[key] !== null && !(parseFloat(policy[key]) >= 0)) {
+        return `no_show_policy.${key} debe ser un número mayor o igual que 0`;
+      }
+    }
+
+    for (const key of THRESHOLDS) {
+      const value = policy[key];
+      if (value !== undefined && value !== null && !(Number.isInteger(Number(value)) && Number(value) >= 1)) {
+        return `no_show_policy.${key} debe ser un número entero de no-shows (mínimo 1) o null`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * ¿Canceló el cliente con menos antelación de la permitida?
+   */
+  isLateCancellation(appointment, config) {
+    if (appointment.status !== 'cancelada' || appointment.cancelled_by !== 'customer' || !appointment.cancelled_at) {
+      return false;
+    }
+
+    const { late_cancel_hours } = this.getPolicy(config);
+    const deadline = new Date(appointment.appointment_time).getTime() - late_cancel_hours * 3600000;
+
+    return new Date(appointment.cancelled_at).getTime() > deadline;
+  }
+
+  /**
+   * ¿Se pasó ya el margen tras el fin de la cita?
+   */
+  isOverdue(appointment, config, now = new Date()) {
+    const { grace_minutes } = this.getPolicy(config);
+    const end = new Date(appointment.appointment_time).getTime() + (appointment.duration_minutes || 60) * 60000;
+
+    return now.getTime() > end + grace_minutes * 60000;
+  }
+
+  /**
+   * Qué acciones aplica el negocio a este cliente
+   */
+  evaluate(customer, config) {
+    const policy = this.getPolicy(config);
+    const noShows = customer?.no_show_count || 0;
+    const reached = (threshold) => threshold !== null && noShows >= threshold;
+
+    return {
+      noShows,
+      lateCancellations: customer?.late_cancel_count || 0,
+      flagged: reached(policy.flag_after),
+      requireConfirmation: reached(policy.require_confirmation_after),
+      blockOnline: reached(policy.block_online_after)
+    };
+  }
+
+}
+
+export default new NoShowPolicyService();
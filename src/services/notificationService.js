@@ -0,0 +1,253 @@
+import { supabase } from '../config/database.js';
+import emailService from './emailService.js';
+import evolutionService from './evolutionService.js';
+import consentService from './consentService.js';
+
+export const NOTIFICATION_TYPES = {
+  APPOINTMENT_CONFIRMATION: 'appointment_confirmation',
+  APPOINTMENT_REMINDER: 'appointment_reminder',
+  APPOINTMENT_CANCELLATION: 'appointment_cancellation',
+  PROMOTION: 'promotion',
+};
+
+// Comunicaciones comerciales: sólo se entregan con el consentimiento del cliente en ese canal
+export const MARKETING_TYPES = [NOTIFICATION_TYPES.PROMOTION];
+
+const BASE_BACKOFF_MINUTES = 1;
+const MAX_BACKOFF_MINUTES = 6 * 60;
+const BATCH_SIZE = 50;
+const STALE_PROCESSING_MINUTES = 10;
+
+/**
+ * Outbox de notificaciones.
+ * Los envíos se encolan en la tabla notifications y el worker los entrega,
+ * reintentando con backoff exponencial. Ningún fallo de SendGrid/Evolution se pierde.
+ */
+class NotificationService {
+
+  /**
+   * Encola un mensaje. payload es lo que necesita el canal para enviarlo.
+   * Los comerciales necesitan customerId para comprobar el consentimiento.
+   */
+  async enqueue({ businessId, appointmentId = null, customerId = null, campaignId = null, type, channel, recipient, payload }) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .insert({
+        restaurant_id: businessId,
+        appointment_id: appointmentId,
+        customer_id: customerId,
+        campaign_id: campaignId,
+        type,
+        channel,
+        recipient,
+        payload,
+        status: 'pending',
+        next_attempt_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`[Outbox] 📥 ${type}/${channel} encolada para ${recipient}`);
+    return data;
+  }
+
+  /**
+   * Encola y lanza el primer intento sin esperar (el worker se encarga de los reintentos)
+   */
+  async enqueueAndSend(params) {
+    const notification = await this.enqueue(params);
+
+    this.process(notification).catch(err => {
+      console.error(`[Outbox] Error procesando ${notification.id}:`, err.message);
+    });
+
+    return notification;
+  }
+
+  /**
+   * Minutos de espera tras N intentos fallidos: 1, 2, 4, 8... hasta 6h
+   */
+  getBackoffMinutes(attempts) {
+    return Math.min(BASE_BACKOFF_MINUTES * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MINUTES);
+  }
+
+  /**
+   * Worker: entrega las notificaciones pendientes cuyo próximo intento ya venció
+   */
+  async processPending({ limit = BATCH_SIZE } = {}) {
+    // Filas que quedaron en 'processing' por un proceso caído vuelven a la cola
+    await supabase
+      .from('notifications')
+      .update({ status: 'pending' })
+      .eq('status', 'processing')
+      .lt('updated_at', new Date(Date.now() - STALE_PROCESSING_MINUTES * 60000).toISOString());
+
+    const { data: pending, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const stats = { processed: 0, sent: 0, retrying: 0, failed: 0, blocked: 0 };
+
+    for (const notification of pending || []) {
+      const result = await this.process(notification);
+      if (!result) continue;
+
+      stats.processed++;
+      stats[result.status === 'pending' ? 'retrying' : result.status]++;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Reclama la fila (pending → processing) y la entrega.
+   * Devuelve la fila actualizada o null si otro proceso ya la había reclamado.
+   */
+  async process(notification) {
+    const { data: claimed } = await supabase
+      .from('notifications')
+      .update({ status: 'processing', updated_at: new Date().toISOString() })
+      .eq('id', notification.id)
+      .eq('status', 'pending')
+      .select()
+      .single();
+
+    if (!claimed) return null;
+
+    // El consentimiento se comprueba al entregar: puede haberse retirado tras encolar
+    const consent = await consentService.canSend({
+      customerId: claimed.customer_id,
+      channel: claimed.channel,
+      marketing: MARKETING_TYPES.includes(claimed.type)
+    });
+
+    if (!consent.allowed) {
+      console.log(`[Outbox] 🚫 ${claimed.type}/${claimed.channel} bloqueada (${claimed.id}): ${consent.reason}`);
+      return this.finish(claimed, { status: 'blocked', last_error: consent.reason });
+    }
+
+    const attempts = claimed.attempts + 1;
+    let update;
+
+    try {
+      await this.deliver(claimed);
+
+      update = {
+        status: 'sent',
+        attempts,
+        last_error: null,
+        sent_at: new Date().toISOString()
+      };
+
+      console.log(`[Outbox] ✅ ${claimed.type}/${claimed.channel} enviada a ${claimed.recipient}`);
+
+    } catch (error) {
+      const message = error.response?.body?.errors?.[0]?.message || error.message;
+      const exhausted = attempts >= claimed.max_attempts;
+
+      update = {
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        last_error: message,
+        next_attempt_at: new Date(Date.now() + this.getBackoffMinutes(attempts) * 60000).toISOString()
+      };
+
+      console.error(`[Outbox] ⚠️ Intento ${attempts}/${claimed.max_attempts} fallido (${claimed.id}): ${message}`);
+    }
+
+    return this.finish(claimed, update);
+  }
+
+  async finish(claimed, update) {
+    const { data } = await supabase
+      .from('notifications')
+      .update({ ...update, updated_at: new Date().toISOString() })
+      .eq('id', claimed.id)
+      .select()
+      .single();
+
+    return data || { ...claimed, ...update };
+  }
+
+  async deliver(notification) {
+    const { type, channel, recipient, payload } = notification;
+
+    if (channel === 'whatsapp') {
+      const text = MARKETING_TYPES.includes(type) && payload.unsubscribe_url
+        ? `${payload.text}\n\nPara no recibir más promociones: ${payload.unsubscribe_url}`
+        : payload.text;
+
+      return evolutionService.sendTextMessage(payload.instance_name, recipient, text);
+    }
+
+    switch (type) {
+      case NOTIFICATION_TYPES.APPOINTMENT_CONFIRMATION:
+        return emailService.sendAppointmentConfirmation(payload);
+      case NOTIFICATION_TYPES.APPOINTMENT_REMINDER:
+        return emailService.sendAppointmentReminder(payload);
+      case NOTIFICATION_TYPES.APPOINTMENT_CANCELLATION:
+        return emailService.sendAppointmentCancellation(payload);
+      case NOTIFICATION_TYPES.PROMOTION:
+        return emailService.sendPromotion(payload);
+      default:
+        throw new Error(`Tipo de notificación desconocido: ${type}`);
+    }
+  }
+
+  /**
+   * Vuelve a poner en cola una notificación fallida y la envía
+   */
+  async resend(notification) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', notification.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this.process(data);
+  }
+
+  /**
+   * Arranca el worker en el proceso del servidor
+   */
+  startWorker(intervalMs = 60000) {
+    console.log(`[Outbox] Worker activo (cada ${Math.round(intervalMs / 1000)}s)`);
+
+    let running = false;
+
+    return setInterval(async () => {
+      if (running) return;
+      running = true;
+
+      try {
+        const stats = await this.processPending();
+        if (stats.processed > 0) {
+          console.log(`[Outbox] Procesadas ${stats.processed}: ${stats.sent} enviadas, ${stats.retrying} en reintento, ${stats.failed} fallidas, ${stats.blocked} bloqueadas`);
+        }
+      } catch (error) {
+        console.error('[Outbox] Error en el worker:', error.message);
+      } finally {
+        running = false;
+      }
+    }, intervalMs);
+  }
+
+}
+
+export default new NotificationService();
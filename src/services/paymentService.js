@@ -0,0 +1,581 @@
+import { supabase } from '../config/database.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from './auditService.js';
+import appointmentStatusService, { APPOINTMENT_STATUSES, CANCELLED_BY } from './appointmentStatusService.js';
+import bookingService from './bookingService.js';
+import fakePaymentProvider from './payments/fakePaymentProvider.js';
+
+export const PAYMENT_TYPES = {
+  DEPOSIT: 'deposit',
+  PAYMENT: 'payment',
+  REFUND: 'refund',
+};
+
+export const PAYMENT_METHODS = {
+  CASH: 'cash',
+  CARD: 'card',
+  TRANSFER: 'transfer',
+  ONLINE: 'online',
+};
+
+export const PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+// Resumen guardado en appointments.payment_status
+export const APPOINTMENT_PAYMENT_STATUSES = {
+  UNPAID: 'unpaid',
+  DEPOSIT_PAID: 'deposit_paid',
+  PARTIALLY_PAID: 'partially_paid',
+  PAID: 'paid',
+  REFUNDED: 'refunded',
+};
+
+// Métodos que el personal registra a mano; los online sólo entran por checkout + webhook
+const MANUAL_METHODS = [PAYMENT_METHODS.CASH, PAYMENT_METHODS.CARD, PAYMENT_METHODS.TRANSFER];
+
+const DEFAULT_DEPOSIT_POLICY = {
+  per_person_amount: null,
+  min_party_size: 1,
+  hold_minutes: 15,
+  currency: 'EUR'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sum = (rows) => round(rows.reduce((total, row) => total + (parseFloat(row.amount) || 0), 0));
+
+/**
+ * Libro de pagos por cita (tabla payments): depósitos, cobros y devoluciones.
+ * El saldo se calcula siempre desde el libro; appointments.payment_status y amount_paid
+ * son sólo un resumen para listados.
+ *
+ * Depósito exigido = suma de services.deposit_amount + config.deposit_policy:
+ * {
+ *   per_person_amount: 10,   // € por comensal (null = sin depósito por persona)
+ *   min_party_size: 6,       // a partir de cuántas personas se cobra por persona
+ *   hold_minutes: 15,        // cuánto se retiene una reserva online sin pagar
+ *   currency: 'EUR'
+ * }
+ *
+ * Los cobros online pasan por un proveedor registrado con registerProvider(name, provider):
+ *   createCheckout({ amount, currency, metadata }) → { providerRef, checkoutUrl }
+ *   refund({ providerRef, amount })                → { providerRef, status }
+ *   parseWebhook(req)                              → { providerRef, status: 'succeeded'|'failed' }
+ *   isAvailable()                                  → boolean (opcional; por defecto true)
+ */
+class PaymentService {
+
+  constructor() {
+    this.providers = {};
+    this.registerProvider('fake', fakePaymentProvider);
+  }
+
+  registerProvider(name, provider) {
+    this.providers[name] = provider;
+  }
+
+  /**
+   * Proveedor activo (PAYMENT_PROVIDER, por defecto el de pruebas)
+   */
+  getProvider(name = process.env.PAYMENT_PROVIDER || 'fake') {
+    return this.providers[name] ? { name, provider: this.providers[name] } : null;
+  }
+
+  /**
+   * ¿Se pueden abrir cobros online ahora? Se comprueba antes de retener una reserva
+   */
+  isCheckoutAvailable() {
+    const active = this.getProvider();
+    if (!active) return false;
+
+    return active.provider.isAvailable ? active.provider.isAvailable() : true;
+  }
+
+  // ================================================================
+  // DEPÓSITOS
+  // ================================================================
+
+  getDepositPolicy(config) {
+    const policy = config?.deposit_policy || {};
+    const perPerson = parseFloat(policy.per_person_amount);
+    const minParty = parseInt(policy.min_party_size);
+    const holdMinutes = parseInt(policy.hold_minutes);
+
+    return {
+      per_person_amount: perPerson > 0 ? perPerson : DEFAULT_DEPOSIT_POLICY.per_person_amount,
+      min_party_size: minParty >= 1 ? minParty : DEFAULT_DEPOSIT_POLICY.min_party_size,
+      hold_minutes: holdMinutes >= 1 ? holdMinutes : DEFAULT_DEPOSIT_POLICY.hold_minutes,
+      currency: policy.currency || DEFAULT_DEPOSIT_POLICY.currency
+    };
+  }
+
+  /**
+   * Valida la política antes de guardarla en config
+   * @returns {string|null} mensaje de error
+   */
+  validateDepositPolicy(policy) {
+    if (!policy) return null;
+
+    if (policy.per_person_amount !== undefined && policy.per_person_amount !== null && !(parseFloat(policy.per_person_amount) >= 0)) {
+      return 'deposit_policy.per_person_amount debe ser un importe mayor o igual que 0 o null';
+    }
+
+    for (const key of ['min_party_size', 'hold_minutes']) {
+      const value = policy[key];
+      if (value !== undefined && value !== null && !(Number.isInteger(Number(value)) && Number(value) >= 1)) {
+        return `deposit_policy.${key} debe ser un número entero mayor que 0`;
+      }
+    }
+
+    if (policy.currency !== undefined && !/^[A-Z]{3}$/.test(policy.currency)) {
+      return 'deposit_policy.currency debe ser un código ISO de 3 letras (EUR)';
+    }
+
+    return null;
+  }
+
+  /**
+   * Depósito exigido para una reserva
+   * @param {object[]} services filas de services con deposit_amount
+   */
+  calculateDeposit({ services = [], partySize = null, config }) {
+    const policy = this.getDepositPolicy(config);
+    let deposit = services.reduce((total, s) => total + (parseFloat(s.deposit_amount) || 0), 0);
+
+    if (policy.per_person_amount && partySize >= policy.min_party_size) {
+      deposit += policy.per_person_amount * partySize;
+    }
+
+    return round(deposit);
+  }
+
+  /**
+   * Igual que calculateDeposit, cargando el depósito de los servicios del negocio
+   */
+  async getRequiredDeposit(business, { serviceIds = [], partySize = null }) {
+    const ids = serviceIds.filter(Boolean);
+    let services = [];
+
+    if (ids.length > 0) {
+      const { data, error } = await supabase
+        .from('services')
+        .select('id, deposit_amount')
+        .eq('restaurant_id', business.id)
+        .in('id', ids);
+
+      if (error) throw error;
+      // Un servicio repetido en la reserva cuenta una vez por línea
+      services = ids.map(id => (data || []).find(s => s.id === id)).filter(Boolean);
+    }
+
+    return this.calculateDeposit({ services, partySize, config: business.config });
+  }
+
+  // ================================================================
+  // SALDO
+  // ================================================================
+
+  /**
+   * Saldo a partir del libro. Sólo cuentan los movimientos confirmados.
+   */
+  computeBalance({ total = 0, depositRequired = 0, payments = [] }) {
+    const settled = payments.filter(p => p.status === PAYMENT_STATUSES.SUCCEEDED);
+    const paid = sum(settled.filter(p => p.type !== PAYMENT_TYPES.REFUND));
+    const refunded = sum(settled.filter(p => p.type === PAYMENT_TYPES.REFUND));
+    const net = round(paid - refunded);
+    const deposit = parseFloat(depositRequired) || 0;
+
+    let paymentStatus = APPOINTMENT_PAYMENT_STATUSES.PARTIALLY_PAID;
+
+    if (net <= 0) {
+      paymentStatus = refunded > 0 ? APPOINTMENT_PAYMENT_STATUSES.REFUNDED : APPOINTMENT_PAYMENT_STATUSES.UNPAID;
+    } else if (net >= total) {
+      paymentStatus = APPOINTMENT_PAYMENT_STATUSES.PAID;
+    } else if (deposit > 0 && net >= deposit) {
+      paymentStatus = APPOINTMENT_PAYMENT_STATUSES.DEPOSIT_PAID;
+    }
+
+    return {
+      total: round(total),
+      depositRequired: deposit,
+      depositPaid: deposit > 0 && net >= deposit,
+      paid,
+      refunded,
+      net,
+      balanceDue: round(Math.max(0, total - net)),
+      paymentStatus
+    };
+  }
+
+  async list(appointmentId) {
+    const { data, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('appointment_id', appointmentId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Libro + saldo de una cita (el total es la suma de precios de appointment_services)
+   */
+  async getSummary(appointment) {
+    const [{ data: lines, error }, payments] = await Promise.all([
+      supabase
+        .from('appointment_services')
+        .select('price')
+        .eq('appointment_id', appointment.id),
+      this.list(appointment.id)
+    ]);
+
+    if (error) throw error;
+
+    const total = (lines || []).reduce((acc, line) => acc + (parseFloat(line.price) || 0), 0);
+
+    return {
+      ...this.computeBalance({ total, depositRequired: appointment.deposit_required, payments }),
+      payments
+    };
+  }
+
+  /**
+   * Recalcula el resumen de la cita tras un movimiento
+   */
+  async sync(req, appointment) {
+    const summary = await this.getSummary(appointment);
+    const update = { payment_status: summary.paymentStatus, amount_paid: summary.net };
+
+    const { error } = await supabase
+      .from('appointments')
+      .update({ ...update, updated_at: new Date().toISOString() })
+      .eq('id', appointment.id);
+
+    if (error) throw error;
+
+    await auditService.record(req, {
+      businessId: appointment.restaurant_id,
+      entityType: AUDIT_ENTITIES.APPOINTMENT,
+      entityId: appointment.id,
+      action: AUDIT_ACTIONS.UPDATE,
+      changes: auditService.diff(appointment, update, Object.keys(update))
+    });
+
+    return summary;
+  }
+
+  // ================================================================
+  // MOVIMIENTOS
+  // ================================================================
+
+  /**
+   * Cobro o depósito registrado por el personal (efectivo, tarjeta o transferencia)
+   * @returns {Promise<object>} { success: true, payment, summary } o { success: false, status, body }
+   */
+  async recordPayment(req, appointment, { type = PAYMENT_TYPES.PAYMENT, method, amount, notes = null }) {
+    const value = round(parseFloat(amount));
+
+    if (![PAYMENT_TYPES.DEPOSIT, PAYMENT_TYPES.PAYMENT].includes(type)) {
+      return { success: false, status: 400, body: { error: 'type debe ser deposit o payment' } };
+    }
+
+    if (!MANUAL_METHODS.includes(method)) {
+      return {
+        success: false,
+        status: 400,
+        body: { error: `method debe ser uno de: ${MANUAL_METHODS.join(', ')}. Los cobros online se generan con el checkout.` }
+      };
+    }
+
+    if (!(value > 0)) {
+      return { success: false, status: 400, body: { error: 'amount debe ser un importe mayor que 0' } };
+    }
+
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .insert({
+        restaurant_id: appointment.restaurant_id,
+        appointment_id: appointment.id,
+        type,
+        method,
+        amount: value,
+        status: PAYMENT_STATUSES.SUCCEEDED,
+        notes,
+        created_by: req?.user?.id || null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`[Payments] 💶 ${type} de ${value} (${method}) en cita ${appointment.id}`);
+
+    const summary = await this.sync(req, appointment);
+    await this.confirmIfHeld(req, appointment, summary);
+
+    return { success: true, payment, summary };
+  }
+
+  /**
+   * Devolución total o parcial de un cobro. Los cobros online se devuelven a través del proveedor.
+   */
+  async refund(req, appointment, paymentId, { amount = null, notes = null } = {}) {
+    const { data: original } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('id', paymentId)
+      .eq('appointment_id', appointment.id)
+      .single();
+
+    if (!original) {
+      return { success: false, status: 404, body: { error: 'Pago no encontrado' } };
+    }
+
+    if (original.type === PAYMENT_TYPES.REFUND || original.status !== PAYMENT_STATUSES.SUCCEEDED) {
+      return { success: false, status: 400, body: { error: 'Sólo se pueden devolver cobros completados' } };
+    }
+
+    const { data: previous } = await supabase
+      .from('payments')
+      .select('amount')
+      .eq('refund_of', original.id)
+      .eq('status', PAYMENT_STATUSES.SUCCEEDED);
+
+    const refundable = round(parseFloat(original.amount) - sum(previous || []));
+    const value = amount === null || amount === undefined ? refundable : round(parseFloat(amount));
+
+    if (!(value > 0) || value > refundable) {
+      return {
+        success: false,
+        status: 400,
+        body: { error: `El importe a devolver debe estar entre 0 y ${refundable}`, refundable }
+      };
+    }
+
+    let providerRef = null;
+
+    if (original.method === PAYMENT_METHODS.ONLINE) {
+      const active = this.getProvider(original.provider);
+
+      if (!active) {
+        return { success: false, status: 400, body: { error: `Proveedor de pagos desconocido: ${original.provider}` } };
+      }
+
+      try {
+        const result = await active.provider.refund({ providerRef: original.provider_ref, amount: value });
+        providerRef = result.providerRef;
+      } catch (providerError) {
+        console.error(`[Payments] ❌ El proveedor rechazó la devolución de ${original.id}:`, providerError.message);
+        return { success: false, status: 502, body: { error: 'El proveedor de pagos no pudo hacer la devolución' } };
+      }
+    }
+
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .insert({
+        restaurant_id: appointment.restaurant_id,
+        appointment_id: appointment.id,
+        type: PAYMENT_TYPES.REFUND,
+        method: original.method,
+        amount: value,
+        currency: original.currency,
+        status: PAYMENT_STATUSES.SUCCEEDED,
+        provider: original.provider,
+        provider_ref: providerRef,
+        refund_of: original.id,
+        notes,
+        created_by: req?.user?.id || null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`[Payments] ↩️ Devolución de ${value} sobre ${original.id} (cita ${appointment.id})`);
+
+    const summary = await this.sync(req, appointment);
+
+    return { success: true, payment, summary };
+  }
+
+  /**
+   * Abre un cobro online pendiente con el proveedor activo
+   * @returns {Promise<object>} { payment, checkoutUrl }
+   */
+  async startCheckout(req, business, appointment, { amount, type = PAYMENT_TYPES.DEPOSIT }) {
+    const active = this.getProvider();
+
+    if (!active) {
+      throw new Error(`Proveedor de pagos no configurado: ${process.env.PAYMENT_PROVIDER}`);
+    }
+
+    const { currency } = this.getDepositPolicy(business.config);
+
+    const { providerRef, checkoutUrl } = await active.provider.createCheckout({
+      amount,
+      currency,
+      metadata: { appointmentId: appointment.id, businessId: business.id }
+    });
+
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .insert({
+        restaurant_id: business.id,
+        appointment_id: appointment.id,
+        type,
+        method: PAYMENT_METHODS.ONLINE,
+        amount,
+        currency,
+        status: PAYMENT_STATUSES.PENDING,
+        provider: active.name,
+        provider_ref: providerRef,
+        created_by: req?.user?.id || null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { payment, checkoutUrl };
+  }
+
+  /**
+   * Confirmación del proveedor. Idempotente: un aviso repetido no cambia nada.
+   * Si el depósito queda cubierto, la reserva retenida pasa a confirmada.
+   */
+  async handleWebhook(providerName, req) {
+    const active = this.getProvider(providerName);
+
+    if (!active) {
+      return { success: false, status: 404, body: { error: 'Proveedor de pagos desconocido' } };
+    }
+
+    const { providerRef, status } = active.provider.parseWebhook(req);
+
+    const { data: payment } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('provider', active.name)
+      .eq('provider_ref', providerRef)
+      .single();
+
+    if (!payment) {
+      return { success: false, status: 404, body: { error: 'Pago no encontrado' } };
+    }
+
+    if (payment.status !== PAYMENT_STATUSES.PENDING) {
+      return { success: true, payment, duplicate: true };
+    }
+
+    const { data: updated, error } = await supabase
+      .from('payments')
+      .update({ status, updated_at: new Date().toISOString() })
+      .eq('id', payment.id)
+      .eq('status', PAYMENT_STATUSES.PENDING)
+      .select()
+      .single();
+
+    if (error || !updated) {
+      return { success: true, payment, duplicate: true };
+    }
+
+    console.log(`[Payments] 🔔 ${active.name} ${providerRef}: ${status}`);
+
+    if (status !== PAYMENT_STATUSES.SUCCEEDED) {
+      return { success: true, payment: updated };
+    }
+
+    const { data: appointment } = await supabase
+      .from('appointments')
+      .select('*')
+      .eq('id', payment.appointment_id)
+      .single();
+
+    if (!appointment) {
+      return { success: true, payment: updated };
+    }
+
+    // Pago tardío de una retención ya liberada: se devuelve entero
+    if (appointment.status === APPOINTMENT_STATUSES.CANCELLED) {
+      console.warn(`[Payments] ⚠️ Pago recibido para la cita cancelada ${appointment.id}; se devuelve`);
+      await this.refund(null, appointment, updated.id, { notes: 'Devolución automática: la reserva ya estaba cancelada' });
+      return { success: true, payment: updated, refunded: true };
+    }
+
+    const summary = await this.sync(null, appointment);
+    await this.confirmIfHeld(null, appointment, summary);
+
+    return { success: true, payment: updated, summary };
+  }
+
+  /**
+   * pendiente_pago → confirmado cuando el depósito está cubierto, con su email de confirmación
+   */
+  async confirmIfHeld(req, appointment, summary) {
+    if (appointment.status !== APPOINTMENT_STATUSES.PENDING_PAYMENT || !summary.depositPaid) return;
+
+    const result = await appointmentStatusService.transition(req, appointment, APPOINTMENT_STATUSES.CONFIRMED, {
+      extra: { hold_expires_at: null }
+    });
+
+    if (!result.success || !result.appointment.client_email) return;
+
+    const business = await bookingService.getBusiness(appointment.restaurant_id);
+    const { data: lines } = await supabase
+      .from('appointment_services')
+      .select('service_name, duration_minutes')
+      .eq('appointment_id', appointment.id)
+      .order('display_order');
+
+    const servicesList = (lines || []).map(s => ({ serviceName: s.service_name, durationMinutes: s.duration_minutes }));
+
+    await bookingService.sendConfirmation(business, result.appointment, {
+      appointmentTime: new Date(appointment.appointment_time).toLocaleTimeString('es-ES', {
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: business.timezone || 'Europe/Madrid'
+      }),
+      servicesList,
+      totalDuration: appointment.duration_minutes
+    });
+  }
+
+  // ================================================================
+  // RETENCIONES CADUCADAS (cron)
+  // ================================================================
+
+  /**
+   * Cancela (por el sistema) las reservas online cuyo depósito no llegó a tiempo
+   */
+  async releaseExpiredHolds(now = new Date()) {
+    const { data: appointments, error } = await supabase
+      .from('appointments')
+      .select('*')
+      .eq('status', APPOINTMENT_STATUSES.PENDING_PAYMENT)
+      .is('deleted_at', null)
+      .lt('hold_expires_at', now.toISOString());
+
+    if (error) throw error;
+
+    const stats = { released: 0, skipped: 0 };
+
+    for (const appointment of appointments || []) {
+      const result = await appointmentStatusService.transition(null, appointment, APPOINTMENT_STATUSES.CANCELLED, {
+        cancelledBy: CANCELLED_BY.SYSTEM
+      });
+      stats[result.success ? 'released' : 'skipped']++;
+    }
+
+    if (stats.released > 0) {
+      console.log(`[Payments] ⏱️ ${stats.released} reserva(s) liberadas por depósito no pagado`);
+    }
+
+    return stats;
+  }
+
+}
+
+export default new PaymentService();
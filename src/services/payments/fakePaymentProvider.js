@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+
+// Un checkout de pruebas en producción confirmaría reservas sin cobrar nada
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+function assertNotProduction() {
+  if (isProduction()) {
+    throw new Error('El proveedor de pagos de pruebas no está disponible en producción');
+  }
+}
+
+/**
+ * Proveedor de pagos local para desarrollo y tests: no cobra nada.
+ * El "checkout" se completa llamando al webhook con { providerRef, status }.
+ * Desactivado en producción.
+ */
+class FakePaymentProvider {
+
+  constructor() {
+    this.name = 'fake';
+  }
+
+  isAvailable() {
+    return !isProduction();
+  }
+
+  async createCheckout({ amount, currency, metadata = {} }) {
+    assertNotProduction();
+
+    const providerRef = `fake_${crypto.randomUUID()}`;
+    const baseUrl = process.env.BOOKING_URL || 'https://book.agentpaul.es';
+
+    console.log(`[FakePay] 💳 Checkout ${providerRef}: ${amount} ${currency} (cita ${metadata.appointmentId})`);
+
+    return {
+      providerRef,
+      checkoutUrl: `${baseUrl}/fake-checkout/${providerRef}`
+    };
+  }
+
+  async refund({ providerRef, amount }) {
+    assertNotProduction();
+
+    console.log(`[FakePay] ↩️ Devolución de ${amount} sobre ${providerRef}`);
+
+    return {
+      providerRef: `fake_refund_${crypto.randomUUID()}`,
+      status: 'succeeded'
+    };
+  }
+
+  /**
+   * @returns {{ providerRef: string, status: 'succeeded'|'failed' }}
+   */
+  parseWebhook(req) {
+    assertNotProduction();
+
+    const { providerRef, status } = req.body || {};
+
+    return {
+      providerRef,
+      status: status === 'failed' ? 'failed' : 'succeeded'
+    };
+  }
+
+}
+
+export default new FakePaymentProvider();
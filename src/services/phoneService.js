@@ -0,0 +1,215 @@
+import { supabase } from '../config/database.js';
+import { parsePhoneNumberFromString, isSupportedCountry } from 'libphonenumber-js';
+
+export const DEFAULT_PHONE_COUNTRY = 'ES';
+
+// País por zona horaria del negocio cuando no hay config.phone_country
+const TIMEZONE_COUNTRIES = {
+  'Europe/Madrid': 'ES',
+  'Atlantic/Canary': 'ES',
+  'Africa/Ceuta': 'ES',
+  'Europe/Lisbon': 'PT',
+  'Atlantic/Madeira': 'PT',
+  'Atlantic/Azores': 'PT',
+  'Europe/Andorra': 'AD',
+  'Europe/Paris': 'FR',
+  'Europe/Rome': 'IT',
+  'Europe/Berlin': 'DE',
+  'Europe/London': 'GB',
+  'Europe/Dublin': 'IE',
+  'Europe/Amsterdam': 'NL',
+  'Europe/Brussels': 'BE',
+  'Europe/Zurich': 'CH',
+  'America/Mexico_City': 'MX',
+  'America/Bogota': 'CO',
+  'America/Lima': 'PE',
+  'America/Santiago': 'CL',
+  'America/Argentina/Buenos_Aires': 'AR',
+  'America/Montevideo': 'UY',
+  'America/Caracas': 'VE',
+  'America/Guayaquil': 'EC',
+  'America/New_York': 'US',
+  'America/Chicago': 'US',
+  'America/Denver': 'US',
+  'America/Los_Angeles': 'US',
+};
+
+/**
+ * Teléfonos de clientes en formato E.164 (+34600112233).
+ * Los números sin prefijo internacional se interpretan con el país del negocio:
+ * config.phone_country (ISO 3166, p. ej. 'ES') o, si no hay, el de su zona horaria.
+ */
+class PhoneService {
+
+  getCountry(business) {
+    const configured = business?.config?.phone_country;
+    if (configured && isSupportedCountry(configured)) return configured;
+
+    return TIMEZONE_COUNTRIES[business?.timezone] || DEFAULT_PHONE_COUNTRY;
+  }
+
+  /**
+   * Valida config.phone_country antes de guardarla
+   * @returns {string|null} mensaje de error
+   */
+  validateCountry(country) {
+    if (country === undefined || country === null) return null;
+
+    if (typeof country !== 'string' || !isSupportedCountry(country)) {
+      return 'phone_country debe ser un código de país ISO de 2 letras (ES, PT, MX...)';
+    }
+    return null;
+  }
+
+  /**
+   * @returns {string|null} el número en E.164, o null si no es un teléfono válido
+   */
+  normalize(phone, country = DEFAULT_PHONE_COUNTRY) {
+    if (!phone || typeof phone !== 'string') return null;
+
+    // "0034..." es lo mismo que "+34..."
+    const value = phone.trim().replace(/^00(?=[1-9])/, '+');
+    const parsed = parsePhoneNumberFromString(value, country);
+
+    return parsed?.isValid() ? parsed.number : null;
+  }
+
+  /**
+   * Normaliza el teléfono con el país del negocio
+   * @returns {object} { success: true, phone } o { success: false, status: 400, body } para responder tal cual
+   */
+  parse(phone, business) {
+    const normalized = this.normalize(phone, this.getCountry(business));
+
+    if (!normalized) {
+      return {
+        success: false,
+        status: 400,
+        body: {
+          error: `El teléfono "${phone || ''}" no es válido. Incluye el prefijo del país si no es de ${this.getCountry(business)}.`,
+          reason_code: 'INVALID_PHONE'
+        }
+      };
+    }
+
+    return { success: true, phone: normalized };
+  }
+
+  // ================================================================
+  // NORMALIZACIÓN DE LOS DATOS EXISTENTES
+  // ================================================================
+
+  /**
+   * Pasa a E.164 los teléfonos guardados de un negocio (customers.phone y appointments.client_phone).
+   * Si dos clientes acaban con el mismo número no se toca el segundo: se informa como colisión
+   * para fusionarlos desde /api/customers/duplicates.
+   * @returns {Promise<object>} { updated, unchanged, invalid: [...], collisions: [...] }
+   */
+  async normalizeBusiness(business, { dryRun = false } = {}) {
+    const country = this.getCountry(business);
+    const report = { businessId: business.id, country, updated: 0, unchanged: 0, invalid: [], collisions: [] };
+
+    const { data: customers, error } = await supabase
+      .from('customers')
+      .select('id, name, phone, deleted_at')
+      .eq('restaurant_id', business.id)
+      .is('anonymized_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    // Primero los que ya están bien: se quedan con su número
+    const owners = {};
+    for (const customer of customers || []) {
+      if (customer.phone && this.normalize(customer.phone, country) === customer.phone) {
+        owners[customer.phone] = customer;
+      }
+    }
+
+    for (const customer of customers || []) {
+      const normalized = this.normalize(customer.phone, country);
+
+      if (!normalized) {
+        report.invalid.push({ id: customer.id, name: customer.name, phone: customer.phone });
+        continue;
+      }
+
+      if (normalized === customer.phone) {
+        report.unchanged++;
+        continue;
+      }
+
+      const owner = owners[normalized];
+      if (owner) {
+        report.collisions.push({
+          phone: normalized,
+          keep: { id: owner.id, name: owner.name, phone: owner.phone },
+          conflicting: { id: customer.id, name: customer.name, phone: customer.phone, deleted: !!customer.deleted_at }
+        });
+        continue;
+      }
+
+      owners[normalized] = customer;
+      report.updated++;
+
+      if (!dryRun) {
+        await supabase
+          .from('customers')
+          .update({ phone: normalized, updated_at: new Date().toISOString() })
+          .eq('id', customer.id);
+      }
+    }
+
+    // Las citas guardan una copia del teléfono: se normaliza por valor distinto
+    const { data: appointments, error: appointmentsError } = await supabase
+      .from('appointments')
+      .select('client_phone')
+      .eq('restaurant_id', business.id)
+      .not('client_phone', 'is', null);
+
+    if (appointmentsError) throw appointmentsError;
+
+    const phones = [...new Set((appointments || []).map(a => a.client_phone))];
+    report.appointmentPhones = 0;
+
+    for (const phone of phones) {
+      const normalized = this.normalize(phone, country);
+      if (!normalized || normalized === phone) continue;
+
+      report.appointmentPhones++;
+
+      if (!dryRun) {
+        await supabase
+          .from('appointments')
+          .update({ client_phone: normalized })
+          .eq('restaurant_id', business.id)
+          .eq('client_phone', phone);
+      }
+    }
+
+    console.log(`[Phones] ${dryRun ? '🔍' : '📞'} ${business.id}: ${report.updated} cliente(s), ${report.appointmentPhones} teléfono(s) de citas, ${report.collisions.length} colisión(es), ${report.invalid.length} inválido(s)`);
+
+    return report;
+  }
+
+  /**
+   * Normaliza todos los negocios (o uno)
+   */
+  async normalizeAll({ businessId = null, dryRun = false } = {}) {
+    let query = supabase.from('restaurants').select('id, name, timezone, config');
+    if (businessId) query = query.eq('id', businessId);
+
+    const { data: businesses, error } = await query;
+    if (error) throw error;
+
+    const reports = [];
+    for (const business of businesses || []) {
+      reports.push({ name: business.name, ...(await this.normalizeBusiness(business, { dryRun })) });
+    }
+
+    return reports;
+  }
+
+}
+
+export default new PhoneService();
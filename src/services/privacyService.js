@@ -0,0 +1,411 @@
+import { zipSync, strToU8 } from 'fflate';
+import { supabase } from '../config/database.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from './auditService.js';
+import { ACTIVE_STATUSES } from './appointmentStatusService.js';
+import { CONSENT_SOURCES } from './consentService.js';
+
+export const DATA_REQUEST_TYPES = {
+  EXPORT: 'export',
+  ERASURE: 'erasure',
+};
+
+export const ANONYMIZED_NAME = 'Cliente anonimizado';
+
+// Campos personales: se vacían en las tablas y se tachan en el historial de auditoría
+const PII_FIELDS = [
+  'name', 'phone', 'email', 'notes', 'birth_date', 'tags',
+  'client_name', 'client_phone', 'client_email', 'special_occasion'
+];
+
+const CUSTOMER_SELECT = '*, customer_preferences (*), customer_consents ( channel, granted, source, policy_version, granted_at, revoked_at )';
+
+const NOTIFICATION_COLUMNS = 'id, appointment_id, customer_id, type, channel, recipient, status, payload, sent_at, created_at';
+
+/**
+ * RGPD: exportación de los datos de un cliente y supresión por anonimización.
+ * La supresión conserva las filas (citas, importes, estados, contadores del cliente)
+ * para que las estadísticas sigan cuadrando, pero sin nada que identifique a la persona.
+ * Cada solicitud queda en data_subject_requests.
+ */
+class PrivacyService {
+
+  /**
+   * Marcador único por cliente para columnas de teléfono obligatorias.
+   * No es un número válido, así que nunca coincide con una búsqueda por teléfono.
+   */
+  placeholderPhone(customerId) {
+    return `anonimizado-${customerId}`;
+  }
+
+  /**
+   * Fichas absorbidas por este cliente al fusionar duplicados (quedan en la papelera con
+   * sus datos originales), también las fusionadas a su vez en ellas
+   */
+  async loadMerged(businessId, customerId) {
+    const merged = [];
+    const seen = new Set([customerId]);
+    let parents = [customerId];
+
+    while (parents.length > 0) {
+      const { data, error } = await supabase
+        .from('customers')
+        .select(CUSTOMER_SELECT)
+        .eq('restaurant_id', businessId)
+        .in('merged_into', parents);
+
+      if (error) throw error;
+
+      const found = (data || []).filter(c => !seen.has(c.id));
+      found.forEach(c => seen.add(c.id));
+      merged.push(...found);
+      parents = found.map(c => c.id);
+    }
+
+    return merged;
+  }
+
+  async fetch(table, columns, column, values) {
+    if (Array.isArray(values) && values.length === 0) return [];
+
+    let query = supabase.from(table).select(columns);
+    query = Array.isArray(values) ? query.in(column, values) : query.eq(column, values);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  // ================================================================
+  // EXPORTACIÓN
+  // ================================================================
+
+  /**
+   * Todo lo que el negocio guarda de un cliente (también si está en la papelera),
+   * incluidas las fichas duplicadas que se fusionaron en él
+   * @returns {Promise<object|null>} null si el cliente no es del negocio
+   */
+  async collect(businessId, customerId) {
+    const { data: customer } = await supabase
+      .from('customers')
+      .select(CUSTOMER_SELECT)
+      .eq('id', customerId)
+      .eq('restaurant_id', businessId)
+      .single();
+
+    if (!customer) return null;
+
+    const mergedCustomers = await this.loadMerged(businessId, customerId);
+    const customerIds = [customerId, ...mergedCustomers.map(c => c.id)];
+
+    const { data: appointments, error } = await supabase
+      .from('appointments')
+      .select('*, appointment_services ( service_name, duration_minutes, price )')
+      .in('customer_id', customerIds)
+      .eq('restaurant_id', businessId)
+      .order('appointment_time', { ascending: true });
+
+    if (error) throw error;
+
+    const appointmentIds = (appointments || []).map(a => a.id);
+
+    const [series, waitlist, conversations, appointmentNotifications, customerNotifications, payments] = await Promise.all([
+      this.fetch('appointment_series', '*', 'customer_id', customerIds),
+      this.fetch('waitlist', '*', 'customer_id', customerIds),
+      this.fetch('ai_conversations', 'conversation_id, platform, intent, status, messages, appointment_id, created_at', 'customer_id', customerIds),
+      this.fetch('notifications', NOTIFICATION_COLUMNS, 'appointment_id', appointmentIds),
+      // Promociones de campañas: van por cliente, sin cita
+      this.fetch('notifications', NOTIFICATION_COLUMNS, 'customer_id', customerIds),
+      this.fetch('payments', 'appointment_id, type, method, amount, currency, status, created_at', 'appointment_id', appointmentIds)
+    ]);
+
+    const notifications = [
+      ...new Map([...appointmentNotifications, ...customerNotifications].map(n => [n.id, n])).values()
+    ];
+
+    return {
+      exported_at: new Date().toISOString(),
+      customer,
+      merged_customers: mergedCustomers,
+      appointments: appointments || [],
+      series,
+      waitlist,
+      conversations,
+      notifications,
+      payments
+    };
+  }
+
+  /**
+   * Exporta los datos y registra la solicitud
+   * @returns {Promise<object>} { success: true, bundle } o { success: false, status, body }
+   */
+  async exportData(req, businessId, customerId) {
+    const bundle = await this.collect(businessId, customerId);
+
+    if (!bundle) {
+      return { success: false, status: 404, body: { error: 'Cliente no encontrado' } };
+    }
+
+    await this.recordRequest(req, {
+      businessId,
+      customerId,
+      type: DATA_REQUEST_TYPES.EXPORT,
+      summary: {
+        appointments: bundle.appointments.length,
+        conversations: bundle.conversations.length,
+        notifications: bundle.notifications.length,
+        payments: bundle.payments.length
+      }
+    });
+
+    return { success: true, bundle };
+  }
+
+  /**
+   * Un JSON por apartado dentro de un ZIP
+   * @returns {Buffer}
+   */
+  toZip(bundle) {
+    const json = (value) => strToU8(JSON.stringify(value, null, 2));
+
+    return Buffer.from(zipSync({
+      'LEEME.txt': strToU8(
+        `Datos personales de ${bundle.customer.name}, exportados el ${bundle.exported_at}.\n` +
+        'Cada archivo .json contiene un apartado: perfil, fichas duplicadas fusionadas en él, citas (con sus servicios), ' +
+        'series, lista de espera, conversaciones con el asistente, notificaciones enviadas y pagos.\n'
+      ),
+      'perfil.json': json(bundle.customer),
+      'fichas_fusionadas.json': json(bundle.merged_customers),
+      'citas.json': json(bundle.appointments),
+      'series.json': json(bundle.series),
+      'lista_espera.json': json(bundle.waitlist),
+      'conversaciones.json': json(bundle.conversations),
+      'notificaciones.json': json(bundle.notifications),
+      'pagos.json': json(bundle.payments)
+    }));
+  }
+
+  // ================================================================
+  // SUPRESIÓN (ANONIMIZACIÓN)
+  // ================================================================
+
+  /**
+   * Anonimiza al cliente en todas las tablas y en el historial de auditoría.
+   * No se puede con citas futuras activas: hay que cancelarlas antes.
+   * @returns {Promise<object>} { success: true, summary } o { success: false, status, body }
+   */
+  async erase(req, businessId, customerId, { reason = null } = {}) {
+    const { data: customer } = await supabase
+      .from('customers')
+      .select('id, anonymized_at')
+      .eq('id', customerId)
+      .eq('restaurant_id', businessId)
+      .single();
+
+    if (!customer) {
+      return { success: false, status: 404, body: { error: 'Cliente no encontrado' } };
+    }
+
+    if (customer.anonymized_at) {
+      return { success: false, status: 409, body: { error: 'Este cliente ya está anonimizado' } };
+    }
+
+    const mergedIds = (await this.loadMerged(businessId, customerId)).map(c => c.id);
+
+    const { data: appointments, error } = await supabase
+      .from('appointments')
+      .select('id, status, appointment_time')
+      .in('customer_id', [customerId, ...mergedIds])
+      .eq('restaurant_id', businessId);
+
+    if (error) throw error;
+
+    const now = new Date();
+    const upcoming = (appointments || []).filter(a =>
+      ACTIVE_STATUSES.includes(a.status) && new Date(a.appointment_time) >= now
+    );
+
+    if (upcoming.length > 0) {
+      return {
+        success: false,
+        status: 409,
+        body: {
+          error: 'El cliente tiene citas pendientes. Cancélalas antes de anonimizarlo.',
+          appointments: upcoming
+        }
+      };
+    }
+
+    const appointmentIds = (appointments || []).map(a => a.id);
+
+    try {
+      const summary = await this.anonymize(businessId, customerId, mergedIds, appointmentIds, now);
+
+      await auditService.record(req, {
+        businessId,
+        entityType: AUDIT_ENTITIES.CUSTOMER,
+        entityId: customerId,
+        action: AUDIT_ACTIONS.ANONYMIZE,
+        changes: { anonymized_at: { from: null, to: now.toISOString() } }
+      });
+
+      await this.recordRequest(req, { businessId, customerId, type: DATA_REQUEST_TYPES.ERASURE, reason, summary });
+
+      console.log(`[Privacy] 🧹 Cliente ${customerId} anonimizado:`, summary);
+
+      return { success: true, summary };
+    } catch (anonymizeError) {
+      await this.recordRequest(req, {
+        businessId,
+        customerId,
+        type: DATA_REQUEST_TYPES.ERASURE,
+        reason,
+        error: anonymizeError.message
+      });
+      throw anonymizeError;
+    }
+  }
+
+  /**
+   * El cliente se marca al final: si algo falla a medias, se puede repetir la supresión.
+   * Las fichas fusionadas en él (mergedIds) se anonimizan igual.
+   */
+  async anonymize(businessId, customerId, mergedIds, appointmentIds, now) {
+    const customerIds = [customerId, ...mergedIds];
+    const placeholder = this.placeholderPhone(customerId);
+    const summary = { appointments: appointmentIds.length, mergedCustomers: mergedIds.length };
+    const check = ({ error }) => { if (error) throw error; };
+    const anonymizedNotifications = new Set();
+
+    if (appointmentIds.length > 0) {
+      check(await supabase
+        .from('appointments')
+        .update({
+          client_name: ANONYMIZED_NAME,
+          client_phone: placeholder,
+          client_email: null,
+          notes: null,
+          special_occasion: null
+        })
+        .in('id', appointmentIds));
+
+      const { data: notifications, error } = await supabase
+        .from('notifications')
+        .update({ recipient: '[anonimizado]', payload: {} })
+        .in('appointment_id', appointmentIds)
+        .select('id');
+
+      if (error) throw error;
+      (notifications || []).forEach(n => anonymizedNotifications.add(n.id));
+
+      check(await supabase
+        .from('payments')
+        .update({ notes: null })
+        .in('appointment_id', appointmentIds));
+    }
+
+    // Promociones de campañas: van por cliente, sin cita
+    const { data: promotions, error: promotionsError } = await supabase
+      .from('notifications')
+      .update({ recipient: '[anonimizado]', payload: {} })
+      .in('customer_id', customerIds)
+      .select('id');
+
+    if (promotionsError) throw promotionsError;
+    (promotions || []).forEach(n => anonymizedNotifications.add(n.id));
+    summary.notifications = anonymizedNotifications.size;
+
+    const { data: conversations, error: conversationsError } = await supabase
+      .from('ai_conversations')
+      .update({ messages: [] })
+      .in('customer_id', customerIds)
+      .select('id');
+
+    if (conversationsError) throw conversationsError;
+    summary.conversations = (conversations || []).length;
+
+    check(await supabase
+      .from('waitlist')
+      .update({ notes: null })
+      .in('customer_id', customerIds));
+
+    check(await supabase
+      .from('customer_preferences')
+      .delete()
+      .in('customer_id', customerIds));
+
+    const { data: redacted, error: redactError } = await supabase.rpc('redact_audit_log', {
+      p_restaurant_id: businessId,
+      p_entity_ids: [...customerIds, ...appointmentIds],
+      p_fields: PII_FIELDS
+    });
+
+    if (redactError) throw redactError;
+    summary.auditEntries = redacted || 0;
+
+    // Sin datos de contacto ya no se le puede escribir; queda constancia de la retirada
+    check(await supabase
+      .from('customer_consents')
+      .update({ granted: false, source: CONSENT_SOURCES.ERASURE, revoked_at: now.toISOString(), updated_at: now.toISOString() })
+      .in('customer_id', customerIds)
+      .eq('granted', true));
+
+    // Se conservan visitas, no-shows y cancelaciones. Cada ficha con su propio marcador de teléfono
+    for (const id of [...mergedIds, customerId]) {
+      check(await supabase
+        .from('customers')
+        .update({
+          name: ANONYMIZED_NAME,
+          phone: this.placeholderPhone(id),
+          email: null,
+          notes: null,
+          birth_date: null,
+          tags: [],
+          anonymized_at: now.toISOString(),
+          updated_at: now.toISOString()
+        })
+        .eq('id', id));
+    }
+
+    return summary;
+  }
+
+  // ================================================================
+  // REGISTRO DE SOLICITUDES
+  // ================================================================
+
+  async recordRequest(req, { businessId, customerId, type, reason = null, summary = {}, error = null }) {
+    const { error: insertError } = await supabase
+      .from('data_subject_requests')
+      .insert({
+        restaurant_id: businessId,
+        customer_id: customerId,
+        type,
+        status: error ? 'failed' : 'completed',
+        requested_by: req?.user?.id || null,
+        reason,
+        summary,
+        error,
+        completed_at: error ? null : new Date().toISOString()
+      });
+
+    if (insertError) {
+      console.error(`[Privacy] Error registrando la solicitud ${type} de ${customerId}:`, insertError.message);
+    }
+  }
+
+  async listRequests(businessId, { limit = 100 } = {}) {
+    const { data, error } = await supabase
+      .from('data_subject_requests')
+      .select('id, customer_id, type, status, reason, summary, error, created_at, completed_at, restaurant_users ( id, name, email )')
+      .eq('restaurant_id', businessId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+}
+
+export default new PrivacyService();
@@ -0,0 +1,103 @@
+import availabilityService from './availabilityService.js';
+
+const MAX_OCCURRENCES = 52;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+export const SERIES_SCOPES = ['this', 'following', 'all'];
+
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Reglas de recurrencia para citas y reservas:
+ * cada N semanas, hasta un número de ocurrencias o una fecha, con fechas omitidas.
+ */
+class RecurrenceService {
+
+  /**
+   * Valida { intervalWeeks, count, untilDate, skipDates }
+   * @returns {string|null} mensaje de error
+   */
+  validateRule(recurrence, startDate) {
+    if (!recurrence || typeof recurrence !== 'object') {
+      return 'recurrence debe ser un objeto';
+    }
+
+    const { intervalWeeks = 1, count, untilDate, skipDates = [] } = recurrence;
+    const interval = parseInt(intervalWeeks);
+
+    if (isNaN(interval) || interval < 1 || interval > 52) {
+      return 'intervalWeeks debe estar entre 1 y 52';
+    }
+
+    if (!count && !untilDate) {
+      return 'Indica count o untilDate para la serie';
+    }
+
+    if (count && (parseInt(count) < 2 || parseInt(count) > MAX_OCCURRENCES)) {
+      return `count debe estar entre 2 y ${MAX_OCCURRENCES}`;
+    }
+
+    if (untilDate && (!DATE_REGEX.test(untilDate) || untilDate <= startDate)) {
+      return 'untilDate debe ser una fecha YYYY-MM-DD posterior a la primera cita';
+    }
+
+    if (!Array.isArray(skipDates) || skipDates.some(d => !DATE_REGEX.test(d))) {
+      return 'skipDates debe ser un array de fechas YYYY-MM-DD';
+    }
+
+    return null;
+  }
+
+  /**
+   * Fechas de la serie (YYYY-MM-DD), sin las omitidas.
+   * count cuenta las ocurrencias de la regla, incluidas las omitidas.
+   */
+  expandOccurrences(startDate, { intervalWeeks = 1, count, untilDate, skipDates = [] }) {
+    const interval = parseInt(intervalWeeks);
+    const maxCount = count ? Math.min(parseInt(count), MAX_OCCURRENCES) : MAX_OCCURRENCES;
+    const skipped = new Set(skipDates);
+
+    const dates = [];
+
+    for (let i = 0; i < maxCount; i++) {
+      const date = addDays(startDate, i * interval * 7);
+
+      if (untilDate && date > untilDate) break;
+      if (!skipped.has(date)) dates.push({ index: i, date });
+    }
+
+    return dates;
+  }
+
+  /**
+   * Informe de conflictos: evalúa cada ocurrencia con el motor de disponibilidad
+   * (horario, bloqueos, capacidad, personal o mesas).
+   */
+  async checkOccurrences({ businessId, occurrences, time, durationMinutes, partySize, staffId, serviceIds, preference }) {
+    const report = [];
+
+    for (const { index, date } of occurrences) {
+      const result = await availabilityService.evaluate({
+        businessId,
+        date,
+        time,
+        durationMinutes,
+        partySize,
+        staffId,
+        serviceIds,
+        preference
+      });
+
+      report.push({ index, date, ...result });
+    }
+
+    return report;
+  }
+
+}
+
+export default new RecurrenceService();
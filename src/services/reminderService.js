@@ -0,0 +1,342 @@
+import { supabase } from '../config/database.js';
+import notificationService, { NOTIFICATION_TYPES } from './notificationService.js';
+import manageBookingService from './manageBookingService.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { formatInTimeZone } = require('date-fns-tz');
+
+export const REMINDER_CHANNELS = ['email', 'whatsapp'];
+
+// Política por defecto: un email 24h antes (comportamiento anterior)
+const DEFAULT_POLICY = {
+  steps: [{ offset_hours: 24, channel: 'email' }],
+  quiet_hours: null
+};
+
+const toMinutes = (t) => {
+  const [h, m] = t.split(':').map(Number);
+  return h * 60 + (m || 0);
+};
+
+/**
+ * Recordatorios multi-paso según config.reminders de cada negocio:
+ * {
+ *   steps: [{ offset_hours: 48, channel: 'email' }, { offset_hours: 2, channel: 'whatsapp' }],
+ *   quiet_hours: { start: '22:00', end: '08:00' }
+ * }
+ * Cada paso queda en appointment_reminders para no repetirlo; la entrega
+ * (y sus reintentos) la hace el outbox de notificaciones.
+ */
+class ReminderService {
+
+  /**
+   * Normaliza la política (pasos válidos, de mayor a menor antelación)
+   */
+  getPolicy(config) {
+    const reminders = config?.reminders;
+    if (!reminders || !Array.isArray(reminders.steps)) return DEFAULT_POLICY;
+
+    const steps = reminders.steps
+      .map(step => ({ offset_hours: parseFloat(step.offset_hours), channel: step.channel }))
+      .filter(step => step.offset_hours > 0 && REMINDER_CHANNELS.includes(step.channel))
+      .sort((a, b) => b.offset_hours - a.offset_hours);
+
+    return {
+      steps,
+      quiet_hours: reminders.quiet_hours?.start && reminders.quiet_hours?.end ? reminders.quiet_hours : null
+    };
+  }
+
+  /**
+   * Valida la política antes de guardarla en config
+   * @returns {string|null} mensaje de error
+   */
+  validatePolicy(reminders) {
+    if (!reminders) return null;
+
+    if (!Array.isArray(reminders.steps)) {
+      return 'reminders.steps debe ser un array';
+    }
+
+    for (const step of reminders.steps) {
+      if (!(parseFloat(step.offset_hours) > 0)) {
+        return 'offset_hours debe ser un número de horas mayor que 0';
+      }
+      if (!REMINDER_CHANNELS.includes(step.channel)) {
+        return `channel debe ser uno de: ${REMINDER_CHANNELS.join(', ')}`;
+      }
+    }
+
+    const quiet = reminders.quiet_hours;
+    if (quiet && !(/^\d{2}:\d{2}$/.test(quiet.start || '') && /^\d{2}:\d{2}$/.test(quiet.end || ''))) {
+      return 'quiet_hours necesita start y end en formato HH:MM';
+    }
+
+    return null;
+  }
+
+  stepKey(step) {
+    return `${step.offset_hours}h_${step.channel}`;
+  }
+
+  /**
+   * ¿Es horario de silencio en la hora local del negocio? (admite franjas que cruzan medianoche)
+   */
+  isQuietTime(now, timezone, quietHours) {
+    if (!quietHours) return false;
+
+    const current = toMinutes(formatInTimeZone(now, timezone, 'HH:mm'));
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    return start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * Decide qué paso toca enviar para una cita.
+   * Sólo se envía el paso vencido más cercano a la cita; los anteriores que no
+   * llegaron a enviarse (cita creada tarde, horario de silencio) se marcan como omitidos.
+   */
+  selectDueStep(appointment, steps, now, doneKeys = new Set()) {
+    const appointmentTime = new Date(appointment.appointment_time);
+    const createdAt = appointment.created_at ? new Date(appointment.created_at) : null;
+
+    if (appointmentTime <= now) return { due: null, skipped: [] };
+
+    const dueSteps = steps.filter(step =>
+      !doneKeys.has(this.stepKey(step)) &&
+      now >= new Date(appointmentTime.getTime() - step.offset_hours * 3600000)
+    );
+
+    if (dueSteps.length === 0) return { due: null, skipped: [] };
+
+    const latest = dueSteps[dueSteps.length - 1];
+    const skipped = dueSteps.slice(0, -1);
+
+    // Cita reservada después del momento del paso: la confirmación ya hace de aviso
+    const latestAt = new Date(appointmentTime.getTime() - latest.offset_hours * 3600000);
+    if (createdAt && createdAt > latestAt) {
+      return { due: null, skipped: dueSteps };
+    }
+
+    return { due: latest, skipped };
+  }
+
+  /**
+   * Texto "hoy" / "mañana" / fecha para el mensaje
+   */
+  getWhenLabel(appointmentTime, now, timezone) {
+    const day = formatInTimeZone(appointmentTime, timezone, 'yyyy-MM-dd');
+    const today = formatInTimeZone(now, timezone, 'yyyy-MM-dd');
+    const tomorrow = formatInTimeZone(new Date(now.getTime() + 86400000), timezone, 'yyyy-MM-dd');
+
+    if (day === today) return 'hoy';
+    if (day === tomorrow) return 'mañana';
+    return `el ${new Date(`${day}T12:00:00Z`).toLocaleDateString('es-ES', { weekday: 'long', day: 'numeric', month: 'long' })}`;
+  }
+
+  /**
+   * Recorre todos los negocios activos y envía los recordatorios pendientes
+   */
+  async runReminders(now = new Date()) {
+    const { data: businesses, error } = await supabase
+      .from('restaurants')
+      .select('id, name, slug, timezone, phone, address, email, config')
+      .eq('is_active', true);
+
+    if (error) throw error;
+
+    const stats = { sent: 0, failed: 0, skipped: 0 };
+    const report = [];
+
+    for (const business of businesses || []) {
+      const result = await this.runBusinessReminders(business, now);
+
+      stats.sent += result.sent;
+      stats.failed += result.failed;
+      stats.skipped += result.skipped;
+
+      if (result.sent || result.failed) {
+        report.push({ business: business.name, ...result });
+      }
+    }
+
+    return { stats, report };
+  }
+
+  async runBusinessReminders(business, now) {
+    const timezone = business.timezone || 'Europe/Madrid';
+    const policy = this.getPolicy(business.config);
+    const result = { sent: 0, failed: 0, skipped: 0, quiet: false };
+
+    if (policy.steps.length === 0) return result;
+
+    if (this.isQuietTime(now, timezone, policy.quiet_hours)) {
+      result.quiet = true;
+      return result;
+    }
+
+    const maxOffsetHours = policy.steps[0].offset_hours;
+
+    const { data: appointments, error } = await supabase
+      .from('appointments')
+      .select(`
+        id, appointment_time, scheduled_date, created_at, client_name, client_phone, client_email,
+        service_name, duration_minutes, party_size,
+        services:appointment_services ( service_name, duration_minutes ),
+        appointment_reminders ( step_key, status )
+      `)
+      .eq('restaurant_id', business.id)
+      .eq('status', 'confirmado')
+      .is('deleted_at', null)
+      .gt('appointment_time', now.toISOString())
+      .lte('appointment_time', new Date(now.getTime() + maxOffsetHours * 3600000).toISOString());
+
+    if (error) throw error;
+
+    let whatsappInstance;
+
+    for (const apt of appointments || []) {
+      const doneKeys = new Set(
+        (apt.appointment_reminders || [])
+          .filter(r => r.status !== 'failed')
+          .map(r => r.step_key)
+      );
+
+      const { due, skipped } = this.selectDueStep(apt, policy.steps, now, doneKeys);
+
+      for (const step of skipped) {
+        await this.record(apt.id, step, 'skipped');
+        result.skipped++;
+      }
+
+      if (!due) continue;
+
+      try {
+        if (due.channel === 'whatsapp') {
+          if (whatsappInstance === undefined) {
+            whatsappInstance = await this.getWhatsAppInstance(business.id);
+          }
+          await this.sendWhatsApp(apt, business, whatsappInstance, now);
+        } else {
+          await this.sendEmail(apt, business, now);
+        }
+
+        await this.record(apt.id, due, 'sent');
+        await supabase
+          .from('appointments')
+          .update({ reminder_sent_at: new Date().toISOString() })
+          .eq('id', apt.id);
+
+        result.sent++;
+      } catch (sendError) {
+        console.error(`[Reminders] Error en cita ${apt.id} (${this.stepKey(due)}):`, sendError.message);
+        await this.record(apt.id, due, 'failed', sendError.message);
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+
+  async sendEmail(apt, business, now) {
+    if (!apt.client_email) throw new Error('El cliente no tiene email');
+
+    const timezone = business.timezone || 'Europe/Madrid';
+    const appointmentTime = new Date(apt.appointment_time);
+
+    const services = apt.services && apt.services.length > 0
+      ? apt.services.map(s => ({ name: s.service_name, duration_minutes: s.duration_minutes }))
+      : [{ name: apt.service_name, duration_minutes: apt.duration_minutes }];
+
+    await notificationService.enqueueAndSend({
+      businessId: business.id,
+      appointmentId: apt.id,
+      type: NOTIFICATION_TYPES.APPOINTMENT_REMINDER,
+      channel: 'email',
+      recipient: apt.client_email,
+      payload: {
+        customer_email: apt.client_email,
+        customer_name: apt.client_name,
+        appointment_date: apt.scheduled_date,
+        appointment_time: formatInTimeZone(appointmentTime, timezone, 'HH:mm'),
+        services,
+        business_name: business.name,
+        business_phone: business.phone,
+        business_address: business.address,
+        appointment_id: apt.id,
+        when_label: this.getWhenLabel(appointmentTime, now, timezone),
+        manage_url: manageBookingService.getManageUrl({
+          appointmentId: apt.id,
+          businessId: business.id,
+          slug: business.slug
+        })
+      }
+    });
+  }
+
+  async sendWhatsApp(apt, business, instanceName, now) {
+    if (!instanceName) throw new Error('El negocio no tiene WhatsApp conectado');
+    if (!apt.client_phone) throw new Error('El cliente no tiene teléfono');
+
+    const timezone = business.timezone || 'Europe/Madrid';
+    const appointmentTime = new Date(apt.appointment_time);
+    const manageUrl = manageBookingService.getManageUrl({
+      appointmentId: apt.id,
+      businessId: business.id,
+      slug: business.slug
+    });
+
+    const text = [
+      `Hola ${apt.client_name} 👋`,
+      `Te recordamos tu ${apt.party_size ? 'reserva' : 'cita'} en *${business.name}* ${this.getWhenLabel(appointmentTime, now, timezone)} a las *${formatInTimeZone(appointmentTime, timezone, 'HH:mm')}*.`,
+      business.address ? `📍 ${business.address}` : null,
+      manageUrl ? `Si necesitas cancelar o cambiar la hora: ${manageUrl}` : `Si necesitas cancelar o cambiar la hora, llámanos al ${business.phone}`
+    ].filter(Boolean).join('\n\n');
+
+    await notificationService.enqueueAndSend({
+      businessId: business.id,
+      appointmentId: apt.id,
+      type: NOTIFICATION_TYPES.APPOINTMENT_REMINDER,
+      channel: 'whatsapp',
+      recipient: apt.client_phone,
+      payload: { instance_name: instanceName, text }
+    });
+  }
+
+  async getWhatsAppInstance(businessId) {
+    const { data } = await supabase
+      .from('restaurant_integrations')
+      .select('config, is_enabled')
+      .eq('restaurant_id', businessId)
+      .eq('integration_type', 'whatsapp_business')
+      .single();
+
+    return data?.is_enabled ? data.config?.instance_name || null : null;
+  }
+
+  async record(appointmentId, step, status, errorMessage = null) {
+    const { error } = await supabase
+      .from('appointment_reminders')
+      .upsert({
+        appointment_id: appointmentId,
+        step_key: this.stepKey(step),
+        channel: step.channel,
+        status,
+        error: errorMessage,
+        created_at: new Date().toISOString()
+      }, {
+        onConflict: 'appointment_id,step_key'
+      });
+
+    if (error) {
+      console.error(`[Reminders] Error registrando envío de ${appointmentId}:`, error);
+    }
+  }
+
+}
+
+export default new ReminderService();
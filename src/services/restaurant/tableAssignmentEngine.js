@@ -1,4 +1,5 @@
 import { supabase } from '../../config/database.js';
+import { ACTIVE_STATUSES } from '../appointmentStatusService.js';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 const { addMinutes } = require('date-fns');
@@ -25,152 +26,183 @@ class TableAssignmentEngine {
         preference
       });
 
-      // 1. Verificar restaurante y obtener TIMEZONE
-      const { data: restaurant, error: restError } = await supabase
-        .from('restaurants')
-        .select('business_type, config, timezone')
-        .eq('id', restaurantId)
-        .single();
+      const context = await this.loadDayContext({ restaurantId, date });
 
-      if (restError || !restaurant) {
-        throw new Error('Restaurante no encontrado');
-      }
-
-      if (restaurant.business_type !== 'restaurant') {
-        return {
-          success: false,
-          message: 'Este negocio no requiere asignación de mesas'
-        };
-      }
+      if (!context.success) return context;
 
-      // Timezone del negocio (Clave para arreglar el desfase)
-      const timezone = restaurant.timezone || 'Europe/Madrid';
+      return await this.evaluateSlot(context, { date, time, partySize, duration, preference });
 
-      // 2. Configuración
-      const config = typeof restaurant.config === 'string'
-        ? JSON.parse(restaurant.config)
-        : restaurant.config;
-
-      const fillOrder = config?.priorities?.fill_order || ['salon', 'terraza'];
-      const tableSizeOrder = config?.priorities?.table_size_order || [2, 4, 6, 8];
-
-      // 3. Obtener mesas activas
-      const { data: allTables, error: tablesError } = await supabase
-        .from('tables')
-        .select('*')
-        .eq('restaurant_id', restaurantId)
-        .eq('is_active', true)
-        .eq('auto_assignable', true)
-        .order('priority', { ascending: true });
+    } catch (error) {
+      console.error('[TableEngine] Error:', error);
+      return { success: false, message: 'Error interno asignando mesa' };
+    }
+  }
 
-      if (tablesError) throw tablesError;
+  /**
+   * Carga todo lo necesario para evaluar slots de un día:
+   * restaurante, configuración, mesas activas y reservas existentes.
+   */
+  async loadDayContext({ restaurantId, date }) {
+    // 1. Verificar restaurante y obtener TIMEZONE
+    const { data: restaurant, error: restError } = await supabase
+      .from('restaurants')
+      .select('business_type, config, timezone')
+      .eq('id', restaurantId)
+      .single();
+
+    if (restError || !restaurant) {
+      throw new Error('Restaurante no encontrado');
+    }
 
-      if (!allTables || allTables.length === 0) {
-        return { success: false, message: 'No hay mesas disponibles' };
-      }
+    if (restaurant.business_type !== 'restaurant') {
+      return {
+        success: false,
+        message: 'Este negocio no requiere asignación de mesas'
+      };
+    }
 
-      // 4. Filtrar mesas adecuadas por capacidad
-      // 4. Filtrar mesas adecuadas por capacidad
-      const suitableTables = allTables.filter(table => {
-        const capacity = table.capacity || table.max_capacity || 0;
-        const minCap = table.min_capacity || 1;
-        const isMatch = partySize >= minCap && partySize <= capacity;
+    // Timezone del negocio (Clave para arreglar el desfase)
+    const timezone = restaurant.timezone || 'Europe/Madrid';
 
-        console.log(`[TableEngine] Mesa ${table.table_number}: capacity=${capacity}, minCap=${minCap}, partySize=${partySize}, match=${isMatch}`);
+    // 2. Configuración
+    const config = typeof restaurant.config === 'string'
+      ? JSON.parse(restaurant.config)
+      : restaurant.config;
 
-        return isMatch;
-      });
+    // 3. Obtener mesas activas
+    const { data: allTables, error: tablesError } = await supabase
+      .from('tables')
+      .select('*')
+      .eq('restaurant_id', restaurantId)
+      .eq('is_active', true)
+      .eq('auto_assignable', true)
+      .is('deleted_at', null)
+      .order('priority', { ascending: true });
 
-      console.log(`[TableEngine] ✅ Mesas adecuadas encontradas: ${suitableTables.length}/${allTables.length}`);
+    if (tablesError) throw tablesError;
 
-      // Si no hay mesas individuales, buscar combinaciones
-      if (suitableTables.length === 0) {
-        return await this.findTableCombinations({
-          restaurantId,
-          date,
-          time,
-          partySize,
-          duration,
-          allTables,
-          timezone
-        });
-      }
+    if (!allTables || allTables.length === 0) {
+      return { success: false, message: 'No hay mesas disponibles' };
+    }
 
-      // 5. Calcular ventana de tiempo (CORREGIDO: Uso de fromZonedTime)
-      // Convertimos la hora local "20:00" en Madrid al instante UTC correcto
-      const localDateTimeStr = `${date}T${time}:00`;
-      const reservationStartUTC = fromZonedTime(localDateTimeStr, timezone);
-      const reservationEndUTC = addMinutes(reservationStartUTC, duration);
+    // 4. Obtener reservas conflictivas del día (incluye mesas de combinaciones)
+    const existingReservations = await this.getDayReservations({ restaurantId, date, timezone });
 
-      console.log(`[TableEngine] Buscando hueco (UTC): ${reservationStartUTC.toISOString()} - ${reservationEndUTC.toISOString()}`);
+    // 5. Los bloqueos de mesa concretos ocupan la mesa igual que una reserva
+    const tableBlocks = await this.getDayTableBlocks({ restaurantId, date, timezone });
+    existingReservations.push(...tableBlocks);
 
-      // 6. Obtener reservas conflictivas del día (En un rango amplio para filtrar en memoria)
-      // Usamos UTC para la consulta a BD
-      const startOfDayQuery = fromZonedTime(`${date}T00:00:00`, timezone).toISOString();
-      const endOfDayQuery = fromZonedTime(`${date}T23:59:59`, timezone).toISOString();
+    return {
+      success: true,
+      restaurantId,
+      timezone,
+      config: config || {},
+      allTables,
+      existingReservations
+    };
+  }
 
-      const { data: existingReservations, error: resError } = await supabase
-        .from('appointments')
-        .select('table_id, appointment_time, duration_minutes')
-        .eq('restaurant_id', restaurantId)
-        .gte('appointment_time', startOfDayQuery)
-        .lte('appointment_time', endOfDayQuery)
-        .in('status', ['pendiente', 'confirmado', 'en_mesa']);
+  /**
+   * Evalúa una hora concreta contra un contexto ya cargado.
+   * No hace consultas salvo que haya que buscar combinaciones sin contexto.
+   */
+  async evaluateSlot(context, { date, time, partySize, duration = 90, preference = null }) {
+    const { restaurantId, timezone, config, allTables, existingReservations } = context;
+
+    const fillOrder = config?.priorities?.fill_order || ['salon', 'terraza'];
+    const tableSizeOrder = config?.priorities?.table_size_order || [2, 4, 6, 8];
+
+    // 1. Filtrar mesas adecuadas por capacidad
+    const suitableTables = allTables.filter(table => {
+      const capacity = table.capacity || table.max_capacity || 0;
+      const minCap = table.min_capacity || 1;
+      return partySize >= minCap && partySize <= capacity;
+    });
+
+    console.log(`[TableEngine] ✅ Mesas adecuadas a las ${time}: ${suitableTables.length}/${allTables.length}`);
+
+    // 2. Calcular ventana de tiempo (CORREGIDO: Uso de fromZonedTime)
+    // Convertimos la hora local "20:00" en Madrid al instante UTC correcto
+    const localDateTimeStr = `${date}T${time}:00`;
+    const reservationStartUTC = fromZonedTime(localDateTimeStr, timezone);
+    const reservationEndUTC = addMinutes(reservationStartUTC, duration);
+
+    const combinationParams = {
+      restaurantId,
+      date,
+      time,
+      partySize,
+      duration,
+      allTables,
+      timezone,
+      preference,
+      fillOrder,
+      tableSizeOrder,
+      maxTables: config?.priorities?.max_combination_tables,
+      reservationStartUTC,
+      reservationEndUTC,
+      existingReservations
+    };
 
-      if (resError) throw resError;
+    // Si no hay mesas individuales, buscar combinaciones
+    if (suitableTables.length === 0) {
+      return await this.findTableCombinations(combinationParams);
+    }
 
-      // 7. Evaluar disponibilidad de mesas
-      const evaluatedTables = [];
+    // 3. Evaluar disponibilidad de mesas
+    const evaluatedTables = [];
 
-      for (const table of suitableTables) {
-        const isAvailable = this.checkTableAvailability({
-          table,
-          reservationStartUTC,
-          reservationEndUTC,
-          existingReservations: existingReservations || []
-        });
+    for (const table of suitableTables) {
+      const isAvailable = this.checkTableAvailability({
+        table,
+        reservationStartUTC,
+        reservationEndUTC,
+        existingReservations: existingReservations || []
+      });
 
-        if (!isAvailable) continue;
+      if (!isAvailable) continue;
 
-        const score = this.calculateTableScore({
-          table,
-          partySize,
-          preference,
-          fillOrder,
-          tableSizeOrder
-        });
+      const score = this.calculateTableScore({
+        table,
+        partySize,
+        preference,
+        fillOrder,
+        tableSizeOrder
+      });
 
-        evaluatedTables.push({
-          table,
-          score,
-          reason: this.getAssignmentReason(table, partySize, score)
-        });
-      }
+      evaluatedTables.push({
+        table,
+        score,
+        reason: this.getAssignmentReason(table, partySize, score)
+      });
+    }
 
-      // 8. Seleccionar la mejor
-      evaluatedTables.sort((a, b) => b.score - a.score);
+    // 4. Seleccionar la mejor
+    evaluatedTables.sort((a, b) => b.score - a.score);
 
-      if (evaluatedTables.length === 0) {
-        return {
-          success: false,
-          message: 'No hay mesas disponibles en ese horario'
-        };
-      }
+    if (evaluatedTables.length === 0) {
+      // Todas las mesas individuales están ocupadas: probar juntando mesas
+      const combinationResult = await this.findTableCombinations(combinationParams);
 
-      const bestOption = evaluatedTables[0];
+      if (combinationResult.success) return combinationResult;
 
       return {
-        success: true,
-        table: bestOption.table,
-        score: bestOption.score,
-        reason: bestOption.reason,
-        alternatives: evaluatedTables.slice(1, 3)
+        success: false,
+        message: 'No hay mesas disponibles en ese horario'
       };
-
-    } catch (error) {
-      console.error('[TableEngine] Error:', error);
-      return { success: false, message: 'Error interno asignando mesa' };
     }
+
+    const bestOption = evaluatedTables[0];
+
+    return {
+      success: true,
+      table: bestOption.table,
+      tables: [bestOption.table],
+      isCombination: false,
+      score: bestOption.score,
+      reason: bestOption.reason,
+      alternatives: evaluatedTables.slice(1, 3)
+    };
   }
 
   /**
@@ -222,17 +254,332 @@ class TableAssignmentEngine {
     return `Mesa ${table.table_number} (${table.capacity} pax) - Score: ${score}`;
   }
 
-  async findTableCombinations({ restaurantId, date, time, partySize, duration, allTables, timezone }) {
-    // Lógica para combinaciones (simplified for this snippet)
-    // Se puede expandir igual que findBestTable usando fromZonedTime
-    return {
-      success: false,
-      message: 'Combinación de mesas no implementada en esta versión'
-    };
+  /**
+   * Obtiene las reservas activas del día expandidas por mesa.
+   * Una reserva con mesas combinadas aparece una vez por cada mesa asignada.
+   */
+  async getDayReservations({ restaurantId, date, timezone }) {
+    // Usamos UTC para la consulta a BD
+    const startOfDayQuery = fromZonedTime(`${date}T00:00:00`, timezone).toISOString();
+    const endOfDayQuery = fromZonedTime(`${date}T23:59:59`, timezone).toISOString();
+
+    const { data: appointments, error } = await supabase
+      .from('appointments')
+      .select(`
+        id,
+        table_id,
+        appointment_time,
+        duration_minutes,
+        table_assignments (
+          table_id,
+          is_active
+        )
+      `)
+      .eq('restaurant_id', restaurantId)
+      .is('deleted_at', null)
+      .gte('appointment_time', startOfDayQuery)
+      .lte('appointment_time', endOfDayQuery)
+      .in('status', ACTIVE_STATUSES);
+
+    if (error) throw error;
+
+    const reservations = [];
+
+    for (const apt of appointments || []) {
+      const tableIds = new Set();
+      if (apt.table_id) tableIds.add(apt.table_id);
+
+      (apt.table_assignments || [])
+        .filter(a => a.table_id && a.is_active !== false)
+        .forEach(a => tableIds.add(a.table_id));
+
+      for (const tableId of tableIds) {
+        reservations.push({
+          appointment_id: apt.id,
+          table_id: tableId,
+          appointment_time: apt.appointment_time,
+          duration_minutes: apt.duration_minutes
+        });
+      }
+    }
+
+    return reservations;
+  }
+
+  /**
+   * Bloqueos activos de mesas concretas que tocan el día,
+   * con la misma forma que una reserva para reutilizar checkTableAvailability.
+   */
+  async getDayTableBlocks({ restaurantId, date, timezone }) {
+    const startOfDayQuery = fromZonedTime(`${date}T00:00:00`, timezone).toISOString();
+    const endOfDayQuery = fromZonedTime(`${date}T23:59:59`, timezone).toISOString();
+
+    const { data: blocks, error } = await supabase
+      .from('blocked_slots')
+      .select('table_id, blocked_from, blocked_until')
+      .eq('restaurant_id', restaurantId)
+      .eq('is_active', true)
+      .not('table_id', 'is', null)
+      .lte('blocked_from', endOfDayQuery)
+      .gte('blocked_until', startOfDayQuery);
+
+    if (error) throw error;
+
+    return (blocks || []).map(block => ({
+      table_id: block.table_id,
+      appointment_time: block.blocked_from,
+      duration_minutes: Math.ceil((new Date(block.blocked_until) - new Date(block.blocked_from)) / 60000)
+    }));
+  }
+
+  /**
+   * Devuelve true si dos mesas se pueden juntar.
+   * Basta con que una de las dos declare a la otra en combinable_with.
+   */
+  canCombine(tableA, tableB) {
+    const aList = tableA.combinable_with || [];
+    const bList = tableB.combinable_with || [];
+    return aList.includes(tableB.id) || bList.includes(tableA.id);
+  }
+
+  /**
+   * Busca grupos de mesas combinables y libres que sienten al grupo completo
+   */
+  async findTableCombinations({
+    restaurantId,
+    date,
+    time,
+    partySize,
+    duration,
+    allTables,
+    timezone,
+    preference = null,
+    fillOrder = [],
+    tableSizeOrder = [],
+    maxTables = 3,
+    reservationStartUTC = null,
+    reservationEndUTC = null,
+    existingReservations = null
+  }) {
+    try {
+      const maxCombinationSize = parseInt(maxTables) || 3;
+
+      // Ventana y reservas: se reutilizan si ya las calculó findBestTable
+      const startUTC = reservationStartUTC || fromZonedTime(`${date}T${time}:00`, timezone);
+      const endUTC = reservationEndUTC || addMinutes(startUTC, duration);
+      const reservations = existingReservations
+        || await this.getDayReservations({ restaurantId, date, timezone });
+
+      // 1. Solo mesas combinables que estén libres en la franja
+      const freeTables = allTables.filter(table => {
+        const isCombinable = (table.combinable_with || []).length > 0
+          || allTables.some(other => other.id !== table.id && this.canCombine(table, other));
+
+        return isCombinable && this.checkTableAvailability({
+          table,
+          reservationStartUTC: startUTC,
+          reservationEndUTC: endUTC,
+          existingReservations: reservations
+        });
+      });
+
+      console.log(`[TableEngine] 🔗 Mesas combinables libres: ${freeTables.length}`);
+
+      if (freeTables.length < 2) {
+        return {
+          success: false,
+          message: 'No hay combinaciones de mesas disponibles para este grupo'
+        };
+      }
+
+      // 2. Explorar grupos conectados (cada mesa unida a alguna del grupo)
+      const candidates = [];
+      const visited = new Set();
+
+      const explore = (group) => {
+        const key = group.map(t => t.id).sort().join('|');
+        if (visited.has(key)) return;
+        visited.add(key);
+
+        const totalCapacity = group.reduce((sum, t) => sum + (t.capacity || 0), 0);
+
+        // Ya sienta al grupo: no seguimos añadiendo mesas
+        if (group.length > 1 && totalCapacity >= partySize) {
+          candidates.push({ tables: [...group], totalCapacity });
+          return;
+        }
+
+        if (group.length >= maxCombinationSize) return;
+
+        for (const table of freeTables) {
+          if (group.some(t => t.id === table.id)) continue;
+          if (!group.some(t => this.canCombine(t, table))) continue;
+          explore([...group, table]);
+        }
+      };
+
+      freeTables.forEach(table => explore([table]));
+
+      if (candidates.length === 0) {
+        return {
+          success: false,
+          message: 'No hay combinaciones de mesas disponibles para este grupo'
+        };
+      }
+
+      // 3. Puntuar como una mesa virtual, penalizando cada mesa extra
+      const evaluated = candidates.map(({ tables, totalCapacity }) => {
+        const sameZone = tables.every(t => t.table_type === tables[0].table_type);
+        const virtualTable = {
+          capacity: totalCapacity,
+          table_type: sameZone ? tables[0].table_type : null,
+          priority: Math.min(...tables.map(t => t.priority || 0))
+        };
+
+        const score = this.calculateTableScore({
+          table: virtualTable,
+          partySize,
+          preference,
+          fillOrder,
+          tableSizeOrder
+        }) - (tables.length - 1) * 15;
+
+        const sortedTables = [...tables].sort((a, b) =>
+          String(a.table_number).localeCompare(String(b.table_number), undefined, { numeric: true })
+        );
+
+        return {
+          tables: sortedTables,
+          score,
+          reason: this.getCombinationReason(sortedTables, totalCapacity, score)
+        };
+      });
+
+      evaluated.sort((a, b) => b.score - a.score);
+
+      const bestOption = evaluated[0];
+
+      console.log(`[TableEngine] ✅ Combinación elegida: ${bestOption.reason}`);
+
+      return {
+        success: true,
+        table: bestOption.tables[0],
+        tables: bestOption.tables,
+        isCombination: true,
+        score: bestOption.score,
+        reason: bestOption.reason,
+        alternatives: evaluated.slice(1, 3)
+      };
+
+    } catch (error) {
+      console.error('[TableEngine] Error buscando combinaciones:', error);
+      return { success: false, message: 'Error interno buscando combinación de mesas' };
+    }
+  }
+
+  getCombinationReason(tables, totalCapacity, score) {
+    const numbers = tables.map(t => t.table_number).join(' + ');
+    return `Mesas ${numbers} (${totalCapacity} pax) - Score: ${score}`;
+  }
+
+  /**
+   * Devuelve el turno de config.schedules que contiene la hora dada
+   */
+  getScheduleForTime(time, schedules) {
+    if (!schedules) return null;
+
+    for (const [key, schedule] of Object.entries(schedules)) {
+      const isEnabled = schedule?.enabled === true || schedule?.enabled === 'true';
+      if (!isEnabled || !schedule.start_time || !schedule.end_time) continue;
+
+      if (time >= schedule.start_time && time < schedule.end_time) {
+        return { key, start: schedule.start_time, end: schedule.end_time };
+      }
+    }
+
+    return null;
   }
 
-  async findAlternativeTimes() {
-    return [];
+  /**
+   * Busca horas cercanas dentro del mismo turno con mesa o combinación libre.
+   * Las sugerencias se ordenan por cercanía a la hora pedida.
+   */
+  async findAlternativeTimes({
+    restaurantId,
+    date,
+    time,
+    partySize,
+    duration = 90,
+    preference = null,
+    maxSuggestions = 3,
+    stepMinutes = 15
+  }) {
+    try {
+      const context = await this.loadDayContext({ restaurantId, date });
+
+      if (!context.success) return [];
+
+      const toMinutes = (t) => {
+        const [h, m] = t.split(':').map(Number);
+        return h * 60 + m;
+      };
+      const toTimeStr = (minutes) =>
+        `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+      // 1. Límites de búsqueda: el turno de la hora pedida (o ±2h si no hay turnos)
+      const schedule = this.getScheduleForTime(time, context.config.schedules);
+      const requestedMinutes = toMinutes(time);
+
+      const windowStart = schedule ? toMinutes(schedule.start) : Math.max(0, requestedMinutes - 120);
+      const windowEnd = schedule ? toMinutes(schedule.end) : Math.min(24 * 60, requestedMinutes + 120);
+
+      console.log(`[TableEngine] 🔎 Alternativas para ${time} en ${schedule?.key || 'ventana ±2h'} (${toTimeStr(windowStart)}-${toTimeStr(windowEnd)})`);
+
+      // 2. Generar candidatos (la reserva debe terminar antes del fin del turno)
+      const candidates = [];
+      for (let minutes = windowStart; minutes + duration <= windowEnd; minutes += stepMinutes) {
+        if (minutes === requestedMinutes) continue;
+        candidates.push(minutes);
+      }
+
+      candidates.sort((a, b) =>
+        Math.abs(a - requestedMinutes) - Math.abs(b - requestedMinutes) || a - b
+      );
+
+      // 3. Evaluar contra el contexto ya cargado, de la más cercana a la más lejana
+      const suggestions = [];
+
+      for (const minutes of candidates) {
+        if (suggestions.length >= maxSuggestions) break;
+
+        const candidateTime = toTimeStr(minutes);
+        const result = await this.evaluateSlot(context, {
+          date,
+          time: candidateTime,
+          partySize,
+          duration,
+          preference
+        });
+
+        if (result.success) {
+          suggestions.push({
+            time: candidateTime,
+            shift: schedule?.key || null,
+            tableNumbers: result.tables.map(t => t.table_number),
+            isCombination: result.isCombination,
+            reason: result.reason
+          });
+        }
+      }
+
+      suggestions.sort((a, b) => a.time.localeCompare(b.time));
+
+      return suggestions;
+
+    } catch (error) {
+      console.error('[TableEngine] Error buscando horas alternativas:', error);
+      return [];
+    }
   }
 }
 
@@ -0,0 +1,516 @@
+import { supabase } from '../config/database.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from './auditService.js';
+import consentService from './consentService.js';
+import notificationService, { NOTIFICATION_TYPES } from './notificationService.js';
+import reminderService from './reminderService.js';
+
+// Reglas de un segmento. Todas las indicadas tienen que cumplirse.
+export const SEGMENT_RULES = {
+  tags: 'Tiene todas estas etiquetas',
+  is_vip: 'Es (o no es) VIP',
+  min_visits: 'Visitas completadas ≥ N',
+  last_visit_before: 'Última visita antes de la fecha (YYYY-MM-DD)',
+  last_visit_after: 'Última visita desde la fecha (YYYY-MM-DD)',
+  min_total_spent: 'Gasto total ≥ importe',
+  favorite_service: 'Su servicio más reservado (id o nombre)',
+  min_no_shows: 'No-shows ≥ N',
+  birthday_month: 'Cumple años en el mes (1-12)',
+};
+
+export const CAMPAIGN_CHANNELS = ['email', 'whatsapp'];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const DATE_RULES = ['last_visit_before', 'last_visit_after'];
+const COUNT_RULES = ['min_visits', 'min_no_shows'];
+// Reglas que necesitan las citas completadas del cliente
+const METRIC_RULES = ['min_total_spent', 'favorite_service'];
+
+const normalizeText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+/**
+ * Etiquetas libres y segmentos dinámicos de clientes.
+ * Un segmento es un filtro guardado: la pertenencia se calcula en el servidor cada vez,
+ * y sirve igual para el listado, la exportación y como audiencia de una campaña.
+ */
+class SegmentService {
+
+  // ================================================================
+  // ETIQUETAS
+  // ================================================================
+
+  /**
+   * Minúsculas, sin espacios repetidos y sin duplicados
+   * @returns {{ tags: string[]|null, error: string|null }}
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+      return { tags: null, error: 'tags debe ser una lista de etiquetas' };
+    }
+
+    if (tags.some(tag => typeof tag !== 'string')) {
+      return { tags: null, error: 'Cada etiqueta debe ser un texto' };
+    }
+
+    const normalized = [...new Set(tags.map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+
+    if (normalized.length > MAX_TAGS) {
+      return { tags: null, error: `Un cliente puede tener como máximo ${MAX_TAGS} etiquetas` };
+    }
+
+    const tooLong = normalized.find(tag => tag.length > MAX_TAG_LENGTH);
+    if (tooLong) {
+      return { tags: null, error: `La etiqueta "${tooLong}" supera los ${MAX_TAG_LENGTH} caracteres` };
+    }
+
+    return { tags: normalized, error: null };
+  }
+
+  /**
+   * Etiquetas en uso en el negocio, de la más a la menos usada
+   */
+  async listTags(businessId) {
+    const { data, error } = await supabase
+      .from('customers')
+      .select('tags')
+      .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
+      .is('anonymized_at', null);
+
+    if (error) throw error;
+
+    const counts = {};
+    for (const customer of data || []) {
+      for (const tag of customer.tags || []) {
+        counts[tag] = (counts[tag] || 0) + 1;
+      }
+    }
+
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([tag, count]) => ({ tag, count }));
+  }
+
+  // ================================================================
+  // REGLAS
+  // ================================================================
+
+  /**
+   * @returns {string|null} mensaje de error
+   */
+  validateRules(rules) {
+    if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+      return 'rules debe ser un objeto { regla: valor }';
+    }
+
+    for (const [key, value] of Object.entries(rules)) {
+      if (!SEGMENT_RULES[key]) {
+        return `Regla desconocida: ${key}. Válidas: ${Object.keys(SEGMENT_RULES).join(', ')}`;
+      }
+
+      if (key === 'tags' && this.normalizeTags(value).error) {
+        return this.normalizeTags(value).error;
+      }
+
+      if (key === 'is_vip' && typeof value !== 'boolean') {
+        return 'is_vip debe ser true o false';
+      }
+
+      if (COUNT_RULES.includes(key) && (!Number.isInteger(value) || value < 0)) {
+        return `${key} debe ser un número entero mayor o igual que 0`;
+      }
+
+      if (DATE_RULES.includes(key) && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value)))) {
+        return `${key} debe ser una fecha YYYY-MM-DD`;
+      }
+
+      if (key === 'min_total_spent' && (typeof value !== 'number' || value < 0)) {
+        return 'min_total_spent debe ser un importe mayor o igual que 0';
+      }
+
+      if (key === 'favorite_service' && (typeof value !== 'string' || !value.trim())) {
+        return 'favorite_service debe ser el id o el nombre de un servicio';
+      }
+
+      if (key === 'birthday_month' && (!Number.isInteger(value) || value < 1 || value > 12)) {
+        return 'birthday_month debe ser un mes entre 1 y 12';
+      }
+    }
+
+    return null;
+  }
+
+  needsMetrics(rules) {
+    return METRIC_RULES.some(key => rules?.[key] !== undefined);
+  }
+
+  /**
+   * Gasto y servicio más reservado por cliente, a partir de sus citas completadas
+   * (los mismos cálculos que la ficha del cliente)
+   */
+  async loadMetrics(businessId) {
+    const { data, error } = await supabase
+      .from('appointments')
+      .select('customer_id, amount_paid, service_id, service_name')
+      .eq('restaurant_id', businessId)
+      .eq('status', 'completada')
+      .is('deleted_at', null)
+      .not('customer_id', 'is', null);
+
+    if (error) throw error;
+
+    const metrics = {};
+
+    for (const apt of data || []) {
+      const entry = metrics[apt.customer_id] || (metrics[apt.customer_id] = { total_spent: 0, services: {} });
+      entry.total_spent += parseFloat(apt.amount_paid) || 0;
+
+      if (apt.service_name) {
+        const service = entry.services[apt.service_name] || (entry.services[apt.service_name] = { id: apt.service_id, name: apt.service_name, count: 0 });
+        service.count++;
+      }
+    }
+
+    for (const entry of Object.values(metrics)) {
+      entry.favorite_service = Object.values(entry.services).sort((a, b) => b.count - a.count)[0] || null;
+      delete entry.services;
+    }
+
+    return metrics;
+  }
+
+  /**
+   * ¿Cumple el cliente todas las reglas?
+   */
+  matches(customer, rules, metrics = {}) {
+    const customerMetrics = metrics[customer.id] || { total_spent: 0, favorite_service: null };
+    const lastVisit = customer.last_visit_at ? new Date(customer.last_visit_at) : null;
+
+    if (rules.tags?.length) {
+      const tags = customer.tags || [];
+      if (!this.normalizeTags(rules.tags).tags.every(tag => tags.includes(tag))) return false;
+    }
+
+    if (rules.is_vip !== undefined && !!customer.is_vip !== rules.is_vip) return false;
+
+    if (rules.min_visits !== undefined && (customer.total_visits || 0) < rules.min_visits) return false;
+
+    if (rules.min_no_shows !== undefined && (customer.no_show_count || 0) < rules.min_no_shows) return false;
+
+    if (rules.last_visit_before && !(lastVisit && lastVisit < new Date(rules.last_visit_before))) return false;
+
+    if (rules.last_visit_after && !(lastVisit && lastVisit >= new Date(rules.last_visit_after))) return false;
+
+    if (rules.min_total_spent !== undefined && customerMetrics.total_spent < rules.min_total_spent) return false;
+
+    if (rules.favorite_service) {
+      const favorite = customerMetrics.favorite_service;
+      const wanted = normalizeText(rules.favorite_service);
+      if (!favorite || (favorite.id !== rules.favorite_service && normalizeText(favorite.name) !== wanted)) return false;
+    }
+
+    if (rules.birthday_month !== undefined) {
+      if (!customer.birth_date || parseInt(customer.birth_date.slice(5, 7)) !== rules.birthday_month) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Clientes activos del negocio (sin papelera ni anonimizados)
+   */
+  async loadCustomers(businessId) {
+    const { data, error } = await supabase
+      .from('customers')
+      .select('*')
+      .eq('restaurant_id', businessId)
+      .is('deleted_at', null)
+      .is('anonymized_at', null)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Clientes que cumplen las reglas. customers/metrics permiten reutilizar lo ya cargado.
+   */
+  async evaluate(businessId, rules, { customers = null, metrics = null } = {}) {
+    const list = customers || await this.loadCustomers(businessId);
+    const customerMetrics = metrics || (this.needsMetrics(rules) ? await this.loadMetrics(businessId) : {});
+
+    return list.filter(customer => this.matches(customer, rules, customerMetrics));
+  }
+
+  // ================================================================
+  // SEGMENTOS GUARDADOS
+  // ================================================================
+
+  async get(businessId, segmentId) {
+    const { data } = await supabase
+      .from('customer_segments')
+      .select('*')
+      .eq('id', segmentId)
+      .eq('restaurant_id', businessId)
+      .single();
+
+    return data || null;
+  }
+
+  /**
+   * Segmentos del negocio con su número de miembros actual
+   */
+  async list(businessId) {
+    const { data: segments, error } = await supabase
+      .from('customer_segments')
+      .select('*')
+      .eq('restaurant_id', businessId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    if (!segments?.length) return [];
+
+    const customers = await this.loadCustomers(businessId);
+    const metrics = segments.some(s => this.needsMetrics(s.rules)) ? await this.loadMetrics(businessId) : {};
+
+    return segments.map(segment => ({
+      ...segment,
+      member_count: customers.filter(customer => this.matches(customer, segment.rules, metrics)).length
+    }));
+  }
+
+  /**
+   * @returns {Promise<Array|null>} null si el segmento no existe
+   */
+  async getMembers(businessId, segmentId) {
+    const segment = await this.get(businessId, segmentId);
+    if (!segment) return null;
+
+    return this.evaluate(businessId, segment.rules);
+  }
+
+  /**
+   * @returns {Promise<object>} { success: true, segment } o { success: false, status, body }
+   */
+  async save(req, businessId, segmentId, { name, description, rules }) {
+    const existing = segmentId ? await this.get(businessId, segmentId) : null;
+
+    if (segmentId && !existing) {
+      return { success: false, status: 404, body: { error: 'Segmento no encontrado' } };
+    }
+
+    if (!segmentId && (!name || rules === undefined)) {
+      return { success: false, status: 400, body: { error: 'name y rules son requeridos' } };
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return { success: false, status: 400, body: { error: 'El nombre no puede estar vacío' } };
+    }
+
+    const rulesError = rules !== undefined ? this.validateRules(rules) : null;
+    if (rulesError) {
+      return { success: false, status: 400, body: { error: rulesError } };
+    }
+
+    const fields = { updated_at: new Date().toISOString() };
+    if (name !== undefined) fields.name = name.trim();
+    if (description !== undefined) fields.description = description || null;
+    if (rules !== undefined) {
+      fields.rules = rules.tags ? { ...rules, tags: this.normalizeTags(rules.tags).tags } : rules;
+    }
+
+    const query = existing
+      ? supabase.from('customer_segments').update(fields).eq('id', segmentId)
+      : supabase.from('customer_segments').insert({ ...fields, restaurant_id: businessId, created_by: req.user?.id || null });
+
+    const { data: segment, error } = await query.select().single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { success: false, status: 409, body: { error: 'Ya existe un segmento con ese nombre' } };
+      }
+      throw error;
+    }
+
+    await auditService.record(req, {
+      businessId,
+      entityType: AUDIT_ENTITIES.SEGMENT,
+      entityId: segment.id,
+      action: existing ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+      before: existing,
+      after: segment
+    });
+
+    return { success: true, segment };
+  }
+
+  /**
+   * @returns {Promise<boolean>} false si no existe
+   */
+  async remove(req, businessId, segmentId) {
+    const segment = await this.get(businessId, segmentId);
+    if (!segment) return false;
+
+    const { error } = await supabase
+      .from('customer_segments')
+      .delete()
+      .eq('id', segmentId);
+
+    if (error) throw error;
+
+    await auditService.record(req, {
+      businessId,
+      entityType: AUDIT_ENTITIES.SEGMENT,
+      entityId: segmentId,
+      action: AUDIT_ACTIONS.DELETE,
+      before: segment
+    });
+
+    return true;
+  }
+
+  // ================================================================
+  // CAMPAÑAS
+  // ================================================================
+
+  /**
+   * Encola una promoción para los miembros del segmento que han dado su consentimiento en el canal.
+   * El outbox vuelve a comprobarlo al entregar, por si alguien se da de baja entretanto.
+   * @returns {Promise<object>} { success: true, campaign, stats } o { success: false, status, body }
+   */
+  async sendCampaign(req, business, segmentId, { channel, subject, message }) {
+    if (!CAMPAIGN_CHANNELS.includes(channel)) {
+      return { success: false, status: 400, body: { error: `channel debe ser ${CAMPAIGN_CHANNELS.join(' o ')}` } };
+    }
+
+    if (!message || (channel === 'email' && !subject)) {
+      return { success: false, status: 400, body: { error: channel === 'email' ? 'subject y message son requeridos' : 'message es requerido' } };
+    }
+
+    const segment = await this.get(business.id, segmentId);
+    if (!segment) {
+      return { success: false, status: 404, body: { error: 'Segmento no encontrado' } };
+    }
+
+    const instanceName = channel === 'whatsapp' ? await reminderService.getWhatsAppInstance(business.id) : null;
+    if (channel === 'whatsapp' && !instanceName) {
+      return { success: false, status: 409, body: { error: 'El negocio no tiene WhatsApp conectado' } };
+    }
+
+    const members = await this.evaluate(business.id, segment.rules);
+    const stats = { audience: members.length, queued: 0, withoutConsent: 0, withoutContact: 0 };
+
+    const { data: consents, error: consentsError } = members.length > 0
+      ? await supabase
+        .from('customer_consents')
+        .select('customer_id')
+        .eq('channel', channel)
+        .eq('granted', true)
+        .in('customer_id', members.map(c => c.id))
+      : { data: [], error: null };
+
+    if (consentsError) throw consentsError;
+
+    const consenting = new Set((consents || []).map(c => c.customer_id));
+
+    const { data: campaign, error } = await supabase
+      .from('campaigns')
+      .insert({
+        restaurant_id: business.id,
+        segment_id: segment.id,
+        channel,
+        subject: subject || null,
+        message,
+        audience_count: members.length,
+        created_by: req.user?.id || null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    for (const customer of members) {
+      const recipient = channel === 'email' ? customer.email : customer.phone;
+
+      if (!consenting.has(customer.id)) {
+        stats.withoutConsent++;
+        continue;
+      }
+
+      if (!recipient) {
+        stats.withoutContact++;
+        continue;
+      }
+
+      const unsubscribeUrl = consentService.getUnsubscribeUrl({
+        customerId: customer.id,
+        businessId: business.id,
+        slug: business.slug,
+        channel
+      });
+
+      const payload = channel === 'email'
+        ? {
+          customer_email: customer.email,
+          customer_name: customer.name,
+          business_name: business.name,
+          subject,
+          message,
+          unsubscribe_url: unsubscribeUrl
+        }
+        : {
+          instance_name: instanceName,
+          text: `Hola ${customer.name} 👋\n\n${message}`,
+          unsubscribe_url: unsubscribeUrl
+        };
+
+      await notificationService.enqueue({
+        businessId: business.id,
+        customerId: customer.id,
+        campaignId: campaign.id,
+        type: NOTIFICATION_TYPES.PROMOTION,
+        channel,
+        recipient,
+        payload
+      });
+
+      stats.queued++;
+    }
+
+    await supabase
+      .from('campaigns')
+      .update({ queued_count: stats.queued })
+      .eq('id', campaign.id);
+
+    await auditService.record(req, {
+      businessId: business.id,
+      entityType: AUDIT_ENTITIES.CAMPAIGN,
+      entityId: campaign.id,
+      action: AUDIT_ACTIONS.CREATE,
+      changes: { segment: { from: null, to: segment.name }, channel: { from: null, to: channel }, queued: { from: null, to: stats.queued } }
+    });
+
+    console.log(`[Campaigns] 📣 Campaña ${campaign.id} (${channel}) al segmento "${segment.name}":`, stats);
+
+    return { success: true, campaign: { ...campaign, queued_count: stats.queued }, stats };
+  }
+
+  async listCampaigns(businessId, { limit = 50 } = {}) {
+    const { data, error } = await supabase
+      .from('campaigns')
+      .select('*, customer_segments ( name )')
+      .eq('restaurant_id', businessId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+}
+
+export default new SegmentService();
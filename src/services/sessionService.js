@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { supabase } from '../config/database.js';
+import membershipService from './membershipService.js';
+
+const ACCESS_TOKEN_EXPIRES_IN = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Sesiones con access token corto + refresh token rotatorio guardado en BD.
+ * El refresh token tiene la forma "<sessionId>.<secreto>"; sólo se guarda el hash del secreto.
+ */
+class SessionService {
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  newSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS() * 86400000).toISOString();
+  }
+
+  getAccessTokenExpiresIn() {
+    return ACCESS_TOKEN_EXPIRES_IN();
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        sid: sessionId,
+        email: user.email,
+        role: user.role,
+        restaurantId: user.restaurant_id,
+        isSuperAdmin: user.is_platform_admin
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN() }
+    );
+  }
+
+  /**
+   * Abre una sesión nueva (login). user ya trae aplicado el negocio activo.
+   * @returns {{ token: string, refreshToken: string, expiresIn: string }}
+   */
+  async create(user, req) {
+    const secret = this.newSecret();
+
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .insert({
+        user_id: user.id,
+        active_business_id: user.restaurant_id || null,
+        refresh_token_hash: this.hashSecret(secret),
+        user_agent: req?.headers?.['user-agent'] || null,
+        ip_address: req?.ip || null,
+        expires_at: this.refreshExpiry(),
+        last_used_at: new Date().toISOString()
+      })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+
+    return {
+      token: this.signAccessToken(user, session.id),
+      refreshToken: `${session.id}.${secret}`,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN()
+    };
+  }
+
+  /**
+   * Cambia el refresh token por uno nuevo (el anterior deja de valer)
+   * @returns {Promise<{ token, refreshToken, expiresIn } | null>}
+   */
+  async refresh(refreshToken) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+    if (!sessionId || !secret) return null;
+
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .select('*, restaurant_users(*)')
+      .eq('id', sessionId)
+      .single();
+
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return null;
+    }
+
+    const hash = this.hashSecret(secret);
+
+    if (hash !== session.refresh_token_hash) {
+      // Reutilización de un token ya rotado: alguien más lo tiene
+      if (hash === session.previous_token_hash) {
+        console.warn(`[Sessions] ⚠️ Refresh token reutilizado en sesión ${session.id}. Revocando.`);
+        await this.revoke(session.id, 'token_reuse');
+      }
+      return null;
+    }
+
+    const user = session.restaurant_users;
+    if (!user || !user.is_active) {
+      await this.revoke(session.id, 'user_inactive');
+      return null;
+    }
+
+    // Mismo criterio que el login: sin negocio activo la sesión no se renueva
+    if (!user.is_platform_admin) {
+      const memberships = await membershipService.listForUser(user.id);
+
+      if (!membershipService.pickActive(memberships, session.active_business_id, user.restaurant_id)) {
+        await this.revoke(session.id, 'no_membership');
+        return null;
+      }
+    }
+
+    const newSecret = this.newSecret();
+
+    // Condición sobre el hash actual: dos refrescos simultáneos no pueden ganar ambos
+    const { data: rotated } = await supabase
+      .from('user_sessions')
+      .update({
+        refresh_token_hash: this.hashSecret(newSecret),
+        previous_token_hash: hash,
+        expires_at: this.refreshExpiry(),
+        last_used_at: new Date().toISOString()
+      })
+      .eq('id', session.id)
+      .eq('refresh_token_hash', hash)
+      .select('id')
+      .single();
+
+    if (!rotated) return null;
+
+    const activeUser = { ...user, restaurant_id: session.active_business_id || user.restaurant_id };
+
+    return {
+      token: this.signAccessToken(activeUser, session.id),
+      refreshToken: `${session.id}.${newSecret}`,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN()
+    };
+  }
+
+  /**
+   * Sesión viva de un access token (con su negocio activo), o null si fue revocada
+   */
+  async getActive(sessionId, userId) {
+    if (!sessionId) return null;
+
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .select('id, revoked_at, active_business_id')
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .single();
+
+    return session && !session.revoked_at ? session : null;
+  }
+
+  async setActiveBusiness(sessionId, businessId) {
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({ active_business_id: businessId, last_used_at: new Date().toISOString() })
+      .eq('id', sessionId);
+
+    if (error) throw error;
+  }
+
+  async revoke(sessionId, reason = 'logout') {
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Cierra todas las sesiones de un usuario
+   * (opcionalmente salvo la actual, o sólo las que tienen activo un negocio)
+   */
+  async revokeAll(userId, reason, { exceptSessionId = null, businessId = null } = {}) {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (exceptSessionId) {
+      query = query.neq('id', exceptSessionId);
+    }
+
+    if (businessId) {
+      query = query.eq('active_business_id', businessId);
+    }
+
+    const { error } = await query;
+    if (error) throw error;
+
+    console.log(`[Sessions] 🔒 Sesiones de ${userId} revocadas (${reason})`);
+  }
+
+}
+
+export default new SessionService();
@@ -0,0 +1,171 @@
+import { supabase } from '../config/database.js';
+import auditService, { AUDIT_ENTITIES, AUDIT_ACTIONS } from './auditService.js';
+
+// Entidades con papelera. El orden importa al purgar: primero las citas,
+// que son las que apuntan a clientes, servicios y mesas.
+export const TRASH_ENTITIES = {
+  appointments: { table: 'appointments', auditEntity: AUDIT_ENTITIES.APPOINTMENT },
+  customers: { table: 'customers', auditEntity: AUDIT_ENTITIES.CUSTOMER },
+  services: { table: 'services', auditEntity: AUDIT_ENTITIES.SERVICE },
+  tables: { table: 'tables', auditEntity: AUDIT_ENTITIES.TABLE },
+};
+
+export const DEFAULT_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 3650;
+
+/**
+ * Papelera: borrado lógico (deleted_at / deleted_by), restauración y purgado.
+ * Los listados normales filtran .is('deleted_at', null).
+ */
+class TrashService {
+
+  getRetentionDays(config) {
+    return parseInt(config?.trash_retention_days) || DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Valida config.trash_retention_days antes de guardarla
+   * @returns {string|null} mensaje de error
+   */
+  validateRetention(days) {
+    if (days === undefined || days === null) return null;
+
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_RETENTION_DAYS) {
+      return `trash_retention_days debe ser un número de días entre 1 y ${MAX_RETENTION_DAYS}`;
+    }
+    return null;
+  }
+
+  /**
+   * Manda filas a la papelera
+   * @returns {Promise<object[]>} filas eliminadas
+   */
+  async softDelete(entity, businessId, ids, userId = null) {
+    const { table } = TRASH_ENTITIES[entity];
+
+    const { data, error } = await supabase
+      .from(table)
+      .update({
+        deleted_at: new Date().toISOString(),
+        deleted_by: userId
+      })
+      .eq('restaurant_id', businessId)
+      .in('id', ids)
+      .is('deleted_at', null)
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Saca una fila de la papelera
+   * @returns {Promise<object|null>} fila restaurada, o null si no estaba en la papelera
+   */
+  async restore(entity, businessId, id) {
+    const { table } = TRASH_ENTITIES[entity];
+
+    const { data } = await supabase
+      .from(table)
+      .update({ deleted_at: null, deleted_by: null })
+      .eq('id', id)
+      .eq('restaurant_id', businessId)
+      .not('deleted_at', 'is', null)
+      .select()
+      .single();
+
+    return data || null;
+  }
+
+  /**
+   * Un cliente eliminado que vuelve a reservar sale de la papelera
+   */
+  async restoreIfDeleted(entity, businessId, row) {
+    if (!row?.deleted_at) return row;
+
+    console.log(`[Trash] ♻️ ${entity}/${row.id} vuelve a usarse: se restaura`);
+    return (await this.restore(entity, businessId, row.id)) || row;
+  }
+
+  async list(entity, businessId, { limit = 100 } = {}) {
+    const { table } = TRASH_ENTITIES[entity];
+
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq('restaurant_id', businessId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Borra definitivamente lo que lleva en la papelera más que la retención del negocio.
+   * Si una fila sigue referenciada (p. ej. un servicio con citas históricas) la BD
+   * rechaza el borrado: se queda en la papelera y se reintenta en el siguiente purgado.
+   */
+  async purgeBusiness(business, now = new Date()) {
+    const retentionDays = this.getRetentionDays(business.config);
+    const cutoff = new Date(now.getTime() - retentionDays * 86400000).toISOString();
+    const result = {};
+
+    for (const [entity, { table, auditEntity }] of Object.entries(TRASH_ENTITIES)) {
+      const { data, error } = await supabase
+        .from(table)
+        .delete()
+        .eq('restaurant_id', business.id)
+        .lt('deleted_at', cutoff)
+        .select('id');
+
+      if (error) {
+        console.error(`[Trash] Error purgando ${entity} de ${business.name}:`, error.message);
+        result[entity] = 0;
+        continue;
+      }
+
+      result[entity] = (data || []).length;
+
+      if (result[entity] > 0) {
+        await auditService.recordMany(null, data.map(row => ({
+          businessId: business.id,
+          entityType: auditEntity,
+          entityId: row.id,
+          action: AUDIT_ACTIONS.PURGE,
+          changes: {}
+        })));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Cron: purga la papelera de todos los negocios
+   */
+  async purgeAll(now = new Date()) {
+    const { data: businesses, error } = await supabase
+      .from('restaurants')
+      .select('id, name, config');
+
+    if (error) throw error;
+
+    const stats = Object.fromEntries(Object.keys(TRASH_ENTITIES).map(entity => [entity, 0]));
+
+    for (const business of businesses || []) {
+      const result = await this.purgeBusiness(business, now);
+
+      for (const [entity, count] of Object.entries(result)) {
+        stats[entity] += count;
+      }
+    }
+
+    return stats;
+  }
+
+}
+
+export default new TrashService();
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import { supabase } from '../config/database.js';
+import emailService from './emailService.js';
+
+export const TOKEN_PURPOSES = {
+  INVITE: 'invite',
+  PASSWORD_RESET: 'password_reset',
+};
+
+const TTL_MINUTES = {
+  [TOKEN_PURPOSES.INVITE]: 7 * 24 * 60,
+  [TOKEN_PURPOSES.PASSWORD_RESET]: 60,
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Tokens de un solo uso para invitar usuarios y restablecer contraseñas.
+ * El token en claro sólo viaja en el email; en BD queda su hash.
+ */
+class UserTokenService {
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  getTtlMinutes(purpose) {
+    return TTL_MINUTES[purpose];
+  }
+
+  /**
+   * @returns {string|null} mensaje de error
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`;
+    }
+    return null;
+  }
+
+  /**
+   * Crea un token nuevo e invalida los anteriores del mismo tipo.
+   * businessId indica a qué negocio se invita (una cuenta puede estar en varios)
+   * @returns {Promise<string>} token en claro para el enlace
+   */
+  async create(userId, purpose, { businessId = null } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    await supabase
+      .from('user_tokens')
+      .update({ used_at: now.toISOString() })
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null);
+
+    const { error } = await supabase
+      .from('user_tokens')
+      .insert({
+        user_id: userId,
+        restaurant_id: businessId,
+        purpose,
+        token_hash: this.hashToken(token),
+        expires_at: new Date(now.getTime() + TTL_MINUTES[purpose] * 60000).toISOString()
+      });
+
+    if (error) throw error;
+    return token;
+  }
+
+  /**
+   * Consulta un token sin consumirlo (para mostrar la invitación)
+   * @returns {Promise<object|null>} fila con restaurant_users y restaurants embebidos
+   */
+  async peek(token, purpose) {
+    if (!token) return null;
+
+    const { data } = await supabase
+      .from('user_tokens')
+      .select('id, user_id, restaurant_id, expires_at, restaurant_users(id, name, email), restaurants(name)')
+      .eq('token_hash', this.hashToken(token))
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    return data || null;
+  }
+
+  /**
+   * Marca el token como usado. Sólo gana una petición aunque lleguen dos a la vez.
+   * @returns {Promise<string|null>} user_id
+   */
+  async consume(token, purpose) {
+    if (!token) return null;
+
+    const { data } = await supabase
+      .from('user_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('token_hash', this.hashToken(token))
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('user_id')
+      .single();
+
+    return data?.user_id || null;
+  }
+
+  /**
+   * Crea el token de invitación al negocio ({ id, name }) y envía el email
+   */
+  async sendInvite(user, business) {
+    const token = await this.create(user.id, TOKEN_PURPOSES.INVITE, { businessId: business.id });
+
+    await emailService.sendUserInvitation({
+      email: user.email,
+      name: user.name,
+      business_name: business.name,
+      token,
+      expires_days: TTL_MINUTES[TOKEN_PURPOSES.INVITE] / (24 * 60)
+    });
+  }
+
+  /**
+   * Crea el token de recuperación y envía el email
+   */
+  async sendPasswordReset(user) {
+    const token = await this.create(user.id, TOKEN_PURPOSES.PASSWORD_RESET);
+
+    await emailService.sendPasswordReset({
+      email: user.email,
+      name: user.name,
+      token,
+      expires_minutes: TTL_MINUTES[TOKEN_PURPOSES.PASSWORD_RESET]
+    });
+  }
+
+}
+
+export default new UserTokenService();
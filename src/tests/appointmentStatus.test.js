@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+let updatedRow = null;
+const mockEnqueueAndSend = jest.fn(async () => ({}));
+
+// single() devuelve la cita actualizada o el negocio; el resto de consultas, nada
+const db = createSupabaseMock({
+  resolve: (table, q) => (q.isSingle ? { data: table === 'appointments' ? updatedRow : { name: 'Café Central' }, error: null } : undefined),
+});
+
+jest.unstable_mockModule('../config/database.js', () => ({ supabase: db.supabase }));
+
+jest.unstable_mockModule('../services/notificationService.js', () => ({
+  default: { enqueueAndSend: mockEnqueueAndSend },
+  NOTIFICATION_TYPES: { APPOINTMENT_CANCELLATION: 'appointment_cancellation' },
+}));
+
+const { default: statusService, APPOINTMENT_STATUSES: S, CANCELLED_BY } = await import('../services/appointmentStatusService.js');
+
+const appointment = (status) => ({
+  id: 'apt-1',
+  restaurant_id: 'biz-1',
+  customer_id: 'cust-1',
+  client_email: 'ana@example.com',
+  status,
+});
+
+beforeEach(() => {
+  db.reset();
+  mockEnqueueAndSend.mockClear();
+});
+
+describe('Transiciones de estado', () => {
+  test('debería seguir pendiente → confirmado → en_mesa → completada', () => {
+    expect(statusService.canTransition(S.PENDING, S.CONFIRMED)).toBe(true);
+    expect(statusService.canTransition(S.CONFIRMED, S.CHECKED_IN)).toBe(true);
+    expect(statusService.canTransition(S.CHECKED_IN, S.COMPLETED)).toBe(true);
+  });
+
+  test('no debería permitir saltos ni salir de un estado final', () => {
+    expect(statusService.canTransition(S.PENDING, S.CHECKED_IN)).toBe(false);
+    expect(statusService.canTransition(S.CHECKED_IN, S.CANCELLED)).toBe(false);
+    expect(statusService.canTransition(S.CANCELLED, S.CONFIRMED)).toBe(false);
+    expect(statusService.canTransition(S.COMPLETED, S.NO_SHOW)).toBe(false);
+  });
+});
+
+describe('AppointmentStatusService.transition', () => {
+  test('una transición inválida devuelve 409 sin tocar la cita', async () => {
+    const result = await statusService.transition({}, appointment(S.COMPLETED), S.CHECKED_IN);
+
+    expect(result.status).toBe(409);
+    expect(result.body.allowed).toEqual([]);
+    expect(db.written('update')).toHaveLength(0);
+  });
+
+  test('guarda la marca de tiempo del nuevo estado', async () => {
+    updatedRow = { ...appointment(S.CHECKED_IN) };
+
+    await statusService.transition({ user: { id: 'u1' } }, appointment(S.CONFIRMED), S.CHECKED_IN);
+
+    const [, values] = db.written('update').find(([table]) => table === 'appointments');
+    expect(values).toEqual(expect.objectContaining({ status: 'en_mesa', checked_in_at: expect.any(String) }));
+  });
+
+  test('cancelar libera la mesa, actualiza al cliente y le avisa', async () => {
+    updatedRow = { ...appointment(S.CANCELLED), cancelled_by: CANCELLED_BY.CUSTOMER };
+
+    const result = await statusService.transition({}, appointment(S.CONFIRMED), S.CANCELLED, {
+      cancelledBy: CANCELLED_BY.CUSTOMER
+    });
+
+    expect(result.success).toBe(true);
+    const updates = db.written('update');
+    expect(updates.map(([table]) => table)).toEqual(['appointments', 'table_assignments', 'customers']);
+    expect(updates[0][1]).toEqual(expect.objectContaining({ cancelled_by: 'customer', cancelled_at: expect.any(String) }));
+    expect(updates[2][1]).toEqual(expect.objectContaining({ cancellation_count: 0, total_visits: 0 }));
+    expect(mockEnqueueAndSend).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'appointment_cancellation',
+      recipient: 'ana@example.com',
+    }));
+  });
+});
@@ -36,6 +36,7 @@ jest.unstable_mockModule('../config/database.js', () => ({
 jest.unstable_mockModule('../middleware/auth.js', () => ({
   authenticateToken: mockAuthMiddleware,
   requireRole: mockRoleMiddleware,
+  requirePermission: mockRoleMiddleware,
   requireSuperAdmin: mockSuperAdminMiddleware,
 }));
 
@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+
+const mockInsert = jest.fn(async () => ({ error: null }));
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn(() => ({ insert: mockInsert })) },
+}));
+
+const { default: auditService, AUDIT_ACTIONS, AUDIT_ENTITIES } = await import('../services/auditService.js');
+
+beforeEach(() => {
+  mockInsert.mockClear();
+});
+
+describe('AuditService.diff', () => {
+  test('debería guardar sólo los campos que cambian', () => {
+    const changes = auditService.diff(
+      { status: 'pendiente', notes: 'Mesa junto a la ventana', updated_at: '2030-01-01' },
+      { status: 'confirmado', notes: 'Mesa junto a la ventana', updated_at: '2030-01-02' }
+    );
+
+    expect(changes).toEqual({ status: { from: 'pendiente', to: 'confirmado' } });
+  });
+
+  test('debería comparar config por dentro y no registrar secretos', () => {
+    const changes = auditService.diff(
+      { config: { reminders: { steps: [] }, theme: 'dark' }, password_hash: 'a' },
+      { config: { reminders: { steps: [{ offset_hours: 24, channel: 'email' }] }, theme: 'dark' }, password_hash: 'b' }
+    );
+
+    expect(Object.keys(changes)).toEqual(['config.reminders.steps']);
+  });
+
+  test('una eliminación guarda el último estado completo', () => {
+    expect(auditService.diff({ id: 'a1', status: 'cancelada' }, null)).toEqual({
+      id: { from: 'a1', to: null },
+      status: { from: 'cancelada', to: null },
+    });
+  });
+});
+
+describe('AuditService.record', () => {
+  const entry = {
+    businessId: 'biz-1',
+    entityType: AUDIT_ENTITIES.APPOINTMENT,
+    entityId: 'apt-1',
+    action: AUDIT_ACTIONS.STATUS_CHANGE,
+    before: { status: 'confirmado' },
+    after: { status: 'cancelada' },
+  };
+
+  test('debería registrar usuario, origen e id de la petición', async () => {
+    await auditService.record({ id: 'req-1', user: { id: 'u1', name: 'Ana' } }, entry);
+
+    expect(mockInsert).toHaveBeenCalledWith([expect.objectContaining({
+      restaurant_id: 'biz-1',
+      actor_type: 'user',
+      actor_id: 'u1',
+      actor_name: 'Ana',
+      source: 'manual',
+      request_id: 'req-1',
+      changes: { status: { from: 'confirmado', to: 'cancelada' } },
+    })]);
+  });
+
+  test('debería distinguir agente (whatsapp), cliente (public) y cron', async () => {
+    await auditService.record({ apiKey: { id: 'k1', name: 'n8n' } }, entry);
+    await auditService.record({}, entry);
+    await auditService.record(null, entry);
+
+    expect(mockInsert.mock.calls.map(([rows]) => [rows[0].actor_type, rows[0].source])).toEqual([
+      ['api_key', 'whatsapp'],
+      ['customer', 'public'],
+      ['system', 'cron'],
+    ]);
+  });
+
+  test('no debería registrar actualizaciones sin cambios', async () => {
+    await auditService.record({ user: { id: 'u1' } }, {
+      ...entry,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: { status: 'confirmado' },
+      after: { status: 'confirmado' },
+    });
+
+    expect(mockInsert).not.toHaveBeenCalled();
+  });
+
+  test('un fallo al auditar no rompe la operación', async () => {
+    mockInsert.mockResolvedValueOnce({ error: { message: 'boom' } });
+
+    await expect(auditService.record({ user: { id: 'u1' } }, entry)).resolves.toBeUndefined();
+  });
+});
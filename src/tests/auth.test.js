@@ -3,9 +3,18 @@ import { jest } from '@jest/globals';
 
 
 const mockFinalEq = jest.fn();
-const mockFirstEq = jest.fn(() => ({ eq: mockFinalEq }));
-const mockSelect = jest.fn(() => ({ eq: mockFirstEq }));
-const mockSupabaseFrom = jest.fn(() => ({ select: mockSelect }));
+const mockIs = jest.fn(() => ({ eq: mockFinalEq }));
+const mockIlike = jest.fn(() => ({ is: mockIs }));
+const mockSelect = jest.fn(() => ({ ilike: mockIlike }));
+const mockSessionSingle = jest.fn(async () => ({ data: { id: 'session-uuid-789' }, error: null }));
+const mockSessionInsert = jest.fn(() => ({ select: () => ({ single: mockSessionSingle }) }));
+const mockMembershipsOrder = jest.fn(async () => ({ data: [], error: null }));
+const mockMembershipsQuery = { select: () => ({ eq: () => ({ eq: () => ({ order: mockMembershipsOrder }) }) }) };
+const mockSupabaseFrom = jest.fn((table) => {
+  if (table === 'user_sessions') return { insert: mockSessionInsert };
+  if (table === 'business_memberships') return mockMembershipsQuery;
+  return { select: mockSelect };
+});
 
 const mockBcryptCompare = jest.fn();
 const mockJwtSign = jest.fn();
@@ -123,6 +132,10 @@ describe('Auth Controller - POST /api/auth/login', () => {
       }
     };
     mockFinalEq.mockResolvedValue({ data: [fakeUser], error: null });
+    mockMembershipsOrder.mockResolvedValue({
+      data: [{ id: 'membership-1', restaurant_id: 'rest-uuid-456', role: 'ADMIN', permissions: {}, restaurants: fakeUser.restaurants }],
+      error: null
+    });
     // Usamos los mocks superiores
     mockBcryptCompare.mockResolvedValue(true);
     const fakeToken = 'este.es.un.token.falso.jwt';
@@ -152,9 +165,25 @@ describe('Auth Controller - POST /api/auth/login', () => {
 
     // Verificamos la respuesta
     expect(res.body.token).toBe(fakeToken);
+    expect(res.body.refreshToken).toMatch(/^session-uuid-789\./);
+    expect(mockSessionInsert).toHaveBeenCalledWith(expect.objectContaining({ user_id: 'user-uuid-123' }));
     expect(res.body.user.name).toBe('Admin Bella Estética');
     expect(res.body.user.business.name).toBe('Bella Estética');
     expect(res.body.user.business.themeColor).toBe('#ec4899');
+    expect(res.body.businesses).toEqual([expect.objectContaining({ slug: 'bella-estetica', role: 'ADMIN' })]);
+  });
+
+  // Test 5: El email no distingue mayúsculas ni espacios e ignora identidades fusionadas
+  test('debería buscar el email normalizado y sólo entre identidades no fusionadas', async () => {
+    mockFinalEq.mockResolvedValue({ data: [], error: null });
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: '  Admin_1@Test.com ', password: '123' });
+
+    expect(mockIlike).toHaveBeenCalledWith('email', 'admin\\_1@test.com');
+    expect(mockIs).toHaveBeenCalledWith('merged_into', null);
+    expect(mockFinalEq).toHaveBeenCalledWith('is_active', true);
   });
 
 });
\ No newline at end of file
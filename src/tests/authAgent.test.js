@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+
+let storedKey;
+
+const chain = () => {
+  const q = {
+    select: jest.fn(() => q),
+    update: jest.fn(() => q),
+    eq: jest.fn((column, value) => {
+      q.match = column !== 'key_hash' || value === storedKey?.key_hash;
+      return q;
+    }),
+    single: jest.fn(async () => ({ data: q.match ? storedKey : null })),
+    then: (resolve) => resolve({ data: null }),
+  };
+  return q;
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn(() => chain()) },
+}));
+
+const { default: apiKeyService, API_KEY_SCOPES } = await import('../services/apiKeyService.js');
+const { authenticateAgent } = await import('../middleware/authAgent.js');
+
+const rawKey = apiKeyService.generateKey();
+
+const run = async (middleware, req) => {
+  const res = {
+    status: jest.fn(function (code) { this.statusCode = code; return this; }),
+    json: jest.fn(function (body) { this.body = body; return this; }),
+  };
+  const next = jest.fn();
+  await middleware({ params: {}, body: {}, ...req }, res, next);
+  return { res, next };
+};
+
+describe('authenticateAgent', () => {
+  beforeEach(() => {
+    storedKey = {
+      id: 'k1',
+      restaurant_id: 'b1',
+      scopes: [API_KEY_SCOPES.CHECK_AVAILABILITY],
+      revoked_at: null,
+      key_hash: apiKeyService.hashKey(rawKey),
+      restaurants: { id: 'b1', slug: 'salon-ana', is_active: true },
+    };
+  });
+
+  test('debería tomar el negocio de la clave', async () => {
+    const req = { headers: { 'x-api-key': rawKey } };
+    const { next } = await run(authenticateAgent(API_KEY_SCOPES.CHECK_AVAILABILITY), req);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('debería rechazar claves desconocidas o revocadas', async () => {
+    const unknown = await run(authenticateAgent(), { headers: { 'x-api-key': apiKeyService.generateKey() } });
+    expect(unknown.res.statusCode).toBe(401);
+
+    storedKey.revoked_at = '2030-01-01T00:00:00Z';
+    const revoked = await run(authenticateAgent(), { headers: { 'x-api-key': rawKey } });
+    expect(revoked.res.statusCode).toBe(401);
+  });
+
+  test('debería exigir los permisos de la ruta', async () => {
+    const { res, next } = await run(
+      authenticateAgent(API_KEY_SCOPES.CREATE_BOOKINGS),
+      { headers: { 'x-api-key': rawKey } }
+    );
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('no debería permitir usar la clave con el slug de otro negocio', async () => {
+    const { res, next } = await run(
+      authenticateAgent(API_KEY_SCOPES.CHECK_AVAILABILITY),
+      { headers: { 'x-api-key': rawKey }, body: { businessSlug: 'otro-negocio' } }
+    );
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+const { default: availabilityService, UNAVAILABLE_REASONS } = await import('../services/availabilityService.js');
+
+// Fecha futura para no chocar con la validación de horas pasadas
+const DATE = '2030-06-12';
+
+const buildContext = (overrides = {}) => ({
+  date: DATE,
+  dayOfWeek: 3,
+  timezone: 'Europe/Madrid',
+  config: {},
+  isRestaurant: false,
+  rule: { open_time: '10:00', close_time: '14:00', is_closed: false },
+  windows: [{ start: 600, end: 840, label: 'Horario general' }],
+  blocks: [],
+  appointments: [],
+  tableContext: null,
+  maxCapacity: 1,
+  ...overrides,
+});
+
+describe('AvailabilityService.evaluateTime', () => {
+  test('debería marcar el día como cerrado', async () => {
+    const context = buildContext({ rule: { is_closed: true }, windows: [] });
+
+    const result = await availabilityService.evaluateTime(context, '11:00', { durationMinutes: 60 });
+
+    expect(result.available).toBe(false);
+    expect(result.reason_code).toBe(UNAVAILABLE_REASONS.CLOSED);
+  });
+
+  test('debería rechazar citas que terminan después del cierre', async () => {
+    const result = await availabilityService.evaluateTime(buildContext(), '13:30', { durationMinutes: 60 });
+
+    expect(result.available).toBe(false);
+    expect(result.reason_code).toBe(UNAVAILABLE_REASONS.OUTSIDE_HOURS);
+  });
+
+  test('debería respetar los bloqueos generales', async () => {
+    const context = buildContext({
+      blocks: [{
+        start: new Date('2030-06-12T09:00:00Z'), // 11:00 Madrid
+        end: new Date('2030-06-12T10:00:00Z'),
+        reason: 'Formación',
+      }],
+    });
+
+    const result = await availabilityService.evaluateTime(context, '11:30', { durationMinutes: 30 });
+
+    expect(result.reason_code).toBe(UNAVAILABLE_REASONS.BLOCKED);
+    expect(result.reason).toBe('Formación');
+  });
+
+  test('debería aplicar max_appointments_per_slot', async () => {
+    const appointments = [{ id: 'apt-1', appointment_time: '2030-06-12T08:00:00Z', duration_minutes: 60 }];
+
+    const full = await availabilityService.evaluateTime(
+      buildContext({ appointments }), '10:30', { durationMinutes: 60 }
+    );
+    const withRoom = await availabilityService.evaluateTime(
+      buildContext({ appointments, maxCapacity: 2 }), '10:30', { durationMinutes: 60 }
+    );
+
+    expect(full.reason_code).toBe(UNAVAILABLE_REASONS.CAPACITY_FULL);
+    expect(full.conflicting_appointment_id).toBe('apt-1');
+    expect(withRoom.available).toBe(true);
+  });
+});
+
+describe('AvailabilityService.getDaySlots', () => {
+  test('debería devolver todos los slots con motivo en los no disponibles', async () => {
+    const context = buildContext({
+      appointments: [{ id: 'apt-1', appointment_time: '2030-06-12T08:00:00Z', duration_minutes: 60 }],
+    });
+
+    const day = await availabilityService.getDaySlots({ date: DATE, durationMinutes: 60, context });
+
+    expect(day.slots[0].time).toBe('10:00');
+    expect(day.slots[day.slots.length - 1].time).toBe('13:00');
+    expect(day.slots.find(s => s.time === '10:00').reason_code).toBe(UNAVAILABLE_REASONS.CAPACITY_FULL);
+    expect(day.slots.find(s => s.time === '11:00').available).toBe(true);
+    expect(day.slots.filter(s => !s.available).every(s => s.reason)).toBe(true);
+  });
+});
+
+describe('AvailabilityService - personal', () => {
+  const staff = [
+    { id: 'ana', name: 'Ana', serviceIds: ['corte'], hours: [{ start: 600, end: 840 }], timeOff: [] },
+    { id: 'luis', name: 'Luis', serviceIds: ['corte', 'tinte'], hours: [{ start: 720, end: 840 }], timeOff: [] },
+  ];
+
+  test('debería asignar la primera persona libre y cualificada', async () => {
+    const context = buildContext({ staff });
+
+    const corte = await availabilityService.evaluateTime(context, '10:00', { durationMinutes: 60, serviceIds: ['corte'] });
+    const tinte = await availabilityService.evaluateTime(context, '12:00', { durationMinutes: 60, serviceIds: ['tinte'] });
+
+    expect(corte.staff_id).toBe('ana');
+    expect(tinte.staff_id).toBe('luis');
+  });
+
+  test('debería rechazar si nadie cualificado trabaja a esa hora', async () => {
+    const context = buildContext({ staff });
+
+    const result = await availabilityService.evaluateTime(context, '10:00', { durationMinutes: 60, serviceIds: ['tinte'] });
+
+    expect(result.reason_code).toBe(UNAVAILABLE_REASONS.NO_STAFF);
+  });
+
+  test('debería respetar las citas y ausencias de la persona elegida', async () => {
+    const context = buildContext({
+      staff: [
+        staff[0],
+        { ...staff[1], timeOff: [{ start: new Date('2030-06-12T10:00:00Z'), end: new Date('2030-06-12T11:00:00Z') }] },
+      ],
+      appointments: [{ id: 'apt-1', appointment_time: '2030-06-12T08:00:00Z', duration_minutes: 60, staff_id: 'ana' }],
+    });
+
+    const anaBusy = await availabilityService.evaluateTime(context, '10:30', { durationMinutes: 30, staffId: 'ana' });
+    const luisOff = await availabilityService.evaluateTime(context, '12:00', { durationMinutes: 60, staffId: 'luis' });
+    const anaFree = await availabilityService.evaluateTime(context, '12:00', { durationMinutes: 60, staffId: 'ana' });
+
+    expect(anaBusy.reason_code).toBe(UNAVAILABLE_REASONS.STAFF_UNAVAILABLE);
+    expect(luisOff.reason_code).toBe(UNAVAILABLE_REASONS.STAFF_UNAVAILABLE);
+    expect(anaFree.available).toBe(true);
+  });
+});
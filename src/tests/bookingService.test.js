@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const db = createSupabaseMock();
+const mockFindBestTable = jest.fn();
+const mockFindAlternativeTimes = jest.fn(async () => [{ time: '21:30' }]);
+
+jest.unstable_mockModule('../config/database.js', () => ({ supabase: db.supabase }));
+
+jest.unstable_mockModule('../services/restaurant/tableAssignmentEngine.js', () => ({
+  tableAssignmentEngine: { findBestTable: mockFindBestTable, findAlternativeTimes: mockFindAlternativeTimes },
+}));
+
+const { default: bookingService } = await import('../services/bookingService.js');
+
+const restaurant = { name: 'Café Central', slug: 'cafe-central', timezone: 'Europe/Madrid', business_type: 'restaurant' };
+const req = { business: { id: 'biz-1' }, apiKey: { id: 'k1', name: 'n8n' } };
+const booking = {
+  clientName: 'Ana',
+  clientPhone: '+34600000000',
+  scheduledDate: '2030-06-01',
+  appointmentTime: '21:00',
+  servicesList: bookingService.buildServicesList({}, true),
+  partySize: 4,
+  source: 'whatsapp',
+};
+
+beforeEach(() => {
+  db.reset();
+  mockFindBestTable.mockReset();
+});
+
+describe('BookingService helpers', () => {
+  test('debería traducir los estados de la antigua tabla reservations', () => {
+    expect(bookingService.normalizeStatus('confirmed')).toBe('confirmado');
+    expect(bookingService.normalizeStatus('cancelled')).toBe('cancelada');
+    expect(bookingService.normalizeStatus('en_mesa')).toBe('en_mesa');
+  });
+
+  test('un restaurante sin servicios reserva mesa; otro negocio debe elegir servicio', () => {
+    expect(bookingService.buildServicesList({}, true)).toEqual([{ serviceName: 'Reserva de Mesa', durationMinutes: 90, price: 0 }]);
+    expect(bookingService.buildServicesList({}, false)).toBeNull();
+  });
+
+  test('una modificación sólo conserva los campos editables', () => {
+    const { fields, ignored } = bookingService.pickEditableFields({
+      notes: 'Terraza',
+      party_size: 6,
+      confirmed_at: '2030-01-01T00:00:00.000Z',
+      cancelled_by: 'u1',
+      checked_in_at: '2030-01-01T00:00:00.000Z',
+      completed_at: '2030-01-01T00:00:00.000Z',
+    });
+
+    expect(fields).toEqual({ notes: 'Terraza', party_size: 6 });
+    expect(ignored).toEqual(['confirmed_at', 'cancelled_by', 'checked_in_at', 'completed_at']);
+  });
+
+  test('los campos de pago sólo los escribe paymentService', () => {
+    const { fields, ignored } = bookingService.pickEditableFields({
+      client_name: 'Ana',
+      payment_status: 'paid',
+      amount_paid: 100,
+      deposit_required: 0,
+      hold_expires_at: null,
+    });
+
+    expect(fields).toEqual({ client_name: 'Ana' });
+    expect(ignored).toEqual(['payment_status', 'amount_paid', 'deposit_required', 'hold_expires_at']);
+  });
+
+  test('una modificación no puede mandar la cita a la papelera', () => {
+    const { fields, ignored } = bookingService.pickEditableFields({
+      appointment_time: '2030-06-01T20:00:00.000Z',
+      deleted_at: '2030-01-01T00:00:00.000Z',
+      deleted_by: 'u1',
+    });
+
+    expect(fields).toEqual({ appointment_time: '2030-06-01T20:00:00.000Z' });
+    expect(ignored).toEqual(['deleted_at', 'deleted_by']);
+  });
+});
+
+describe('BookingService.create', () => {
+  test('una reserva de WhatsApp recibe mesa y se guarda en appointments', async () => {
+    const table = { id: 't1', table_number: '5', table_type: 'interior' };
+    mockFindBestTable.mockResolvedValue({ success: true, table, tables: [table], reason: 'Mejor ajuste' });
+
+    const result = await bookingService.create(req, restaurant, booking);
+
+    expect(result.success).toBe(true);
+    expect(result.tableAssignment.tableNumber).toBe('5');
+    expect(db.written('insert').find(([t]) => t === 'appointments')[1]).toEqual(expect.objectContaining({
+      table_id: 't1',
+      status: 'confirmado',
+      source: 'whatsapp',
+      party_size: 4,
+      appointment_time: '2030-06-01T19:00:00.000Z',
+    }));
+    expect(db.written('insert').find(([t]) => t === 'table_assignments')[1]).toEqual([
+      expect.objectContaining({ appointment_id: 'appointments-1', table_id: 't1', assignment_type: 'automatic' })
+    ]);
+  });
+
+  test('una ocurrencia de serie se guarda con su serie y posición', async () => {
+    const table = { id: 't1', table_number: '5', table_type: 'interior' };
+    mockFindBestTable.mockResolvedValue({ success: true, table, tables: [table], reason: 'Mejor ajuste' });
+
+    const sendConfirmation = jest.spyOn(bookingService, 'sendConfirmation').mockResolvedValue();
+
+    const result = await bookingService.create(req, restaurant, {
+      ...booking,
+      clientEmail: 'ana@example.com',
+      seriesId: 'series-1',
+      seriesIndex: 3,
+      sendConfirmation: false
+    });
+
+    expect(result.success).toBe(true);
+    expect(db.written('insert').find(([t]) => t === 'appointments')[1]).toEqual(expect.objectContaining({
+      series_id: 'series-1',
+      series_index: 3,
+    }));
+    // La serie envía una sola confirmación al final
+    expect(sendConfirmation).not.toHaveBeenCalled();
+
+    sendConfirmation.mockRestore();
+  });
+
+  test('sin mesa no crea nada y devuelve 409 con alternativas', async () => {
+    mockFindBestTable.mockResolvedValue({ success: false, message: 'Completo' });
+
+    const result = await bookingService.create(req, restaurant, booking);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, status: 409 }));
+    expect(result.body.suggested_times).toEqual(['21:30']);
+    expect(db.written('insert')).toHaveLength(0);
+  });
+});
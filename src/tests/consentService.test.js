@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const db = createSupabaseMock();
+const { tables, writes } = db;
+
+jest.unstable_mockModule('../config/database.js', () => ({ supabase: db.supabase }));
+
+const { default: consentService } = await import('../services/consentService.js');
+
+const req = { user: { id: 'user-1', name: 'Admin' } };
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('ConsentService.parseChoices', () => {
+  test('acepta un booleano por canal', () => {
+    expect(consentService.parseChoices({ email: true, whatsapp: false })).toEqual({
+      consents: { email: true, whatsapp: false },
+      error: null
+    });
+    expect(consentService.parseChoices(undefined)).toEqual({ consents: null, error: null });
+  });
+
+  test('rechaza canales desconocidos y valores que no son booleanos', () => {
+    expect(consentService.parseChoices({ fax: true }).error).toMatch(/fax/);
+    expect(consentService.parseChoices({ email: 'sí' }).error).toMatch(/email/);
+    expect(consentService.parseChoices(true).error).toBeTruthy();
+  });
+});
+
+describe('ConsentService.record', () => {
+  test('guarda sólo los canales que cambian, con origen y versión de la política', async () => {
+    tables.customer_consents = [{ channel: 'email', granted: true, source: 'booking_form', policy_version: '1' }];
+
+    await consentService.record(req, {
+      businessId: 'biz-1',
+      customerId: 'c1',
+      consents: { email: true, whatsapp: true },
+      source: 'whatsapp',
+      policyVersion: '2'
+    });
+
+    const [, , rows] = writes.find(([table, op]) => table === 'customer_consents' && op === 'upsert');
+    expect(rows).toEqual([
+      expect.objectContaining({ channel: 'whatsapp', granted: true, source: 'whatsapp', policy_version: '2', granted_at: expect.any(String), revoked_at: null })
+    ]);
+
+    const [, , audit] = writes.find(([table]) => table === 'audit_log');
+    expect(audit[0].changes).toEqual({
+      consent_whatsapp: { from: null, to: { granted: true, source: 'whatsapp', policy_version: '2' } }
+    });
+  });
+
+  test('la retirada conserva cuándo y con qué política se dio', async () => {
+    tables.customer_consents = [{ channel: 'email', granted: true, source: 'booking_form', policy_version: '1', granted_at: '2026-01-01T00:00:00.000Z' }];
+
+    await consentService.record(req, {
+      businessId: 'biz-1',
+      customerId: 'c1',
+      consents: { email: false },
+      source: 'unsubscribe_link'
+    });
+
+    const [, , rows] = writes.find(([, op]) => op === 'upsert');
+    expect(rows[0]).toEqual(expect.objectContaining({
+      granted: false,
+      policy_version: '1',
+      granted_at: '2026-01-01T00:00:00.000Z',
+      revoked_at: expect.any(String)
+    }));
+  });
+
+  test('no escribe nada si la decisión no cambia', async () => {
+    tables.customer_consents = [{ channel: 'email', granted: false }];
+
+    const saved = await consentService.record(req, {
+      businessId: 'biz-1', customerId: 'c1', consents: { email: false }, source: 'manual'
+    });
+
+    expect(saved).toEqual([]);
+    expect(writes).toHaveLength(0);
+  });
+});
+
+describe('ConsentService.canSend', () => {
+  test('los mensajes transaccionales siempre se envían', async () => {
+    expect(await consentService.canSend({ customerId: 'c1', channel: 'email', marketing: false })).toEqual({ allowed: true });
+  });
+
+  test('las promociones necesitan consentimiento en ese canal', async () => {
+    tables.customer_consents = [{ granted: true }];
+    expect((await consentService.canSend({ customerId: 'c1', channel: 'email', marketing: true })).allowed).toBe(true);
+
+    tables.customer_consents = [{ granted: false }];
+    expect((await consentService.canSend({ customerId: 'c1', channel: 'email', marketing: true })).allowed).toBe(false);
+
+    expect((await consentService.canSend({ customerId: null, channel: 'email', marketing: true })).allowed).toBe(false);
+  });
+});
+
+describe('ConsentService enlace de baja', () => {
+  test('el token identifica cliente, negocio y canal', () => {
+    const token = consentService.createUnsubscribeToken({ customerId: 'c1', businessId: 'biz-1', channel: 'email' });
+
+    expect(consentService.verifyUnsubscribeToken(token)).toEqual({ customerId: 'c1', businessId: 'biz-1', channel: 'email' });
+    expect(consentService.verifyUnsubscribeToken(`${token}x`)).toBeNull();
+  });
+
+  test('un token de gestión de citas no sirve para dar de baja', async () => {
+    const { default: manageBookingService } = await import('../services/manageBookingService.js');
+    const manageToken = manageBookingService.createToken({
+      appointmentId: 'apt-1',
+      businessId: 'biz-1'
+    });
+
+    expect(consentService.verifyUnsubscribeToken(manageToken)).toBeNull();
+  });
+});
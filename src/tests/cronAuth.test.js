@@ -0,0 +1,46 @@
+import { jest } from '@jest/globals';
+import { authenticateCron } from '../middleware/cronAuth.js';
+
+const run = (headers = {}) => {
+  const res = {
+    status: jest.fn(function (code) { this.statusCode = code; return this; }),
+    json: jest.fn(function (body) { this.body = body; return this; }),
+  };
+  const next = jest.fn();
+  authenticateCron({ headers, url: '/cron/purge-trash' }, res, next);
+  return { res, next };
+};
+
+describe('authenticateCron', () => {
+  const original = process.env.CRON_SECRET;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.CRON_SECRET;
+    else process.env.CRON_SECRET = original;
+  });
+
+  test('deja pasar con el secreto correcto', () => {
+    process.env.CRON_SECRET = 'cron-secret';
+    const { next } = run({ 'x-cron-secret': 'cron-secret' });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('401 sin secreto o con uno incorrecto', () => {
+    process.env.CRON_SECRET = 'cron-secret';
+
+    for (const headers of [{}, { 'x-cron-secret': 'otro' }, { 'x-cron-secret': 'cron-secreT' }]) {
+      const { res, next } = run(headers);
+      expect(res.statusCode).toBe(401);
+      expect(next).not.toHaveBeenCalled();
+    }
+  });
+
+  test('si CRON_SECRET no está configurado rechaza siempre', () => {
+    delete process.env.CRON_SECRET;
+    const { res, next } = run({ 'x-cron-secret': '' });
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const db = createSupabaseMock();
+const { tables } = db;
+const mockSoftDelete = jest.fn(async () => []);
+const mockRefreshStats = jest.fn(async () => {});
+
+jest.unstable_mockModule('../config/database.js', () => ({ supabase: db.supabase }));
+
+jest.unstable_mockModule('../services/trashService.js', () => ({
+  default: { softDelete: mockSoftDelete },
+}));
+
+jest.unstable_mockModule('../services/appointmentStatusService.js', () => ({
+  default: { refreshCustomerStats: mockRefreshStats },
+}));
+
+const { default: customerService } = await import('../services/customerService.js');
+
+beforeEach(() => {
+  db.reset();
+  mockSoftDelete.mockClear();
+  mockRefreshStats.mockClear();
+});
+
+describe('CustomerService.phoneKey', () => {
+  test('el mismo móvil escrito de distintas formas da la misma clave', () => {
+    const key = customerService.phoneKey('600112233');
+
+    expect(customerService.phoneKey('+34 600 11 22 33')).toBe(key);
+    expect(customerService.phoneKey('0034-600-112-233')).toBe(key);
+  });
+
+  test('ignora valores demasiado cortos', () => {
+    expect(customerService.phoneKey('123')).toBeNull();
+    expect(customerService.phoneKey(null)).toBeNull();
+  });
+});
+
+describe('CustomerService.nameSimilarity', () => {
+  test('ignora tildes, mayúsculas y el orden de las palabras', () => {
+    expect(customerService.nameSimilarity('José García', 'garcia JOSE')).toBe(1);
+  });
+
+  test('nombres parecidos puntúan alto y distintos puntúan bajo', () => {
+    expect(customerService.nameSimilarity('María López', 'Maria Lopes')).toBeGreaterThan(0.7);
+    expect(customerService.nameSimilarity('María López', 'Pedro Sánchez')).toBeLessThan(0.3);
+  });
+});
+
+describe('CustomerService.score', () => {
+  test('teléfono normalizado + nombre es un duplicado claro', () => {
+    const result = customerService.score(
+      { name: 'Ana Ruiz', phone: '+34 600 11 22 33' },
+      { name: 'ana ruiz', phone: '600112233' }
+    );
+
+    expect(result.reasons).toEqual(['phone', 'name']);
+    expect(result.score).toBe(80);
+  });
+
+  test('sólo el nombre no basta para el umbral por defecto', () => {
+    const result = customerService.score({ name: 'Ana Ruiz', phone: '600000001' }, { name: 'Ana Ruiz', phone: '611000002' });
+    expect(result.score).toBeLessThan(50);
+  });
+});
+
+describe('CustomerService.findDuplicates', () => {
+  test('agrupa por teléfono y email sin emparejar a clientes distintos', async () => {
+    tables.customers = [
+      { id: 'c1', name: 'Ana Ruiz', phone: '+34 600 11 22 33', email: null },
+      { id: 'c2', name: 'Ana Ruiz', phone: '600112233', email: 'ana@example.com' },
+      { id: 'c3', name: 'A. Ruiz', phone: '699999999', email: 'ANA@example.com' },
+      { id: 'c4', name: 'Pedro Gil', phone: '655555555', email: null },
+    ];
+
+    const duplicates = await customerService.findDuplicates('biz-1');
+    const pairs = duplicates.map(d => d.customers.map(c => c.id).sort().join('-'));
+
+    expect(pairs).toEqual(expect.arrayContaining(['c1-c2', 'c2-c3']));
+    expect(pairs.some(p => p.includes('c4'))).toBe(false);
+  });
+
+  test('con customerId desconocido devuelve null', async () => {
+    tables.customers = [];
+    expect(await customerService.findDuplicates('biz-1', { customerId: 'nope' })).toBeNull();
+  });
+});
+
+describe('CustomerService.merge', () => {
+  const survivor = { id: 'c1', name: 'Ana Ruiz', phone: '600112233', email: null, notes: 'Alérgica', is_vip: false, first_visit_at: '2025-03-01' };
+  const duplicate = { id: 'c2', name: 'Ana', phone: '+34600112233', email: 'ana@example.com', notes: 'Mesa junto a ventana', is_vip: true, first_visit_at: '2024-06-01' };
+
+  test('no fusiona un cliente consigo mismo', async () => {
+    const result = await customerService.merge({}, 'biz-1', 'c1', ['c1']);
+    expect(result.status).toBe(400);
+  });
+
+  test('404 si algún duplicado no es del negocio', async () => {
+    tables.customers = [survivor];
+    const result = await customerService.merge({}, 'biz-1', 'c1', ['c2']);
+    expect(result.status).toBe(404);
+  });
+
+  test('mueve el historial, combina datos y manda el duplicado a la papelera', async () => {
+    tables.customers = [survivor, duplicate];
+    tables.appointments = [{ id: 'a1' }, { id: 'a2' }];
+
+    const result = await customerService.merge({ user: { id: 'u1' } }, 'biz-1', 'c1', ['c2']);
+
+    expect(result.success).toBe(true);
+    expect(result.moved.appointments).toBe(2);
+    expect(db.written('update')).toEqual(expect.arrayContaining([
+      ['appointments', { customer_id: 'c1' }],
+      ['waitlist', { customer_id: 'c1' }],
+      ['ai_conversations', { customer_id: 'c1' }],
+      ['customers', expect.objectContaining({ merged_into: 'c1' })],
+    ]));
+    expect(mockSoftDelete).toHaveBeenCalledWith('customers', 'biz-1', ['c2'], 'u1');
+    expect(mockRefreshStats).toHaveBeenCalledWith({ appointment: { customer_id: 'c1', restaurant_id: 'biz-1' } });
+
+    const [, fields] = db.written('update').filter(([table]) => table === 'customers').pop();
+    expect(fields).toEqual(expect.objectContaining({
+      email: 'ana@example.com',
+      notes: 'Alérgica\n\nMesa junto a ventana',
+      is_vip: true,
+      first_visit_at: '2024-06-01'
+    }));
+  });
+});
@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+
+const WRITE_METHODS = ['insert', 'upsert', 'update', 'delete'];
+const FILTER_METHODS = [
+  'select', 'eq', 'neq', 'in', 'is', 'not', 'or', 'gt', 'gte', 'lt', 'lte',
+  'ilike', 'order', 'limit', 'range'
+];
+
+/**
+ * Cliente de Supabase falso para los tests de servicios.
+ *
+ * - `tables[tabla]` son las filas que devuelve cualquier consulta a esa tabla.
+ * - `writes` guarda cada escritura como [tabla, operación, valores], y las
+ *   llamadas a rpc como ['rpc', nombre, parámetros], en orden.
+ * - `calls` guarda cada método encadenado como [tabla, método, ...args].
+ * - insert/upsert devuelven las filas escritas (con id `${tabla}-1` si no
+ *   traen uno) y update las filas de la tabla con los cambios aplicados.
+ * - `resolve(tabla, query)` permite a un test fijar la respuesta de una
+ *   consulta; si devuelve undefined se usa la respuesta por defecto.
+ * - `rpc(nombre, parámetros)` da la respuesta de supabase.rpc.
+ */
+export const createSupabaseMock = ({ resolve, rpc } = {}) => {
+  const tables = {};
+  const writes = [];
+  const calls = [];
+
+  const chain = (table) => {
+    const q = { table, op: null, values: undefined, isSingle: false };
+    const track = (method, fn = () => {}) => jest.fn((...args) => {
+      calls.push([table, method, ...args]);
+      fn(...args);
+      return q;
+    });
+
+    for (const method of FILTER_METHODS) q[method] = track(method);
+    for (const method of WRITE_METHODS) {
+      q[method] = track(method, (values) => {
+        writes.push([table, method, values]);
+        q.op = method;
+        q.values = values;
+      });
+    }
+    q.single = track('single', () => { q.isSingle = true; });
+    q.maybeSingle = track('maybeSingle', () => { q.isSingle = true; });
+
+    const rows = () => {
+      const existing = tables[table] || [];
+      if (q.op === 'insert' || q.op === 'upsert') {
+        return [].concat(q.values).map((row) => ({ id: `${table}-1`, ...row }));
+      }
+      if (q.op === 'update') return existing.map((row) => ({ ...row, ...q.values }));
+      return existing;
+    };
+
+    q.then = (onFulfilled, onRejected) => {
+      let result = resolve?.(table, q);
+      if (result === undefined) {
+        const data = rows();
+        result = { data: q.isSingle ? data[0] || null : data, error: null };
+      }
+      return Promise.resolve(result).then(onFulfilled, onRejected);
+    };
+    return q;
+  };
+
+  const supabase = {
+    from: jest.fn((table) => chain(table)),
+    rpc: jest.fn(async (name, params) => {
+      writes.push(['rpc', name, params]);
+      return rpc ? rpc(name, params) : { data: null, error: null };
+    }),
+  };
+
+  // Escrituras de un tipo como [tabla, valores]
+  const written = (op) => writes.filter(([, method]) => method === op).map(([table, , values]) => [table, values]);
+
+  const reset = () => {
+    writes.length = 0;
+    calls.length = 0;
+    for (const key of Object.keys(tables)) delete tables[key];
+  };
+
+  return { supabase, tables, writes, calls, written, reset };
+};
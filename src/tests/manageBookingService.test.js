@@ -0,0 +1,40 @@
+import jwt from 'jsonwebtoken';
+import manageBookingService from '../services/manageBookingService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+describe('ManageBookingService tokens', () => {
+  test('debería firmar y verificar el token de una cita', () => {
+    const token = manageBookingService.createToken({ appointmentId: 'apt-1', businessId: 'rest-1' });
+
+    expect(manageBookingService.verifyToken(token)).toEqual({ appointmentId: 'apt-1', businessId: 'rest-1' });
+  });
+
+  test('debería rechazar tokens manipulados', () => {
+    const valid = manageBookingService.createToken({ appointmentId: 'apt-1', businessId: 'rest-1' });
+
+    expect(manageBookingService.verifyToken(`${valid}x`)).toBeNull();
+  });
+
+  test('la caducidad depende de la hora actual de la cita, no de la del enlace', () => {
+    // Enlace antiguo firmado con exp = hora original de la cita, ya pasada
+    const legacy = jwt.sign(
+      { sub: 'apt-1', bid: 'rest-1', purpose: 'manage_booking', exp: Math.floor(Date.now() / 1000) - 3600 },
+      process.env.JWT_SECRET
+    );
+
+    expect(manageBookingService.verifyToken(legacy)).toEqual({ appointmentId: 'apt-1', businessId: 'rest-1' });
+    expect(manageBookingService.isExpired(inHours(48))).toBe(false);
+    expect(manageBookingService.isExpired(inHours(-1))).toBe(true);
+  });
+});
+
+describe('ManageBookingService.canModify', () => {
+  test('debería aplicar la antelación mínima configurada', () => {
+    expect(manageBookingService.canModify(inHours(30), {}).allowed).toBe(true);
+    expect(manageBookingService.canModify(inHours(12), {}).allowed).toBe(false);
+    expect(manageBookingService.canModify(inHours(12), { cancellation_cutoff_hours: 2 }).allowed).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+const { supabase } = await import('../config/database.js');
+const { default: membershipService } = await import('../services/membershipService.js');
+const { validateBusinessAccess } = await import('../middleware/tenant.js');
+
+const cafe = { id: 'biz-cafe', name: 'Café Central', slug: 'cafe-central' };
+const salon = { id: 'biz-salon', name: 'Salón Ana', slug: 'salon-ana' };
+
+const memberships = [
+  { id: 'm1', restaurant_id: cafe.id, role: 'ADMIN', permissions: {}, restaurants: cafe },
+  { id: 'm2', restaurant_id: salon.id, role: 'STAFF', permissions: { view_revenue: true }, restaurants: salon },
+];
+
+const run = (user, business) => {
+  const req = { user, business };
+  const res = {
+    status: jest.fn(function (code) { this.statusCode = code; return this; }),
+    json: jest.fn(function (body) { this.body = body; return this; }),
+  };
+  const next = jest.fn();
+  validateBusinessAccess(req, res, next);
+  return { req, res, next };
+};
+
+describe('MembershipService.pickActive', () => {
+  test('debería elegir el negocio pedido si pertenece a él', () => {
+    expect(membershipService.pickActive(memberships, salon.id, cafe.id).id).toBe('m2');
+  });
+
+  test('debería caer al negocio por defecto o al primero', () => {
+    expect(membershipService.pickActive(memberships, 'otro', salon.id).id).toBe('m2');
+    expect(membershipService.pickActive(memberships, null, null).id).toBe('m1');
+    expect(membershipService.pickActive([], cafe.id)).toBeNull();
+  });
+});
+
+describe('MembershipService.findIdentityByEmail', () => {
+  test('busca el email normalizado, literal y sólo entre identidades no fusionadas', () => {
+    const query = {};
+    for (const method of ['select', 'ilike', 'is']) {
+      query[method] = jest.fn(() => query);
+    }
+    supabase.from.mockReturnValue(query);
+
+    membershipService.findIdentityByEmail('  Ana_Lopez@X.com ', 'id');
+
+    expect(supabase.from).toHaveBeenCalledWith('restaurant_users');
+    expect(query.ilike).toHaveBeenCalledWith('email', 'ana\\_lopez@x.com');
+    expect(query.is).toHaveBeenCalledWith('merged_into', null);
+  });
+});
+
+describe('validateBusinessAccess', () => {
+  const user = { id: 'u1', restaurant_id: cafe.id, role: 'ADMIN', memberships };
+
+  test('debería aplicar el rol y permisos del negocio pedido', () => {
+    const { req, next } = run(user, salon);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.role).toBe('STAFF');
+    expect(req.user.permissions).toEqual({ view_revenue: true });
+    expect(req.user.restaurants.slug).toBe('salon-ana');
+  });
+
+  test('debería rechazar negocios de los que no es miembro', () => {
+    const { res, next } = run(user, { id: 'biz-ajeno', slug: 'ajeno' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('el SuperAdmin accede a cualquier negocio', () => {
+    const { req, next } = run({ id: 'root', is_platform_admin: true, memberships: [] }, salon);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.restaurants.id).toBe(salon.id);
+  });
+});
@@ -0,0 +1,49 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+const { default: mfaService } = await import('../services/mfaService.js');
+
+// Secreto del RFC 6238 ("12345678901234567890" en base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('MfaService TOTP', () => {
+  test('debería coincidir con los vectores del RFC 6238', () => {
+    expect(mfaService.generateCode(RFC_SECRET, mfaService.getStep(59 * 1000))).toBe('287082');
+    expect(mfaService.generateCode(RFC_SECRET, mfaService.getStep(1111111109 * 1000))).toBe('081804');
+  });
+
+  test('debería aceptar un paso de desfase y rechazar códigos reutilizados', () => {
+    const time = 1111111109 * 1000;
+    const step = mfaService.getStep(time);
+    const previous = mfaService.generateCode(RFC_SECRET, step - 1);
+
+    expect(mfaService.verifyCode(RFC_SECRET, previous, { time })).toBe(step - 1);
+    expect(mfaService.verifyCode(RFC_SECRET, previous, { time, lastStep: step - 1 })).toBeNull();
+    expect(mfaService.verifyCode(RFC_SECRET, '000000', { time })).toBeNull();
+  });
+
+  test('base32 ida y vuelta', () => {
+    const secret = mfaService.generateSecret();
+    expect(mfaService.base32Encode(mfaService.base32Decode(secret))).toBe(secret);
+  });
+
+  test('debería cifrar el secreto de forma reversible', () => {
+    process.env.JWT_SECRET = 'test-secret';
+
+    const encrypted = mfaService.encryptSecret(RFC_SECRET);
+
+    expect(encrypted).not.toContain(RFC_SECRET);
+    expect(mfaService.decryptSecret(encrypted)).toBe(RFC_SECRET);
+  });
+
+  test('los retos de login no sirven para otro propósito', () => {
+    process.env.JWT_SECRET = 'test-secret';
+    const challenge = mfaService.createChallenge({ id: 'u1' }, 'mfa_verify');
+
+    expect(mfaService.verifyChallenge(challenge, 'mfa_verify')).toBe('u1');
+    expect(mfaService.verifyChallenge(challenge, 'mfa_setup')).toBeNull();
+  });
+});
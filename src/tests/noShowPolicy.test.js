@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+const { default: noShowPolicyService } = await import('../services/noShowPolicyService.js');
+
+const config = {
+  cancellation_cutoff_hours: 12,
+  no_show_policy: { grace_minutes: 15, require_confirmation_after: 2, block_online_after: 3 },
+};
+
+describe('NoShowPolicyService.getPolicy', () => {
+  test('debería completar con los valores por defecto', () => {
+    expect(noShowPolicyService.getPolicy({})).toEqual({
+      grace_minutes: 30,
+      late_cancel_hours: 24,
+      require_confirmation_after: null,
+      block_online_after: null,
+      flag_after: 1,
+    });
+  });
+
+  test('la cancelación tardía usa por defecto la antelación mínima del negocio', () => {
+    expect(noShowPolicyService.getPolicy(config).late_cancel_hours).toBe(12);
+  });
+
+  test('debería rechazar umbrales que no sean números enteros de no-shows', () => {
+    expect(noShowPolicyService.validatePolicy({ block_online_after: 0 })).toMatch('block_online_after');
+    expect(noShowPolicyService.validatePolicy({ grace_minutes: 'x' })).toMatch('grace_minutes');
+    expect(noShowPolicyService.validatePolicy({ flag_after: null, grace_minutes: 10 })).toBeNull();
+  });
+});
+
+describe('NoShowPolicyService.evaluate', () => {
+  test('debería aplicar las acciones según los no-shows del cliente', () => {
+    expect(noShowPolicyService.evaluate({ no_show_count: 2, late_cancel_count: 1 }, config)).toEqual({
+      noShows: 2,
+      lateCancellations: 1,
+      flagged: true,
+      requireConfirmation: true,
+      blockOnline: false,
+    });
+  });
+
+  test('un cliente nuevo no tiene restricciones', () => {
+    expect(noShowPolicyService.evaluate(null, config)).toEqual(expect.objectContaining({
+      flagged: false,
+      requireConfirmation: false,
+      blockOnline: false,
+    }));
+  });
+});
+
+describe('NoShowPolicyService plazos', () => {
+  const appointment = { appointment_time: '2030-06-01T20:00:00.000Z', duration_minutes: 60 };
+
+  test('sólo es no-show pasado el margen tras el fin de la cita', () => {
+    expect(noShowPolicyService.isOverdue(appointment, config, new Date('2030-06-01T21:10:00Z'))).toBe(false);
+    expect(noShowPolicyService.isOverdue(appointment, config, new Date('2030-06-01T21:16:00Z'))).toBe(true);
+  });
+
+  test('la cancelación del cliente dentro del plazo cuenta como tardía', () => {
+    const cancelled = { ...appointment, status: 'cancelada', cancelled_by: 'customer' };
+
+    expect(noShowPolicyService.isLateCancellation({ ...cancelled, cancelled_at: '2030-06-01T10:00:00Z' }, config)).toBe(true);
+    expect(noShowPolicyService.isLateCancellation({ ...cancelled, cancelled_at: '2030-05-31T10:00:00Z' }, config)).toBe(false);
+    expect(noShowPolicyService.isLateCancellation({ ...cancelled, cancelled_by: 'business', cancelled_at: '2030-06-01T10:00:00Z' }, config)).toBe(false);
+  });
+});
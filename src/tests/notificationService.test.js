@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+
+const updates = [];
+let claimedRow;
+
+const chain = () => {
+  const q = {
+    update: jest.fn((values) => { updates.push(values); return q; }),
+    eq: jest.fn(() => q),
+    select: jest.fn(() => q),
+    single: jest.fn(async () => ({ data: updates.length === 1 ? claimedRow : null })),
+  };
+  return q;
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn(() => chain()) },
+}));
+
+const { default: notificationService } = await import('../services/notificationService.js');
+const { default: consentService } = await import('../services/consentService.js');
+
+const notification = {
+  id: 'n1',
+  type: 'appointment_confirmation',
+  channel: 'email',
+  recipient: 'ana@example.com',
+  payload: {},
+  status: 'pending',
+  attempts: 0,
+  max_attempts: 2,
+};
+
+describe('NotificationService.getBackoffMinutes', () => {
+  test('debería duplicar la espera en cada intento hasta un máximo de 6h', () => {
+    expect([1, 2, 3, 4].map(n => notificationService.getBackoffMinutes(n))).toEqual([1, 2, 4, 8]);
+    expect(notificationService.getBackoffMinutes(20)).toBe(360);
+  });
+});
+
+describe('NotificationService.process', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    updates.length = 0;
+    claimedRow = { ...notification, status: 'processing' };
+  });
+
+  test('debería marcar como enviada si la entrega funciona', async () => {
+    jest.spyOn(notificationService, 'deliver').mockResolvedValueOnce();
+
+    const result = await notificationService.process(notification);
+
+    expect(result.status).toBe('sent');
+    expect(result.attempts).toBe(1);
+  });
+
+  test('debería reprogramar con backoff tras un fallo', async () => {
+    jest.spyOn(notificationService, 'deliver').mockRejectedValueOnce(new Error('SendGrid 503'));
+
+    const result = await notificationService.process(notification);
+
+    expect(result.status).toBe('pending');
+    expect(result.last_error).toBe('SendGrid 503');
+    expect(new Date(result.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('debería marcar como fallida al agotar los intentos', async () => {
+    claimedRow = { ...claimedRow, attempts: 1 };
+    jest.spyOn(notificationService, 'deliver').mockRejectedValueOnce(new Error('SendGrid 503'));
+
+    const result = await notificationService.process(notification);
+
+    expect(result.status).toBe('failed');
+    expect(result.attempts).toBe(2);
+  });
+
+  test('no debería procesar una fila ya reclamada por otro worker', async () => {
+    claimedRow = null;
+    const deliver = jest.spyOn(notificationService, 'deliver');
+
+    expect(await notificationService.process(notification)).toBeNull();
+    expect(deliver).not.toHaveBeenCalled();
+  });
+
+  test('no debería entregar una promoción sin consentimiento del cliente', async () => {
+    claimedRow = { ...claimedRow, type: 'promotion', customer_id: 'c1' };
+    jest.spyOn(consentService, 'canSend').mockResolvedValueOnce({ allowed: false, reason: 'Sin consentimiento' });
+    const deliver = jest.spyOn(notificationService, 'deliver');
+
+    const result = await notificationService.process({ ...notification, type: 'promotion' });
+
+    expect(result.status).toBe('blocked');
+    expect(result.last_error).toBe('Sin consentimiento');
+    expect(deliver).not.toHaveBeenCalled();
+  });
+
+  test('los mensajes transaccionales no dependen del consentimiento', async () => {
+    const canSend = jest.spyOn(consentService, 'canSend');
+    jest.spyOn(notificationService, 'deliver').mockResolvedValueOnce();
+
+    const result = await notificationService.process(notification);
+
+    expect(result.status).toBe('sent');
+    expect(canSend).toHaveBeenCalledWith(expect.objectContaining({ marketing: false }));
+  });
+});
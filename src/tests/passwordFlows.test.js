@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+
+const calls = [];
+let singleResult = { data: null };
+
+const chain = () => {
+  const q = {};
+  for (const method of ['select', 'update', 'insert', 'eq', 'is', 'gt', 'order']) {
+    q[method] = jest.fn((...args) => { calls.push([method, ...args]); return q; });
+  }
+  q.single = jest.fn(async () => singleResult);
+  q.then = (resolve) => resolve({ data: null, error: null });
+  return q;
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn(() => chain()) },
+}));
+
+jest.unstable_mockModule('../services/emailService.js', () => ({
+  default: { sendUserInvitation: jest.fn(), sendPasswordReset: jest.fn() },
+}));
+
+const { default: userTokenService, TOKEN_PURPOSES } = await import('../services/userTokenService.js');
+const { authenticateToken } = await import('../middleware/auth.js');
+const { default: membershipService } = await import('../services/membershipService.js');
+
+jest.spyOn(membershipService, 'listForUser').mockResolvedValue([
+  { id: 'm1', restaurant_id: 'r1', role: 'STAFF', permissions: {}, restaurants: { id: 'r1', is_active: true } }
+]);
+
+const mockRes = () => ({
+  status: jest.fn(function (code) { this.statusCode = code; return this; }),
+  json: jest.fn(function (body) { this.body = body; return this; }),
+});
+
+beforeEach(() => {
+  calls.length = 0;
+  singleResult = { data: null };
+});
+
+describe('UserTokenService.consume', () => {
+  test('sólo acepta tokens sin usar y sin caducar, buscando por hash', async () => {
+    singleResult = { data: { user_id: 'u1' } };
+
+    const userId = await userTokenService.consume('abc', TOKEN_PURPOSES.PASSWORD_RESET);
+
+    expect(userId).toBe('u1');
+    expect(calls).toContainEqual(['eq', 'token_hash', userTokenService.hashToken('abc')]);
+    expect(calls).toContainEqual(['is', 'used_at', null]);
+    expect(calls.some(([method, column]) => method === 'gt' && column === 'expires_at')).toBe(true);
+  });
+
+  test('un token ya usado o caducado no devuelve usuario', async () => {
+    expect(await userTokenService.consume('abc', TOKEN_PURPOSES.INVITE)).toBeNull();
+    expect(await userTokenService.consume('', TOKEN_PURPOSES.INVITE)).toBeNull();
+  });
+});
+
+describe('authenticateToken con contraseña temporal', () => {
+  const token = () => {
+    process.env.JWT_SECRET = 'test-secret';
+    return jwt.sign({ userId: 'u1', sid: 's1' }, 'test-secret');
+  };
+
+  const run = async (baseUrl, path) => {
+    singleResult = { data: { id: 'u1', is_active: true, must_change_password: true } };
+    const res = mockRes();
+    const next = jest.fn();
+    await authenticateToken({ headers: { authorization: `Bearer ${token()}` }, baseUrl, path }, res, next);
+    return { res, next };
+  };
+
+  test('bloquea el resto del panel hasta cambiarla', async () => {
+    const { res, next } = await run('/api/appointments', '/');
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('PASSWORD_CHANGE_REQUIRED');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('permite cambiar la contraseña', async () => {
+    const { next } = await run('/api/auth', '/change-password');
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('sin negocio activo rechaza la sesión aunque restaurant_users conserve el rol', async () => {
+    membershipService.listForUser.mockResolvedValueOnce([]);
+
+    const { res, next } = await run('/api/auth', '/change-password');
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
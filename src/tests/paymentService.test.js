@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const db = createSupabaseMock();
+const { tables } = db;
+const mockTransition = jest.fn(async (req, appointment, to) => ({ success: true, appointment: { ...appointment, status: to } }));
+const mockSendConfirmation = jest.fn(async () => {});
+
+jest.unstable_mockModule('../config/database.js', () => ({ supabase: db.supabase }));
+
+jest.unstable_mockModule('../services/appointmentStatusService.js', () => ({
+  default: { transition: mockTransition },
+  APPOINTMENT_STATUSES: { PENDING_PAYMENT: 'pendiente_pago', CONFIRMED: 'confirmado', CANCELLED: 'cancelada' },
+  CANCELLED_BY: { SYSTEM: 'system' },
+}));
+
+jest.unstable_mockModule('../services/bookingService.js', () => ({
+  default: {
+    getBusiness: jest.fn(async () => ({ name: 'Café Central', slug: 'cafe-central', timezone: 'Europe/Madrid' })),
+    sendConfirmation: mockSendConfirmation,
+  },
+}));
+
+const { default: paymentService } = await import('../services/paymentService.js');
+const { default: fakePaymentProvider } = await import('../services/payments/fakePaymentProvider.js');
+
+const held = {
+  id: 'apt-1',
+  restaurant_id: 'biz-1',
+  status: 'pendiente_pago',
+  deposit_required: 20,
+  appointment_time: '2026-11-01T19:00:00.000Z',
+  duration_minutes: 90,
+  client_email: 'ana@example.com',
+};
+
+beforeEach(() => {
+  db.reset();
+  mockTransition.mockClear();
+  mockSendConfirmation.mockClear();
+});
+
+describe('PaymentService.calculateDeposit', () => {
+  const config = { deposit_policy: { per_person_amount: 10, min_party_size: 6 } };
+
+  test('suma el depósito fijo de cada servicio', () => {
+    const services = [{ deposit_amount: '15.00' }, { deposit_amount: null }, { deposit_amount: 5 }];
+    expect(paymentService.calculateDeposit({ services, config: {} })).toBe(20);
+  });
+
+  test('cobra por persona sólo a partir del tamaño mínimo de grupo', () => {
+    expect(paymentService.calculateDeposit({ partySize: 4, config })).toBe(0);
+    expect(paymentService.calculateDeposit({ partySize: 6, config })).toBe(60);
+  });
+
+  test('sin política no hay depósito', () => {
+    expect(paymentService.calculateDeposit({ partySize: 12, config: {} })).toBe(0);
+  });
+});
+
+describe('PaymentService.validateDepositPolicy', () => {
+  test('acepta una política válida o vacía', () => {
+    expect(paymentService.validateDepositPolicy(undefined)).toBeNull();
+    expect(paymentService.validateDepositPolicy({ per_person_amount: 10, min_party_size: 6, hold_minutes: 20 })).toBeNull();
+  });
+
+  test('rechaza importes negativos y retenciones no enteras', () => {
+    expect(paymentService.validateDepositPolicy({ per_person_amount: -5 })).toMatch(/per_person_amount/);
+    expect(paymentService.validateDepositPolicy({ hold_minutes: 2.5 })).toMatch(/hold_minutes/);
+    expect(paymentService.validateDepositPolicy({ currency: 'euro' })).toMatch(/currency/);
+  });
+});
+
+describe('PaymentService.computeBalance', () => {
+  const ok = (type, amount) => ({ type, amount, status: 'succeeded' });
+
+  test('descuenta devoluciones e ignora cobros pendientes o fallidos', () => {
+    const balance = paymentService.computeBalance({
+      total: 100,
+      payments: [
+        ok('payment', '50.00'),
+        ok('refund', '10.00'),
+        { type: 'payment', amount: 40, status: 'pending' },
+        { type: 'payment', amount: 40, status: 'failed' },
+      ]
+    });
+
+    expect(balance).toEqual(expect.objectContaining({ paid: 50, refunded: 10, net: 40, balanceDue: 60, paymentStatus: 'partially_paid' }));
+  });
+
+  test('distingue depósito pagado, pagado del todo y devuelto', () => {
+    expect(paymentService.computeBalance({ total: 100, depositRequired: 20, payments: [ok('deposit', 20)] }).paymentStatus).toBe('deposit_paid');
+    expect(paymentService.computeBalance({ total: 100, payments: [ok('deposit', 20), ok('payment', 80)] }).paymentStatus).toBe('paid');
+    expect(paymentService.computeBalance({ total: 100, payments: [ok('deposit', 20), ok('refund', 20)] }).paymentStatus).toBe('refunded');
+    expect(paymentService.computeBalance({ total: 100, payments: [] }).paymentStatus).toBe('unpaid');
+  });
+});
+
+describe('PaymentService.recordPayment', () => {
+  test('los cobros online no se registran a mano', async () => {
+    const result = await paymentService.recordPayment({}, held, { method: 'online', amount: 20 });
+
+    expect(result.status).toBe(400);
+    expect(db.written('insert')).toHaveLength(0);
+  });
+
+  test('un depósito en efectivo que cubre lo exigido confirma la reserva retenida', async () => {
+    tables.payments = [{ type: 'deposit', amount: 20, status: 'succeeded' }];
+    tables.appointment_services = [{ price: 60, service_name: 'Menú', duration_minutes: 90 }];
+
+    const result = await paymentService.recordPayment({ user: { id: 'u1' } }, held, { type: 'deposit', method: 'cash', amount: '20' });
+
+    expect(result.success).toBe(true);
+    expect(db.written('insert')[0][1]).toEqual(expect.objectContaining({ type: 'deposit', method: 'cash', amount: 20, created_by: 'u1' }));
+    expect(mockTransition).toHaveBeenCalledWith(expect.anything(), held, 'confirmado', { extra: { hold_expires_at: null } });
+    expect(mockSendConfirmation).toHaveBeenCalled();
+  });
+});
+
+describe('PaymentService.refund', () => {
+  test('no devuelve un cobro que ya se devolvió entero', async () => {
+    tables.payments = [{ id: 'pay-1', type: 'payment', method: 'card', amount: 30, status: 'succeeded' }];
+
+    const result = await paymentService.refund({}, held, 'pay-1', { amount: 50 });
+
+    expect(result.status).toBe(400);
+    expect(result.body.refundable).toBe(0);
+  });
+});
+
+describe('PaymentService.isCheckoutAvailable', () => {
+  test('no hay cobro online con un proveedor desconocido ni con el de pruebas en producción', () => {
+    const { NODE_ENV, PAYMENT_PROVIDER } = process.env;
+
+    try {
+      expect(paymentService.isCheckoutAvailable()).toBe(true);
+
+      process.env.PAYMENT_PROVIDER = 'desconocido';
+      expect(paymentService.isCheckoutAvailable()).toBe(false);
+
+      delete process.env.PAYMENT_PROVIDER;
+      process.env.NODE_ENV = 'production';
+      expect(paymentService.isCheckoutAvailable()).toBe(false);
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (PAYMENT_PROVIDER === undefined) delete process.env.PAYMENT_PROVIDER;
+      else process.env.PAYMENT_PROVIDER = PAYMENT_PROVIDER;
+    }
+  });
+});
+
+describe('PaymentService.handleWebhook', () => {
+  test('un proveedor desconocido devuelve 404', async () => {
+    const result = await paymentService.handleWebhook('unknown', { body: {} });
+    expect(result.status).toBe(404);
+  });
+
+  test('un aviso repetido no vuelve a procesar el pago', async () => {
+    tables.payments = [{ id: 'pay-1', status: 'succeeded', provider_ref: 'fake_1' }];
+
+    const result = await paymentService.handleWebhook('fake', { body: { providerRef: 'fake_1' } });
+
+    expect(result.duplicate).toBe(true);
+    expect(mockTransition).not.toHaveBeenCalled();
+  });
+});
+
+describe('FakePaymentProvider', () => {
+  test('crea un checkout con referencia propia y enlace de pago', async () => {
+    const checkout = await fakePaymentProvider.createCheckout({ amount: 20, currency: 'EUR', metadata: { appointmentId: 'apt-1' } });
+
+    expect(checkout.providerRef).toMatch(/^fake_/);
+    expect(checkout.checkoutUrl).toContain(checkout.providerRef);
+  });
+
+  test('interpreta el aviso y se niega a funcionar en producción', () => {
+    expect(fakePaymentProvider.parseWebhook({ body: { providerRef: 'fake_1', status: 'failed' } })).toEqual({ providerRef: 'fake_1', status: 'failed' });
+
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    expect(() => fakePaymentProvider.parseWebhook({ body: {} })).toThrow();
+    process.env.NODE_ENV = env;
+  });
+
+  test('en producción no abre checkouts ni devoluciones', async () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    try {
+      await expect(fakePaymentProvider.createCheckout({ amount: 20, currency: 'EUR' })).rejects.toThrow();
+      await expect(fakePaymentProvider.refund({ providerRef: 'fake_1', amount: 20 })).rejects.toThrow();
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+});
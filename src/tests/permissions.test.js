@@ -0,0 +1,57 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+const { resolvePermissions, toOverrides, validatePermissions } = await import('../config/permissions.js');
+const { requirePermission } = await import('../middleware/auth.js');
+
+const run = (middleware, user) => {
+  const res = {
+    status: jest.fn(function (code) { this.statusCode = code; return this; }),
+    json: jest.fn(function (body) { this.body = body; return this; }),
+  };
+  const next = jest.fn();
+  middleware({ user }, res, next);
+  return { res, next };
+};
+
+describe('resolvePermissions', () => {
+  test('debería aplicar el preset del rol y las excepciones del usuario', () => {
+    const manager = resolvePermissions({ role: 'MANAGER', permissions: { view_analytics: false } });
+
+    expect(manager.manage_staff).toBe(true);
+    expect(manager.manage_users).toBe(false);
+    expect(manager.view_analytics).toBe(false);
+  });
+
+  test('debería guardar sólo lo que difiere del preset', () => {
+    expect(toOverrides('STAFF', { view_reservations: true, view_revenue: true })).toEqual({ view_revenue: true });
+  });
+
+  test('debería rechazar permisos desconocidos', () => {
+    expect(validatePermissions({ fly: true })).toMatch('fly');
+    expect(validatePermissions({ pause_ai: 'yes' })).toMatch('pause_ai');
+  });
+});
+
+describe('requirePermission', () => {
+  test('STAFF no puede cambiar la configuración ni gestionar usuarios', () => {
+    const staff = { role: 'STAFF', permissions: {} };
+
+    expect(run(requirePermission('manage_settings'), staff).res.statusCode).toBe(403);
+    expect(run(requirePermission('manage_users'), staff).res.statusCode).toBe(403);
+    expect(run(requirePermission('create_reservations'), staff).next).toHaveBeenCalled();
+  });
+
+  test('debería respetar permisos concedidos individualmente', () => {
+    const staff = { role: 'STAFF', permissions: { view_revenue: true } };
+
+    expect(run(requirePermission('view_revenue'), staff).next).toHaveBeenCalled();
+  });
+
+  test('el SuperAdmin pasa siempre', () => {
+    expect(run(requirePermission('manage_users'), { role: 'STAFF', is_platform_admin: true }).next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const db = createSupabaseMock();
+const { tables } = db;
+
+jest.unstable_mockModule('../config/database.js', () => ({ supabase: db.supabase }));
+
+const { default: phoneService } = await import('../services/phoneService.js');
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('PhoneService.normalize', () => {
+  test('el mismo móvil escrito de distintas formas queda igual en E.164', () => {
+    for (const phone of ['600 11 22 33', '+34 600-11-22-33', '0034600112233', '(+34) 600112233']) {
+      expect(phoneService.normalize(phone, 'ES')).toBe('+34600112233');
+    }
+  });
+
+  test('un número con prefijo internacional no depende del país del negocio', () => {
+    expect(phoneService.normalize('+351 912 345 678', 'ES')).toBe('+351912345678');
+  });
+
+  test('rechaza números incompletos o que no son teléfonos', () => {
+    expect(phoneService.normalize('60011', 'ES')).toBeNull();
+    expect(phoneService.normalize('hola', 'ES')).toBeNull();
+    expect(phoneService.normalize('', 'ES')).toBeNull();
+    expect(phoneService.normalize(undefined, 'ES')).toBeNull();
+  });
+});
+
+describe('PhoneService.getCountry', () => {
+  test('usa config.phone_country, luego la zona horaria y por último España', () => {
+    expect(phoneService.getCountry({ timezone: 'Europe/Madrid', config: { phone_country: 'MX' } })).toBe('MX');
+    expect(phoneService.getCountry({ timezone: 'Europe/Lisbon', config: {} })).toBe('PT');
+    expect(phoneService.getCountry({ timezone: 'Asia/Tokyo' })).toBe('ES');
+  });
+
+  test('el número local se interpreta con el país del negocio', () => {
+    const business = { timezone: 'America/Mexico_City' };
+    expect(phoneService.parse('55 1234 5678', business)).toEqual({ success: true, phone: '+525512345678' });
+  });
+});
+
+describe('PhoneService.parse', () => {
+  test('devuelve un 400 claro si el número no es válido', () => {
+    const result = phoneService.parse('123', { timezone: 'Europe/Madrid' });
+
+    expect(result.status).toBe(400);
+    expect(result.body.reason_code).toBe('INVALID_PHONE');
+    expect(result.body.error).toContain('"123"');
+  });
+});
+
+describe('PhoneService.validateCountry', () => {
+  test('acepta códigos ISO soportados y rechaza el resto', () => {
+    expect(phoneService.validateCountry(undefined)).toBeNull();
+    expect(phoneService.validateCountry('PT')).toBeNull();
+    expect(phoneService.validateCountry('España')).toMatch(/phone_country/);
+  });
+});
+
+describe('PhoneService.normalizeBusiness', () => {
+  const business = { id: 'biz-1', timezone: 'Europe/Madrid', config: {} };
+
+  test('normaliza, informa de colisiones y de números inválidos', async () => {
+    tables.customers = [
+      { id: 'c1', name: 'Ana', phone: '+34600112233' },
+      { id: 'c2', name: 'Ana R.', phone: '600 11 22 33' },
+      { id: 'c3', name: 'Luis', phone: '611 22 33 44' },
+      { id: 'c4', name: 'Sin número', phone: '12' },
+    ];
+    tables.appointments = [{ client_phone: '600 11 22 33' }, { client_phone: '+34600112233' }];
+
+    const report = await phoneService.normalizeBusiness(business);
+
+    expect(report.updated).toBe(1);
+    expect(report.unchanged).toBe(1);
+    expect(report.invalid).toEqual([{ id: 'c4', name: 'Sin número', phone: '12' }]);
+    expect(report.collisions).toEqual([
+      expect.objectContaining({ phone: '+34600112233', keep: expect.objectContaining({ id: 'c1' }), conflicting: expect.objectContaining({ id: 'c2' }) })
+    ]);
+    expect(report.appointmentPhones).toBe(1);
+    expect(db.written('update')).toEqual([
+      ['customers', expect.objectContaining({ phone: '+34611223344' })],
+      ['appointments', { client_phone: '+34600112233' }],
+    ]);
+  });
+
+  test('en modo dryRun sólo informa', async () => {
+    tables.customers = [{ id: 'c3', name: 'Luis', phone: '611 22 33 44' }];
+
+    const report = await phoneService.normalizeBusiness(business, { dryRun: true });
+
+    expect(report.updated).toBe(1);
+    expect(db.written('update')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,184 @@
+import { jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+import { unzipSync, strFromU8 } from 'fflate';
+
+let rpcResult = { data: 0, error: null };
+
+const db = createSupabaseMock({ rpc: () => rpcResult });
+const { tables, writes } = db;
+
+jest.unstable_mockModule('../config/database.js', () => ({ supabase: db.supabase }));
+
+const { default: privacyService, ANONYMIZED_NAME } = await import('../services/privacyService.js');
+
+const req = { user: { id: 'user-1', name: 'Admin' } };
+const past = new Date(Date.now() - 7 * 86400000).toISOString();
+const future = new Date(Date.now() + 7 * 86400000).toISOString();
+
+beforeEach(() => {
+  db.reset();
+  rpcResult = { data: 0, error: null };
+});
+
+const requestsRecorded = () => writes.filter(([table]) => table === 'data_subject_requests').map(([, , values]) => values);
+
+describe('PrivacyService.exportData', () => {
+  test('devuelve todo lo del cliente y registra la solicitud', async () => {
+    tables.customers = [{ id: 'c1', name: 'Ana López', phone: '+34600112233' }];
+    tables.appointments = [{ id: 'a1', status: 'completada', appointment_time: past }];
+    tables.payments = [{ appointment_id: 'a1', amount: 20 }];
+
+    const result = await privacyService.exportData(req, 'biz-1', 'c1');
+
+    expect(result.success).toBe(true);
+    expect(result.bundle.customer.name).toBe('Ana López');
+    expect(result.bundle.appointments).toHaveLength(1);
+    expect(result.bundle.payments).toHaveLength(1);
+    expect(requestsRecorded()).toEqual([
+      expect.objectContaining({ type: 'export', status: 'completed', customer_id: 'c1', requested_by: 'user-1' })
+    ]);
+  });
+
+  test('incluye las fichas duplicadas fusionadas en el cliente', async () => {
+    tables.customers = [
+      { id: 'c1', name: 'Ana López', merged_into: null },
+      { id: 'd1', name: 'Ana Lopez', phone: '+34600112233', merged_into: 'c1' }
+    ];
+
+    const result = await privacyService.exportData(req, 'biz-1', 'c1');
+
+    expect(result.bundle.merged_customers).toEqual([expect.objectContaining({ id: 'd1', name: 'Ana Lopez' })]);
+  });
+
+  test('incluye las promociones de campañas, que no van ligadas a una cita', async () => {
+    tables.customers = [{ id: 'c1', name: 'Ana López' }];
+    tables.notifications = [{ id: 'n1', appointment_id: null, customer_id: 'c1', type: 'promotion', recipient: 'ana@example.com' }];
+
+    const result = await privacyService.exportData(req, 'biz-1', 'c1');
+
+    expect(result.bundle.notifications).toEqual([expect.objectContaining({ id: 'n1', type: 'promotion' })]);
+  });
+
+  test('404 si el cliente no es del negocio', async () => {
+    const result = await privacyService.exportData(req, 'biz-1', 'otro');
+
+    expect(result.status).toBe(404);
+    expect(requestsRecorded()).toHaveLength(0);
+  });
+
+  test('el ZIP lleva un JSON por apartado', () => {
+    const bundle = {
+      exported_at: '2026-10-19T10:00:00.000Z',
+      customer: { id: 'c1', name: 'Ana López' },
+      merged_customers: [],
+      appointments: [{ id: 'a1' }],
+      series: [], waitlist: [], conversations: [], notifications: [], payments: []
+    };
+
+    const files = unzipSync(new Uint8Array(privacyService.toZip(bundle)));
+
+    expect(Object.keys(files).sort()).toEqual([
+      'LEEME.txt', 'citas.json', 'conversaciones.json', 'fichas_fusionadas.json', 'lista_espera.json',
+      'notificaciones.json', 'pagos.json', 'perfil.json', 'series.json'
+    ]);
+    expect(JSON.parse(strFromU8(files['perfil.json']))).toEqual(bundle.customer);
+    expect(JSON.parse(strFromU8(files['citas.json']))).toEqual([{ id: 'a1' }]);
+  });
+});
+
+describe('PrivacyService.erase', () => {
+  test('no anonimiza si hay citas futuras activas', async () => {
+    tables.customers = [{ id: 'c1', anonymized_at: null }];
+    tables.appointments = [
+      { id: 'a1', status: 'completada', appointment_time: past },
+      { id: 'a2', status: 'confirmado', appointment_time: future }
+    ];
+
+    const result = await privacyService.erase(req, 'biz-1', 'c1');
+
+    expect(result.status).toBe(409);
+    expect(result.body.appointments.map(a => a.id)).toEqual(['a2']);
+    expect(writes).toHaveLength(0);
+  });
+
+  test('409 si el cliente ya está anonimizado', async () => {
+    tables.customers = [{ id: 'c1', anonymized_at: past }];
+
+    const result = await privacyService.erase(req, 'biz-1', 'c1');
+
+    expect(result.status).toBe(409);
+    expect(writes).toHaveLength(0);
+  });
+
+  test('vacía los datos personales y marca al cliente en último lugar', async () => {
+    tables.customers = [{ id: 'c1', anonymized_at: null }];
+    tables.appointments = [
+      { id: 'a1', status: 'completada', appointment_time: past },
+      { id: 'a2', status: 'cancelada', appointment_time: future }
+    ];
+    rpcResult = { data: 3, error: null };
+
+    const result = await privacyService.erase(req, 'biz-1', 'c1', { reason: 'Solicitud por email' });
+
+    expect(result.success).toBe(true);
+    expect(result.summary.auditEntries).toBe(3);
+
+    const steps = writes.map(([table, op]) => `${table}:${op}`);
+    expect(steps).toEqual([
+      'appointments:update',
+      'notifications:update',
+      'payments:update',
+      'notifications:update',
+      'ai_conversations:update',
+      'waitlist:update',
+      'customer_preferences:delete',
+      'rpc:redact_audit_log',
+      'customer_consents:update',
+      'customers:update',
+      'audit_log:insert',
+      'data_subject_requests:insert'
+    ]);
+
+    expect(writes[0][2]).toEqual(expect.objectContaining({
+      client_name: ANONYMIZED_NAME, client_phone: 'anonimizado-c1', client_email: null
+    }));
+    expect(writes[7][2].p_entity_ids).toEqual(['c1', 'a1', 'a2']);
+    expect(writes[8][2]).toEqual(expect.objectContaining({ granted: false, source: 'erasure' }));
+    expect(writes[9][2]).toEqual(expect.objectContaining({
+      name: ANONYMIZED_NAME, phone: 'anonimizado-c1', email: null, notes: null, anonymized_at: expect.any(String)
+    }));
+    expect(requestsRecorded()).toEqual([
+      expect.objectContaining({ type: 'erasure', status: 'completed', reason: 'Solicitud por email' })
+    ]);
+  });
+
+  test('anonimiza también las fichas duplicadas fusionadas en él', async () => {
+    tables.customers = [
+      { id: 'c1', anonymized_at: null, merged_into: null },
+      { id: 'd1', anonymized_at: null, merged_into: 'c1' }
+    ];
+
+    const result = await privacyService.erase(req, 'biz-1', 'c1');
+
+    expect(result.summary.mergedCustomers).toBe(1);
+    expect(writes.find(([table]) => table === 'rpc')[2].p_entity_ids).toEqual(['c1', 'd1']);
+
+    const customerUpdates = writes.filter(([table, op]) => table === 'customers' && op === 'update').map(([, , values]) => values);
+    expect(customerUpdates).toEqual([
+      expect.objectContaining({ name: ANONYMIZED_NAME, phone: 'anonimizado-d1', email: null }),
+      expect.objectContaining({ name: ANONYMIZED_NAME, phone: 'anonimizado-c1', email: null })
+    ]);
+  });
+
+  test('si algo falla queda registrada la solicitud fallida y el cliente sin marcar', async () => {
+    tables.customers = [{ id: 'c1', anonymized_at: null }];
+    rpcResult = { data: null, error: new Error('permission denied') };
+
+    await expect(privacyService.erase(req, 'biz-1', 'c1')).rejects.toThrow('permission denied');
+
+    expect(writes.some(([table, op]) => table === 'customers' && op === 'update')).toBe(false);
+    expect(requestsRecorded()).toEqual([
+      expect.objectContaining({ type: 'erasure', status: 'failed', error: 'permission denied' })
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+const { default: recurrenceService } = await import('../services/recurrenceService.js');
+
+describe('RecurrenceService.expandOccurrences', () => {
+  test('debería generar una cita cada dos semanas hasta count', () => {
+    const dates = recurrenceService.expandOccurrences('2030-01-04', { intervalWeeks: 2, count: 3 });
+
+    expect(dates.map(d => d.date)).toEqual(['2030-01-04', '2030-01-18', '2030-02-01']);
+  });
+
+  test('debería parar en untilDate y omitir skipDates', () => {
+    const dates = recurrenceService.expandOccurrences('2030-01-04', {
+      untilDate: '2030-01-25',
+      skipDates: ['2030-01-11'],
+    });
+
+    expect(dates).toEqual([
+      { index: 0, date: '2030-01-04' },
+      { index: 2, date: '2030-01-18' },
+      { index: 3, date: '2030-01-25' },
+    ]);
+  });
+});
+
+describe('RecurrenceService.validateRule', () => {
+  test('debería exigir count o untilDate', () => {
+    expect(recurrenceService.validateRule({ intervalWeeks: 1 }, '2030-01-04')).toBe('Indica count o untilDate para la serie');
+    expect(recurrenceService.validateRule({ count: 4 }, '2030-01-04')).toBeNull();
+  });
+
+  test('debería rechazar un untilDate anterior al inicio', () => {
+    expect(recurrenceService.validateRule({ untilDate: '2029-12-01' }, '2030-01-04')).not.toBeNull();
+  });
+});
@@ -0,0 +1,61 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+const { default: reminderService } = await import('../services/reminderService.js');
+
+const policy = reminderService.getPolicy({
+  reminders: {
+    steps: [{ offset_hours: 2, channel: 'whatsapp' }, { offset_hours: 48, channel: 'email' }],
+    quiet_hours: { start: '22:00', end: '08:00' },
+  },
+});
+
+const appointment = {
+  appointment_time: '2030-03-10T18:00:00Z',
+  created_at: '2030-03-01T10:00:00Z',
+};
+
+describe('ReminderService.selectDueStep', () => {
+  test('debería ordenar los pasos de mayor a menor antelación', () => {
+    expect(policy.steps.map(s => reminderService.stepKey(s))).toEqual(['48h_email', '2h_whatsapp']);
+  });
+
+  test('debería enviar el paso de 48h y no repetirlo', () => {
+    const now = new Date('2030-03-08T19:00:00Z');
+
+    const first = reminderService.selectDueStep(appointment, policy.steps, now);
+    const again = reminderService.selectDueStep(appointment, policy.steps, now, new Set(['48h_email']));
+
+    expect(first.due.channel).toBe('email');
+    expect(again.due).toBeNull();
+  });
+
+  test('debería omitir pasos anteriores no enviados y mandar sólo el más cercano', () => {
+    const now = new Date('2030-03-10T16:30:00Z');
+
+    const result = reminderService.selectDueStep(appointment, policy.steps, now);
+
+    expect(result.due.channel).toBe('whatsapp');
+    expect(result.skipped.map(s => s.channel)).toEqual(['email']);
+  });
+
+  test('no debería recordar citas reservadas después del momento del paso', () => {
+    const lateBooking = { ...appointment, created_at: '2030-03-10T17:00:00Z' };
+
+    const result = reminderService.selectDueStep(lateBooking, policy.steps, new Date('2030-03-10T17:05:00Z'));
+
+    expect(result.due).toBeNull();
+  });
+});
+
+describe('ReminderService.isQuietTime', () => {
+  test('debería respetar horarios de silencio que cruzan medianoche', () => {
+    // Madrid en marzo (antes del cambio de hora) = UTC+1
+    expect(reminderService.isQuietTime(new Date('2030-03-10T22:30:00Z'), 'Europe/Madrid', policy.quiet_hours)).toBe(true);
+    expect(reminderService.isQuietTime(new Date('2030-03-10T06:30:00Z'), 'Europe/Madrid', policy.quiet_hours)).toBe(true);
+    expect(reminderService.isQuietTime(new Date('2030-03-10T12:00:00Z'), 'Europe/Madrid', policy.quiet_hours)).toBe(false);
+  });
+});
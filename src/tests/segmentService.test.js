@@ -0,0 +1,136 @@
+import { jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const db = createSupabaseMock();
+const { tables } = db;
+
+jest.unstable_mockModule('../config/database.js', () => ({ supabase: db.supabase }));
+
+const { default: segmentService } = await import('../services/segmentService.js');
+const { default: notificationService } = await import('../services/notificationService.js');
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  db.reset();
+});
+
+describe('SegmentService.normalizeTags', () => {
+  test('minúsculas, sin espacios de más y sin repetir', () => {
+    expect(segmentService.normalizeTags([' Cumpleaños ', 'cumpleaños', 'Sin  gluten'])).toEqual({
+      tags: ['cumpleaños', 'sin gluten'],
+      error: null
+    });
+  });
+
+  test('rechaza lo que no es una lista de textos', () => {
+    expect(segmentService.normalizeTags('vip').error).toBeTruthy();
+    expect(segmentService.normalizeTags([1]).error).toBeTruthy();
+  });
+});
+
+describe('SegmentService.validateRules', () => {
+  test('acepta las reglas conocidas con valores válidos', () => {
+    expect(segmentService.validateRules({
+      tags: ['terraza'], min_visits: 3, last_visit_before: '2026-01-01', min_total_spent: 100,
+      favorite_service: 'Corte', min_no_shows: 1, birthday_month: 5, is_vip: false
+    })).toBeNull();
+  });
+
+  test('rechaza reglas desconocidas o con valores inválidos', () => {
+    expect(segmentService.validateRules({ edad: 30 })).toMatch(/edad/);
+    expect(segmentService.validateRules({ min_visits: -1 })).toMatch(/min_visits/);
+    expect(segmentService.validateRules({ last_visit_before: 'ayer' })).toMatch(/last_visit_before/);
+    expect(segmentService.validateRules({ birthday_month: 13 })).toMatch(/birthday_month/);
+    expect(segmentService.validateRules([])).toBeTruthy();
+  });
+});
+
+describe('SegmentService.matches', () => {
+  const customer = {
+    id: 'c1',
+    tags: ['terraza', 'vegano'],
+    is_vip: false,
+    total_visits: 5,
+    no_show_count: 1,
+    last_visit_at: '2026-03-10T20:00:00.000Z',
+    birth_date: '1990-05-21'
+  };
+  const metrics = { c1: { total_spent: 180, favorite_service: { id: 'srv-1', name: 'Menú degustación' } } };
+
+  test('se cumplen todas las reglas a la vez', () => {
+    expect(segmentService.matches(customer, {
+      tags: ['Terraza'], min_visits: 5, min_no_shows: 1, last_visit_before: '2026-04-01',
+      min_total_spent: 150, favorite_service: 'menu degustacion', birthday_month: 5
+    }, metrics)).toBe(true);
+  });
+
+  test('basta una regla que no se cumpla', () => {
+    expect(segmentService.matches(customer, { min_visits: 6 }, metrics)).toBe(false);
+    expect(segmentService.matches(customer, { tags: ['terraza', 'niños'] }, metrics)).toBe(false);
+    expect(segmentService.matches(customer, { last_visit_after: '2026-04-01' }, metrics)).toBe(false);
+    expect(segmentService.matches(customer, { min_total_spent: 200 }, metrics)).toBe(false);
+    expect(segmentService.matches(customer, { favorite_service: 'srv-2' }, metrics)).toBe(false);
+    expect(segmentService.matches(customer, { birthday_month: 6 }, metrics)).toBe(false);
+    expect(segmentService.matches(customer, { is_vip: true }, metrics)).toBe(false);
+  });
+
+  test('quien nunca ha venido no tiene "última visita antes de"', () => {
+    expect(segmentService.matches({ id: 'c2', last_visit_at: null }, { last_visit_before: '2026-01-01' })).toBe(false);
+  });
+});
+
+describe('SegmentService.loadMetrics', () => {
+  test('suma lo pagado y elige el servicio más reservado', async () => {
+    tables.appointments = [
+      { customer_id: 'c1', amount_paid: '30', service_id: 's1', service_name: 'Corte' },
+      { customer_id: 'c1', amount_paid: '45.5', service_id: 's2', service_name: 'Tinte' },
+      { customer_id: 'c1', amount_paid: null, service_id: 's1', service_name: 'Corte' },
+    ];
+
+    expect(await segmentService.loadMetrics('biz-1')).toEqual({
+      c1: { total_spent: 75.5, favorite_service: { id: 's1', name: 'Corte', count: 2 } }
+    });
+  });
+});
+
+describe('SegmentService.sendCampaign', () => {
+  const business = { id: 'biz-1', slug: 'casa-pepe', name: 'Casa Pepe' };
+
+  test('sólo encola para quien ha dado su consentimiento y tiene email', async () => {
+    tables.customer_segments = [{ id: 'seg-1', name: 'Habituales', rules: { min_visits: 3 } }];
+    tables.customers = [
+      { id: 'c1', name: 'Ana', email: 'ana@example.com', total_visits: 4 },
+      { id: 'c2', name: 'Luis', email: 'luis@example.com', total_visits: 8 },
+      { id: 'c3', name: 'Eva', email: null, total_visits: 3 },
+      { id: 'c4', name: 'Sin visitas', email: 'x@example.com', total_visits: 0 },
+    ];
+    tables.customer_consents = [{ customer_id: 'c1' }, { customer_id: 'c3' }];
+    const enqueue = jest.spyOn(notificationService, 'enqueue').mockResolvedValue({});
+
+    const result = await segmentService.sendCampaign({ user: { id: 'user-1' } }, business, 'seg-1', {
+      channel: 'email', subject: '2x1 en postres', message: 'Este jueves, 2x1.'
+    });
+
+    expect(result.stats).toEqual({ audience: 3, queued: 1, withoutConsent: 1, withoutContact: 1 });
+    expect(enqueue).toHaveBeenCalledTimes(1);
+    expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      customerId: 'c1',
+      campaignId: 'campaigns-1',
+      type: 'promotion',
+      recipient: 'ana@example.com',
+      payload: expect.objectContaining({ unsubscribe_url: expect.stringContaining('/casa-pepe/unsubscribe?token=') })
+    }));
+  });
+
+  test('valida canal y contenido antes de buscar el segmento', async () => {
+    expect((await segmentService.sendCampaign({}, business, 'seg-1', { channel: 'sms', message: 'Hola' })).status).toBe(400);
+    expect((await segmentService.sendCampaign({}, business, 'seg-1', { channel: 'email', message: 'Hola' })).status).toBe(400);
+  });
+
+  test('404 si el segmento no existe', async () => {
+    const result = await segmentService.sendCampaign({}, business, 'otro', { channel: 'email', subject: 'Hola', message: 'Hola' });
+    expect(result.status).toBe(404);
+  });
+});
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+
+let session;
+const updates = [];
+
+const chain = () => {
+  const q = {
+    filters: {},
+    select: jest.fn(() => q),
+    update: jest.fn((values) => { q.values = values; return q; }),
+    eq: jest.fn((column, value) => { q.filters[column] = value; return q; }),
+    is: jest.fn(() => q),
+    single: jest.fn(async () => {
+      if (!q.values) return { data: session };
+      // Rotación condicionada al hash actual
+      if (q.filters.refresh_token_hash && q.filters.refresh_token_hash !== session.refresh_token_hash) {
+        return { data: null };
+      }
+      updates.push(q.values);
+      Object.assign(session, q.values);
+      return { data: { id: session.id } };
+    }),
+    then: (resolve) => {
+      updates.push(q.values);
+      Object.assign(session, q.values);
+      return resolve({ error: null });
+    },
+  };
+  return q;
+};
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn(() => chain()) },
+}));
+
+const { default: sessionService } = await import('../services/sessionService.js');
+const { default: membershipService } = await import('../services/membershipService.js');
+
+let memberships;
+jest.spyOn(membershipService, 'listForUser').mockImplementation(async () => memberships);
+
+describe('SessionService.refresh', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    updates.length = 0;
+    memberships = [{ id: 'm1', restaurant_id: 'r1', role: 'STAFF', restaurants: { id: 'r1', is_active: true } }];
+    session = {
+      id: 's1',
+      refresh_token_hash: sessionService.hashSecret('first'),
+      previous_token_hash: null,
+      expires_at: new Date(Date.now() + 86400000).toISOString(),
+      revoked_at: null,
+      restaurant_users: { id: 'u1', role: 'STAFF', is_active: true },
+    };
+  });
+
+  test('debería rotar el refresh token y devolver un access token nuevo', async () => {
+    const result = await sessionService.refresh('s1.first');
+
+    expect(result.token).toBeTruthy();
+    expect(result.refreshToken).toMatch(/^s1\./);
+    expect(result.refreshToken).not.toBe('s1.first');
+    expect(session.previous_token_hash).toBe(sessionService.hashSecret('first'));
+  });
+
+  test('reutilizar un refresh token ya rotado revoca la sesión', async () => {
+    await sessionService.refresh('s1.first');
+
+    const reused = await sessionService.refresh('s1.first');
+
+    expect(reused).toBeNull();
+    expect(session.revoked_reason).toBe('token_reuse');
+  });
+
+  test('no renueva sesiones de usuarios desactivados', async () => {
+    session.restaurant_users.is_active = false;
+
+    expect(await sessionService.refresh('s1.first')).toBeNull();
+    expect(session.revoked_reason).toBe('user_inactive');
+  });
+
+  test('no renueva sesiones sin acceso a ningún negocio activo', async () => {
+    memberships = [];
+
+    expect(await sessionService.refresh('s1.first')).toBeNull();
+    expect(session.revoked_reason).toBe('no_membership');
+  });
+
+  test('un SuperAdmin sin negocios sí renueva', async () => {
+    memberships = [];
+    session.restaurant_users.is_platform_admin = true;
+
+    expect(await sessionService.refresh('s1.first')).not.toBeNull();
+  });
+
+  test('rechaza sesiones revocadas o tokens mal formados', async () => {
+    session.revoked_at = new Date().toISOString();
+
+    expect(await sessionService.refresh('s1.first')).toBeNull();
+    expect(await sessionService.refresh('basura')).toBeNull();
+  });
+});
@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+const { supabase } = await import('../config/database.js');
+const { tableAssignmentEngine } = await import('../services/restaurant/tableAssignmentEngine.js');
+
+const baseParams = {
+  restaurantId: 'rest-uuid-456',
+  date: '2025-12-12',
+  time: '21:00',
+  duration: 90,
+  timezone: 'Europe/Madrid',
+  reservationStartUTC: new Date('2025-12-12T20:00:00Z'),
+  reservationEndUTC: new Date('2025-12-12T21:30:00Z'),
+};
+
+const tables = [
+  { id: 't1', table_number: '1', capacity: 4, table_type: 'salon', priority: 1, combinable_with: ['t2'] },
+  { id: 't2', table_number: '2', capacity: 4, table_type: 'salon', priority: 1, combinable_with: ['t3'] },
+  { id: 't3', table_number: '3', capacity: 4, table_type: 'salon', priority: 2, combinable_with: [] },
+  { id: 't4', table_number: '4', capacity: 6, table_type: 'terraza', priority: 1, combinable_with: [] },
+];
+
+describe('TableAssignmentEngine.findTableCombinations', () => {
+  test('debería juntar mesas combinables para un grupo grande', async () => {
+    const result = await tableAssignmentEngine.findTableCombinations({
+      ...baseParams,
+      partySize: 8,
+      allTables: tables,
+      existingReservations: [],
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.isCombination).toBe(true);
+    expect(result.tables.map(t => t.id)).toEqual(['t1', 't2']);
+    expect(result.table.id).toBe('t1');
+  });
+
+  test('debería saltar mesas ocupadas en la franja', async () => {
+    const result = await tableAssignmentEngine.findTableCombinations({
+      ...baseParams,
+      partySize: 8,
+      allTables: tables,
+      existingReservations: [
+        { table_id: 't1', appointment_time: '2025-12-12T19:30:00Z', duration_minutes: 90 },
+      ],
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.tables.map(t => t.id)).toEqual(['t2', 't3']);
+  });
+
+  test('debería fallar si ninguna combinación sienta al grupo', async () => {
+    const result = await tableAssignmentEngine.findTableCombinations({
+      ...baseParams,
+      partySize: 14,
+      allTables: tables,
+      existingReservations: [],
+      maxTables: 3,
+    });
+
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('TableAssignmentEngine.findAlternativeTimes', () => {
+  const context = {
+    success: true,
+    restaurantId: 'rest-uuid-456',
+    timezone: 'Europe/Madrid',
+    config: {
+      schedules: {
+        lunch: { enabled: true, start_time: '13:00', end_time: '16:00' },
+        dinner: { enabled: true, start_time: '20:00', end_time: '23:00' },
+      },
+    },
+    allTables: [
+      { id: 't1', table_number: '1', capacity: 4, table_type: 'salon', priority: 1, combinable_with: [] },
+    ],
+    // Mesa 1 ocupada de 21:00 a 22:30 (hora de Madrid)
+    existingReservations: [
+      { table_id: 't1', appointment_time: '2025-12-12T20:00:00Z', duration_minutes: 90 },
+    ],
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('debería sugerir horas libres dentro del mismo turno', async () => {
+    jest.spyOn(tableAssignmentEngine, 'loadDayContext').mockResolvedValue(context);
+
+    const suggestions = await tableAssignmentEngine.findAlternativeTimes({
+      restaurantId: 'rest-uuid-456',
+      date: '2025-12-12',
+      time: '21:00',
+      partySize: 2,
+      duration: 30,
+    });
+
+    // Las 3 más cercanas a las 21:00 que no se solapan con la reserva existente
+    expect(suggestions.map(s => s.time)).toEqual(['20:00', '20:15', '20:30']);
+    expect(suggestions.every(s => s.shift === 'dinner')).toBe(true);
+  });
+
+  test('debería devolver lista vacía si el negocio no usa mesas', async () => {
+    jest.spyOn(tableAssignmentEngine, 'loadDayContext').mockResolvedValue({ success: false });
+
+    const suggestions = await tableAssignmentEngine.findAlternativeTimes({
+      restaurantId: 'rest-uuid-456',
+      date: '2025-12-12',
+      time: '21:00',
+      partySize: 2,
+    });
+
+    expect(suggestions).toEqual([]);
+  });
+});
+
+describe('TableAssignmentEngine.getDayReservations', () => {
+  test('una reserva retenida a la espera del depósito ocupa su mesa', async () => {
+    const rows = [
+      { id: 'a1', status: 'pendiente_pago', table_id: 't1', appointment_time: '2025-12-12T20:00:00Z', duration_minutes: 90, table_assignments: [] },
+      { id: 'a2', status: 'cancelada', table_id: 't2', appointment_time: '2025-12-12T20:00:00Z', duration_minutes: 90, table_assignments: [] },
+    ];
+    const query = {
+      select: () => query,
+      eq: () => query,
+      is: () => query,
+      gte: () => query,
+      lte: () => query,
+      in: async (column, values) => ({ data: rows.filter(row => values.includes(row[column])), error: null }),
+    };
+    supabase.from.mockReturnValue(query);
+
+    const reservations = await tableAssignmentEngine.getDayReservations({
+      restaurantId: 'rest-uuid-456',
+      date: '2025-12-12',
+      timezone: 'Europe/Madrid',
+    });
+
+    expect(reservations.map(r => r.table_id)).toEqual(['t1']);
+  });
+});
@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+let deleteResult = { data: [], error: null };
+
+// El registro de auditoría siempre se guarda; el resto de tablas responde con deleteResult
+const db = createSupabaseMock({
+  resolve: (table) => (table === 'audit_log' ? undefined : deleteResult),
+});
+const { calls } = db;
+
+jest.unstable_mockModule('../config/database.js', () => ({ supabase: db.supabase }));
+
+const { default: trashService, DEFAULT_RETENTION_DAYS } = await import('../services/trashService.js');
+
+beforeEach(() => {
+  db.reset();
+  deleteResult = { data: [], error: null };
+});
+
+describe('TrashService retención', () => {
+  test('debería usar la retención del negocio o la de por defecto', () => {
+    expect(trashService.getRetentionDays({ trash_retention_days: 7 })).toBe(7);
+    expect(trashService.getRetentionDays({})).toBe(DEFAULT_RETENTION_DAYS);
+  });
+
+  test('debería rechazar retenciones inválidas', () => {
+    expect(trashService.validateRetention(undefined)).toBeNull();
+    expect(trashService.validateRetention(90)).toBeNull();
+    expect(trashService.validateRetention(0)).toMatch('trash_retention_days');
+    expect(trashService.validateRetention('abc')).toMatch('trash_retention_days');
+  });
+});
+
+describe('TrashService.purgeBusiness', () => {
+  test('sólo purga lo eliminado antes del corte de retención, citas primero', async () => {
+    const now = new Date('2030-05-31T00:00:00Z');
+
+    await trashService.purgeBusiness({ id: 'biz-1', name: 'Café', config: { trash_retention_days: 30 } }, now);
+
+    const cutoffs = calls.filter(([, method]) => method === 'lt');
+    expect(cutoffs.map(([table]) => table)).toEqual(['appointments', 'customers', 'services', 'tables']);
+    expect(cutoffs[0]).toEqual(['appointments', 'lt', 'deleted_at', '2030-05-01T00:00:00.000Z']);
+  });
+
+  test('una fila aún referenciada se queda en la papelera sin cortar el purgado', async () => {
+    deleteResult = { data: null, error: { message: 'violates foreign key constraint' } };
+
+    const result = await trashService.purgeBusiness({ id: 'biz-1', name: 'Café', config: {} });
+
+    expect(result).toEqual({ appointments: 0, customers: 0, services: 0, tables: 0 });
+  });
+});
+
+describe('TrashService.restoreIfDeleted', () => {
+  test('no toca filas que no están en la papelera', async () => {
+    const row = { id: 'c1', deleted_at: null };
+
+    expect(await trashService.restoreIfDeleted('customers', 'biz-1', row)).toBe(row);
+    expect(calls).toHaveLength(0);
+  });
+});